@@ -10,6 +10,8 @@ const MailboxHandler = require('./lib/mailbox-handler');
 const MessageHandler = require('./lib/message-handler');
 const StorageHandler = require('./lib/storage-handler');
 const AuditHandler = require('./lib/audit-handler');
+const OAuthHandler = require('./lib/oauth-handler');
+const SieveHandler = require('./lib/sieve-handler');
 const ImapNotifier = require('./lib/imap-notifier');
 const db = require('./lib/db');
 const certs = require('./lib/certs');
@@ -34,6 +36,7 @@ const storageRoutes = require('./lib/api/storage');
 const filtersRoutes = require('./lib/api/filters');
 const domainaccessRoutes = require('./lib/api/domainaccess');
 const aspsRoutes = require('./lib/api/asps');
+const delegationsRoutes = require('./lib/api/delegations');
 const totpRoutes = require('./lib/api/2fa/totp');
 const custom2faRoutes = require('./lib/api/2fa/custom');
 const webauthnRoutes = require('./lib/api/2fa/webauthn');
@@ -48,6 +51,8 @@ const certsRoutes = require('./lib/api/certs');
 const webhooksRoutes = require('./lib/api/webhooks');
 const settingsRoutes = require('./lib/api/settings');
 const healthRoutes = require('./lib/api/health');
+const attachmentsRoutes = require('./lib/api/attachments');
+const sieveRoutes = require('./lib/api/sieve');
 const { SettingsHandler } = require('./lib/settings-handler');
 
 const { RestifyApiGenerate } = require('restifyapigenerate');
@@ -60,7 +65,9 @@ let mailboxHandler;
 let messageHandler;
 let storageHandler;
 let auditHandler;
+let oauthHandler;
 let settingsHandler;
+let sieveHandler;
 let notifier;
 let loggelf;
 
@@ -426,6 +433,30 @@ server.use(async req => {
                 return;
             }
         }
+
+        if (accessToken && oauthHandler && oauthHandler.enabled && !/^[a-fA-F0-9]{40}$/.test(accessToken)) {
+            // OAuth2 bearer token from an external issuer
+            let [authResponse] = await oauthHandler.authenticate(accessToken, {
+                scope: 'master',
+                meta: {
+                    protocol: 'API',
+                    ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+                }
+            });
+
+            let role = (config.oauth && config.oauth.apiRole) || 'user';
+            if (authResponse && config.api.roles[role]) {
+                req.role = role;
+                req.user = authResponse.user.toString();
+
+                if (req.params && req.params.user === 'me') {
+                    req.params.user = req.user;
+                }
+
+                // pass
+                return;
+            }
+        }
     }
 
     if (tokenRequired) {
@@ -533,6 +564,11 @@ module.exports = done => {
         loggelf: message => loggelf(message)
     });
 
+    oauthHandler = new OAuthHandler({
+        userHandler,
+        loggelf: message => loggelf(message)
+    });
+
     mailboxHandler = new MailboxHandler({
         database: db.database,
         users: db.users,
@@ -551,6 +587,8 @@ module.exports = done => {
 
     settingsHandler = new SettingsHandler({ db: db.database });
 
+    sieveHandler = new SieveHandler({ database: db.database });
+
     server.loggelf = (message, requiredKeys = []) => loggelf(message, requiredKeys);
 
     server.lock = new Lock({
@@ -564,9 +602,10 @@ module.exports = done => {
     mailboxesRoutes(db, server, mailboxHandler);
     messagesRoutes(db, server, messageHandler, userHandler, storageHandler, settingsHandler);
     storageRoutes(db, server, storageHandler);
-    filtersRoutes(db, server, userHandler, settingsHandler);
+    filtersRoutes(db, server, userHandler, settingsHandler, messageHandler);
     domainaccessRoutes(db, server);
     aspsRoutes(db, server, userHandler);
+    delegationsRoutes(db, server, userHandler);
     totpRoutes(db, server, userHandler);
     custom2faRoutes(db, server, userHandler);
     webauthnRoutes(db, server, userHandler);
@@ -581,6 +620,8 @@ module.exports = done => {
     webhooksRoutes(db, server);
     settingsRoutes(db, server, settingsHandler);
     healthRoutes(db, server, loggelf);
+    attachmentsRoutes(db, server, messageHandler);
+    sieveRoutes(db, server, sieveHandler);
 
     if (process.env.NODE_ENV === 'test') {
         server.get(
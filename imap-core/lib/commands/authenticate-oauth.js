@@ -0,0 +1,166 @@
+'use strict';
+
+const imapTools = require('../imap-tools');
+const saslOAuth = require('../sasl-oauth');
+
+// tag AUTHENTICATE XOAUTH2 dXNlcj1zb21ldXNlckBleGFtcGxlLmNvbQFhdXRoPUJlYXJlciB5YTI5LnZGOWRmdDRxbVRjMk52YjNSbGNrQmhkSFJoZG1semRHRXVZMjl0Q2cBAQ==
+// tag AUTHENTICATE OAUTHBEARER bixhPXVzZXJAZXhhbXBsZS5jb20sAWhvc3Q9c2VydmVyLmV4YW1wbGUuY29tAXBvcnQ9MTQzAWF1dGg9QmVhcmVyIHZGOWRmdDRxbVRjMk52YjNSbGNrQmhkSFJoZG1semRHRXVZMjl0Q2c9PQEB
+
+module.exports = {
+    state: 'Not Authenticated',
+
+    schema: [
+        {
+            name: 'token',
+            type: 'string',
+            optional: true
+        }
+    ],
+
+    handler(command, callback, next) {
+        let token = ((command.attributes && command.attributes[0] && command.attributes[0].value) || '').toString().trim();
+
+        let mechanism = (command.command || '').toString().toUpperCase().split(' ').pop();
+
+        if (!this._server.options.enableOAuth) {
+            return callback(null, {
+                response: 'NO',
+                message: 'Unsupported authentication mechanism'
+            });
+        }
+
+        if (!this.secure && !this._server.options.disableSTARTTLS && !this._server.options.ignoreSTARTTLS) {
+            // Only allow authentication using TLS
+            return callback(null, {
+                response: 'BAD',
+                message: 'Run STARTTLS first'
+            });
+        }
+
+        // Check if authentication method is set
+        if (typeof this._server.onAuth !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: 'Authentication not implemented'
+            });
+        }
+
+        if (!token) {
+            this._nextHandler = (token, next) => {
+                this._nextHandler = false;
+                next(); // keep the parser flowing
+                authenticate(this, mechanism, token, callback);
+            };
+            this.send('+');
+            return next(); // resume input parser. Normally this is done by callback() but we need the next input sooner
+        }
+
+        authenticate(this, mechanism, token, callback, next);
+    }
+};
+
+function authenticate(connection, mechanism, token, callback, next) {
+    let data = saslOAuth.parse(mechanism, token);
+
+    if (!data) {
+        return callback(null, {
+            response: 'BAD',
+            message: 'Invalid SASL argument'
+        });
+    }
+
+    let username = data.username;
+
+    let fail = () => {
+        // send error challenge, client is expected to respond with an empty line
+        connection._nextHandler = (token, next) => {
+            connection._nextHandler = false;
+            next(); // keep the parser flowing
+            callback(null, {
+                response: 'NO',
+                code: 'AUTHENTICATIONFAILED',
+                message: 'Invalid credentials'
+            });
+        };
+        connection.send('+ ' + saslOAuth.formatError(mechanism, connection._server.options.oauthScope));
+        if (typeof next === 'function') {
+            // initial response was included with the command, resume input parser to receive the client response
+            next();
+        }
+    };
+
+    connection._server.onAuth(
+        {
+            method: mechanism,
+            username,
+            accessToken: data.accessToken,
+            connection
+        },
+        connection.session,
+        (err, response) => {
+            if (err) {
+                connection._server.logger.info(
+                    {
+                        err,
+                        tnx: 'auth',
+                        username,
+                        method: mechanism,
+                        action: 'fail',
+                        cid: connection.id
+                    },
+                    '[%s] Authentication error for %s using %s\n%s',
+                    connection.id,
+                    username,
+                    mechanism,
+                    err.message
+                );
+                return callback(err);
+            }
+
+            if (!response || !response.user) {
+                connection._server.logger.info(
+                    {
+                        tnx: 'auth',
+                        username,
+                        method: mechanism,
+                        action: 'fail',
+                        cid: connection.id
+                    },
+                    '[%s] Authentication failed for %s using %s',
+                    connection.id,
+                    username,
+                    mechanism
+                );
+                return fail();
+            }
+
+            username = username || response.user.username;
+
+            connection._server.logger.info(
+                {
+                    tnx: 'auth',
+                    username,
+                    method: mechanism,
+                    action: 'success',
+                    cid: connection.id
+                },
+                '[%s] %s authenticated using %s',
+                connection.id,
+                username,
+                mechanism
+            );
+
+            connection.setUser(response.user);
+            connection.state = 'Authenticated';
+            connection.setupNotificationListener();
+
+            imapTools.sendCapabilityResponse(connection);
+            imapTools.logClientId(connection);
+
+            callback(null, {
+                response: 'OK',
+                message: Buffer.from(username + ' authenticated').toString('binary')
+            });
+        }
+    );
+}
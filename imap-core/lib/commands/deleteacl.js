@@ -0,0 +1,41 @@
+'use strict';
+
+const { normalizeMailbox } = require('../imap-tools');
+const { setAcl } = require('./setacl');
+
+// tag DELETEACL "INBOX" "user"
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: [
+        {
+            name: 'mailbox',
+            type: 'string'
+        },
+        {
+            name: 'identifier',
+            type: 'string'
+        }
+    ],
+
+    handler(command, callback) {
+        if (typeof this._server.onSetAcl !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let path = Buffer.from((command.attributes[0] && command.attributes[0].value) || '', 'binary').toString();
+        path = normalizeMailbox(path, !this.acceptUTF8Enabled);
+
+        let identifier = Buffer.from((command.attributes[1] && command.attributes[1].value) || '', 'binary').toString();
+        if (!identifier) {
+            return callback(new Error('Invalid identifier for DELETEACL'));
+        }
+
+        // removing an entry is the same as setting an empty set of rights
+        setAcl(this, 'deleteacl', path, { identifier, rights: '', modifier: '' }, callback);
+    }
+};
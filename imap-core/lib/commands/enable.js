@@ -13,6 +13,13 @@ module.exports = {
                 enabled.push('CONDSTORE');
             }
 
+            if (((attr && attr.value) || '').toString().toUpperCase() === 'QRESYNC') {
+                // QRESYNC implies CONDSTORE
+                this.condstoreEnabled = true;
+                this.qresyncEnabled = true;
+                enabled.push('QRESYNC');
+            }
+
             if (((attr && attr.value) || '').toString().toUpperCase() === 'UTF8=ACCEPT') {
                 this.acceptUTF8Enabled = true;
                 enabled.push('UTF8=ACCEPT');
@@ -46,7 +46,7 @@ module.exports = {
         if (!imapTools.validateSequence(range)) {
             return callback(new Error('Invalid sequence set for ' + command.command));
         }
-        let messages = imapTools.getMessageRange(this.selected.uidList, range, isUid);
+        let messages = imapTools.getMessageRange(this.selected.uidList, range, isUid, this.selected.searchResult);
         let flagsExist = false;
         let uidExist = false;
         let modseqExist = false;
@@ -62,14 +62,30 @@ module.exports = {
         let params = [].concat(command.attributes[1] || []);
         let extensions = [].concat(command.attributes[2] || []).map(val => val && val.value);
 
+        let vanished = false;
+
         if (extensions.length) {
-            if (extensions.length !== 2 || (extensions[0] || '').toString().toUpperCase() !== 'CHANGEDSINCE' || isNaN(extensions[1])) {
+            if (
+                extensions.length < 2 ||
+                extensions.length > 3 ||
+                (extensions[0] || '').toString().toUpperCase() !== 'CHANGEDSINCE' ||
+                isNaN(extensions[1]) ||
+                (extensions.length === 3 && (extensions[2] || '').toString().toUpperCase() !== 'VANISHED')
+            ) {
                 return callback(new Error('Invalid modifier for ' + command.command));
             }
             changedSince = Number(extensions[1]);
             if (changedSince && !this.selected.condstoreEnabled) {
                 this.condstoreEnabled = this.selected.condstoreEnabled = true;
             }
+
+            if (extensions.length === 3) {
+                // RFC7162 3.2.6. VANISHED modifier is only allowed for UID FETCH when QRESYNC is enabled
+                if (!isUid || !this.qresyncEnabled) {
+                    return callback(new Error('VANISHED modifier is not allowed for ' + command.command));
+                }
+                vanished = true;
+            }
         }
 
         let macros = new Map(
@@ -280,57 +296,83 @@ module.exports = {
             _query: imapHandler.compiler(command)
         };
 
-        this._server.onFetch(
-            this.selected.mailbox,
-            {
-                bodystructureExist,
-                rfc822sizeExist,
-                envelopeExist,
-                flagsExist,
-                idateExist,
-                metadataOnly: !!metadataOnly,
-                markAsSeen: !!markAsSeen,
-                messages,
-                query,
-                changedSince,
-                isUid
-            },
-            this.session,
-            (err, success, info) => {
-                logdata._query_time = Date.now() - startTime;
-
-                Object.keys(info || {}).forEach(key => {
-                    let vkey = '_' + key.replace(/[A-Z]+/g, c => '_' + c.toLowerCase());
-                    if (vkey === '_id') {
-                        vkey = '_fetch_id';
+        let runFetch = () =>
+            this._server.onFetch(
+                this.selected.mailbox,
+                {
+                    bodystructureExist,
+                    rfc822sizeExist,
+                    envelopeExist,
+                    flagsExist,
+                    idateExist,
+                    metadataOnly: !!metadataOnly,
+                    markAsSeen: !!markAsSeen,
+                    messages,
+                    query,
+                    changedSince,
+                    isUid
+                },
+                this.session,
+                (err, success, info) => {
+                    logdata._query_time = Date.now() - startTime;
+
+                    Object.keys(info || {}).forEach(key => {
+                        let vkey = '_' + key.replace(/[A-Z]+/g, c => '_' + c.toLowerCase());
+                        if (vkey === '_id') {
+                            vkey = '_fetch_id';
+                        }
+                        logdata[vkey] = info[key];
+                    });
+
+                    if (err) {
+                        logdata._error = err.message;
+                        logdata._code = err.code;
+                        logdata._response = err.response;
+                        logdata._responseMessage = err.responseMessage;
+                        logdata._ratelimit_ttl = err.ttl;
+                        this._server.loggelf(logdata);
+
+                        return callback(null, {
+                            response: 'NO',
+                            code: 'TEMPFAIL',
+                            message: err.responseMessage
+                        });
                     }
-                    logdata[vkey] = info[key];
-                });
 
-                if (err) {
-                    logdata._error = err.message;
-                    logdata._code = err.code;
-                    logdata._response = err.response;
-                    logdata._responseMessage = err.responseMessage;
-                    logdata._ratelimit_ttl = err.ttl;
+                    logdata._response = success;
                     this._server.loggelf(logdata);
 
-                    return callback(null, {
-                        response: 'NO',
-                        code: 'TEMPFAIL',
-                        message: err.responseMessage
+                    callback(null, {
+                        response: success === true ? 'OK' : 'NO',
+                        code: typeof success === 'string' ? success.toUpperCase() : false
                     });
                 }
+            );
+
+        if (!vanished) {
+            return runFetch();
+        }
 
-                logdata._response = success;
+        // send VANISHED (EARLIER) response before any FETCH responses
+        let knownRange = range === '$' ? imapTools.packMessageRange([].concat(this.selected.searchResult || [])) : range;
+        this.getVanished(changedSince, knownRange, (err, vanishedRange) => {
+            if (err) {
+                logdata._error = err.message;
+                logdata._code = err.code;
                 this._server.loggelf(logdata);
 
-                callback(null, {
-                    response: success === true ? 'OK' : 'NO',
-                    code: typeof success === 'string' ? success.toUpperCase() : false
+                return callback(null, {
+                    response: 'NO',
+                    code: 'TEMPFAIL'
                 });
             }
-        );
+
+            if (vanishedRange) {
+                this.send('* VANISHED (EARLIER) ' + vanishedRange);
+            }
+
+            runFetch();
+        });
     }
 };
 
@@ -0,0 +1,77 @@
+'use strict';
+
+const imapHandler = require('../handler/imap-handler');
+const { normalizeMailbox, utf7encode } = require('../imap-tools');
+
+// tag GETACL "INBOX"
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: [
+        {
+            name: 'mailbox',
+            type: 'string'
+        }
+    ],
+
+    handler(command, callback) {
+        if (typeof this._server.onGetAcl !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let path = Buffer.from((command.attributes[0] && command.attributes[0].value) || '', 'binary').toString();
+        path = normalizeMailbox(path, !this.acceptUTF8Enabled);
+
+        let logdata = {
+            short_message: '[GETACL]',
+            _mail_action: 'getacl',
+            _path: path,
+            _user: this.session.user.id.toString(),
+            _sess: this.id
+        };
+
+        this._server.onGetAcl(path, this.session, (err, list) => {
+            if (err) {
+                logdata._error = err.message;
+                logdata._code = err.code;
+                logdata._response = err.response;
+                this._server.loggelf(logdata);
+
+                return callback(null, {
+                    response: 'NO',
+                    code: 'TEMPFAIL'
+                });
+            }
+
+            if (typeof list === 'string') {
+                return callback(null, {
+                    response: 'NO',
+                    code: list.toUpperCase()
+                });
+            }
+
+            let attributes = [path ? (!this.acceptUTF8Enabled ? utf7encode(path) : Buffer.from(path)) : ''];
+            [].concat(list || []).forEach(entry => {
+                attributes.push({ type: 'string', value: entry.identifier }, { type: 'string', value: entry.rights });
+            });
+
+            // * ACL "INBOX" "user1" "lrswipkxtea" "user2" "lr"
+            this.send(
+                imapHandler.compiler({
+                    tag: '*',
+                    command: 'ACL',
+                    attributes
+                })
+            );
+
+            callback(null, {
+                response: 'OK',
+                message: 'Success'
+            });
+        });
+    }
+};
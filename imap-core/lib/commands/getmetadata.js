@@ -0,0 +1,150 @@
+'use strict';
+
+const imapHandler = require('../handler/imap-handler');
+const { normalizeMailbox, utf7encode, validateMetadataEntry } = require('../imap-tools');
+
+// tag GETMETADATA (MAXSIZE 1024 DEPTH 1) "INBOX" (/private/comment /shared/comment)
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: false, // optional options list, can't predefine
+
+    handler(command, callback) {
+        if (typeof this._server.onGetMetadata !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let attributes = [].concat(command.attributes || []);
+
+        let options = {
+            depth: '0',
+            maxSize: false
+        };
+
+        if (Array.isArray(attributes[0])) {
+            let list = attributes.shift();
+            for (let i = 0; i < list.length; i += 2) {
+                let key = ((list[i] && list[i].value) || '').toString().toUpperCase();
+                let value = ((list[i + 1] && list[i + 1].value) || '').toString().toLowerCase();
+                switch (key) {
+                    case 'MAXSIZE':
+                        if (!/^\d+$/.test(value)) {
+                            return callback(new Error('Invalid MAXSIZE argument for GETMETADATA'));
+                        }
+                        options.maxSize = Number(value);
+                        break;
+                    case 'DEPTH':
+                        if (!['0', '1', 'infinity'].includes(value)) {
+                            return callback(new Error('Invalid DEPTH argument for GETMETADATA'));
+                        }
+                        options.depth = value;
+                        break;
+                    default:
+                        return callback(new Error('Unknown option for GETMETADATA'));
+                }
+            }
+        }
+
+        if (attributes.length !== 2 || !attributes[0] || Array.isArray(attributes[0])) {
+            return callback(new Error('Invalid arguments for GETMETADATA'));
+        }
+
+        let path = Buffer.from((attributes[0] && attributes[0].value) || '', 'binary').toString();
+        path = normalizeMailbox(path, !this.acceptUTF8Enabled);
+
+        let entries = [].concat(attributes[1] || []).map(entry => ((entry && entry.value) || '').toString());
+        if (!entries.length || !entries.every(validateMetadataEntry)) {
+            return callback(new Error('Invalid entry name for GETMETADATA'));
+        }
+
+        let logdata = {
+            short_message: '[GETMETADATA]',
+            _mail_action: 'getmetadata',
+            _path: path,
+            _entries: entries.join(' '),
+            _user: this.session.user.id.toString(),
+            _sess: this.id
+        };
+
+        this._server.onGetMetadata(
+            path,
+            {
+                entries,
+                depth: options.depth,
+                maxSize: options.maxSize
+            },
+            this.session,
+            (err, data) => {
+                if (err) {
+                    logdata._error = err.message;
+                    logdata._code = err.code;
+                    logdata._response = err.response;
+                    this._server.loggelf(logdata);
+
+                    return callback(null, {
+                        response: 'NO',
+                        code: 'TEMPFAIL'
+                    });
+                }
+
+                if (typeof data === 'string') {
+                    return callback(null, {
+                        response: 'NO',
+                        code: data.toUpperCase()
+                    });
+                }
+
+                let values = [];
+                [].concat(data.entries || []).forEach(entry => {
+                    values.push({
+                        type: 'atom',
+                        value: entry.key
+                    });
+                    values.push(formatValue(entry.value));
+                });
+
+                if (values.length) {
+                    // * METADATA "INBOX" (/private/comment "My comment")
+                    this.send(
+                        imapHandler.compiler({
+                            tag: '*',
+                            command: 'METADATA',
+                            attributes: [path ? (!this.acceptUTF8Enabled ? utf7encode(path) : Buffer.from(path)) : '', values]
+                        })
+                    );
+                }
+
+                callback(null, {
+                    response: 'OK',
+                    code: data.longEntries ? 'METADATA LONGENTRIES ' + data.longEntries : false,
+                    message: 'Success'
+                });
+            }
+        );
+    }
+};
+
+function formatValue(value) {
+    if (value === null || typeof value === 'undefined') {
+        return null;
+    }
+
+    value = Buffer.isBuffer(value) ? value : Buffer.from(value.toString());
+
+    if (/^[\x20-\x7e]*$/.test(value.toString('binary'))) {
+        return {
+            type: 'string',
+            value: value.toString('binary')
+        };
+    }
+
+    // use literals for multiline and non-ASCII values
+    return {
+        type: 'literal',
+        value
+    };
+}
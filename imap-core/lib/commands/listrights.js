@@ -0,0 +1,95 @@
+'use strict';
+
+const imapHandler = require('../handler/imap-handler');
+const { normalizeMailbox, utf7encode, aclRights } = require('../imap-tools');
+
+// tag LISTRIGHTS "INBOX" "user"
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: [
+        {
+            name: 'mailbox',
+            type: 'string'
+        },
+        {
+            name: 'identifier',
+            type: 'string'
+        }
+    ],
+
+    handler(command, callback) {
+        if (typeof this._server.onMyRights !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let path = Buffer.from((command.attributes[0] && command.attributes[0].value) || '', 'binary').toString();
+        path = normalizeMailbox(path, !this.acceptUTF8Enabled);
+
+        let identifier = Buffer.from((command.attributes[1] && command.attributes[1].value) || '', 'binary').toString();
+        if (!identifier) {
+            return callback(new Error('Invalid identifier for LISTRIGHTS'));
+        }
+
+        let logdata = {
+            short_message: '[LISTRIGHTS]',
+            _mail_action: 'listrights',
+            _path: path,
+            _identifier: identifier,
+            _user: this.session.user.id.toString(),
+            _sess: this.id
+        };
+
+        this._server.onMyRights(path, this.session, (err, data) => {
+            if (err) {
+                logdata._error = err.message;
+                logdata._code = err.code;
+                logdata._response = err.response;
+                this._server.loggelf(logdata);
+
+                return callback(null, {
+                    response: 'NO',
+                    code: 'TEMPFAIL'
+                });
+            }
+
+            if (typeof data === 'string') {
+                return callback(null, {
+                    response: 'NO',
+                    code: data.toUpperCase()
+                });
+            }
+
+            // listing rights requires the administer right
+            if (!data || !(data.rights || '').includes('a')) {
+                return callback(null, {
+                    response: 'NO',
+                    code: 'NOPERM'
+                });
+            }
+
+            // no rights are always granted, every right can be granted independently
+            // * LISTRIGHTS "INBOX" "user" "" l r s w i p k x t e a
+            this.send(
+                imapHandler.compiler({
+                    tag: '*',
+                    command: 'LISTRIGHTS',
+                    attributes: [
+                        path ? (!this.acceptUTF8Enabled ? utf7encode(path) : Buffer.from(path)) : '',
+                        { type: 'string', value: identifier },
+                        { type: 'string', value: '' }
+                    ].concat(aclRights.split('').map(right => ({ type: 'atom', value: right })))
+                })
+            );
+
+            callback(null, {
+                response: 'OK',
+                message: 'Success'
+            });
+        });
+    }
+};
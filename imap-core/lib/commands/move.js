@@ -39,7 +39,7 @@ module.exports = {
             return callback(new Error('Invalid sequence set for ' + cmd));
         }
 
-        let messages = imapTools.getMessageRange(this.selected.uidList, range, cmd === 'UID MOVE');
+        let messages = imapTools.getMessageRange(this.selected.uidList, range, cmd === 'UID MOVE', this.selected.searchResult);
 
         let logdata = {
             short_message: '[MOVE]',
@@ -0,0 +1,75 @@
+'use strict';
+
+const imapHandler = require('../handler/imap-handler');
+const { normalizeMailbox, utf7encode } = require('../imap-tools');
+
+// tag MYRIGHTS "INBOX"
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: [
+        {
+            name: 'mailbox',
+            type: 'string'
+        }
+    ],
+
+    handler(command, callback) {
+        if (typeof this._server.onMyRights !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let path = Buffer.from((command.attributes[0] && command.attributes[0].value) || '', 'binary').toString();
+        path = normalizeMailbox(path, !this.acceptUTF8Enabled);
+
+        let logdata = {
+            short_message: '[MYRIGHTS]',
+            _mail_action: 'myrights',
+            _path: path,
+            _user: this.session.user.id.toString(),
+            _sess: this.id
+        };
+
+        this._server.onMyRights(path, this.session, (err, data) => {
+            if (err) {
+                logdata._error = err.message;
+                logdata._code = err.code;
+                logdata._response = err.response;
+                this._server.loggelf(logdata);
+
+                return callback(null, {
+                    response: 'NO',
+                    code: 'TEMPFAIL'
+                });
+            }
+
+            if (typeof data === 'string') {
+                return callback(null, {
+                    response: 'NO',
+                    code: data.toUpperCase()
+                });
+            }
+
+            // * MYRIGHTS "INBOX" "lrswipkxtea"
+            this.send(
+                imapHandler.compiler({
+                    tag: '*',
+                    command: 'MYRIGHTS',
+                    attributes: [
+                        path ? (!this.acceptUTF8Enabled ? utf7encode(path) : Buffer.from(path)) : '',
+                        { type: 'string', value: (data && data.rights) || '' }
+                    ]
+                })
+            );
+
+            callback(null, {
+                response: 'OK',
+                message: 'Success'
+            });
+        });
+    }
+};
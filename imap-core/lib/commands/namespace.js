@@ -1,11 +1,22 @@
 'use strict';
 
+const imapHandler = require('../handler/imap-handler');
+
 module.exports = {
     state: ['Authenticated', 'Selected'],
 
     handler(command, callback) {
-        // fixed structure
-        this.send('* NAMESPACE (("" "/")) NIL NIL');
+        let sharedNamespace = this._server.options.sharedNamespace;
+
+        // * NAMESPACE (("" "/")) (("Other Users/" "/")) NIL
+        // mailboxes shared by other users are only listed if the server has a prefix for these
+        this.send(
+            imapHandler.compiler({
+                tag: '*',
+                command: 'NAMESPACE',
+                attributes: [[['', '/']], sharedNamespace ? [[sharedNamespace + '/', '/']] : null, null]
+            })
+        );
 
         callback(null, {
             response: 'OK'
@@ -0,0 +1,192 @@
+'use strict';
+
+const { normalizeMailbox } = require('../imap-tools');
+
+// tag NOTIFY SET STATUS (selected (MessageNew (UID FLAGS) MessageExpunge FlagChange)) (personal (MessageNew MessageExpunge MailboxName))
+// tag NOTIFY NONE
+
+const SUPPORTED_EVENTS = new Map(['MessageNew', 'MessageExpunge', 'FlagChange', 'MailboxName', 'SubscriptionChange'].map(ev => [ev.toLowerCase(), ev]));
+const MESSAGE_EVENTS = ['MessageNew', 'MessageExpunge', 'FlagChange'];
+const FILTERS = ['selected', 'selected-delayed', 'personal', 'inboxes', 'subscribed', 'subtree', 'mailboxes'];
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: false, // recursive, can't predefine
+
+    handler(command, callback) {
+        let notify;
+
+        try {
+            notify = parseNotify(command.attributes, !this.acceptUTF8Enabled);
+        } catch (E) {
+            if (E.code === 'BADEVENT') {
+                return callback(null, {
+                    response: 'NO',
+                    code: 'BADEVENT (' + Array.from(SUPPORTED_EVENTS.values()).join(' ') + ')',
+                    message: E.message
+                });
+            }
+            return callback(E);
+        }
+
+        let logdata = {
+            short_message: '[NOTIFY]',
+            _mail_action: 'notify',
+            _user: this.session.user.id.toString(),
+            _sess: this.id,
+            _filters: notify ? notify.filters.map(filter => filter.type).join(' ') : 'none'
+        };
+
+        this.setNotify(notify, err => {
+            if (err) {
+                logdata._error = err.message;
+                logdata._code = err.code;
+                logdata._response = err.response;
+                this._server.loggelf(logdata);
+                return callback(null, {
+                    response: 'NO',
+                    code: 'TEMPFAIL'
+                });
+            }
+
+            callback(null, {
+                response: 'OK',
+                message: notify ? 'NOTIFY completed' : 'NOTIFY disabled'
+            });
+        });
+    },
+
+    parseNotify // expose for testing
+};
+
+/**
+ * Parses NOTIFY command arguments
+ *
+ * @param {Array} attributes Parsed command attributes
+ * @param {Boolean} utf7Encoded If true then mailbox names are UTF-7 encoded
+ * @returns {Object|Boolean} NOTIFY settings {status, selected, filters} or false for NOTIFY NONE
+ */
+function parseNotify(attributes, utf7Encoded) {
+    attributes = [].concat(attributes || []);
+
+    let action = ((attributes.shift() || {}).value || '').toString().toUpperCase();
+
+    if (action === 'NONE') {
+        if (attributes.length) {
+            throw new Error('Unexpected arguments for NOTIFY NONE');
+        }
+        return false;
+    }
+
+    if (action !== 'SET') {
+        throw new Error('Invalid arguments for NOTIFY');
+    }
+
+    let notify = {
+        status: false,
+        selected: false,
+        filters: []
+    };
+
+    if (attributes.length && !Array.isArray(attributes[0]) && ((attributes[0] && attributes[0].value) || '').toString().toUpperCase() === 'STATUS') {
+        notify.status = true;
+        attributes.shift();
+    }
+
+    if (!attributes.length) {
+        throw new Error('Missing event groups for NOTIFY');
+    }
+
+    attributes.forEach(group => {
+        if (!Array.isArray(group) || group.length < 2) {
+            throw new Error('Invalid event group for NOTIFY');
+        }
+
+        let type = ((group[0] && group[0].value) || '').toString().toLowerCase();
+        if (!FILTERS.includes(type)) {
+            throw new Error('Unknown mailbox filter ' + type);
+        }
+
+        let paths = [];
+        let eventPos = 1;
+        if (['subtree', 'mailboxes'].includes(type)) {
+            paths = [].concat(group[1] || []).map(mailbox => {
+                let path = Buffer.from((mailbox && mailbox.value) || '', 'binary').toString();
+                if (!path) {
+                    throw new Error('Invalid mailbox name for NOTIFY');
+                }
+                return normalizeMailbox(path, utf7Encoded);
+            });
+            eventPos = 2;
+        }
+
+        if (group.length !== eventPos + 1) {
+            throw new Error('Invalid event group for NOTIFY');
+        }
+
+        let events = parseEvents(group[eventPos]);
+
+        if (['selected', 'selected-delayed'].includes(type)) {
+            if (notify.selected) {
+                throw new Error('Duplicate selected filter for NOTIFY');
+            }
+            if (Array.from(events).some(ev => !MESSAGE_EVENTS.includes(ev))) {
+                throw new Error('Only message events are allowed for the selected mailbox');
+            }
+            notify.selected = {
+                delayed: type === 'selected-delayed',
+                events
+            };
+            return;
+        }
+
+        notify.filters.push({
+            type,
+            paths,
+            events
+        });
+    });
+
+    return notify;
+}
+
+function parseEvents(list) {
+    let events = new Set();
+
+    if (!Array.isArray(list)) {
+        if (((list && list.value) || '').toString().toUpperCase() === 'NONE') {
+            return events;
+        }
+        throw new Error('Invalid event list for NOTIFY');
+    }
+
+    for (let i = 0; i < list.length; i++) {
+        if (Array.isArray(list[i])) {
+            // fetch attributes for MessageNew are accepted but not used, clients get EXISTS and FETCH as usual
+            if (!i || !events.has('MessageNew') || ((list[i - 1] && list[i - 1].value) || '').toString().toLowerCase() !== 'messagenew') {
+                throw new Error('Invalid event list for NOTIFY');
+            }
+            continue;
+        }
+
+        let name = ((list[i] && list[i].value) || '').toString().toLowerCase();
+        if (!SUPPORTED_EVENTS.has(name)) {
+            let err = new Error('Unsupported event ' + ((list[i] && list[i].value) || '').toString());
+            err.code = 'BADEVENT';
+            throw err;
+        }
+        events.add(SUPPORTED_EVENTS.get(name));
+    }
+
+    if (!events.size) {
+        throw new Error('Empty event list for NOTIFY');
+    }
+
+    // RFC5465 5.2, MessageNew and MessageExpunge must be used together, FlagChange requires both
+    if (events.has('MessageNew') !== events.has('MessageExpunge') || (events.has('FlagChange') && !events.has('MessageNew'))) {
+        throw new Error('MessageNew and MessageExpunge must be requested together');
+    }
+
+    return events;
+}
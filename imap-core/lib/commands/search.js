@@ -3,6 +3,8 @@
 const imapHandler = require('../handler/imap-handler');
 const imapTools = require('../imap-tools');
 
+const RETURN_OPTIONS = ['min', 'max', 'count', 'all', 'save'];
+
 module.exports = {
     state: 'Selected',
 
@@ -19,6 +21,15 @@ module.exports = {
 
         let isUid = (command.command || '').toString().toUpperCase() === 'UID SEARCH' ? true : false;
 
+        let attributes = [].concat(command.attributes || []);
+
+        let returnOptions;
+        try {
+            returnOptions = parseReturnOptions(attributes);
+        } catch (E) {
+            return callback(E);
+        }
+
         let terms = [];
         let getTerms = elements => {
             elements.forEach(element => {
@@ -28,12 +39,12 @@ module.exports = {
                 terms.push(element.value);
             });
         };
-        getTerms([].concat(command.attributes || []));
+        getTerms(attributes);
 
         let parsed;
 
         try {
-            parsed = parseQueryTerms(terms, this.selected.uidList);
+            parsed = parseQueryTerms(terms, this.selected.uidList, this.selected.searchResult);
         } catch (E) {
             return callback(E);
         }
@@ -52,11 +63,17 @@ module.exports = {
             _query: JSON.stringify(parsed.query),
             _terms: JSON.stringify(parsed.terms)
         };
+
+        if (returnOptions) {
+            logdata._return = returnOptions.join(',');
+        }
+
         this._server.onSearch(
             this.selected.mailbox,
             {
                 query: parsed.query,
                 terms: parsed.terms,
+                returnOptions,
                 isUid
             },
             this.session,
@@ -66,6 +83,12 @@ module.exports = {
                     logdata._code = err.code;
                     logdata._response = err.response;
                     this._server.loggelf(logdata);
+
+                    if (returnOptions && returnOptions.includes('save')) {
+                        // failed SEARCH with SAVE resets the saved result (RFC5182 2.1)
+                        this.selected.searchResult = [];
+                    }
+
                     return callback(null, {
                         response: 'NO',
                         code: 'TEMPFAIL'
@@ -81,50 +104,53 @@ module.exports = {
                     });
                 }
 
-                let response = {
-                    tag: '*',
-                    command: 'SEARCH',
-                    attributes: []
-                };
-
-                if (Array.isArray(matches) && matches.length) {
-                    matches.sort((a, b) => a - b);
-
-                    matches.forEach(nr => {
-                        let seq;
-
-                        if (!isUid) {
-                            seq = this.selected.uidList.indexOf(nr) + 1;
-                            if (seq) {
-                                response.attributes.push({
-                                    type: 'atom',
-                                    value: String(seq)
-                                });
-                            }
-                        } else {
-                            response.attributes.push({
-                                type: 'atom',
-                                value: String(nr)
-                            });
-                        }
-                    });
-                }
+                matches = [].concat(matches || []).sort((a, b) => a - b);
 
-                // append (MODSEQ 123) for queries that include MODSEQ criteria
-                if (results.highestModseq && parsed.terms.indexOf('modseq') >= 0) {
-                    response.attributes.push([
-                        {
-                            type: 'atom',
-                            value: 'MODSEQ'
-                        },
-                        {
+                let sequenceNumbers = !isUid && new Map(this.selected.uidList.map((uid, i) => [uid, i + 1]));
+                if (!isUid) {
+                    // sequence numbers can only be returned for messages known to the client
+                    matches = matches.filter(uid => sequenceNumbers.has(uid));
+                }
+                let getNumber = uid => (isUid ? uid : sequenceNumbers.get(uid));
+
+                let response;
+                if (returnOptions) {
+                    response = formatSearchResponse(this, command, {
+                        returnOptions,
+                        matches,
+                        results,
+                        parsed,
+                        isUid,
+                        getNumber
+                    });
+                } else {
+                    response = {
+                        tag: '*',
+                        command: 'SEARCH',
+                        attributes: matches.map(uid => ({
                             type: 'atom',
-                            value: String(results.highestModseq)
-                        }
-                    ]);
+                            value: String(getNumber(uid))
+                        }))
+                    };
+
+                    // append (MODSEQ 123) for queries that include MODSEQ criteria
+                    if (results.highestModseq && parsed.terms.indexOf('modseq') >= 0) {
+                        response.attributes.push([
+                            {
+                                type: 'atom',
+                                value: 'MODSEQ'
+                            },
+                            {
+                                type: 'atom',
+                                value: String(results.highestModseq)
+                            }
+                        ]);
+                    }
                 }
 
-                this.send(imapHandler.compiler(response));
+                if (response) {
+                    this.send(imapHandler.compiler(response));
+                }
 
                 return callback(null, {
                     response: 'OK'
@@ -133,10 +159,49 @@ module.exports = {
         );
     },
 
-    parseQueryTerms // expose for testing
+    parseQueryTerms, // expose for testing
+    parseReturnOptions // expose for testing
 };
 
-function parseQueryTerms(terms, uidList) {
+/**
+ * Extracts ESEARCH return options (RFC4731) from the beginning of SEARCH arguments. Matching
+ * arguments are removed from the attributes list
+ *
+ * @param {Array} attributes Parsed command attributes
+ * @returns {Array|Boolean} A list of lowercase return options or false if RETURN was not used
+ */
+function parseReturnOptions(attributes) {
+    let first = attributes[0];
+    if (!first || first.type !== 'ATOM' || (first.value || '').toString().toUpperCase() !== 'RETURN') {
+        return false;
+    }
+
+    attributes.shift();
+    let list = attributes.shift();
+    if (!Array.isArray(list)) {
+        throw new Error('Invalid RETURN options for SEARCH');
+    }
+
+    let returnOptions = [];
+    list.forEach(entry => {
+        let option = ((entry && entry.value) || '').toString().toLowerCase();
+        if (!RETURN_OPTIONS.includes(option)) {
+            throw new Error('Unknown RETURN option ' + option.toUpperCase());
+        }
+        if (!returnOptions.includes(option)) {
+            returnOptions.push(option);
+        }
+    });
+
+    if (!returnOptions.length) {
+        // RETURN () is the same as RETURN (ALL)
+        returnOptions.push('all');
+    }
+
+    return returnOptions;
+}
+
+function parseQueryTerms(terms, uidList, searchResult) {
     terms = [].concat(terms || []);
 
     let pos = 0;
@@ -169,7 +234,7 @@ function parseQueryTerms(terms, uidList) {
             // try if it is a sequence set
             if (imapTools.validateSequence(term)) {
                 // resolve sequence list to an array of UID values
-                curTerm = ['uid', imapTools.getMessageRange(uidList, term, false)];
+                curTerm = ['uid', imapTools.getMessageRange(uidList, term, false, searchResult)];
             } else {
                 // no idea what the term is for
                 throw new Error('Unknown search term ' + term.toUpperCase());
@@ -183,7 +248,7 @@ function parseQueryTerms(terms, uidList) {
                         throw new Error('Invalid sequence set for ' + term.toUpperCase());
                     }
                     // resolve sequence list to an array of UID values
-                    curTerm.push(imapTools.getMessageRange(uidList, terms[pos++], true));
+                    curTerm.push(imapTools.getMessageRange(uidList, terms[pos++], true, searchResult));
                 } else {
                     curTerm.push(terms[pos++]);
                 }
@@ -304,3 +369,93 @@ function normalizeTerm(term, mapping) {
 
     return result;
 }
+
+/**
+ * Stores RFC5182 saved search result and builds an ESEARCH (RFC4731) response object
+ *
+ * @param {Object} connection IMAP connection object
+ * @param {Object} command Parsed SEARCH command
+ * @param {Object} options Search state
+ * @param {Array} options.returnOptions A list of requested RETURN options
+ * @param {Array} options.matches Sorted list of matching UID values
+ * @param {Object} options.results Search results from the storage handler
+ * @param {Object} options.parsed Parsed search query
+ * @param {Boolean} options.isUid If true then UID values are returned instead of sequence numbers
+ * @param {Function} options.getNumber Converts UID values into response numbers
+ * @returns {Object|Boolean} Response object or false if no response should be sent
+ */
+function formatSearchResponse(connection, command, options) {
+    let { returnOptions, matches, results, parsed, isUid, getNumber } = options;
+    let count = typeof results.count === 'number' ? results.count : matches.length;
+    let min = matches.length ? matches[0] : false;
+    let max = matches.length ? matches[matches.length - 1] : false;
+
+    if (returnOptions.includes('save')) {
+        if ((returnOptions.includes('min') || returnOptions.includes('max')) && !returnOptions.includes('all') && !returnOptions.includes('count')) {
+            // only MIN and/or MAX values are saved (RFC5182 2.4)
+            connection.selected.searchResult = []
+                .concat(returnOptions.includes('min') && min ? min : [])
+                .concat(returnOptions.includes('max') && max && max !== min ? max : []);
+        } else {
+            connection.selected.searchResult = matches;
+        }
+
+        if (returnOptions.length === 1) {
+            // SAVE without other options does not produce an ESEARCH response
+            return false;
+        }
+    }
+
+    let response = {
+        tag: '*',
+        command: 'ESEARCH',
+        attributes: [
+            [
+                {
+                    type: 'atom',
+                    value: 'TAG'
+                },
+                {
+                    type: 'string',
+                    value: command.tag
+                }
+            ]
+        ]
+    };
+
+    if (isUid) {
+        response.attributes.push({
+            type: 'atom',
+            value: 'UID'
+        });
+    }
+
+    if (returnOptions.includes('min') && min) {
+        response.attributes.push({ type: 'atom', value: 'MIN' }, { type: 'atom', value: String(getNumber(min)) });
+    }
+
+    if (returnOptions.includes('max') && max) {
+        response.attributes.push({ type: 'atom', value: 'MAX' }, { type: 'atom', value: String(getNumber(max)) });
+    }
+
+    if (returnOptions.includes('count')) {
+        response.attributes.push({ type: 'atom', value: 'COUNT' }, { type: 'atom', value: String(count) });
+    }
+
+    if (returnOptions.includes('all') && matches.length) {
+        response.attributes.push(
+            { type: 'atom', value: 'ALL' },
+            {
+                type: 'sequence',
+                value: imapTools.packMessageRange(matches.map(getNumber))
+            }
+        );
+    }
+
+    // append MODSEQ 123 for queries that include MODSEQ criteria
+    if (results.highestModseq && parsed.terms.indexOf('modseq') >= 0 && matches.length) {
+        response.attributes.push({ type: 'atom', value: 'MODSEQ' }, { type: 'atom', value: String(results.highestModseq) });
+    }
+
+    return response;
+}
@@ -5,6 +5,8 @@ const imapTools = require('../imap-tools');
 
 // tag SELECT "mailbox"
 // tag EXAMINE "mailbox"
+// tag SELECT "mailbox" (CONDSTORE)
+// tag SELECT "mailbox" (QRESYNC (uidvalidity modseq [known-uids [(seq-match-data)]]))
 
 module.exports = {
     state: ['Authenticated', 'Selected'],
@@ -25,13 +27,31 @@ module.exports = {
         let path = Buffer.from((command.attributes[0] && command.attributes[0].value) || '', 'binary').toString();
         path = imapTools.normalizeMailbox(path, !this.acceptUTF8Enabled);
 
-        let extensions = [].concat(command.attributes[1] || []).map(attr => ((attr && attr.value) || '').toString().toUpperCase());
+        let extensionArgs = [].concat(command.attributes[1] || []);
+        let extensions = extensionArgs.map(attr => ((attr && !Array.isArray(attr) && attr.value) || '').toString().toUpperCase());
 
         // Is CONDSTORE found from the optional arguments list?
         if (extensions.indexOf('CONDSTORE') >= 0) {
             this.condstoreEnabled = true;
         }
 
+        let qresync = false;
+        if (extensions.indexOf('QRESYNC') >= 0) {
+            if (!this.qresyncEnabled) {
+                return callback(new Error('QRESYNC must be enabled before using it with ' + command.command));
+            }
+
+            qresync = parseQresyncParams(extensionArgs[extensions.indexOf('QRESYNC') + 1]);
+            if (!qresync) {
+                return callback(new Error('Invalid QRESYNC parameters for ' + command.command));
+            }
+        }
+
+        if (this.state === 'Selected' && this.qresyncEnabled) {
+            // RFC7162 3.2.11. let the client know that previous mailbox is not selected anymore
+            this.send('* OK [CLOSED] Previous mailbox is now closed');
+        }
+
         if (typeof this._server.onOpen !== 'function') {
             return callback(null, {
                 response: 'NO',
@@ -92,14 +112,21 @@ module.exports = {
             this.session.selected = this.selected = {
                 modifyIndex: mailboxData.modifyIndex,
                 uidList: mailboxData.uidList,
+                uidNext: mailboxData.uidNext,
                 notifications: [],
                 condstoreEnabled: this.condstoreEnabled,
-                readOnly: (command.command || '').toString().toUpperCase() === 'EXAMINE' ? true : false,
+                // mailboxes shared without write access can only be opened read-only
+                readOnly: (command.command || '').toString().toUpperCase() === 'EXAMINE' || mailboxData.readOnly ? true : false,
                 mailbox: mailboxData._id,
-                path
+                path,
+                // RFC5182 saved search result as a list of UID values
+                searchResult: []
             };
             this.state = 'Selected';
 
+            // changes in a mailbox owned by another user are announced to the owner
+            this.setSharedListener(mailboxData.shared ? mailboxData.user : false);
+
             let flagList = imapTools.systemFlagsFormatted.concat(mailboxData.flags || []);
 
             // * FLAGS (\Answered \Flagged \Draft \Deleted \Seen)
@@ -238,11 +265,114 @@ module.exports = {
                 })
             );
 
-            callback(null, {
-                response: 'OK',
-                code: this.selected.readOnly ? 'READ-ONLY' : 'READ-WRITE',
-                message: command.command + ' completed' + (this.selected.condstoreEnabled ? ', CONDSTORE is now enabled' : '')
+            let done = () =>
+                callback(null, {
+                    response: 'OK',
+                    code: this.selected.readOnly ? 'READ-ONLY' : 'READ-WRITE',
+                    message: command.command + ' completed' + (this.selected.condstoreEnabled ? ', CONDSTORE is now enabled' : '')
+                });
+
+            if (!qresync || qresync.uidValidity !== (Number(mailboxData.uidValidity) || 1)) {
+                // uidvalidity mismatch means that client has to perform a full resync anyway
+                return done();
+            }
+
+            sendQresyncUpdates(this, qresync, err => {
+                if (err) {
+                    this.session.selected = this.selected = false;
+                    this.state = 'Authenticated';
+
+                    logdata._error = err.message;
+                    logdata._code = err.code;
+                    logdata._response = err.response;
+                    this._server.loggelf(logdata);
+                    return callback(null, {
+                        response: 'NO',
+                        code: 'TEMPFAIL',
+                        message: err.responseMessage
+                    });
+                }
+                done();
             });
         });
     }
 };
+
+/**
+ * Sends VANISHED (EARLIER) and FETCH responses for changes that have happened since the modseq value provided with QRESYNC
+ *
+ * @param {Object} connection IMAP connection object
+ * @param {Object} qresync Parsed QRESYNC parameters
+ * @param {Function} callback Runs once all responses have been queued
+ */
+function sendQresyncUpdates(connection, qresync, callback) {
+    connection.getVanished(qresync.modseq, qresync.knownUids || '1:*', (err, vanished) => {
+        if (err) {
+            return callback(err);
+        }
+
+        if (vanished) {
+            connection.send('* VANISHED (EARLIER) ' + vanished);
+        }
+
+        let messages = qresync.knownUids ? imapTools.getMessageRange(connection.selected.uidList, qresync.knownUids, true) : connection.selected.uidList;
+        if (typeof connection._server.onFetch !== 'function' || !messages.length) {
+            return callback();
+        }
+
+        connection._server.onFetch(
+            connection.selected.mailbox,
+            {
+                flagsExist: true,
+                metadataOnly: true,
+                markAsSeen: false,
+                messages,
+                query: ['UID', 'FLAGS', 'MODSEQ'].map(value => ({
+                    query: value,
+                    item: value.toLowerCase(),
+                    original: {
+                        type: 'ATOM',
+                        value
+                    }
+                })),
+                changedSince: qresync.modseq,
+                isUid: true
+            },
+            connection.session,
+            err => callback(err)
+        );
+    });
+}
+
+/**
+ * Parses QRESYNC parameter list for SELECT/EXAMINE
+ *
+ * @param {Array} params Parsed parameter list, eg. (uidvalidity modseq known-uids (seq-match-data))
+ * @returns {Object|Boolean} Parsed parameters or false if parameters are invalid
+ */
+function parseQresyncParams(params) {
+    if (!Array.isArray(params) || params.length < 2 || params.length > 4) {
+        return false;
+    }
+
+    let values = params.slice(0, 3).map(param => ((param && !Array.isArray(param) && param.value) || '').toString());
+
+    if (!/^[1-9]\d*$/.test(values[0]) || !/^[1-9]\d*$/.test(values[1])) {
+        return false;
+    }
+
+    if (values.length > 2 && (!imapTools.validateSequence(values[2]) || /[*$]/.test(values[2]))) {
+        return false;
+    }
+
+    // seq-match-data is an optional hint for the server that we do not make use of
+    if (params.length > 3 && !Array.isArray(params[3])) {
+        return false;
+    }
+
+    return {
+        uidValidity: Number(values[0]),
+        modseq: Number(values[1]),
+        knownUids: values.length > 2 ? values[2] : false
+    };
+}
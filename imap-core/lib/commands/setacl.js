@@ -0,0 +1,96 @@
+'use strict';
+
+const { normalizeMailbox, validateAclRights } = require('../imap-tools');
+
+// tag SETACL "INBOX" "user" "+lr"
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: [
+        {
+            name: 'mailbox',
+            type: 'string'
+        },
+        {
+            name: 'identifier',
+            type: 'string'
+        },
+        {
+            name: 'rights',
+            type: 'string'
+        }
+    ],
+
+    handler(command, callback) {
+        if (typeof this._server.onSetAcl !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let path = Buffer.from((command.attributes[0] && command.attributes[0].value) || '', 'binary').toString();
+        path = normalizeMailbox(path, !this.acceptUTF8Enabled);
+
+        let identifier = Buffer.from((command.attributes[1] && command.attributes[1].value) || '', 'binary').toString();
+        let rights = ((command.attributes[2] && command.attributes[2].value) || '').toString();
+
+        // rights can be prefixed with "+" or "-" to add or remove rights instead of replacing these
+        let modifier = '';
+        if (['+', '-'].includes(rights.charAt(0))) {
+            modifier = rights.charAt(0);
+            rights = rights.substr(1);
+        }
+
+        if (!identifier) {
+            return callback(new Error('Invalid identifier for SETACL'));
+        }
+
+        if (!validateAclRights(rights)) {
+            return callback(new Error('Invalid rights for SETACL'));
+        }
+
+        setAcl(this, 'setacl', path, { identifier, rights, modifier }, callback);
+    }
+};
+
+function setAcl(connection, action, path, acl, callback) {
+    let logdata = {
+        short_message: '[' + action.toUpperCase() + ']',
+        _mail_action: action,
+        _path: path,
+        _identifier: acl.identifier,
+        _rights: acl.modifier + acl.rights,
+        _user: connection.session.user.id.toString(),
+        _sess: connection.id
+    };
+
+    connection._server.onSetAcl(path, acl, connection.session, (err, success) => {
+        if (err) {
+            logdata._error = err.message;
+            logdata._code = err.code;
+            logdata._response = err.response;
+            connection._server.loggelf(logdata);
+
+            return callback(null, {
+                response: 'NO',
+                code: 'TEMPFAIL'
+            });
+        }
+
+        if (typeof success === 'string') {
+            return callback(null, {
+                response: 'NO',
+                code: success.toUpperCase()
+            });
+        }
+
+        callback(null, {
+            response: success ? 'OK' : 'NO',
+            message: success ? 'Success' : false
+        });
+    });
+}
+
+module.exports.setAcl = setAcl;
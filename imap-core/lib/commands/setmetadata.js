@@ -0,0 +1,90 @@
+'use strict';
+
+const { normalizeMailbox, validateMetadataEntry } = require('../imap-tools');
+
+// tag SETMETADATA "INBOX" (/private/comment "My comment" /shared/comment NIL)
+
+module.exports = {
+    state: ['Authenticated', 'Selected'],
+
+    schema: [
+        {
+            name: 'path',
+            type: 'string'
+        },
+        {
+            name: 'entries',
+            type: 'array'
+        }
+    ],
+
+    handler(command, callback) {
+        if (typeof this._server.onSetMetadata !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let path = Buffer.from((command.attributes[0] && command.attributes[0].value) || '', 'binary').toString();
+        path = normalizeMailbox(path, !this.acceptUTF8Enabled);
+
+        let list = [].concat(command.attributes[1] || []);
+        if (!list.length || list.length % 2 !== 0) {
+            return callback(new Error('Invalid entry list for SETMETADATA'));
+        }
+
+        let entries = [];
+        for (let i = 0; i < list.length; i += 2) {
+            let key = ((list[i] && list[i].value) || '').toString();
+            if (!validateMetadataEntry(key)) {
+                return callback(new Error('Invalid entry name for SETMETADATA'));
+            }
+
+            let value = list[i + 1];
+            if (value !== null && (!value || Array.isArray(value) || !['STRING', 'LITERAL', 'ATOM'].includes(value.type))) {
+                return callback(new Error('Invalid entry value for SETMETADATA'));
+            }
+
+            entries.push({
+                key,
+                value: value === null ? null : Buffer.from((value.value || '').toString('binary'), 'binary')
+            });
+        }
+
+        let logdata = {
+            short_message: '[SETMETADATA]',
+            _mail_action: 'setmetadata',
+            _path: path,
+            _entries: entries.map(entry => entry.key).join(' '),
+            _user: this.session.user.id.toString(),
+            _sess: this.id
+        };
+
+        this._server.onSetMetadata(path, entries, this.session, (err, success) => {
+            if (err) {
+                logdata._error = err.message;
+                logdata._code = err.code;
+                logdata._response = err.response;
+                this._server.loggelf(logdata);
+
+                return callback(null, {
+                    response: 'NO',
+                    code: 'TEMPFAIL'
+                });
+            }
+
+            if (typeof success === 'string') {
+                return callback(null, {
+                    response: 'NO',
+                    code: success.toUpperCase()
+                });
+            }
+
+            callback(null, {
+                response: success ? 'OK' : 'NO',
+                message: success ? 'Success' : false
+            });
+        });
+    }
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+const imapHandler = require('../handler/imap-handler');
+const search = require('../search');
+const { parseQueryTerms } = require('./search');
+
+const SORT_KEYS = ['arrival', 'cc', 'date', 'from', 'size', 'subject', 'to'];
+const CHARSETS = ['utf-8', 'us-ascii'];
+
+module.exports = {
+    state: 'Selected',
+
+    schema: false, // recursive, can't predefine
+
+    handler(command, callback) {
+        // SORT reuses the search handler to find matching messages
+        if (typeof this._server.onSearch !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let isUid = (command.command || '').toString().toUpperCase() === 'UID SORT' ? true : false;
+
+        let attributes = [].concat(command.attributes || []);
+
+        let sort;
+        try {
+            sort = parseSortCriteria(attributes.shift());
+        } catch (E) {
+            return callback(E);
+        }
+
+        let charset = ((attributes.shift() || {}).value || '').toString();
+        if (!charset) {
+            return callback(new Error('Missing charset argument for SORT'));
+        }
+
+        if (!CHARSETS.includes(charset.toLowerCase())) {
+            return callback(null, {
+                response: 'NO',
+                code: 'BADCHARSET (UTF-8)',
+                message: 'Unsupported charset'
+            });
+        }
+
+        let terms = [];
+        let getTerms = elements => {
+            elements.forEach(element => {
+                if (Array.isArray(element)) {
+                    return getTerms(element);
+                }
+                terms.push(element.value);
+            });
+        };
+        getTerms(attributes);
+
+        if (!terms.length) {
+            return callback(new Error('Missing search criteria for SORT'));
+        }
+
+        let parsed;
+
+        try {
+            parsed = parseQueryTerms(terms, this.selected.uidList, this.selected.searchResult);
+        } catch (E) {
+            return callback(E);
+        }
+
+        // mark CONDSTORE as enabled
+        if (parsed.terms.indexOf('modseq') >= 0 && !this.selected.condstoreEnabled) {
+            this.condstoreEnabled = this.selected.condstoreEnabled = true;
+        }
+
+        let logdata = {
+            short_message: '[SORT]',
+            _mail_action: 'sort',
+            _user: this.session.user.id.toString(),
+            _mailbox: this.selected.mailbox,
+            _sess: this.id,
+            _query: JSON.stringify(parsed.query),
+            _terms: JSON.stringify(parsed.terms),
+            _sort: JSON.stringify(sort)
+        };
+
+        this._server.onSearch(
+            this.selected.mailbox,
+            {
+                query: parsed.query,
+                terms: parsed.terms,
+                sort,
+                isUid
+            },
+            this.session,
+            (err, results) => {
+                if (err) {
+                    logdata._error = err.message;
+                    logdata._code = err.code;
+                    logdata._response = err.response;
+                    this._server.loggelf(logdata);
+                    return callback(null, {
+                        response: 'NO',
+                        code: 'TEMPFAIL'
+                    });
+                }
+
+                if (typeof results === 'string') {
+                    return callback(null, {
+                        response: 'NO',
+                        code: results.toUpperCase()
+                    });
+                }
+
+                let response = {
+                    tag: '*',
+                    command: 'SORT',
+                    attributes: []
+                };
+
+                search.sortMessages(results.messages || [], sort).forEach(message => {
+                    let nr = message.uid;
+                    if (!isUid) {
+                        nr = this.selected.uidList.indexOf(nr) + 1;
+                        if (!nr) {
+                            return;
+                        }
+                    }
+                    response.attributes.push({
+                        type: 'atom',
+                        value: String(nr)
+                    });
+                });
+
+                // append (MODSEQ 123) for queries that include MODSEQ criteria
+                if (results.highestModseq && parsed.terms.indexOf('modseq') >= 0) {
+                    response.attributes.push([
+                        {
+                            type: 'atom',
+                            value: 'MODSEQ'
+                        },
+                        {
+                            type: 'atom',
+                            value: String(results.highestModseq)
+                        }
+                    ]);
+                }
+
+                this.send(imapHandler.compiler(response));
+
+                return callback(null, {
+                    response: 'OK'
+                });
+            }
+        );
+    },
+
+    parseSortCriteria // expose for testing
+};
+
+/**
+ * Parses a list of sort criteria, eg. "(REVERSE DATE SUBJECT)"
+ *
+ * @param {Array} list Parsed list of atoms
+ * @returns {Array} A list of sort criteria objects, eg. [{key: 'date', reverse: true}]
+ */
+function parseSortCriteria(list) {
+    if (!Array.isArray(list) || !list.length) {
+        throw new Error('Invalid sort criteria');
+    }
+
+    let sort = [];
+    let reverse = false;
+
+    list.forEach(entry => {
+        let key = ((entry && entry.value) || '').toString().toLowerCase();
+
+        if (key === 'reverse') {
+            if (reverse) {
+                throw new Error('Invalid sort criteria');
+            }
+            reverse = true;
+            return;
+        }
+
+        if (!SORT_KEYS.includes(key)) {
+            throw new Error('Unknown sort criteria ' + key.toUpperCase());
+        }
+
+        sort.push({
+            key,
+            reverse
+        });
+        reverse = false;
+    });
+
+    if (reverse) {
+        // REVERSE must be followed by a sort key
+        throw new Error('Invalid sort criteria');
+    }
+
+    return sort;
+}
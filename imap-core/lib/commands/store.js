@@ -116,7 +116,7 @@ module.exports = {
             return true;
         });
 
-        let messages = imapTools.getMessageRange(this.selected.uidList, range, false);
+        let messages = imapTools.getMessageRange(this.selected.uidList, range, false, this.selected.searchResult);
 
         let logdata = {
             short_message: '[STORE]',
@@ -0,0 +1,178 @@
+'use strict';
+
+const search = require('../search');
+const { parseQueryTerms } = require('./search');
+
+const ALGORITHMS = ['references', 'orderedsubject'];
+const CHARSETS = ['utf-8', 'us-ascii'];
+
+module.exports = {
+    state: 'Selected',
+
+    schema: false, // recursive, can't predefine
+
+    handler(command, callback) {
+        // THREAD reuses the search handler to find matching messages
+        if (typeof this._server.onSearch !== 'function') {
+            return callback(null, {
+                response: 'NO',
+                message: command.command + ' not implemented'
+            });
+        }
+
+        let isUid = (command.command || '').toString().toUpperCase() === 'UID THREAD' ? true : false;
+
+        let attributes = [].concat(command.attributes || []);
+
+        let algorithm = ((attributes.shift() || {}).value || '').toString().toLowerCase();
+        if (!ALGORITHMS.includes(algorithm)) {
+            return callback(new Error('Unsupported threading algorithm'));
+        }
+
+        let charset = ((attributes.shift() || {}).value || '').toString();
+        if (!charset) {
+            return callback(new Error('Missing charset argument for THREAD'));
+        }
+
+        if (!CHARSETS.includes(charset.toLowerCase())) {
+            return callback(null, {
+                response: 'NO',
+                code: 'BADCHARSET (UTF-8)',
+                message: 'Unsupported charset'
+            });
+        }
+
+        let terms = [];
+        let getTerms = elements => {
+            elements.forEach(element => {
+                if (Array.isArray(element)) {
+                    return getTerms(element);
+                }
+                terms.push(element.value);
+            });
+        };
+        getTerms(attributes);
+
+        if (!terms.length) {
+            return callback(new Error('Missing search criteria for THREAD'));
+        }
+
+        let parsed;
+
+        try {
+            parsed = parseQueryTerms(terms, this.selected.uidList, this.selected.searchResult);
+        } catch (E) {
+            return callback(E);
+        }
+
+        // mark CONDSTORE as enabled
+        if (parsed.terms.indexOf('modseq') >= 0 && !this.selected.condstoreEnabled) {
+            this.condstoreEnabled = this.selected.condstoreEnabled = true;
+        }
+
+        let logdata = {
+            short_message: '[THREAD]',
+            _mail_action: 'thread',
+            _user: this.session.user.id.toString(),
+            _mailbox: this.selected.mailbox,
+            _sess: this.id,
+            _query: JSON.stringify(parsed.query),
+            _terms: JSON.stringify(parsed.terms),
+            _algorithm: algorithm
+        };
+
+        this._server.onSearch(
+            this.selected.mailbox,
+            {
+                query: parsed.query,
+                terms: parsed.terms,
+                thread: algorithm,
+                isUid
+            },
+            this.session,
+            (err, results) => {
+                if (err) {
+                    logdata._error = err.message;
+                    logdata._code = err.code;
+                    logdata._response = err.response;
+                    this._server.loggelf(logdata);
+                    return callback(null, {
+                        response: 'NO',
+                        code: 'TEMPFAIL'
+                    });
+                }
+
+                if (typeof results === 'string') {
+                    return callback(null, {
+                        response: 'NO',
+                        code: results.toUpperCase()
+                    });
+                }
+
+                let getNumber = uid => {
+                    if (isUid) {
+                        return uid;
+                    }
+                    return this.selected.uidList.indexOf(uid) + 1;
+                };
+
+                let threads = search
+                    .threadMessages(results.messages || [], algorithm)
+                    .map(node => formatThread(node, getNumber))
+                    .filter(thread => thread)
+                    .map(thread => '(' + thread + ')');
+
+                this.send('* THREAD' + (threads.length ? ' ' + threads.join('') : ''));
+
+                return callback(null, {
+                    response: 'OK'
+                });
+            }
+        );
+    },
+
+    formatThread // expose for testing
+};
+
+/**
+ * Formats a thread tree node as described in RFC5256, eg. "3 6 (4 23)(44 7 96)"
+ *
+ * @param {Object} node Thread node object {uid, children}
+ * @param {Function} getNumber Function that converts UID values into response numbers
+ * @returns {String} Formatted thread without enclosing parens
+ */
+function formatThread(node, getNumber) {
+    let parts = [];
+    let current = node;
+
+    while (current) {
+        let nr = current.uid ? getNumber(current.uid) : false;
+        if (nr) {
+            parts.push(String(nr));
+        }
+
+        let children = current.children || [];
+        if (nr && children.length === 1) {
+            // single child continues the chain
+            current = children[0];
+            continue;
+        }
+
+        let branches = children
+            .map(child => formatThread(child, getNumber))
+            .filter(branch => branch)
+            .map(branch => '(' + branch + ')');
+
+        if (branches.length === 1 && !nr) {
+            // no need to keep a dummy node with a single child
+            return parts.concat(branches[0].slice(1, -1)).join(' ');
+        }
+
+        if (branches.length) {
+            parts.push(branches.join(''));
+        }
+        current = false;
+    }
+
+    return parts.join(' ');
+}
@@ -32,7 +32,7 @@ module.exports = {
         if (!imapTools.validateSequence(range)) {
             return callback(new Error('Invalid sequence set for UID EXPUNGE'));
         }
-        let messages = imapTools.getMessageRange(this.selected.uidList, range, true);
+        let messages = imapTools.getMessageRange(this.selected.uidList, range, true, this.selected.searchResult);
 
         let logdata = {
             short_message: '[UID EXPUNGE]',
@@ -103,7 +103,7 @@ module.exports = {
             return true;
         });
 
-        let messages = imapTools.getMessageRange(this.selected.uidList, range, true);
+        let messages = imapTools.getMessageRange(this.selected.uidList, range, true, this.selected.searchResult);
 
         let logdata = {
             short_message: '[UID STORE]',
@@ -584,7 +584,17 @@ class TokenParser {
                         this.currentNode = this.currentNode.parentNode;
                         this.state = STATE_NORMAL;
                         break;
-                    } else if (this.currentNode.parentNode && chr === ']' && this.currentNode.parentNode.type === 'SECTION') {
+                    } else if (
+                        this.currentNode.parentNode &&
+                        ((chr === ']' && this.currentNode.parentNode.type === 'SECTION') || (chr === ')' && this.currentNode.parentNode.type === 'LIST'))
+                    ) {
+                        if (!RE_SINGLE_DIGIT.test(this.currentNode.value.at(-1)) && this.currentNode.value.at(-1) !== '*') {
+                            let error = new Error(`Unexpected list terminator at position ${this.pos + i} [E35]`);
+                            error.code = 'ParserError35';
+                            error.parserContext = { input: this.str, pos: this.pos + i, chr };
+                            throw error;
+                        }
+
                         this.currentNode.endPos = this.pos + i - 1;
                         this.currentNode = this.currentNode.parentNode;
 
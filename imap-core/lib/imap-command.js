@@ -16,6 +16,8 @@ const commands = new Map([
     ['LOGIN', require('./commands/login')],
     ['AUTHENTICATE PLAIN', require('./commands/authenticate-plain')],
     ['AUTHENTICATE PLAIN-CLIENTTOKEN', require('./commands/authenticate-plain')],
+    ['AUTHENTICATE XOAUTH2', require('./commands/authenticate-oauth')],
+    ['AUTHENTICATE OAUTHBEARER', require('./commands/authenticate-oauth')],
     ['NAMESPACE', require('./commands/namespace')],
     ['LIST', require('./commands/list')],
     ['XLIST', require('./commands/list')],
@@ -28,6 +30,7 @@ const commands = new Map([
     ['SELECT', require('./commands/select')],
     ['EXAMINE', require('./commands/select')],
     ['IDLE', require('./commands/idle')],
+    ['NOTIFY', require('./commands/notify')],
     ['CHECK', require('./commands/check')],
     ['STATUS', require('./commands/status')],
     ['APPEND', require('./commands/append')],
@@ -45,7 +48,18 @@ const commands = new Map([
     ['UID FETCH', require('./commands/fetch')],
     ['SEARCH', require('./commands/search')],
     ['UID SEARCH', require('./commands/search')],
+    ['SORT', require('./commands/sort')],
+    ['UID SORT', require('./commands/sort')],
+    ['THREAD', require('./commands/thread')],
+    ['UID THREAD', require('./commands/thread')],
     ['ENABLE', require('./commands/enable')],
+    ['GETMETADATA', require('./commands/getmetadata')],
+    ['SETMETADATA', require('./commands/setmetadata')],
+    ['SETACL', require('./commands/setacl')],
+    ['DELETEACL', require('./commands/deleteacl')],
+    ['GETACL', require('./commands/getacl')],
+    ['LISTRIGHTS', require('./commands/listrights')],
+    ['MYRIGHTS', require('./commands/myrights')],
     ['GETQUOTAROOT', require('./commands/getquotaroot')],
     ['SETQUOTA', require('./commands/setquota')],
     ['GETQUOTA', require('./commands/getquota')],
@@ -367,6 +381,9 @@ class IMAPCommand {
     }
 
     sendNotifications(handler, callback) {
+        // NOTIFY responses for other mailboxes are sent before the tagged response
+        this.connection.flushNotify(true);
+
         if (this.connection.state !== 'Selected' || !!handler.disableNotifications) {
             // nothing to advertise if not in Selected state
             return callback();
@@ -4,6 +4,7 @@ const IMAPStream = require('./imap-stream').IMAPStream;
 const IMAPCommand = require('./imap-command').IMAPCommand;
 const IMAPComposer = require('./imap-composer').IMAPComposer;
 const imapTools = require('./imap-tools');
+const imapHandler = require('./handler/imap-handler');
 const search = require('./search');
 const dns = require('dns');
 const crypto = require('crypto');
@@ -17,6 +18,13 @@ const errors = require('../../lib/errors.js');
 // avoid race conditions where both the client and the server wait for 5 minutes
 const SOCKET_TIMEOUT = 5 * 60 * 1000 + 37 * 1000;
 
+// journal commands that map to NOTIFY message events
+const NOTIFY_JOURNAL_EVENTS = new Map([
+    ['EXISTS', 'MessageNew'],
+    ['EXPUNGE', 'MessageExpunge'],
+    ['FETCH', 'FlagChange']
+]);
+
 /**
  * Creates a handler for new socket
  *
@@ -88,6 +96,15 @@ class IMAPConnection extends EventEmitter {
         // indicates if CONDSTORE is enabled for the session
         this.condstoreEnabled = false;
 
+        // indicates if QRESYNC is enabled for the session
+        this.qresyncEnabled = false;
+
+        // NOTIFY (RFC5465) settings for the session
+        this.notify = false;
+
+        // true while a command is processed
+        this._commandActive = false;
+
         // Resolved hostname for remote IP address
         this.clientHostname = false;
 
@@ -516,7 +533,13 @@ class IMAPConnection extends EventEmitter {
             });
         } else {
             this._currentCommand = false;
-            currentCommand.end(command, callback);
+            // untagged NOTIFY responses are held back while a command is in progress
+            this._commandActive = true;
+            currentCommand.end(command, (...args) => {
+                this._commandActive = false;
+                this.flushNotify();
+                callback(...args);
+            });
         }
     }
 
@@ -567,6 +590,11 @@ class IMAPConnection extends EventEmitter {
                     return;
                 }
 
+                if (conn.notify && !(message && message.command === 'LOGOUT')) {
+                    // NOTIFY also covers non-selected mailboxes, so look for changes everywhere
+                    conn.checkNotifications(message);
+                }
+
                 if (message) {
                     // global triggers
                     switch (message.command) {
@@ -628,8 +656,8 @@ class IMAPConnection extends EventEmitter {
 
                     // append received notifications to the list
                     conn.selected.notifications = conn.selected.notifications.concat(updates);
-                    if (conn.idling) {
-                        // when idling emit notifications immediately
+                    if (conn.idling && !(conn.notify && conn.notify.selected && !conn.notify.selected.events.size)) {
+                        // when idling emit notifications immediately, unless the client has disabled these with NOTIFY
                         conn.emitNotifications();
                     }
                 });
@@ -643,11 +671,529 @@ class IMAPConnection extends EventEmitter {
         if (!this._listenerData || this._listenerData.cleared) {
             return;
         }
+        this.setSharedListener(false);
         this._server.notifier.removeListener(this.session, this._listenerData.callback);
         this._listenerData.cleared = true;
         this._listenerData = false;
     }
 
+    /**
+     * Listens for journal updates of another user. This is needed when the selected mailbox
+     * is shared by another user as changes are announced to the mailbox owner only.
+     *
+     * @param {ObjectId|Boolean} user ID of the mailbox owner or false to stop listening
+     */
+    setSharedListener(user) {
+        if (!this._listenerData || this._listenerData.cleared) {
+            return;
+        }
+
+        let current = this._listenerData.shared;
+        if (current && user && current.session.user.id.toString() === user.toString()) {
+            // already listening
+            return;
+        }
+
+        if (current) {
+            this._server.notifier.removeListener(current.session, current.callback);
+            this._listenerData.shared = false;
+        }
+
+        if (user) {
+            let listenerData = this._listenerData;
+            this._listenerData.shared = {
+                // session-like object for the notifier, events are keyed by user ID
+                session: {
+                    id: this.id,
+                    user: {
+                        id: user
+                    }
+                },
+                callback(message) {
+                    if (message && message.command !== 'DROP') {
+                        // commands like LOGOUT are meant for the sessions of the owner
+                        return;
+                    }
+                    listenerData.callback(message);
+                }
+            };
+            this._server.notifier.addListener(this._listenerData.shared.session, this._listenerData.shared.callback);
+        }
+    }
+
+    /**
+     * Stores NOTIFY settings for the session and takes a snapshot of current mailbox state that
+     * is later used to detect changes in non-selected mailboxes
+     *
+     * @param {Object|Boolean} notify Parsed NOTIFY settings or false to disable notifications
+     * @param {Function} callback
+     */
+    setNotify(notify, callback) {
+        if (!notify) {
+            this.notify = false;
+            return setImmediate(() => callback(null, true));
+        }
+
+        notify.mailboxes = new Map();
+        notify.lock = false;
+        notify.pending = false;
+        // untagged responses waiting until no command is in progress
+        notify.queue = [];
+
+        if (!notify.filters.length) {
+            // only the selected mailbox is monitored
+            this.notify = notify;
+            return setImmediate(() => callback(null, true));
+        }
+
+        // journal position to look for changes from
+        this._server.notifier.getUserUpdates(this.session.user.id, false, (err, updates, lastId) => {
+            if (err) {
+                return callback(err);
+            }
+            notify.lastId = lastId;
+
+            this.getNotifyMailboxes(notify, (err, mailboxes) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                notify.mailboxes = mailboxes;
+                notify.selection = this.getNotifySelection();
+                this.notify = notify;
+
+                if (!notify.status) {
+                    return callback(null, true);
+                }
+
+                // NOTIFY SET STATUS, send initial STATUS responses for monitored mailboxes
+                let list = Array.from(mailboxes.values()).filter(entry => {
+                    let events = this.getNotifyEvents(entry);
+                    return events && !this.isNotifySelected(entry) && (events.has('MessageNew') || events.has('MessageExpunge'));
+                });
+
+                let processNext = () => {
+                    if (!list.length) {
+                        return callback(null, true);
+                    }
+                    this.sendNotifyStatus(list.shift(), processNext);
+                };
+                processNext();
+            });
+        });
+    }
+
+    /**
+     * Lists mailboxes of the user, used to detect changes for NOTIFY
+     *
+     * @param {Object} notify NOTIFY settings
+     * @param {Function} callback Returns a Map of mailbox entries {key, mailbox, path, modifyIndex, subscribed}
+     */
+    getNotifyMailboxes(notify, callback) {
+        this._server.onList('', this.session, (err, list) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let mailboxes = new Map();
+            (Array.isArray(list) ? list : Array.from((list && list.values()) || [])).forEach(folder => {
+                if (!folder || !folder.path) {
+                    return;
+                }
+                let key = (folder._id || folder.path).toString();
+                mailboxes.set(key, {
+                    key,
+                    mailbox: folder._id || folder.path,
+                    path: folder.path,
+                    modifyIndex: Number(folder.modifyIndex) || 0,
+                    subscribed: folder.subscribed
+                });
+            });
+
+            let needsSubscriptions = notify.filters.some(filter => filter.type === 'subscribed' || filter.events.has('SubscriptionChange'));
+            if (!needsSubscriptions || typeof this._server.onLsub !== 'function') {
+                return callback(null, mailboxes);
+            }
+
+            this._server.onLsub('', this.session, (err, list) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let subscribed = new Set();
+                (Array.isArray(list) ? list : Array.from((list && list.values()) || [])).forEach(folder => {
+                    if (folder && folder.path) {
+                        subscribed.add(folder.path);
+                    }
+                });
+
+                mailboxes.forEach(entry => {
+                    entry.subscribed = subscribed.has(entry.path);
+                });
+
+                callback(null, mailboxes);
+            });
+        });
+    }
+
+    /**
+     * Finds the NOTIFY events the client wants to receive for a non-selected mailbox.
+     * If a mailbox matches multiple filters then the first one is used
+     *
+     * @param {Object} entry Mailbox entry {path, subscribed}
+     * @returns {Set|Boolean} Set of event names or false if the mailbox is not monitored
+     */
+    getNotifyEvents(entry) {
+        if (!this.notify) {
+            return false;
+        }
+
+        for (let filter of this.notify.filters) {
+            let match = false;
+            switch (filter.type) {
+                case 'personal':
+                    // all mailboxes of the user belong to the personal namespace
+                    match = true;
+                    break;
+                case 'inboxes':
+                    match = entry.path === 'INBOX';
+                    break;
+                case 'subscribed':
+                    match = !!entry.subscribed;
+                    break;
+                case 'subtree':
+                    match = filter.paths.some(path => entry.path === path || entry.path.indexOf(path + '/') === 0);
+                    break;
+                case 'mailboxes':
+                    match = filter.paths.includes(entry.path);
+                    break;
+            }
+
+            if (match) {
+                return filter.events;
+            }
+        }
+
+        return false;
+    }
+
+    isNotifySelected(entry) {
+        return !!(this.selected && this.selected.mailbox && this.selected.mailbox.toString() === entry.key);
+    }
+
+    getNotifySelection() {
+        return (this.selected && this.selected.mailbox && this.selected.mailbox.toString()) || false;
+    }
+
+    /**
+     * Checks the journal for changes since the last check and sends STATUS and LIST responses
+     * for monitored mailboxes that have changed. The mailbox list is cached for the current
+     * selection and only reloaded if the journal or the event indicates that mailboxes were
+     * created, renamed, deleted or (un)subscribed
+     *
+     * @param {Object} [message] Notifier event payload
+     * @param {Function} [callback]
+     */
+    checkNotifications(message, callback) {
+        if (typeof message === 'function') {
+            callback = message;
+            message = false;
+        }
+        callback = callback || (() => false);
+
+        let notify = this.notify;
+        if (!notify || !notify.filters.length) {
+            return setImmediate(callback);
+        }
+
+        if (message && ['LIST', 'DROP'].includes(message.command)) {
+            // mailbox list or subscriptions have changed
+            notify.stale = true;
+        }
+
+        if (notify.lock) {
+            // run again once the current check is finished
+            notify.pending = true;
+            return setImmediate(callback);
+        }
+        notify.lock = true;
+        notify.pending = false;
+
+        let done = err => {
+            notify.lock = false;
+            if (err) {
+                this.logger.info(
+                    {
+                        err,
+                        tnx: 'notify',
+                        cid: this.id
+                    },
+                    '[%s] Notify Error: %s',
+                    this.id,
+                    err.message
+                );
+            }
+
+            if (notify.pending && this.notify === notify && !this._closing && !this._closed) {
+                return this.checkNotifications(callback);
+            }
+            callback();
+        };
+
+        this._server.notifier.getUserUpdates(this.session.user.id, notify.lastId, (err, updates, lastId, truncated) => {
+            if (err) {
+                return done(err);
+            }
+
+            if (this.notify !== notify || this._closing || this._closed) {
+                // NOTIFY settings were changed in the meantime
+                return done();
+            }
+
+            notify.lastId = lastId;
+            updates = updates || [];
+
+            let refresh =
+                notify.stale ||
+                truncated ||
+                notify.selection !== this.getNotifySelection() ||
+                updates.some(update => ['CREATE', 'RENAME', 'DELETE'].includes(update.command));
+
+            // events found from the journal, keyed by mailbox
+            let found = new Map();
+            updates.forEach(update => {
+                let ev = NOTIFY_JOURNAL_EVENTS.get(update.command);
+                if (!ev || !update.mailbox) {
+                    return;
+                }
+                let key = update.mailbox.toString();
+                if (!found.has(key)) {
+                    found.set(key, { events: new Set(), modifyIndex: 0 });
+                }
+                found.get(key).events.add(ev);
+                found.get(key).modifyIndex = Math.max(found.get(key).modifyIndex, Number(update.modseq) || 0);
+            });
+
+            let processChanges = () => {
+                let changed = [];
+                found.forEach((change, key) => {
+                    let entry = notify.mailboxes.get(key);
+                    if (!entry) {
+                        return;
+                    }
+                    entry.modifyIndex = Math.max(entry.modifyIndex, change.modifyIndex);
+
+                    let events = this.getNotifyEvents(entry);
+                    if (events && !this.isNotifySelected(entry) && Array.from(change.events).some(ev => events.has(ev))) {
+                        changed.push(entry);
+                    }
+                });
+
+                let processNext = () => {
+                    if (!changed.length || this.notify !== notify) {
+                        return done();
+                    }
+                    this.sendNotifyStatus(changed.shift(), processNext);
+                };
+                processNext();
+            };
+
+            if (!refresh) {
+                return processChanges();
+            }
+
+            notify.stale = false;
+            this.getNotifyMailboxes(notify, (err, mailboxes) => {
+                if (err) {
+                    return done(err);
+                }
+
+                if (this.notify !== notify || this._closing || this._closed) {
+                    return done();
+                }
+
+                let previous = notify.mailboxes;
+                notify.mailboxes = mailboxes;
+                notify.selection = this.getNotifySelection();
+
+                previous.forEach((entry, key) => {
+                    let current = mailboxes.get(key);
+                    let events = this.getNotifyEvents(entry);
+
+                    if (!current) {
+                        if (events && events.has('MailboxName')) {
+                            this.sendNotifyList(entry.path, ['\\NonExistent']);
+                        }
+                        return;
+                    }
+
+                    if (current.path !== entry.path) {
+                        let currentEvents = this.getNotifyEvents(current);
+                        if ((events && events.has('MailboxName')) || (currentEvents && currentEvents.has('MailboxName'))) {
+                            this.sendNotifyList(current.path, [], entry.path);
+                        }
+                    }
+
+                    if (events && events.has('SubscriptionChange') && typeof current.subscribed === 'boolean' && current.subscribed !== !!entry.subscribed) {
+                        this.sendNotifyList(current.path, current.subscribed ? ['\\Subscribed'] : []);
+                    }
+
+                    if (truncated && current.modifyIndex !== entry.modifyIndex && !found.has(key)) {
+                        // journal listing was cut short, not sure what happened so assume everything
+                        found.set(key, { events: new Set(NOTIFY_JOURNAL_EVENTS.values()), modifyIndex: 0 });
+                    }
+                });
+
+                mailboxes.forEach((entry, key) => {
+                    if (previous.has(key)) {
+                        return;
+                    }
+                    let events = this.getNotifyEvents(entry);
+                    if (events && events.has('MailboxName')) {
+                        this.sendNotifyList(entry.path, []);
+                    }
+                });
+
+                processChanges();
+            });
+        });
+    }
+
+    /**
+     * Queues an untagged response for NOTIFY. Queued responses are sent once there is no
+     * command in progress, so these do not interleave with command output
+     *
+     * @param {Object} response Response object for the IMAP compiler
+     */
+    queueNotify(response) {
+        if (!this.notify) {
+            return;
+        }
+        this.notify.queue.push(response);
+        if (!this._commandActive || this.idling) {
+            this.flushNotify();
+        }
+    }
+
+    /**
+     * Sends queued NOTIFY responses
+     *
+     * @param {Boolean} [inCommand] If true, then responses are written to the response stream of the current command
+     */
+    flushNotify(inCommand) {
+        if (!this.notify || !this.notify.queue || !this.notify.queue.length) {
+            return;
+        }
+
+        let queue = this.notify.queue;
+        this.notify.queue = [];
+
+        queue.forEach(response => {
+            if (inCommand) {
+                // keep the order with the output of the current command
+                return this.writeStream.write(response);
+            }
+
+            let compiled = imapHandler.compiler(response);
+            this.logger.debug(
+                {
+                    tnx: 'send',
+                    cid: this.id
+                },
+                '[%s] S:',
+                this.id,
+                compiled
+            );
+            this.send(compiled);
+        });
+    }
+
+    /**
+     * Queues an untagged STATUS response for a non-selected mailbox
+     *
+     * @param {Object} entry Mailbox entry {path}
+     * @param {Function} callback
+     */
+    sendNotifyStatus(entry, callback) {
+        this._server.onStatus(entry.path, this.session, (err, data) => {
+            if (err || !data || typeof data !== 'object') {
+                // mailbox might have been deleted in the meantime
+                return callback();
+            }
+
+            let values = {};
+            Object.keys(data).forEach(key => {
+                values[key.toUpperCase()] = (data[key] || '').toString();
+            });
+
+            let items = ['MESSAGES', 'UIDNEXT', 'UIDVALIDITY', 'UNSEEN'];
+            if (this.condstoreEnabled) {
+                items.push('HIGHESTMODSEQ');
+            }
+
+            let attributes = [];
+            items.forEach(key => {
+                attributes.push({
+                    type: 'atom',
+                    value: key
+                });
+                attributes.push({
+                    type: 'atom',
+                    value: values[key] || '0'
+                });
+            });
+
+            this.queueNotify({
+                tag: '*',
+                command: 'STATUS',
+                attributes: [this.formatNotifyPath(entry.path), attributes]
+            });
+
+            callback();
+        });
+    }
+
+    /**
+     * Queues an untagged LIST response about a created, renamed or deleted mailbox
+     *
+     * @param {String} path Mailbox path
+     * @param {Array} flags Mailbox flags
+     * @param {String} [oldPath] Previous path for renamed mailboxes
+     */
+    sendNotifyList(path, flags, oldPath) {
+        let attributes = [
+            flags.map(flag => ({
+                type: 'atom',
+                value: flag
+            })),
+            '/',
+            this.formatNotifyPath(path)
+        ];
+
+        if (oldPath) {
+            attributes.push([
+                {
+                    type: 'string',
+                    value: 'OLDNAME'
+                },
+                [this.formatNotifyPath(oldPath)]
+            ]);
+        }
+
+        this.queueNotify({
+            tag: '*',
+            command: 'LIST',
+            attributes
+        });
+    }
+
+    formatNotifyPath(path) {
+        if (!this.acceptUTF8Enabled) {
+            return imapTools.utf7encode(path);
+        }
+        return Buffer.from(path);
+    }
+
     // send notifications to client
     emitNotifications() {
         if (this.state !== 'Selected' || !this.selected || !this.selected.notifications.length) {
@@ -818,6 +1364,20 @@ class IMAPConnection extends EventEmitter {
 
         if (command === 'EXPUNGE') {
             this.selected.uidList.splice(seq - 1, 1);
+
+            if (this.qresyncEnabled) {
+                // QRESYNC clients expect VANISHED instead of EXPUNGE
+                return {
+                    tag: '*',
+                    command: 'VANISHED',
+                    attributes: [
+                        {
+                            type: 'atom',
+                            value: String(uid)
+                        }
+                    ]
+                };
+            }
         }
 
         let response = {
@@ -931,6 +1491,55 @@ class IMAPConnection extends EventEmitter {
         return response;
     }
 
+    /**
+     * Resolves UIDs from a UID range that have been expunged from the selected mailbox since the provided modseq.
+     * Uses the mailbox journal if it still reaches back to the requested modseq, otherwise falls back to
+     * listing all UIDs from the range that do not exist anymore (RFC7162 allows to report extra UIDs)
+     *
+     * @param {Number} modseq Last known modification sequence of the client
+     * @param {String} range UID range to check
+     * @param {Function} callback Returns a packed UID range string, empty if nothing has vanished
+     */
+    getVanished(modseq, range, callback) {
+        let selected = this.selected;
+        modseq = Number(modseq) || 0;
+
+        if (!selected || modseq >= (Number(selected.modifyIndex) || 0)) {
+            // nothing has changed since the provided modseq
+            return setImmediate(() => callback(null, ''));
+        }
+
+        let uidList = selected.uidList || [];
+        let maxUid = Math.max(uidList.length ? uidList[uidList.length - 1] : 0, (Number(selected.uidNext) || 1) - 1);
+
+        // fetch one step earlier to see if the journal still covers the requested modseq
+        this._server.notifier.getUpdates(selected.mailbox, Math.max(modseq - 1, 0), (err, updates) => {
+            if (err) {
+                return callback(err);
+            }
+
+            updates = Array.isArray(updates) ? updates : [];
+
+            if (!modseq || !updates.some(update => update.modseq <= modseq)) {
+                // journal entries have been expired, report everything that is missing
+                return callback(null, imapTools.getMissingRange(uidList, range, maxUid));
+            }
+
+            let ranges = imapTools.parseUidRange(range, maxUid);
+            let expunged = new Set();
+            updates.forEach(update => {
+                if (update.command !== 'EXPUNGE' || update.modseq <= modseq || uidList.includes(update.uid)) {
+                    return;
+                }
+                if (ranges.some(([from, to]) => update.uid >= from && update.uid <= to)) {
+                    expunged.add(update.uid);
+                }
+            });
+
+            callback(null, imapTools.packMessageRange(Array.from(expunged)));
+        });
+    }
+
     setUser(user) {
         this.user = this.session.user = user;
     }
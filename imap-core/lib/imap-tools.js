@@ -202,6 +202,10 @@ module.exports.searchMapping = {
  * @returns {Boolean} True if the string looks like a sequence range
  */
 module.exports.validateSequence = function (range) {
+    // "$" refers to the saved search result (RFC5182)
+    if (range === '$') {
+        return true;
+    }
     return !!(range.length && /^(\d+|\*)(:\d+|:\*)?(,(\d+|\*)(:\d+|:\*)?)*$/.test(range));
 };
 
@@ -351,9 +355,15 @@ module.exports.filterFolders = function (folders, query) {
     return folders.filter(folder => !!regex.test(folder.path));
 };
 
-module.exports.getMessageRange = function (uidList, range, isUid) {
+module.exports.getMessageRange = function (uidList, range, isUid, searchResult) {
     range = (range || '').toString();
 
+    if (range === '$') {
+        // saved search result, only includes messages that still exist
+        let saved = new Set([].concat(searchResult || []));
+        return uidList.filter(uid => saved.has(uid));
+    }
+
     let result = [];
     let rangeParts = range.split(',');
     let uid, i, len;
@@ -427,6 +437,79 @@ module.exports.packMessageRange = function (uidList) {
     return result.join(',');
 };
 
+/**
+ * Lists UIDs from a UID range that are not present in the UID list. Used for VANISHED (EARLIER)
+ * responses where the range might span a huge amount of UIDs, so we operate on ranges and never
+ * expand these into single values
+ *
+ * @param {Array} uidList Sorted list of existing UIDs
+ * @param {String} range UID range, eg "1,2,3:7" or "1:*"
+ * @param {Number} maxUid Value to use for "*"
+ * @returns {String} Packed UID range of missing UIDs, eg "1:4,6"
+ */
+module.exports.getMissingRange = function (uidList, range, maxUid) {
+    let result = [];
+    let pos = 0;
+
+    for (let [from, to] of module.exports.parseUidRange(range, maxUid)) {
+        // skip existing UIDs below current range
+        while (pos < uidList.length && uidList[pos] < from) {
+            pos++;
+        }
+
+        let start = from;
+        while (pos < uidList.length && uidList[pos] <= to) {
+            if (uidList[pos] > start) {
+                result.push(start === uidList[pos] - 1 ? String(start) : start + ':' + (uidList[pos] - 1));
+            }
+            start = uidList[pos] + 1;
+            pos++;
+        }
+
+        if (start <= to) {
+            result.push(start === to ? String(start) : start + ':' + to);
+        }
+    }
+
+    return result.join(',');
+};
+
+/**
+ * Converts a UID range string into a sorted list of non-overlapping [from, to] pairs
+ *
+ * @param {String} range UID range, eg "1,2,3:7" or "1:*"
+ * @param {Number} maxUid Value to use for "*"
+ * @returns {Array} List of [from, to] pairs
+ */
+module.exports.parseUidRange = function (range, maxUid) {
+    maxUid = Number(maxUid) || 0;
+
+    let ranges = (range || '')
+        .toString()
+        .split(',')
+        .map(part => {
+            let [from, to] = part.split(':');
+            from = from === '*' ? maxUid : Number(from) || 0;
+            to = typeof to === 'undefined' ? from : to === '*' ? maxUid : Number(to) || 0;
+            return [Math.max(Math.min(from, to), 1), Math.max(from, to)];
+        })
+        .filter(part => part[1] > 0)
+        .sort((a, b) => a[0] - b[0]);
+
+    // merge overlapping ranges
+    let merged = [];
+    for (let part of ranges) {
+        let last = merged[merged.length - 1];
+        if (last && part[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], part[1]);
+        } else {
+            merged.push(part);
+        }
+    }
+
+    return merged;
+};
+
 /**
  * Returns a date in GMT timezone
  *
@@ -729,6 +812,10 @@ module.exports.sendCapabilityResponse = connection => {
     if (connection.state === 'Not Authenticated') {
         capabilities.push('AUTH=PLAIN');
         capabilities.push('AUTH=PLAIN-CLIENTTOKEN');
+        if (connection._server.options.enableOAuth) {
+            capabilities.push('AUTH=XOAUTH2');
+            capabilities.push('AUTH=OAUTHBEARER');
+        }
         capabilities.push('SASL-IR');
         capabilities.push('ENABLE');
 
@@ -752,9 +839,19 @@ module.exports.sendCapabilityResponse = connection => {
         capabilities.push('UIDPLUS');
         capabilities.push('ENABLE');
         capabilities.push('CONDSTORE');
+        capabilities.push('QRESYNC');
+        capabilities.push('ESEARCH');
+        capabilities.push('SEARCHRES');
+        capabilities.push('SORT');
+        capabilities.push('THREAD=ORDEREDSUBJECT');
+        capabilities.push('THREAD=REFERENCES');
         capabilities.push('UTF8=ACCEPT');
 
         capabilities.push('MOVE');
+        capabilities.push('METADATA');
+        capabilities.push('NOTIFY');
+        capabilities.push('ACL');
+        capabilities.push('RIGHTS=texk');
 
         if (connection._server.options.enableCompression) {
             capabilities.push('COMPRESS=DEFLATE');
@@ -788,6 +885,30 @@ module.exports.validateSearchDate = internaldate => {
     return /^\d{1,2}-(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)-\d{4}$/i.test(internaldate);
 };
 
+/**
+ * Validates METADATA entry name (RFC5464 3.2), eg. "/private/comment"
+ *
+ * @param {String} entry Entry name
+ * @returns {Boolean} true if entry name is valid
+ */
+module.exports.validateMetadataEntry = entry => {
+    if (!entry || typeof entry !== 'string') {
+        return false;
+    }
+    return /^\/(private|shared)\/[^/]/i.test(entry) && !/\/\/|\/$|[*%]|[^\x21-\x7e]/.test(entry);
+};
+
+// RFC4314 rights in canonical order
+module.exports.aclRights = 'lrswipkxtea';
+
+/**
+ * Checks if a rights string for SETACL only includes known rights. Obsolete RFC2086 rights "c" and "d" are accepted as well
+ *
+ * @param {String} rights Rights string without the +/- modifier
+ * @returns {Boolean} true if rights are valid
+ */
+module.exports.validateAclRights = rights => typeof rights === 'string' && /^[lrswipkxteacd]*$/.test(rights);
+
 module.exports.logClientId = connection => {
     if (!connection.session.clientId) {
         return false;
@@ -0,0 +1,106 @@
+'use strict';
+
+// Helpers for SASL XOAUTH2 and OAUTHBEARER (RFC7628) authentication mechanisms
+
+const MECHANISMS = ['XOAUTH2', 'OAUTHBEARER'];
+
+/**
+ * Parses a base64 encoded SASL initial response for XOAUTH2 or OAUTHBEARER
+ *
+ *   XOAUTH2:     "user=" {User} "^Aauth=Bearer " {Access Token} "^A^A"
+ *   OAUTHBEARER: "n,a=" {User} ",^Ahost=" {Host} "^Aport=" {Port} "^Aauth=Bearer " {Access Token} "^A^A"
+ *
+ * @param {String} mechanism Either XOAUTH2 or OAUTHBEARER
+ * @param {String} payload Base64 encoded client response
+ * @returns {Object|Boolean} Parsed {username, accessToken} or false if the payload is invalid
+ */
+function parse(mechanism, payload) {
+    mechanism = (mechanism || '').toString().toUpperCase();
+    payload = (payload || '').toString().trim();
+
+    if (!MECHANISMS.includes(mechanism) || !payload || !/^[a-zA-Z0-9+/]+={0,2}$/.test(payload)) {
+        return false;
+    }
+
+    let parts = Buffer.from(payload, 'base64').toString().split('\x01');
+    let username = '';
+
+    if (mechanism === 'OAUTHBEARER') {
+        // GS2 header, eg. "n,a=user@example.com,"
+        let gs2 = (parts.shift() || '').split(',');
+        if (gs2.length < 2 || !['n', 'y'].includes(gs2[0])) {
+            return false;
+        }
+        let authzid = gs2[1] || '';
+        if (authzid) {
+            if (authzid.indexOf('a=') !== 0) {
+                return false;
+            }
+            username = decodeSaslName(authzid.substr(2));
+        }
+    }
+
+    let accessToken = '';
+    for (let part of parts) {
+        let sep = part.indexOf('=');
+        if (sep < 0) {
+            continue;
+        }
+        let key = part.substr(0, sep).toLowerCase();
+        let value = part.substr(sep + 1);
+
+        switch (key) {
+            case 'user':
+                if (mechanism === 'XOAUTH2') {
+                    username = value;
+                }
+                break;
+            case 'auth': {
+                let match = value.match(/^Bearer\s+(.+)$/i);
+                if (!match) {
+                    return false;
+                }
+                accessToken = match[1].trim();
+                break;
+            }
+        }
+    }
+
+    if (!accessToken || (mechanism === 'XOAUTH2' && !username)) {
+        return false;
+    }
+
+    return {
+        username: username.trim(),
+        accessToken
+    };
+}
+
+/**
+ * Generates a base64 encoded error challenge that is sent to the client when authentication fails
+ *
+ * @param {String} mechanism Either XOAUTH2 or OAUTHBEARER
+ * @param {String} [scope] Required scope
+ * @returns {String} Base64 encoded JSON error
+ */
+function formatError(mechanism, scope) {
+    let response = {
+        status: (mechanism || '').toString().toUpperCase() === 'XOAUTH2' ? '401' : 'invalid_token',
+        schemes: 'bearer'
+    };
+    if (scope) {
+        response.scope = scope;
+    }
+    return Buffer.from(JSON.stringify(response)).toString('base64');
+}
+
+// RFC5801 saslname, "=2C" and "=3D" are used for "," and "="
+function decodeSaslName(value) {
+    return value.replace(/[=]2C/gi, ',').replace(/[=]3D/gi, '=');
+}
+
+module.exports = {
+    MECHANISMS,
+    parse,
+    formatError
+};
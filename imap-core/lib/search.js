@@ -4,6 +4,9 @@ const Indexer = require('./indexer/indexer');
 const indexer = new Indexer();
 
 module.exports.matchSearchQuery = matchSearchQuery;
+module.exports.sortMessages = sortMessages;
+module.exports.threadMessages = threadMessages;
+module.exports.getBaseSubject = getBaseSubject;
 
 const queryHandlers = {
     // always matches
@@ -328,3 +331,333 @@ function matchSearchQuery(message, query, callback) {
         return true;
         */
 }
+
+/**
+ * Converts a value from a stored ENVELOPE structure into a string. Values might be strings,
+ * Buffers or BSON Binary objects, depending on where the envelope was loaded from
+ *
+ * @param {*} value Envelope value
+ * @returns {String} String value
+ */
+function envelopeString(value) {
+    if (!value) {
+        return '';
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString();
+    }
+    if (value.buffer && !(value instanceof Date)) {
+        // BSON Binary
+        return Buffer.from(value.buffer).toString();
+    }
+    return value.toString();
+}
+
+/**
+ * Returns ENVELOPE structure for a message, either from the stored value or by parsing message headers
+ *
+ * @param {Object} message Stored message object
+ * @returns {Array} ENVELOPE compatible array
+ */
+function getEnvelope(message) {
+    if (message.envelope) {
+        return message.envelope;
+    }
+
+    let mimeTree = message.mimeTree;
+    if (!mimeTree && message.raw) {
+        mimeTree = indexer.parseMimeTree(message.raw);
+    }
+
+    if (!mimeTree) {
+        return [];
+    }
+
+    return indexer.getEnvelope(mimeTree);
+}
+
+/**
+ * Returns the message-id value without angle brackets
+ *
+ * @param {*} value Message-ID or In-Reply-To value from ENVELOPE
+ * @returns {String} Normalized message-id or an empty string
+ */
+function getMessageId(value) {
+    let match = envelopeString(value).match(/<([^>]+)>/);
+    return ((match ? match[1] : envelopeString(value)) || '').trim();
+}
+
+/**
+ * Extracts the "base subject" of a subject line as described in RFC5256 section 2.1.
+ * Reply and forward prefixes, [blob] tags and "(fwd)" trailers are removed
+ *
+ * @param {String} subject Subject line
+ * @returns {String} Base subject
+ */
+function getBaseSubject(subject) {
+    subject = (subject || '').toString().replace(/\s+/g, ' ').trim();
+
+    let match = true;
+    while (match) {
+        match = false;
+        subject = subject
+            .replace(/^(?:\[[^[\]]*\]\s*)*(?:re|fwd?)\s*(?:\[[^[\]]*\])?\s*:\s*|^\[[^[\]]*\]\s*(?=\S)|\s*\(fwd\)$/i, () => {
+                match = true;
+                return '';
+            })
+            .trim();
+
+        // [fwd: subject]
+        let fwdMatch = subject.match(/^\[fwd:\s*(.*)\]$/i);
+        if (fwdMatch) {
+            subject = fwdMatch[1].trim();
+            match = true;
+        }
+    }
+
+    return subject.toLowerCase();
+}
+
+/**
+ * Returns the sent date of a message, falls back to internal date if header date is missing or invalid
+ *
+ * @param {Object} message Stored message object
+ * @returns {Number} Timestamp
+ */
+function getSentDate(message) {
+    let date = message.hdate;
+    if (!date) {
+        date = envelopeString(getEnvelope(message)[0]);
+    }
+    let time = date ? new Date(date).getTime() : NaN;
+    if (isNaN(time)) {
+        time = message.idate ? new Date(message.idate).getTime() : 0;
+    }
+    return time || 0;
+}
+
+/**
+ * Returns mailbox part of the first address in an ENVELOPE address list
+ *
+ * @param {Array} list ENVELOPE address list
+ * @returns {String} Lowercase mailbox name or an empty string
+ */
+function getFirstMailbox(list) {
+    let address = [].concat(list || []).find(addr => Array.isArray(addr) && addr[2]);
+    return address ? envelopeString(address[2]).toLowerCase() : '';
+}
+
+const sortKeys = {
+    arrival: message => (message.idate ? new Date(message.idate).getTime() : 0),
+    cc: message => getFirstMailbox(getEnvelope(message)[6]),
+    date: message => getSentDate(message),
+    from: message => getFirstMailbox(getEnvelope(message)[2]),
+    size: message => message.size || (message.raw || '').length,
+    subject: message => getBaseSubject(envelopeString(getEnvelope(message)[1])),
+    to: message => getFirstMailbox(getEnvelope(message)[5])
+};
+
+/**
+ * Sorts messages by a list of SORT criteria (RFC5256). Messages that compare equal are
+ * ordered by UID
+ *
+ * @param {Array} messages Stored message objects
+ * @param {Array} sort A list of sort criteria, eg. [{key: 'date', reverse: true}]
+ * @returns {Array} Sorted list of message objects
+ */
+function sortMessages(messages, sort) {
+    sort = [].concat(sort || []).filter(criteria => sortKeys.hasOwnProperty(criteria.key));
+
+    let entries = [].concat(messages || []).map(message => ({
+        message,
+        keys: sort.map(criteria => sortKeys[criteria.key](message))
+    }));
+
+    entries.sort((a, b) => {
+        for (let i = 0; i < sort.length; i++) {
+            let result = compareValues(a.keys[i], b.keys[i]);
+            if (result) {
+                return sort[i].reverse ? -result : result;
+            }
+        }
+        return a.message.uid - b.message.uid;
+    });
+
+    return entries.map(entry => entry.message);
+}
+
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Groups messages into threads as described in RFC5256. Returns a list of thread trees where
+ * every node is an object {uid, children}. Dummy nodes that group messages without a common
+ * parent have uid set to false
+ *
+ * REFERENCES threads messages that share the same thread identifier (the `thread` property, if
+ * set by the storage backend) or are linked by In-Reply-To headers. ORDEREDSUBJECT groups messages
+ * by base subject
+ *
+ * @param {Array} messages Stored message objects
+ * @param {String} algorithm Either "references" or "orderedsubject"
+ * @returns {Array} A list of thread trees
+ */
+function threadMessages(messages, algorithm) {
+    let entries = [].concat(messages || []).map(message => ({
+        uid: message.uid,
+        date: getSentDate(message),
+        message
+    }));
+
+    // all threads and children are ordered by sent date
+    entries.sort((a, b) => a.date - b.date || a.uid - b.uid);
+
+    let threads;
+    switch ((algorithm || '').toString().toLowerCase()) {
+        case 'orderedsubject':
+            threads = threadBySubject(entries);
+            break;
+        case 'references':
+            threads = threadByReferences(entries);
+            break;
+        default:
+            throw new Error('Unknown threading algorithm ' + algorithm);
+    }
+
+    threads.sort((a, b) => a.date - b.date || a.uid - b.uid);
+
+    return threads.map(thread => thread.node);
+}
+
+function threadBySubject(entries) {
+    let groups = new Map();
+    let threads = [];
+
+    entries.forEach(entry => {
+        let subject = getBaseSubject(envelopeString(getEnvelope(entry.message)[1]));
+        let node = {
+            uid: entry.uid,
+            children: []
+        };
+
+        if (groups.has(subject)) {
+            // first message of the group is the parent of all other messages
+            groups.get(subject).children.push(node);
+            return;
+        }
+
+        groups.set(subject, node);
+        threads.push({
+            date: entry.date,
+            uid: entry.uid,
+            node
+        });
+    });
+
+    return threads;
+}
+
+function threadByReferences(entries) {
+    let byMessageId = new Map();
+    let groups = new Map();
+    let nodes = new Map();
+
+    // union-find for thread groups
+    let parents = new Map();
+    let find = uid => {
+        while (parents.get(uid) !== uid) {
+            parents.set(uid, parents.get(parents.get(uid)));
+            uid = parents.get(uid);
+        }
+        return uid;
+    };
+    let union = (a, b) => {
+        a = find(a);
+        b = find(b);
+        if (a !== b) {
+            parents.set(b, a);
+        }
+    };
+
+    entries.forEach(entry => {
+        let envelope = getEnvelope(entry.message);
+        entry.messageId = getMessageId(envelope[9]);
+        entry.inReplyTo = getMessageId(envelope[8]);
+
+        parents.set(entry.uid, entry.uid);
+        nodes.set(entry.uid, {
+            uid: entry.uid,
+            children: []
+        });
+
+        if (entry.messageId && !byMessageId.has(entry.messageId)) {
+            byMessageId.set(entry.messageId, entry);
+        }
+    });
+
+    let threadIds = new Map();
+    entries.forEach(entry => {
+        let threadId = entry.message.thread ? entry.message.thread.toString() : false;
+        if (threadId) {
+            if (threadIds.has(threadId)) {
+                union(threadIds.get(threadId), entry.uid);
+            } else {
+                threadIds.set(threadId, entry.uid);
+            }
+        }
+
+        let parent = entry.inReplyTo && byMessageId.get(entry.inReplyTo);
+        if (parent && parent !== entry) {
+            union(parent.uid, entry.uid);
+        }
+    });
+
+    entries.forEach(entry => {
+        let root = find(entry.uid);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push(entry);
+    });
+
+    let threads = [];
+    groups.forEach(group => {
+        let roots = [];
+        let inGroup = new Set(group.map(entry => entry.uid));
+
+        group.forEach(entry => {
+            let parent = entry.inReplyTo && byMessageId.get(entry.inReplyTo);
+            // ignore links that would point to a later message, this also prevents loops
+            if (parent && parent !== entry && inGroup.has(parent.uid) && isBefore(parent, entry)) {
+                nodes.get(parent.uid).children.push(nodes.get(entry.uid));
+            } else {
+                roots.push(nodes.get(entry.uid));
+            }
+        });
+
+        let node =
+            roots.length === 1
+                ? roots[0]
+                : {
+                      // dummy parent for messages without a known common ancestor
+                      uid: false,
+                      children: roots
+                  };
+
+        threads.push({
+            date: group[0].date,
+            uid: group[0].uid,
+            node
+        });
+    });
+
+    return threads;
+}
+
+function isBefore(a, b) {
+    return a.date < b.date || (a.date === b.date && a.uid < b.uid);
+}
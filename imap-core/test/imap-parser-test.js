@@ -844,6 +844,25 @@ describe('IMAP Command Parser', function () {
                     value: 'TEST'
                 }
             ]);
+
+            expect(imapHandler.parser('TAG1 CMD (TEST (1 2:5,7))').attributes).to.deep.equal([
+                [
+                    {
+                        type: 'ATOM',
+                        value: 'TEST'
+                    },
+                    [
+                        {
+                            type: 'ATOM',
+                            value: '1'
+                        },
+                        {
+                            type: 'SEQUENCE',
+                            value: '2:5,7'
+                        }
+                    ]
+                ]
+            ]);
         });
 
         it('should fail', function () {
@@ -874,6 +893,10 @@ describe('IMAP Command Parser', function () {
             expect(function () {
                 imapHandler.parser('TAG1 CMD 5, TEST');
             }).to.throw(Error);
+
+            expect(function () {
+                imapHandler.parser('TAG1 CMD (5,)');
+            }).to.throw(Error);
         });
     });
 
@@ -25,6 +25,9 @@ class MemoryNotifier extends EventEmitter {
         this._listeners = new EventEmitter();
         this._listeners.setMaxListeners(0);
 
+        // sequence for journal entry IDs
+        this._journalId = 0;
+
         EventEmitter.call(this);
     }
 
@@ -77,6 +80,8 @@ class MemoryNotifier extends EventEmitter {
         }
 
         entries.forEach(entry => {
+            entry._id = ++this._journalId;
+            entry.mailbox = entry.mailbox || mailbox;
             entry.modseq = ++folder.modifyIndex;
             folder.journal.push(entry);
         });
@@ -124,6 +129,31 @@ class MemoryNotifier extends EventEmitter {
 
         return callback(null, folder.journal.slice(minIndex));
     }
+
+    /**
+     * Returns journal entries of all folders that were added after the last known entry
+     *
+     * @param {String} user
+     * @param {Number} lastId ID of the last known journal entry
+     * @param {Function} callback Returns update entries as an array and the ID of the last entry
+     */
+    getUserUpdates(user, lastId, callback) {
+        if (lastId === false) {
+            return setImmediate(() => callback(null, [], this._journalId, false));
+        }
+
+        let updates = [];
+        this.folders.forEach(folder => {
+            (folder.journal || []).forEach(entry => {
+                if (entry._id > lastId) {
+                    updates.push(entry);
+                }
+            });
+        });
+        updates.sort((a, b) => a._id - b._id);
+
+        setImmediate(() => callback(null, updates, this._journalId, false));
+    }
 }
 
 module.exports = MemoryNotifier;
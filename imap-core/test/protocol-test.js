@@ -17,6 +17,7 @@ if (!config.dbs || !config.dbs.dbname) {
 }
 
 let testClient = require('./test-client.js');
+let MockOAuthIssuer = require('../../test/utils/mock-oauth-issuer');
 let exec = require('child_process').exec;
 let spawn = require('child_process').spawn;
 
@@ -390,6 +391,79 @@ describe('IMAP Protocol integration tests', function () {
         });
     });
 
+    describe('AUTHENTICATE XOAUTH2', function () {
+        let issuer;
+
+        before(function (done) {
+            issuer = new MockOAuthIssuer({
+                issuer: config.oauth.issuer,
+                audience: config.oauth.audience
+            });
+            issuer.start().then(() => done(), done);
+        });
+
+        after(function (done) {
+            issuer.stop().then(() => done(), done);
+        });
+
+        let xoauth2 = (username, token) => Buffer.from('user=' + username + '\x01auth=Bearer ' + token + '\x01\x01').toString('base64');
+
+        it('should authenticate', function (done) {
+            let cmds = ['T1 AUTHENTICATE XOAUTH2 ' + xoauth2(TEST_USERS.testuser, issuer.issueToken({ preferred_username: TEST_USERS.testuser })), 'T2 LOGOUT'];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    expect(/^T1 OK/m.test(resp.toString())).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should authenticate using OAUTHBEARER', function (done) {
+            let token = issuer.issueOpaqueToken({ preferred_username: TEST_USERS.testuser });
+            let cmds = ['T1 AUTHENTICATE OAUTHBEARER', Buffer.from('n,,\x01auth=Bearer ' + token + '\x01\x01').toString('base64'), 'T2 LOGOUT'];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    expect(/^T1 OK/m.test(resp.toString())).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should fail authentication', function (done) {
+            let cmds = [
+                'T1 AUTHENTICATE XOAUTH2 ' + xoauth2(TEST_USERS.testuser, issuer.issueToken({ preferred_username: TEST_USERS.testuser }, { expiresIn: -3600 })),
+                '',
+                'T2 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^\+ [a-zA-Z0-9+/]+=*$/m.test(resp)).to.be.true;
+                    expect(/^T1 NO \[AUTHENTICATIONFAILED\]/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
+
     describe('NAMESPACE', function () {
         it('should list namespaces', function (done) {
             let cmds = ['T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass, 'T2 NAMESPACE', 'T3 LOGOUT'];
@@ -1081,6 +1155,24 @@ describe('IMAP Protocol integration tests', function () {
                 }
             );
         });
+
+        it('should enable QRESYNC', function (done) {
+            let cmds = ['T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass, 'T2 ENABLE QRESYNC', 'T3 LOGOUT'];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^\* ENABLED QRESYNC$/m.test(resp)).to.be.true;
+                    expect(/^T2 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
     });
 
     describe('CLOSE', function () {
@@ -1499,6 +1591,100 @@ describe('IMAP Protocol integration tests', function () {
         });
     });
 
+    describe('QRESYNC', function () {
+        it('should reject QRESYNC parameters if not enabled', function (done) {
+            let cmds = ['T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass, 'T2 SELECT INBOX (QRESYNC (1 1))', 'T3 LOGOUT'];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^T2 BAD/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should send VANISHED instead of EXPUNGE', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 ENABLE QRESYNC',
+                'T3 SELECT INBOX',
+                'T4 STORE 1:* +FLAGS (\\Deleted)',
+                'T5 UID EXPUNGE 103,105',
+                'T6 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^\* \d+ EXPUNGE/m.test(resp)).to.be.false;
+                    expect(/^\* VANISHED 103$/m.test(resp)).to.be.true;
+                    expect(/^\* VANISHED 105$/m.test(resp)).to.be.true;
+                    expect(/^T5 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should list vanished messages with UID FETCH', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 ENABLE QRESYNC',
+                'T3 SELECT INBOX',
+                'T4 UID STORE 103 +FLAGS (\\Deleted)',
+                'T5 UID EXPUNGE 103',
+                'T6 UID FETCH 1:* (FLAGS) (CHANGEDSINCE 1 VANISHED)',
+                'T7 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^\* VANISHED \(EARLIER\) [\d:,]*\b103\b/m.test(resp)).to.be.true;
+                    expect(/^T6 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should reject VANISHED modifier if QRESYNC is not enabled', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SELECT INBOX',
+                'T3 UID FETCH 1:* (FLAGS) (CHANGEDSINCE 1 VANISHED)',
+                'T4 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^T3 BAD/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
+
     describe('FETCH command', function () {
         it('should list by UID', function (done) {
             let cmds = [
@@ -2230,4 +2416,327 @@ describe('IMAP Protocol integration tests', function () {
             );
         });
     });
+
+    describe('ESEARCH', function () {
+        it('should return ESEARCH results', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SELECT INBOX',
+                'T3 SEARCH RETURN (MIN MAX COUNT ALL) UNSEEN',
+                'T4 UID SEARCH RETURN () UNSEEN',
+                'T5 UID SEARCH RETURN (COUNT) SUBJECT nonexistent',
+                'T6 SEARCH RETURN (UNKNOWN) ALL',
+                'T7 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^\* ESEARCH \(TAG "T3"\) MIN 1 MAX 6 COUNT 4 ALL 1,4:6$/m.test(resp)).to.be.true;
+                    expect(/^\* ESEARCH \(TAG "T4"\) UID ALL 101,104:106$/m.test(resp)).to.be.true;
+                    expect(/^\* ESEARCH \(TAG "T5"\) UID COUNT 0$/m.test(resp)).to.be.true;
+                    expect(/^T3 OK/m.test(resp)).to.be.true;
+                    expect(/^T4 OK/m.test(resp)).to.be.true;
+                    expect(/^T5 OK/m.test(resp)).to.be.true;
+                    expect(/^T6 BAD/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should use saved search results', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SELECT INBOX',
+                'T3 SEARCH RETURN (SAVE) UNSEEN',
+                'T4 FETCH $ (UID)',
+                'T5 UID SEARCH RETURN (SAVE MAX) $',
+                'T6 UID FETCH $ (UID)',
+                'T7 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^\* ESEARCH \(TAG "T3"\)/m.test(resp)).to.be.false;
+                    expect(resp.match(/^\* \d+ FETCH \(UID \d+\)$/gm)).to.deep.equal([
+                        '* 1 FETCH (UID 101)',
+                        '* 4 FETCH (UID 104)',
+                        '* 5 FETCH (UID 105)',
+                        '* 6 FETCH (UID 106)',
+                        '* 6 FETCH (UID 106)'
+                    ]);
+                    expect(/^\* ESEARCH \(TAG "T5"\) UID MAX 106$/m.test(resp)).to.be.true;
+                    expect(/^T6 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
+
+    describe('SORT command', function () {
+        it('should sort by arrival', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SELECT INBOX',
+                'T3 SORT (ARRIVAL) UTF-8 ALL',
+                'T4 UID SORT (ARRIVAL) UTF-8 UNSEEN',
+                'T5 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(resp.match(/^\* SORT /gm).length).to.equal(2);
+                    expect(/^\* SORT 1 2 3 4 5 6$/m.test(resp)).to.be.true;
+                    expect(/^\* SORT 101 104 105 106$/m.test(resp)).to.be.true;
+                    expect(/^T3 OK/m.test(resp)).to.be.true;
+                    expect(/^T4 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should fail with invalid arguments', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SELECT INBOX',
+                'T3 SORT (UNKNOWN) UTF-8 ALL',
+                'T4 SORT (DATE) ISO-8859-1 ALL',
+                'T5 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^T3 BAD/m.test(resp)).to.be.true;
+                    expect(/^T4 NO \[BADCHARSET \(UTF-8\)\]/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
+
+    describe('THREAD command', function () {
+        it('should succeed', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SELECT INBOX',
+                'T3 THREAD REFERENCES UTF-8 ALL',
+                'T4 UID THREAD ORDEREDSUBJECT UTF-8 5:6',
+                'T5 THREAD UNKNOWN UTF-8 ALL',
+                'T6 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(resp.match(/^\* THREAD /gm).length).to.equal(2);
+                    expect(/^\* THREAD (\([\d ()]+\))+$/m.test(resp)).to.be.true;
+                    expect(/^\* THREAD \(105\)\(106\)$/m.test(resp)).to.be.true;
+                    expect(/^T3 OK/m.test(resp)).to.be.true;
+                    expect(/^T4 OK/m.test(resp)).to.be.true;
+                    expect(/^T5 BAD/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
+
+    describe('METADATA', function () {
+        it('should set and get mailbox entries', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SETMETADATA INBOX (/private/comment "My comment" /shared/comment "Shared comment")',
+                'T3 GETMETADATA INBOX (/private/comment /shared/comment /private/missing)',
+                'T4 SETMETADATA INBOX (/private/comment NIL)',
+                'T5 GETMETADATA INBOX /private/comment',
+                'T6 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^T2 OK/m.test(resp)).to.be.true;
+                    expect(
+                        /^\* METADATA "INBOX" \(\/private\/comment "My comment" \/shared\/comment "Shared comment" \/private\/missing NIL\)$/m.test(resp)
+                    ).to.be.true;
+                    expect(/^T3 OK/m.test(resp)).to.be.true;
+                    expect(/^T4 OK/m.test(resp)).to.be.true;
+                    expect(/^\* METADATA "INBOX" \(\/private\/comment NIL\)$/m.test(resp)).to.be.true;
+                    expect(/^T5 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should fail with invalid arguments', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SETMETADATA INBOX (/comment "value")',
+                'T3 GETMETADATA (UNKNOWN 1) INBOX /private/comment',
+                'T4 GETMETADATA NOSUCHMAILBOX /private/comment',
+                'T5 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^T2 BAD/m.test(resp)).to.be.true;
+                    expect(/^T3 BAD/m.test(resp)).to.be.true;
+                    expect(/^T4 NO \[NONEXISTENT\]/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
+
+    describe('ACL', function () {
+        it('should list rights', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 GETACL INBOX',
+                'T3 MYRIGHTS INBOX',
+                'T4 LISTRIGHTS INBOX otheruser',
+                'T5 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(new RegExp('^\\* ACL "INBOX" "' + TEST_USERS.testuser + '" "lrswipkxtea"$', 'm').test(resp)).to.be.true;
+                    expect(/^T2 OK/m.test(resp)).to.be.true;
+                    expect(/^\* MYRIGHTS "INBOX" "lrswipkxtea"$/m.test(resp)).to.be.true;
+                    expect(/^T3 OK/m.test(resp)).to.be.true;
+                    expect(/^\* LISTRIGHTS "INBOX" "otheruser" "" l r s w i p k x t e a$/m.test(resp)).to.be.true;
+                    expect(/^T4 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should fail with invalid arguments', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 SETACL INBOX otheruser lrz',
+                'T3 SETACL NOSUCHMAILBOX otheruser lr',
+                'T4 SETACL INBOX ' + TEST_USERS.testuser + ' lr',
+                'T5 MYRIGHTS NOSUCHMAILBOX',
+                'T6 DELETEACL INBOX',
+                'T7 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^T2 BAD/m.test(resp)).to.be.true;
+                    expect(/^T3 NO \[NONEXISTENT\]/m.test(resp)).to.be.true;
+                    expect(/^T4 NO \[CANNOT\]/m.test(resp)).to.be.true;
+                    expect(/^T5 NO \[NONEXISTENT\]/m.test(resp)).to.be.true;
+                    expect(/^T6 BAD/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
+
+    describe('NOTIFY', function () {
+        it('should succeed', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 NOTIFY SET STATUS (selected (MessageNew (UID FLAGS) MessageExpunge)) (mailboxes INBOX (MessageNew MessageExpunge FlagChange))',
+                'T3 NOTIFY SET (personal (MailboxName SubscriptionChange))',
+                'T4 NOTIFY NONE',
+                'T5 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^\* STATUS "?INBOX"? \(MESSAGES \d+ UIDNEXT \d+ UIDVALIDITY \d+ UNSEEN \d+\)$/m.test(resp)).to.be.true;
+                    expect(/^T2 OK/m.test(resp)).to.be.true;
+                    expect(/^T3 OK/m.test(resp)).to.be.true;
+                    expect(/^T4 OK/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+
+        it('should fail with invalid arguments', function (done) {
+            let cmds = [
+                'T1 LOGIN ' + TEST_USERS.testuser + ' ' + TEST_PASSWORDS.pass,
+                'T2 NOTIFY SET (personal (MessageNew))',
+                'T3 NOTIFY SET (selected (MailboxName))',
+                'T4 NOTIFY SET (personal (AnnotationChange))',
+                'T5 NOTIFY SET (unknown (MessageNew MessageExpunge))',
+                'T6 LOGOUT'
+            ];
+
+            testClient(
+                {
+                    commands: cmds,
+                    secure: true,
+                    port
+                },
+                function (resp) {
+                    resp = resp.toString();
+                    expect(/^T2 BAD/m.test(resp)).to.be.true;
+                    expect(/^T3 BAD/m.test(resp)).to.be.true;
+                    expect(/^T4 NO \[BADEVENT \(/m.test(resp)).to.be.true;
+                    expect(/^T5 BAD/m.test(resp)).to.be.true;
+                    done();
+                }
+            );
+        });
+    });
 });
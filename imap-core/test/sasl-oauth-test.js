@@ -0,0 +1,58 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const saslOAuth = require('../lib/sasl-oauth');
+const chai = require('chai');
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+describe('#saslOAuth', function () {
+    describe('#parse', function () {
+        it('should parse XOAUTH2 response', function () {
+            let payload = Buffer.from('user=someuser@example.com\x01auth=Bearer vF9dft4qmTc2Nvb3RlckBhdHRhdmlzdGEuY29tCg==\x01\x01').toString('base64');
+            expect(saslOAuth.parse('XOAUTH2', payload)).to.deep.equal({
+                username: 'someuser@example.com',
+                accessToken: 'vF9dft4qmTc2Nvb3RlckBhdHRhdmlzdGEuY29tCg=='
+            });
+        });
+
+        it('should parse OAUTHBEARER response', function () {
+            let payload = Buffer.from('n,a=user=2Cx@example.com,\x01host=server.example.com\x01port=143\x01auth=Bearer abc.def.ghi\x01\x01').toString('base64');
+            expect(saslOAuth.parse('oauthbearer', payload)).to.deep.equal({
+                username: 'user,x@example.com',
+                accessToken: 'abc.def.ghi'
+            });
+        });
+
+        it('should parse OAUTHBEARER response without authzid', function () {
+            let payload = Buffer.from('n,,\x01auth=Bearer abc.def.ghi\x01\x01').toString('base64');
+            expect(saslOAuth.parse('OAUTHBEARER', payload)).to.deep.equal({
+                username: '',
+                accessToken: 'abc.def.ghi'
+            });
+        });
+
+        it('should fail on invalid input', function () {
+            expect(saslOAuth.parse('XOAUTH2', 'not base64!')).to.be.false;
+            expect(saslOAuth.parse('XOAUTH2', Buffer.from('auth=Bearer abc\x01\x01').toString('base64'))).to.be.false;
+            expect(saslOAuth.parse('XOAUTH2', Buffer.from('user=abc\x01auth=Basic abc\x01\x01').toString('base64'))).to.be.false;
+            expect(saslOAuth.parse('OAUTHBEARER', Buffer.from('x,a=abc,\x01auth=Bearer abc\x01\x01').toString('base64'))).to.be.false;
+            expect(saslOAuth.parse('PLAIN', Buffer.from('user=abc\x01auth=Bearer abc\x01\x01').toString('base64'))).to.be.false;
+        });
+    });
+
+    describe('#formatError', function () {
+        it('should format error challenge', function () {
+            expect(JSON.parse(Buffer.from(saslOAuth.formatError('XOAUTH2'), 'base64').toString())).to.deep.equal({
+                status: '401',
+                schemes: 'bearer'
+            });
+            expect(JSON.parse(Buffer.from(saslOAuth.formatError('OAUTHBEARER', 'email'), 'base64').toString())).to.deep.equal({
+                status: 'invalid_token',
+                schemes: 'bearer',
+                scope: 'email'
+            });
+        });
+    });
+});
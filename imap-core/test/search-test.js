@@ -2,8 +2,10 @@
 
 'use strict';
 
-const parseQueryTerms = require('../lib/commands/search').parseQueryTerms;
-const matchSearchQuery = require('../lib/search').matchSearchQuery;
+const { parseQueryTerms, parseReturnOptions } = require('../lib/commands/search');
+const { matchSearchQuery, sortMessages, threadMessages, getBaseSubject } = require('../lib/search');
+const formatThread = require('../lib/commands/thread').formatThread;
+const parseSortCriteria = require('../lib/commands/sort').parseSortCriteria;
 const Indexer = require('../lib/indexer/indexer');
 const indexer = new Indexer();
 
@@ -505,6 +507,43 @@ describe('#parseQueryTerms', function () {
     });
 });
 
+describe('#parseReturnOptions', function () {
+    it('should return false if RETURN is not used', function () {
+        let attributes = [{ type: 'ATOM', value: 'ALL' }];
+        expect(parseReturnOptions(attributes)).to.be.false;
+        expect(attributes.length).to.equal(1);
+    });
+
+    it('should parse RETURN options', function () {
+        let attributes = [
+            { type: 'ATOM', value: 'RETURN' },
+            [
+                { type: 'ATOM', value: 'MIN' },
+                { type: 'ATOM', value: 'count' },
+                { type: 'ATOM', value: 'MIN' },
+                { type: 'ATOM', value: 'SAVE' }
+            ],
+            { type: 'ATOM', value: 'ALL' }
+        ];
+        expect(parseReturnOptions(attributes)).to.deep.equal(['min', 'count', 'save']);
+        expect(attributes).to.deep.equal([{ type: 'ATOM', value: 'ALL' }]);
+    });
+
+    it('should default to ALL', function () {
+        expect(parseReturnOptions([{ type: 'ATOM', value: 'RETURN' }, [], { type: 'ATOM', value: 'ALL' }])).to.deep.equal(['all']);
+    });
+
+    it('should fail on unknown options', function () {
+        expect(() => parseReturnOptions([{ type: 'ATOM', value: 'RETURN' }, [{ type: 'ATOM', value: 'FOO' }]])).to.throw(/Unknown RETURN option/);
+        expect(() =>
+            parseReturnOptions([
+                { type: 'ATOM', value: 'RETURN' },
+                { type: 'ATOM', value: 'ALL' }
+            ])
+        ).to.throw(/Invalid RETURN options/);
+    });
+});
+
 describe('Search term match tests', function () {
     describe('AND', function () {
         it('should find all matches', function (done) {
@@ -1354,3 +1393,93 @@ describe('Search term match tests', function () {
         });
     });
 });
+
+describe('SORT and THREAD', function () {
+    let getMessage = (uid, subject, from, date, messageId, inReplyTo, extra) =>
+        Object.assign(
+            {
+                uid,
+                idate: new Date(date),
+                size: uid * 100,
+                envelope: [date, subject, [[null, null, from, 'example.com']], null, null, null, null, null, inReplyTo || null, messageId || null]
+            },
+            extra || {}
+        );
+
+    let messages = [
+        getMessage(1, 'Hello', 'charlie', '2020-01-01T10:00:00Z', '<a@example.com>'),
+        getMessage(2, 'Re: hello', 'alice', '2020-01-02T10:00:00Z', '<b@example.com>', '<a@example.com>'),
+        getMessage(3, 'Other topic', 'bob', '2020-01-01T12:00:00Z', '<c@example.com>'),
+        getMessage(4, 'Fwd: [list] Re: Hello (fwd)', 'bob', '2020-01-03T10:00:00Z', '<d@example.com>', '<a@example.com>'),
+        getMessage(5, 'Re: Re: hello', 'dave', '2020-01-04T10:00:00Z', '<e@example.com>', '<b@example.com>')
+    ];
+
+    describe('#getBaseSubject', function () {
+        it('should remove reply and forward prefixes', function () {
+            expect(getBaseSubject('Re: Fwd: [list] RE: Hello world (fwd)')).to.equal('hello world');
+            expect(getBaseSubject('[fwd: Hello world]')).to.equal('hello world');
+            expect(getBaseSubject('[list]')).to.equal('[list]');
+        });
+    });
+
+    describe('#parseSortCriteria', function () {
+        it('should parse criteria', function () {
+            expect(
+                parseSortCriteria([
+                    { type: 'ATOM', value: 'REVERSE' },
+                    { type: 'ATOM', value: 'DATE' },
+                    { type: 'ATOM', value: 'SUBJECT' }
+                ])
+            ).to.deep.equal([
+                { key: 'date', reverse: true },
+                { key: 'subject', reverse: false }
+            ]);
+        });
+
+        it('should fail on invalid criteria', function () {
+            expect(() => parseSortCriteria([{ type: 'ATOM', value: 'REVERSE' }])).to.throw(/Invalid sort criteria/);
+            expect(() => parseSortCriteria([{ type: 'ATOM', value: 'UNKNOWN' }])).to.throw(/Unknown sort criteria/);
+            expect(() => parseSortCriteria([])).to.throw(/Invalid sort criteria/);
+        });
+    });
+
+    describe('#sortMessages', function () {
+        it('should sort by DATE', function () {
+            expect(sortMessages(messages, [{ key: 'date' }]).map(m => m.uid)).to.deep.equal([1, 3, 2, 4, 5]);
+        });
+
+        it('should sort by REVERSE SIZE', function () {
+            expect(sortMessages(messages, [{ key: 'size', reverse: true }]).map(m => m.uid)).to.deep.equal([5, 4, 3, 2, 1]);
+        });
+
+        it('should sort by FROM and SUBJECT using UID as tie-breaker', function () {
+            expect(sortMessages(messages, [{ key: 'from' }, { key: 'subject' }]).map(m => m.uid)).to.deep.equal([2, 4, 3, 1, 5]);
+            expect(sortMessages(messages, [{ key: 'subject' }]).map(m => m.uid)).to.deep.equal([1, 2, 4, 5, 3]);
+        });
+    });
+
+    describe('#threadMessages', function () {
+        let format = threads => threads.map(node => '(' + formatThread(node, uid => uid) + ')').join('');
+
+        it('should thread by ORDEREDSUBJECT', function () {
+            expect(format(threadMessages(messages, 'orderedsubject'))).to.equal('(1 (2)(4)(5))(3)');
+        });
+
+        it('should thread by REFERENCES', function () {
+            expect(format(threadMessages(messages, 'references'))).to.equal('(1 (2 5)(4))(3)');
+        });
+
+        it('should group messages with the same thread ID', function () {
+            let list = [
+                getMessage(1, 'First', 'a', '2020-01-01T10:00:00Z', '<x@example.com>', false, { thread: 't1' }),
+                getMessage(2, 'Second', 'b', '2020-01-02T10:00:00Z', '<y@example.com>', false, { thread: 't2' }),
+                getMessage(3, 'First', 'c', '2020-01-03T10:00:00Z', '<z@example.com>', false, { thread: 't1' })
+            ];
+            expect(format(threadMessages(list, 'references'))).to.equal('((1)(3))(2)');
+        });
+
+        it('should fail on unknown algorithm', function () {
+            expect(() => threadMessages(messages, 'unknown')).to.throw(/Unknown threading algorithm/);
+        });
+    });
+});
@@ -19,6 +19,8 @@ module.exports = function (options) {
     // This example uses global folders and subscriptions
     let folders = new Map();
     let subscriptions = new WeakSet();
+    let metadata = new Map();
+    let acl = new Map();
 
     [
         {
@@ -630,12 +632,14 @@ module.exports = function (options) {
         let highestModseq = 0;
 
         let uidList = [];
+        let messages = [];
         let checked = 0;
         let checkNext = () => {
             if (checked >= folder.messages.length) {
                 return callback(null, {
                     uidList,
-                    highestModseq
+                    highestModseq,
+                    messages
                 });
             }
             let message = folder.messages[checked++];
@@ -648,6 +652,7 @@ module.exports = function (options) {
                 }
                 if (match) {
                     uidList.push(message.uid);
+                    messages.push(message);
                 }
                 checkNext();
             });
@@ -655,5 +660,98 @@ module.exports = function (options) {
         checkNext();
     };
 
+    // GETMETADATA (options) mailbox (entries)
+    server.onGetMetadata = function (mailbox, options, session, callback) {
+        if (mailbox && !folders.has(mailbox)) {
+            return callback(null, 'NONEXISTENT');
+        }
+
+        let entries = metadata.get(mailbox) || new Map();
+
+        return callback(null, {
+            entries: options.entries.map(key => ({
+                key: key.toLowerCase(),
+                value: entries.has(key.toLowerCase()) ? entries.get(key.toLowerCase()) : null
+            }))
+        });
+    };
+
+    // SETMETADATA mailbox (entry value)
+    server.onSetMetadata = function (mailbox, list, session, callback) {
+        if (mailbox && !folders.has(mailbox)) {
+            return callback(null, 'NONEXISTENT');
+        }
+
+        if (!metadata.has(mailbox)) {
+            metadata.set(mailbox, new Map());
+        }
+
+        let entries = metadata.get(mailbox);
+        list.forEach(entry => {
+            if (entry.value === null) {
+                entries.delete(entry.key.toLowerCase());
+            } else {
+                entries.set(entry.key.toLowerCase(), entry.value);
+            }
+        });
+
+        return callback(null, true);
+    };
+
+    // GETACL mailbox
+    server.onGetAcl = function (mailbox, session, callback) {
+        if (!folders.has(mailbox)) {
+            return callback(null, 'NONEXISTENT');
+        }
+
+        let entries = acl.get(mailbox) || new Map();
+
+        return callback(
+            null,
+            [{ identifier: session.user.username, rights: 'lrswipkxtea' }].concat(Array.from(entries).map(([identifier, rights]) => ({ identifier, rights })))
+        );
+    };
+
+    // SETACL mailbox identifier rights
+    server.onSetAcl = function (mailbox, options, session, callback) {
+        if (!folders.has(mailbox)) {
+            return callback(null, 'NONEXISTENT');
+        }
+
+        if (options.identifier === session.user.username) {
+            return callback(null, 'CANNOT');
+        }
+
+        if (!acl.has(mailbox)) {
+            acl.set(mailbox, new Map());
+        }
+
+        let entries = acl.get(mailbox);
+        let rights = new Set(options.modifier ? (entries.get(options.identifier) || '').split('') : []);
+        options.rights.split('').forEach(right => (options.modifier === '-' ? rights.delete(right) : rights.add(right)));
+
+        let value = 'lrswipkxtea'
+            .split('')
+            .filter(right => rights.has(right))
+            .join('');
+
+        if (value) {
+            entries.set(options.identifier, value);
+        } else {
+            entries.delete(options.identifier);
+        }
+
+        return callback(null, true);
+    };
+
+    // MYRIGHTS mailbox
+    server.onMyRights = function (mailbox, session, callback) {
+        if (!folders.has(mailbox)) {
+            return callback(null, 'NONEXISTENT');
+        }
+
+        return callback(null, { rights: 'lrswipkxtea' });
+    };
+
     return server;
 };
@@ -20,3 +20,25 @@ describe('#packMessageRange', function () {
         expect(imapTools.packMessageRange([1, 3, 4, 6, 8, 9, 10, 11, 13])).to.equal('1,3:4,6,8:11,13');
     });
 });
+
+describe('#getMissingRange', function () {
+    it('should return empty string if nothing is missing', function () {
+        expect(imapTools.getMissingRange([1, 2, 3], '1:3', 3)).to.equal('');
+    });
+
+    it('should return missing ranges', function () {
+        expect(imapTools.getMissingRange([3, 4, 8], '1:10', 10)).to.equal('1:2,5:7,9:10');
+    });
+
+    it('should resolve wildcards', function () {
+        expect(imapTools.getMissingRange([2, 5], '1,4:*', 7)).to.equal('1,4,6:7');
+    });
+});
+
+describe('#getMessageRange', function () {
+    it('should resolve saved search result', function () {
+        expect(imapTools.validateSequence('$')).to.be.true;
+        expect(imapTools.getMessageRange([2, 5, 7, 9], '$', false, [9, 5, 6])).to.deep.equal([5, 9]);
+        expect(imapTools.getMessageRange([2, 5, 7, 9], '$', true)).to.deep.equal([]);
+    });
+});
@@ -9,6 +9,7 @@ const Indexer = require('./imap-core/lib/indexer/indexer');
 const MessageHandler = require('./lib/message-handler');
 const UserHandler = require('./lib/user-handler');
 const MailboxHandler = require('./lib/mailbox-handler');
+const OAuthHandler = require('./lib/oauth-handler');
 const { SettingsHandler } = require('./lib/settings-handler');
 const db = require('./lib/db');
 const packageData = require('./package.json');
@@ -36,6 +37,11 @@ const onMove = require('./lib/handlers/on-move');
 const onSearch = require('./lib/handlers/on-search');
 const onGetQuotaRoot = require('./lib/handlers/on-get-quota-root');
 const onGetQuota = require('./lib/handlers/on-get-quota');
+const onGetMetadata = require('./lib/handlers/on-get-metadata');
+const onSetMetadata = require('./lib/handlers/on-set-metadata');
+const onGetAcl = require('./lib/handlers/on-get-acl');
+const onSetAcl = require('./lib/handlers/on-set-acl');
+const onMyRights = require('./lib/handlers/on-my-rights');
 const onXAPPLEPUSHSERVICE = require('./lib/handlers/on-xapplepushservice');
 
 let logger = {
@@ -58,6 +64,7 @@ let notifier;
 let messageHandler;
 let userHandler;
 let mailboxHandler;
+let oauthHandler;
 let loggelf;
 
 let createInterface = (ifaceOptions, callback) => {
@@ -72,6 +79,9 @@ let createInterface = (ifaceOptions, callback) => {
         useProxy: !!config.imap.useProxy,
         ignoredHosts: config.imap.ignoredHosts,
 
+        // mailboxes shared by other users are listed under this namespace
+        sharedNamespace: mailboxHandler.aclHandler.namespace,
+
         id: {
             name: config.imap.name || 'WildDuck IMAP Server',
             version: config.imap.version || packageData.version,
@@ -87,6 +97,9 @@ let createInterface = (ifaceOptions, callback) => {
 
         enableCompression: !!config.imap.enableCompression,
 
+        enableOAuth: !!(config.oauth && config.oauth.enabled),
+        oauthScope: config.oauth && config.oauth.scope,
+
         skipFetchLog: config.log.skipFetchLog,
 
         SNICallback(servername, cb) {
@@ -140,25 +153,30 @@ let createInterface = (ifaceOptions, callback) => {
     });
 
     // setup command handlers for the server instance
-    server.onFetch = onFetch(server, messageHandler, userHandler.userCache);
-    server.onAuth = onAuth(server, userHandler, userHandler.userCache);
-    server.onList = onList(server);
-    server.onLsub = onLsub(server);
-    server.onSubscribe = onSubscribe(server);
-    server.onUnsubscribe = onUnsubscribe(server);
+    server.onFetch = onFetch(server, messageHandler, userHandler.userCache, mailboxHandler);
+    server.onAuth = onAuth(server, userHandler, userHandler.userCache, oauthHandler);
+    server.onList = onList(server, mailboxHandler);
+    server.onLsub = onLsub(server, mailboxHandler);
+    server.onSubscribe = onSubscribe(server, mailboxHandler);
+    server.onUnsubscribe = onUnsubscribe(server, mailboxHandler);
     server.onCreate = onCreate(server, mailboxHandler);
     server.onRename = onRename(server, mailboxHandler);
     server.onDelete = onDelete(server, mailboxHandler);
-    server.onOpen = onOpen(server);
-    server.onStatus = onStatus(server);
-    server.onAppend = onAppend(server, messageHandler, userHandler.userCache);
-    server.onStore = onStore(server);
-    server.onExpunge = onExpunge(server, messageHandler);
-    server.onCopy = onCopy(server, messageHandler);
-    server.onMove = onMove(server, messageHandler);
-    server.onSearch = onSearch(server);
+    server.onOpen = onOpen(server, mailboxHandler);
+    server.onStatus = onStatus(server, mailboxHandler);
+    server.onAppend = onAppend(server, messageHandler, userHandler.userCache, mailboxHandler);
+    server.onStore = onStore(server, messageHandler, mailboxHandler);
+    server.onExpunge = onExpunge(server, messageHandler, mailboxHandler);
+    server.onCopy = onCopy(server, messageHandler, mailboxHandler);
+    server.onMove = onMove(server, messageHandler, mailboxHandler);
+    server.onSearch = onSearch(server, mailboxHandler);
     server.onGetQuotaRoot = onGetQuotaRoot(server);
     server.onGetQuota = onGetQuota(server);
+    server.onGetMetadata = onGetMetadata(server, mailboxHandler);
+    server.onSetMetadata = onSetMetadata(server, mailboxHandler);
+    server.onGetAcl = onGetAcl(server, mailboxHandler);
+    server.onSetAcl = onSetAcl(server, mailboxHandler);
+    server.onMyRights = onMyRights(server, mailboxHandler);
     server.onXAPPLEPUSHSERVICE = onXAPPLEPUSHSERVICE(server);
 
     if (loggelf) {
@@ -245,6 +263,11 @@ module.exports = done => {
         loggelf: message => loggelf(message)
     });
 
+    oauthHandler = new OAuthHandler({
+        userHandler,
+        loggelf: message => loggelf(message)
+    });
+
     mailboxHandler = new MailboxHandler({
         database: db.database,
         users: db.users,
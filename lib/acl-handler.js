@@ -0,0 +1,473 @@
+'use strict';
+
+const config = require('wild-config');
+const tools = require('./tools');
+const consts = require('./consts');
+const DelegationHandler = require('./delegation-handler');
+const { RIGHTS, normalizeRights, hasRights, filterFlags } = require('./acl-rights');
+
+/**
+ * Manages access rights (RFC4314) for mailboxes that are shared with other users. Owner of a mailbox
+ * always has all rights, other users only have the rights granted to them.
+ *
+ * Shared mailboxes are listed for other users as "{namespace}/{owner username}/{owner path}"
+ */
+class AclHandler {
+    constructor(options) {
+        this.database = options.database;
+        this.users = options.users || options.database;
+
+        this.loggelf = options.loggelf || (() => false);
+
+        this.delegationHandler = options.delegationHandler || new DelegationHandler({ users: this.users, loggelf: this.loggelf });
+
+        this.namespace = (options.namespace || (config.imap && config.imap.sharedNamespace) || consts.SHARED_NAMESPACE).replace(/\/+$/, '');
+    }
+
+    /**
+     * Checks if a mailbox path points to the shared namespace
+     *
+     * @param {String} path Mailbox path
+     * @returns {Boolean} true if path is in the shared namespace
+     */
+    isSharedPath(path) {
+        return path === this.namespace || (path || '').indexOf(this.namespace + '/') === 0;
+    }
+
+    getSharedPath(username, path) {
+        return [this.namespace, username, path].join('/');
+    }
+
+    /**
+     * Splits a shared path into owner username and the path of the mailbox for the owner
+     *
+     * @param {String} path Mailbox path in the shared namespace
+     * @returns {Object} {username, path}
+     */
+    parseSharedPath(path) {
+        let parts = (path || '').substr(this.namespace.length + 1).split('/');
+        let username = parts.shift();
+        return { username, path: parts.join('/') };
+    }
+
+    /**
+     * Resolves an ACL identifier (username or email address) to a user
+     *
+     * @param {String} identifier Username or email address
+     * @returns {Object|null} User info {_id, username}
+     */
+    async resolveIdentifier(identifier) {
+        identifier = (identifier || '').toString().trim();
+        if (!identifier) {
+            return null;
+        }
+
+        if (identifier.indexOf('@') >= 0) {
+            let addressData = await this.users
+                .collection('addresses')
+                .findOne({ addrview: tools.uview(identifier) }, { projection: { user: true }, maxTimeMS: consts.DB_MAX_TIME_USERS });
+            if (addressData && addressData.user) {
+                return await this.users
+                    .collection('users')
+                    .findOne({ _id: addressData.user }, { projection: { _id: true, username: true }, maxTimeMS: consts.DB_MAX_TIME_USERS });
+            }
+        }
+
+        return await this.users
+            .collection('users')
+            .findOne({ unameview: tools.uview(identifier) }, { projection: { _id: true, username: true }, maxTimeMS: consts.DB_MAX_TIME_USERS });
+    }
+
+    /**
+     * Returns rights a user has for a mailbox. Rights granted for the mailbox take precedence
+     * over rights granted for all folders of a delegated account
+     *
+     * @param {ObjectId} user User ID
+     * @param {Object} mailboxData Mailbox entry
+     * @returns {String} Rights string, empty if user has no access
+     */
+    async getRightsAsync(user, mailboxData) {
+        if (mailboxData.user.equals(user)) {
+            return RIGHTS;
+        }
+
+        let grantData = await this.database
+            .collection('mailboxacl')
+            .findOne({ mailbox: mailboxData._id, user }, { projection: { rights: true }, maxTimeMS: consts.DB_MAX_TIME_MAILBOXES });
+
+        if (grantData) {
+            return grantData.rights || '';
+        }
+
+        let delegationData = await this.delegationHandler.get(mailboxData.user, user);
+        return (delegationData && delegationData.rights) || '';
+    }
+
+    /**
+     * Finds a mailbox by path. Paths in the shared namespace are resolved to mailboxes of other users.
+     * Returned mailbox object includes `rights` for the user and `shared` that is true if the user
+     * is not the owner of the mailbox
+     *
+     * @param {ObjectId} user User ID
+     * @param {String} path Mailbox path
+     * @returns {Object|null} Mailbox entry or null if mailbox was not found or user has no access
+     */
+    async getMailboxAsync(user, path) {
+        if (!this.isSharedPath(path)) {
+            let mailboxData = await this.database.collection('mailboxes').findOne({ user, path }, { maxTimeMS: consts.DB_MAX_TIME_MAILBOXES });
+            if (mailboxData) {
+                mailboxData.rights = RIGHTS;
+                mailboxData.shared = false;
+            }
+            return mailboxData;
+        }
+
+        let parsed = this.parseSharedPath(path);
+        if (!parsed.username || !parsed.path) {
+            return null;
+        }
+
+        let ownerData = await this.users
+            .collection('users')
+            .findOne({ unameview: tools.uview(parsed.username) }, { projection: { _id: true }, maxTimeMS: consts.DB_MAX_TIME_USERS });
+        if (!ownerData || ownerData._id.equals(user)) {
+            // own mailboxes are not listed in the shared namespace
+            return null;
+        }
+
+        let mailboxData = await this.database
+            .collection('mailboxes')
+            .findOne({ user: ownerData._id, path: parsed.path }, { maxTimeMS: consts.DB_MAX_TIME_MAILBOXES });
+        if (!mailboxData || mailboxData.hidden) {
+            return null;
+        }
+
+        mailboxData.rights = await this.getRightsAsync(user, mailboxData);
+        if (!mailboxData.rights) {
+            // do not reveal mailboxes the user has no access to
+            return null;
+        }
+        mailboxData.shared = true;
+
+        return mailboxData;
+    }
+
+    getMailbox(user, path, callback) {
+        this.getMailboxAsync(user, path)
+            .then(mailboxData => callback(null, mailboxData))
+            .catch(err => callback(err));
+    }
+
+    /**
+     * Finds a mailbox by ID, used for the currently selected mailbox. Returned mailbox object
+     * includes `rights` and `shared` like in getMailboxAsync
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId} mailbox Mailbox ID
+     * @returns {Object|null} Mailbox entry or null if mailbox was not found or user has no access
+     */
+    async getSelectedMailboxAsync(user, mailbox) {
+        let mailboxData = await this.database.collection('mailboxes').findOne({ _id: mailbox }, { maxTimeMS: consts.DB_MAX_TIME_MAILBOXES });
+        if (!mailboxData) {
+            return null;
+        }
+
+        mailboxData.rights = await this.getRightsAsync(user, mailboxData);
+        if (!mailboxData.rights) {
+            return null;
+        }
+        mailboxData.shared = !mailboxData.user.equals(user);
+
+        return mailboxData;
+    }
+
+    getSelectedMailbox(user, mailbox, callback) {
+        this.getSelectedMailboxAsync(user, mailbox)
+            .then(mailboxData => callback(null, mailboxData))
+            .catch(err => callback(err));
+    }
+
+    /**
+     * Lists mailboxes that other users have shared with this user, including all folders of accounts
+     * delegated to this user
+     *
+     * @param {ObjectId} user User ID
+     * @param {Object} [options]
+     * @param {Boolean} [options.subscribed] If true, then only lists subscribed mailboxes
+     * @returns {Array} List of mailbox entries where path is in the shared namespace
+     */
+    async listSharedAsync(user, options) {
+        options = options || {};
+
+        let grants = await this.database.collection('mailboxacl').find({ user }).maxTimeMS(consts.DB_MAX_TIME_MAILBOXES).toArray();
+        let delegations = await this.delegationHandler.listDelegators(user);
+        if (!grants.length && !delegations.length) {
+            return [];
+        }
+
+        let query = [{ _id: { $in: grants.map(grantData => grantData.mailbox) } }];
+        if (delegations.length) {
+            query.push({ user: { $in: delegations.map(delegationData => delegationData.user) } });
+        }
+
+        let mailboxes = await this.database
+            .collection('mailboxes')
+            .find({ $or: query, hidden: { $ne: true } })
+            .maxTimeMS(consts.DB_MAX_TIME_MAILBOXES)
+            .toArray();
+
+        let owners = await this.getUsernames(mailboxes.map(mailboxData => mailboxData.user));
+
+        let result = [];
+        for (let mailboxData of mailboxes) {
+            let username = owners.get(mailboxData.user.toString());
+            if (!username) {
+                continue;
+            }
+            let grantData = grants.find(entry => entry.mailbox.equals(mailboxData._id));
+            let delegationData = !grantData && delegations.find(entry => entry.user.equals(mailboxData.user));
+
+            let rights;
+            let subscribed;
+            if (grantData) {
+                rights = grantData.rights;
+                subscribed = !!grantData.subscribed;
+            } else if (delegationData) {
+                // folders of a delegated account follow the subscriptions of the account owner
+                rights = delegationData.rights || '';
+                subscribed = !!mailboxData.subscribed;
+            }
+
+            if (!rights || !rights.includes('l') || (options.subscribed && !subscribed)) {
+                continue;
+            }
+
+            mailboxData.path = this.getSharedPath(username, mailboxData.path);
+            // special use flags apply to the owner only
+            delete mailboxData.specialUse;
+            mailboxData.subscribed = subscribed;
+            mailboxData.rights = rights;
+            mailboxData.shared = true;
+
+            result.push(mailboxData);
+        }
+
+        return result;
+    }
+
+    listShared(user, options, callback) {
+        this.listSharedAsync(user, options)
+            .then(list => callback(null, list))
+            .catch(err => callback(err));
+    }
+
+    /**
+     * Subscribes to or unsubscribes from a shared mailbox. Subscriptions are stored per user,
+     * so these do not affect the subscriptions of the owner. Folders of a delegated account follow
+     * the subscriptions of the owner, so subscription changes for these are accepted but not stored
+     *
+     * @param {ObjectId} user User ID
+     * @param {Object} mailboxData Shared mailbox entry
+     * @param {Boolean} subscribed Subscription status
+     * @returns {Boolean} true if subscription was updated
+     */
+    async setSubscribed(user, mailboxData, subscribed) {
+        let r = await this.database.collection('mailboxacl').updateOne({ mailbox: mailboxData._id, user }, { $set: { subscribed: !!subscribed } });
+        if (r.matchedCount) {
+            return true;
+        }
+
+        return !!(await this.delegationHandler.get(mailboxData.user, user));
+    }
+
+    /**
+     * Lists all rights set for a mailbox, including the owner
+     *
+     * @param {Object} mailboxData Mailbox entry
+     * @returns {Array} List of entries {id, user, username, rights, owner, created, updated}
+     */
+    async listAcl(mailboxData) {
+        let grants = await this.database
+            .collection('mailboxacl')
+            .find({ mailbox: mailboxData._id })
+            .sort({ _id: 1 })
+            .maxTimeMS(consts.DB_MAX_TIME_MAILBOXES)
+            .toArray();
+
+        let usernames = await this.getUsernames([mailboxData.user].concat(grants.map(grantData => grantData.user)));
+
+        return [
+            {
+                user: mailboxData.user,
+                username: usernames.get(mailboxData.user.toString()) || '',
+                rights: RIGHTS,
+                owner: true
+            }
+        ].concat(
+            grants.map(grantData => ({
+                id: grantData._id,
+                user: grantData.user,
+                username: usernames.get(grantData.user.toString()) || '',
+                rights: grantData.rights,
+                owner: false,
+                created: grantData.created,
+                updated: grantData.updated
+            }))
+        );
+    }
+
+    /**
+     * Sets rights for a user
+     *
+     * @param {Object} mailboxData Mailbox entry
+     * @param {ObjectId} user ID of the user to grant rights to
+     * @param {String} rights Rights string
+     * @param {String} [modifier] Either "+" to add rights, "-" to remove rights or empty to replace existing rights
+     * @returns {String} Rights after the update, empty if the entry was removed
+     */
+    async setAcl(mailboxData, user, rights, modifier) {
+        if (mailboxData.user.equals(user)) {
+            let err = new Error('Rights of the mailbox owner can not be changed');
+            err.code = 'OwnerRights';
+            err.responseCode = 400;
+            err.imapResponse = 'CANNOT';
+            throw err;
+        }
+
+        rights = normalizeRights(rights);
+
+        let grantData = await this.database.collection('mailboxacl').findOne({ mailbox: mailboxData._id, user });
+        let current = (grantData && grantData.rights) || '';
+
+        switch (modifier) {
+            case '+':
+                rights = normalizeRights(current + rights);
+                break;
+            case '-':
+                rights = current
+                    .split('')
+                    .filter(right => !rights.includes(right))
+                    .join('');
+                break;
+        }
+
+        if (!rights) {
+            await this.deleteAcl(mailboxData, user);
+            return '';
+        }
+
+        if (!grantData) {
+            let count = await this.database.collection('mailboxacl').countDocuments({ mailbox: mailboxData._id });
+            if (count >= consts.MAX_MAILBOX_GRANTS) {
+                let err = new Error(`Mailbox can not be shared with more than ${consts.MAX_MAILBOX_GRANTS} users`);
+                err.code = 'TooManyGrants';
+                err.responseCode = 400;
+                err.imapResponse = 'LIMIT';
+                throw err;
+            }
+        }
+
+        let now = new Date();
+        await this.database.collection('mailboxacl').updateOne(
+            { mailbox: mailboxData._id, user },
+            {
+                $set: {
+                    owner: mailboxData.user,
+                    rights,
+                    updated: now
+                },
+                $setOnInsert: {
+                    subscribed: false,
+                    created: now
+                }
+            },
+            { upsert: true }
+        );
+
+        this.loggelf({
+            short_message: '[ACL] set',
+            _mail_action: 'acl_set',
+            _user: mailboxData.user,
+            _mailbox: mailboxData._id,
+            _grantee: user,
+            _rights: rights
+        });
+
+        return rights;
+    }
+
+    /**
+     * Removes all rights of a user
+     *
+     * @param {Object} mailboxData Mailbox entry
+     * @param {ObjectId} user ID of the user to remove rights from
+     * @returns {Boolean} true if an entry was removed
+     */
+    async deleteAcl(mailboxData, user) {
+        let r = await this.database.collection('mailboxacl').deleteOne({ mailbox: mailboxData._id, user });
+
+        if (r.deletedCount) {
+            this.loggelf({
+                short_message: '[ACL] delete',
+                _mail_action: 'acl_delete',
+                _user: mailboxData.user,
+                _mailbox: mailboxData._id,
+                _grantee: user
+            });
+        }
+
+        return !!r.deletedCount;
+    }
+
+    /**
+     * Copies rights from one mailbox to another, used for mailboxes that are created under a shared mailbox
+     *
+     * @param {ObjectId} source Mailbox ID to copy rights from
+     * @param {ObjectId} target Mailbox ID to copy rights to
+     */
+    async copyAcl(source, target) {
+        let grants = await this.database.collection('mailboxacl').find({ mailbox: source }).toArray();
+        if (!grants.length) {
+            return;
+        }
+
+        let now = new Date();
+        await this.database.collection('mailboxacl').insertMany(
+            grants.map(grantData => ({
+                mailbox: target,
+                owner: grantData.owner,
+                user: grantData.user,
+                rights: grantData.rights,
+                subscribed: false,
+                created: now,
+                updated: now
+            }))
+        );
+    }
+
+    async deleteMailbox(mailbox) {
+        let r = await this.database.collection('mailboxacl').deleteMany({ mailbox });
+        return r.deletedCount;
+    }
+
+    async deleteUser(user) {
+        let r = await this.database.collection('mailboxacl').deleteMany({ $or: [{ user }, { owner: user }] });
+        return r.deletedCount;
+    }
+
+    async getUsernames(users) {
+        let list = await this.users
+            .collection('users')
+            .find({ _id: { $in: users } }, { projection: { _id: true, username: true } })
+            .maxTimeMS(consts.DB_MAX_TIME_USERS)
+            .toArray();
+
+        return new Map(list.map(userData => [userData._id.toString(), userData.username]));
+    }
+}
+
+module.exports = AclHandler;
+module.exports.RIGHTS = RIGHTS;
+module.exports.normalizeRights = normalizeRights;
+module.exports.hasRights = hasRights;
+module.exports.filterFlags = filterFlags;
@@ -0,0 +1,78 @@
+'use strict';
+
+// RFC4314 rights in canonical order
+const RIGHTS = 'lrswipkxtea';
+
+// obsolete RFC2086 rights are expanded to the rights these were split into (RFC4314 2.1.1)
+const VIRTUAL_RIGHTS = new Map([
+    ['c', 'kx'],
+    ['d', 'et']
+]);
+
+/**
+ * Validates and normalizes a rights string. Obsolete rights are expanded and rights are sorted
+ *
+ * @param {String} rights Rights string, eg. "rl"
+ * @returns {String} Normalized rights string, eg. "lr"
+ */
+function normalizeRights(rights) {
+    let list = new Set();
+    for (let right of (rights || '').toString()) {
+        if (VIRTUAL_RIGHTS.has(right)) {
+            VIRTUAL_RIGHTS.get(right)
+                .split('')
+                .forEach(r => list.add(r));
+        } else if (RIGHTS.includes(right)) {
+            list.add(right);
+        } else {
+            let err = new Error(`Unknown right "${right}"`);
+            err.code = 'InvalidRights';
+            err.responseCode = 400;
+            throw err;
+        }
+    }
+
+    return RIGHTS.split('')
+        .filter(right => list.has(right))
+        .join('');
+}
+
+/**
+ * Checks if rights string includes all required rights
+ *
+ * @param {String} rights Rights string
+ * @param {String} required Required rights
+ * @returns {Boolean} true if all required rights are included
+ */
+function hasRights(rights, required) {
+    return required.split('').every(right => (rights || '').includes(right));
+}
+
+/**
+ * Removes flags the user is not allowed to set. \Seen requires "s", \Deleted requires "t" and all
+ * other flags require "w"
+ *
+ * @param {Array} flags List of flags
+ * @param {String} rights Rights string
+ * @returns {Array} Allowed flags
+ */
+function filterFlags(flags, rights) {
+    return [].concat(flags || []).filter(flag => {
+        switch (flag) {
+            case '\\Seen':
+                return rights.includes('s');
+            case '\\Deleted':
+                return rights.includes('t');
+            default:
+                return rights.includes('w');
+        }
+    });
+}
+
+module.exports = {
+    RIGHTS,
+    VIRTUAL_RIGHTS,
+    normalizeRights,
+    hasRights,
+    filterFlags
+};
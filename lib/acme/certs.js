@@ -6,6 +6,7 @@ const { pem2jwk } = require('pem-jwk');
 const CSR = require('@root/csr');
 const { Certificate } = require('@fidm/x509');
 const AcmeChallenge = require('./acme-challenge');
+const DnsChallenge = require('./dns-challenge');
 const pkg = require('../../package.json');
 const { normalizeDomain } = require('../tools');
 const Lock = require('ioredfour');
@@ -120,11 +121,16 @@ const getAcmeAccount = async (acmeOptions, certHandler) => {
     };
 };
 
+const isWildcard = domain => /^\*\./.test(domain);
+
 const validateDomain = async (domain, certHandler) => {
+    // wildcard names are validated and CAA checked by the base domain
+    const baseDomain = domain.replace(/^\*\./, '');
+
     // check domain name format
     const validation = Joi.string()
         .domain({ tlds: { allow: true } })
-        .validate(domain);
+        .validate(baseDomain);
 
     if (validation.error) {
         // invalid domain name, can not create certificate
@@ -138,7 +144,7 @@ const validateDomain = async (domain, certHandler) => {
     const caaDomains = certHandler.acme?.caaDomains.map(normalizeDomain).filter(d => d);
 
     if (caaDomains?.length) {
-        let parts = domain.split('.');
+        let parts = baseDomain.split('.');
         for (let i = 0; i < parts.length - 1; i++) {
             let subdomain = parts.slice(i).join('.');
             let caaRes;
@@ -164,6 +170,29 @@ const validateDomain = async (domain, certHandler) => {
     return true;
 };
 
+const getChallenges = (domain, acmeOptions, certHandler) => {
+    const dnsOptions = acmeOptions.dns || {};
+
+    if (acmeOptions.challenge === 'dns-01' || isWildcard(domain)) {
+        if (!dnsOptions.provider) {
+            let err = new Error(`DNS provider for dns-01 challenges is not configured, can not validate ${domain}`);
+            err.responseCode = 400;
+            err.code = 'DnsProviderError';
+            throw err;
+        }
+
+        return {
+            'dns-01': DnsChallenge.create(dnsOptions)
+        };
+    }
+
+    return {
+        'http-01': AcmeChallenge.create({
+            db: certHandler.database
+        })
+    };
+};
+
 const acquireCert = async (domain, acmeOptions, certificateData, certHandler) => {
     const domainSafeLockKey = `d:lock:safe:${domain}`;
     const domainOpLockKey = `d:lock:op:${domain}`;
@@ -233,11 +262,7 @@ const acquireCert = async (domain, acmeOptions, certificateData, certHandler) =>
             accountKey: jwkAccount,
             csr,
             domains: [domain],
-            challenges: {
-                'http-01': AcmeChallenge.create({
-                    db: certHandler.database
-                })
-            }
+            challenges: getChallenges(domain, acmeOptions, certHandler)
         };
 
         const aID = ((acmeAccount && acmeAccount.account && acmeAccount.account.key && acmeAccount.account.key.kid) || '').split('/acct/').pop();
@@ -370,5 +395,6 @@ const getCertificate = async (domain, acmeOptions, certHandler) => {
 
 module.exports = {
     getCertificate,
-    acquireCert
+    acquireCert,
+    getChallenges
 };
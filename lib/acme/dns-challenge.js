@@ -0,0 +1,85 @@
+'use strict';
+
+const log = require('npmlog');
+const Rfc2136Provider = require('./dns-providers/rfc2136-provider');
+const HttpProvider = require('./dns-providers/http-provider');
+
+const PROVIDERS = new Map([
+    ['rfc2136', Rfc2136Provider],
+    ['http', HttpProvider]
+]);
+
+// Seconds to wait for the published records to reach all authoritative nameservers
+const DEFAULT_PROPAGATION_DELAY = 30;
+
+/**
+ * dns-01 challenge handler for ACME. Challenge records are published using a DNS provider,
+ * this is required for wildcard certificates and for hosts that are not reachable on port 80.
+ */
+class DnsChallenge {
+    static create(config = {}) {
+        return new DnsChallenge(config);
+    }
+
+    constructor(config) {
+        this.config = config;
+
+        let Provider = PROVIDERS.get(config.provider);
+        if (!Provider) {
+            let err = new Error('Unknown DNS provider "' + config.provider + '"');
+            err.code = 'DnsProviderError';
+            throw err;
+        }
+
+        this.provider = new Provider(config[config.provider]);
+
+        // ACME client expects the delay in milliseconds
+        this.propagationDelay = (typeof config.propagationDelay === 'number' ? config.propagationDelay : DEFAULT_PROPAGATION_DELAY) * 1000;
+
+        // published values are kept in memory for get()
+        this.records = new Map();
+    }
+
+    init(/*opts*/) {
+        // not much to do here
+        return null;
+    }
+
+    async zones(/*opts*/) {
+        return await this.provider.zones();
+    }
+
+    async set(opts) {
+        const { challenge } = opts;
+        const { dnsHost, dnsAuthorization, dnsZone, altname } = challenge;
+
+        log.info('ACME', 'Publishing dns-01 challenge for %s to %s using %s', altname, dnsHost, this.provider.type);
+        await this.provider.setRecord(dnsHost, dnsAuthorization, dnsZone);
+        this.records.set(dnsHost + ':' + dnsAuthorization, true);
+
+        return true;
+    }
+
+    async get(query) {
+        const { challenge } = query;
+        const { dnsHost, dnsAuthorization } = challenge;
+
+        if (!this.records.has(dnsHost + ':' + dnsAuthorization)) {
+            return null;
+        }
+
+        return { dnsAuthorization };
+    }
+
+    async remove(opts) {
+        const { challenge } = opts;
+        const { dnsHost, dnsAuthorization, dnsZone } = challenge;
+
+        this.records.delete(dnsHost + ':' + dnsAuthorization);
+        await this.provider.removeRecord(dnsHost, dnsAuthorization, dnsZone);
+
+        return;
+    }
+}
+
+module.exports = DnsChallenge;
@@ -0,0 +1,71 @@
+'use strict';
+
+const axios = require('axios');
+const packageData = require('../../../package.json');
+
+const DEFAULT_TTL = 60;
+const DEFAULT_TIMEOUT = 10 * 1000;
+
+/**
+ * Publishes challenge TXT records by calling an external HTTP API. This is a generic hook for DNS
+ * hosting services that do not support dynamic updates.
+ *
+ * For every change a POST request is made to the configured URL with a JSON body
+ * {action, name, value, ttl, zone} where action is either "set" or "remove". Any 2xx response is
+ * considered a success.
+ */
+class HttpProvider {
+    constructor(options) {
+        options = options || {};
+
+        this.type = 'http';
+
+        if (!options.url) {
+            throw new Error('DNS API URL is not set');
+        }
+
+        this.url = options.url;
+        this.token = options.token || false;
+        this.ttl = Number(options.ttl) || DEFAULT_TTL;
+        this.timeout = Number(options.timeout) || DEFAULT_TIMEOUT;
+        this.zone = options.zone || false;
+    }
+
+    async zones() {
+        return this.zone ? [this.zone] : [];
+    }
+
+    async setRecord(name, value, zone) {
+        await this.request({ action: 'set', name, value, ttl: this.ttl, zone: zone || this.zone || null });
+    }
+
+    async removeRecord(name, value, zone) {
+        await this.request({ action: 'remove', name, value, zone: zone || this.zone || null });
+    }
+
+    async request(payload) {
+        let headers = {
+            'User-Agent': `${packageData.name}/${packageData.version} (+${packageData.homepage})`
+        };
+
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        try {
+            await axios.post(this.url, payload, {
+                timeout: this.timeout,
+                headers
+            });
+        } catch (E) {
+            let err = new Error(`DNS API request to ${payload.action} ${payload.name} failed. ${E.message}`);
+            err.code = 'DnsUpdateFailed';
+            if (E.response) {
+                err.statusCode = E.response.status;
+            }
+            throw err;
+        }
+    }
+}
+
+module.exports = HttpProvider;
@@ -0,0 +1,368 @@
+/* eslint no-bitwise: 0 */
+
+'use strict';
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const config = require('wild-config');
+const { Resolver } = require('dns').promises;
+
+const TYPE_SOA = 6;
+const TYPE_TXT = 16;
+const TYPE_TSIG = 250;
+
+const CLASS_IN = 1;
+const CLASS_NONE = 254;
+const CLASS_ANY = 255;
+
+const OPCODE_UPDATE = 5;
+
+const RCODES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED', 'YXDOMAIN', 'YXRRSET', 'NXRRSET', 'NOTAUTH', 'NOTZONE'];
+
+// TSIG algorithm names (RFC8945) mapped to node crypto digests
+const TSIG_ALGORITHMS = new Map([
+    ['hmac-sha1', 'sha1'],
+    ['hmac-sha256', 'sha256'],
+    ['hmac-sha512', 'sha512']
+]);
+
+const DEFAULT_TTL = 60;
+const DEFAULT_TIMEOUT = 10 * 1000;
+const TSIG_FUDGE = 300;
+
+/**
+ * Publishes challenge TXT records using DNS dynamic updates (RFC2136), optionally signed with a TSIG key
+ */
+class Rfc2136Provider {
+    constructor(options) {
+        options = options || {};
+
+        this.type = 'rfc2136';
+
+        if (!options.server) {
+            throw new Error('DNS update server is not set');
+        }
+
+        this.server = options.server;
+        this.port = Number(options.port) || 53;
+        this.zone = options.zone ? normalizeName(options.zone) : false;
+        this.ttl = Number(options.ttl) || DEFAULT_TTL;
+        this.timeout = Number(options.timeout) || DEFAULT_TIMEOUT;
+        this.tcp = !!options.tcp;
+
+        if (options.keyName) {
+            let algorithm = (options.keyAlgorithm || 'hmac-sha256').toLowerCase();
+            if (!TSIG_ALGORITHMS.has(algorithm)) {
+                throw new Error('Unsupported TSIG algorithm "' + algorithm + '"');
+            }
+            this.tsig = {
+                name: normalizeName(options.keyName),
+                algorithm,
+                secret: Buffer.from(options.keySecret || '', 'base64')
+            };
+        }
+
+        this.resolver = new Resolver();
+        if (config.resolver && config.resolver.ns && config.resolver.ns.length) {
+            this.resolver.setServers([].concat(config.resolver.ns || []));
+        }
+    }
+
+    async zones() {
+        return this.zone ? [this.zone] : [];
+    }
+
+    /**
+     * Adds a TXT record
+     *
+     * @param {String} name Record name, eg. "_acme-challenge.example.com"
+     * @param {String} value TXT value
+     * @param {String} [zone] Zone the record belongs to, detected if not set
+     */
+    async setRecord(name, value, zone) {
+        await this.update(name, value, zone, false);
+    }
+
+    /**
+     * Removes a TXT record with a specific value, other TXT records for the same name are kept
+     *
+     * @param {String} name Record name
+     * @param {String} value TXT value
+     * @param {String} [zone] Zone the record belongs to, detected if not set
+     */
+    async removeRecord(name, value, zone) {
+        await this.update(name, value, zone, true);
+    }
+
+    async update(name, value, zone, remove) {
+        name = normalizeName(name);
+        zone = zone ? normalizeName(zone) : this.zone || (await this.findZone(name));
+
+        let message = encodeUpdate({
+            id: crypto.randomBytes(2).readUInt16BE(0),
+            zone,
+            name,
+            value,
+            ttl: this.ttl,
+            remove
+        });
+
+        if (this.tsig) {
+            message = signMessage(message, this.tsig, Math.floor(Date.now() / 1000));
+        }
+
+        let response = this.tcp ? await this.sendTcp(message) : await this.sendUdp(message);
+        if (!this.tcp && response.readUInt16BE(2) & 0x0200) {
+            // truncated response, retry over TCP
+            response = await this.sendTcp(message);
+        }
+
+        let rcode = response.readUInt16BE(2) & 0x000f;
+        if (response.readUInt16BE(0) !== message.readUInt16BE(0)) {
+            let err = new Error('Unexpected DNS update response');
+            err.code = 'DnsUpdateFailed';
+            throw err;
+        }
+
+        if (rcode) {
+            let err = new Error(`DNS update for ${name} failed with ${RCODES[rcode] || rcode}`);
+            err.code = 'DnsUpdateFailed';
+            err.rcode = RCODES[rcode] || rcode;
+            throw err;
+        }
+    }
+
+    // finds the closest enclosing zone by looking up SOA records
+    async findZone(name) {
+        let labels = name.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            let candidate = labels.slice(i).join('.');
+            try {
+                let soa = await this.resolver.resolveSoa(candidate);
+                if (soa) {
+                    return candidate;
+                }
+            } catch (err) {
+                // no SOA for this name, try parent
+            }
+        }
+
+        let err = new Error(`Could not detect DNS zone for ${name}`);
+        err.code = 'DnsUpdateFailed';
+        throw err;
+    }
+
+    sendUdp(message) {
+        return new Promise((resolve, reject) => {
+            let socket = dgram.createSocket(net.isIPv6(this.server) ? 'udp6' : 'udp4');
+            let finished = false;
+            let timer;
+
+            let done = (err, response) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                clearTimeout(timer);
+                socket.close();
+                if (err) {
+                    return reject(err);
+                }
+                resolve(response);
+            };
+
+            timer = setTimeout(() => {
+                let err = new Error('DNS update timed out');
+                err.code = 'DnsUpdateFailed';
+                done(err);
+            }, this.timeout);
+
+            socket.on('error', err => done(err));
+            socket.on('message', response => {
+                if (response.length < 12) {
+                    return;
+                }
+                done(null, response);
+            });
+
+            socket.send(message, this.port, this.server, err => {
+                if (err) {
+                    return done(err);
+                }
+            });
+        });
+    }
+
+    sendTcp(message) {
+        return new Promise((resolve, reject) => {
+            let chunks = [];
+            let chunklen = 0;
+            let finished = false;
+
+            let socket = net.connect({ host: this.server, port: this.port });
+            socket.setTimeout(this.timeout);
+
+            let done = (err, response) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                socket.destroy();
+                if (err) {
+                    return reject(err);
+                }
+                resolve(response);
+            };
+
+            socket.on('connect', () => {
+                let length = Buffer.alloc(2);
+                length.writeUInt16BE(message.length, 0);
+                socket.write(Buffer.concat([length, message]));
+            });
+
+            socket.on('data', chunk => {
+                chunks.push(chunk);
+                chunklen += chunk.length;
+                if (chunklen >= 2) {
+                    let data = Buffer.concat(chunks, chunklen);
+                    let length = data.readUInt16BE(0);
+                    if (data.length >= length + 2) {
+                        return done(null, data.slice(2, length + 2));
+                    }
+                }
+            });
+
+            socket.on('timeout', () => {
+                let err = new Error('DNS update timed out');
+                err.code = 'DnsUpdateFailed';
+                done(err);
+            });
+            socket.on('error', err => done(err));
+            socket.on('end', () => {
+                let err = new Error('Unexpected end of DNS update response');
+                err.code = 'DnsUpdateFailed';
+                done(err);
+            });
+        });
+    }
+}
+
+function normalizeName(name) {
+    return (name || '').toString().toLowerCase().trim().replace(/\.$/, '');
+}
+
+function encodeName(name) {
+    let parts = [];
+    for (let label of normalizeName(name)
+        .split('.')
+        .filter(label => label)) {
+        let buf = Buffer.from(label);
+        if (buf.length > 63) {
+            throw new Error('Invalid DNS name ' + name);
+        }
+        parts.push(Buffer.from([buf.length]), buf);
+    }
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+// TXT rdata is a list of length prefixed strings of up to 255 bytes each
+function encodeTxt(value) {
+    let buf = Buffer.from(value);
+    let parts = [];
+    for (let i = 0; i < buf.length || !parts.length; i += 255) {
+        let chunk = buf.slice(i, i + 255);
+        parts.push(Buffer.from([chunk.length]), chunk);
+    }
+    return Buffer.concat(parts);
+}
+
+function encodeRecord(name, type, cls, ttl, rdata) {
+    let header = Buffer.alloc(10);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt16BE(cls, 2);
+    header.writeUInt32BE(ttl, 4);
+    header.writeUInt16BE(rdata.length, 8);
+    return Buffer.concat([encodeName(name), header, rdata]);
+}
+
+/**
+ * Encodes a DNS UPDATE message that adds or removes a single TXT record
+ *
+ * @param {Object} options Update options
+ * @param {Number} options.id Message ID
+ * @param {String} options.zone Zone name
+ * @param {String} options.name Record name
+ * @param {String} options.value TXT value
+ * @param {Number} options.ttl Record TTL
+ * @param {Boolean} [options.remove] If true then removes the record instead of adding it
+ * @returns {Buffer} Encoded message
+ */
+function encodeUpdate(options) {
+    let header = Buffer.alloc(12);
+    header.writeUInt16BE(options.id, 0);
+    header.writeUInt16BE(OPCODE_UPDATE << 11, 2);
+    header.writeUInt16BE(1, 4); // ZOCOUNT
+    header.writeUInt16BE(0, 6); // PRCOUNT
+    header.writeUInt16BE(1, 8); // UPCOUNT
+    header.writeUInt16BE(0, 10); // ADCOUNT
+
+    let zone = Buffer.alloc(4);
+    zone.writeUInt16BE(TYPE_SOA, 0);
+    zone.writeUInt16BE(CLASS_IN, 2);
+
+    let rdata = encodeTxt(options.value);
+    let record = options.remove
+        ? // class NONE deletes an RR from an RRset (RFC2136 2.5.4)
+          encodeRecord(options.name, TYPE_TXT, CLASS_NONE, 0, rdata)
+        : encodeRecord(options.name, TYPE_TXT, CLASS_IN, options.ttl, rdata);
+
+    return Buffer.concat([header, encodeName(options.zone), zone, record]);
+}
+
+/**
+ * Appends a TSIG record (RFC8945) to an encoded message
+ *
+ * @param {Buffer} message Encoded message
+ * @param {Object} key TSIG key {name, algorithm, secret}
+ * @param {Number} time Signing time as unix timestamp
+ * @returns {Buffer} Signed message
+ */
+function signMessage(message, key, time) {
+    let algorithmName = encodeName(key.algorithm);
+    let keyName = encodeName(key.name);
+
+    let timeSigned = Buffer.alloc(8);
+    timeSigned.writeUInt16BE(Math.floor(time / 0x100000000), 0);
+    timeSigned.writeUInt32BE(time % 0x100000000, 2);
+    timeSigned.writeUInt16BE(TSIG_FUDGE, 6);
+
+    // error and other len, both zero
+    let trailer = Buffer.alloc(4);
+
+    let variables = Buffer.alloc(6);
+    variables.writeUInt16BE(CLASS_ANY, 0);
+    variables.writeUInt32BE(0, 2);
+
+    let mac = crypto
+        .createHmac(TSIG_ALGORITHMS.get(key.algorithm), key.secret)
+        .update(Buffer.concat([message, keyName, variables, algorithmName, timeSigned, trailer]))
+        .digest();
+
+    let macSize = Buffer.alloc(2);
+    macSize.writeUInt16BE(mac.length, 0);
+
+    let originalId = message.slice(0, 2);
+
+    let rdata = Buffer.concat([algorithmName, timeSigned, macSize, mac, originalId, trailer]);
+
+    let signed = Buffer.concat([message, encodeRecord(key.name, TYPE_TSIG, CLASS_ANY, 0, rdata)]);
+    signed.writeUInt16BE(message.readUInt16BE(10) + 1, 10);
+
+    return signed;
+}
+
+module.exports = Rfc2136Provider;
+module.exports.encodeUpdate = encodeUpdate;
+module.exports.signMessage = signMessage;
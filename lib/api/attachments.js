@@ -0,0 +1,220 @@
+'use strict';
+
+const Joi = require('joi');
+const tools = require('../tools');
+const roles = require('../roles');
+const ObjectId = require('mongodb').ObjectId;
+const TaskHandler = require('../task-handler');
+const { sessSchema, sessIPSchema } = require('../schemas');
+const { successRes } = require('../schemas/response/general-schemas');
+
+const ACTIVE_STATUSES = ['queued', 'copying', 'cleanup'];
+
+module.exports = (db, server, messageHandler) => {
+    const taskHandler = new TaskHandler({ database: db.database });
+
+    server.post(
+        {
+            path: '/attachments/migrations',
+            tags: ['Attachments'],
+            summary: 'Start attachment migration',
+            name: 'createAttachmentMigration',
+            description:
+                'Starts a background task that moves stored attachment contents to the currently configured attachment storage backend. Attachments remain readable while the migration is running.',
+            validationObjs: {
+                requestBody: {
+                    batchSize: Joi.number().integer().min(1).max(1000).empty('').description('How many attachments to process between progress checkpoints'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {},
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            id: Joi.string().required().description('ID of the Migration'),
+                            task: Joi.string().required().description('Task ID')
+                        }).$_setFlag('objectName', 'CreateAttachmentMigrationResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            req.validate(roles.can(req.role).updateAny('attachments'));
+
+            let target = messageHandler.attachmentStorage.type;
+            if (!['s3', 'fs'].includes(target)) {
+                res.status(400);
+                return res.json({
+                    error: 'Attachments can only be migrated to S3 or filesystem storage',
+                    code: 'StorageError'
+                });
+            }
+
+            let existing = await db.database.collection('attachmentmigrations').findOne({ status: { $in: ACTIVE_STATUSES } }, { projection: { _id: true } });
+            if (existing) {
+                res.status(400);
+                return res.json({
+                    error: 'Another attachment migration is already running',
+                    code: 'MigrationInProgress',
+                    id: existing._id.toString()
+                });
+            }
+
+            let migrationData = {
+                target,
+                status: 'queued',
+                batchSize: result.value.batchSize,
+                created: new Date(),
+                processed: 0,
+                migrated: 0,
+                skipped: 0,
+                failed: 0,
+                cleaned: 0,
+                bytes: 0
+            };
+
+            let r = await db.database.collection('attachmentmigrations').insertOne(migrationData);
+            let migration = r.insertedId;
+
+            let task = await taskHandler.add('attachment-migrate', { migration });
+
+            return res.json({
+                success: true,
+                id: migration.toString(),
+                task: task.toString()
+            });
+        })
+    );
+
+    server.get(
+        {
+            path: '/attachments/migrations/:migration',
+            tags: ['Attachments'],
+            summary: 'Request attachment migration info',
+            name: 'getAttachmentMigration',
+            description: 'This method returns the status and progress of an attachment migration',
+            validationObjs: {
+                requestBody: {},
+                queryParams: {
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                pathParams: {
+                    migration: Joi.string().hex().lowercase().length(24).required().description('ID of the Migration')
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            id: Joi.string().required().description('ID of the Migration'),
+                            target: Joi.string().required().description('Storage type attachments are moved to'),
+                            status: Joi.string()
+                                .required()
+                                .valid('queued', 'copying', 'cleanup', 'finished', 'finished_with_errors', 'failed')
+                                .description(
+                                    'Migration status. "copying" means that attachments are being copied, "cleanup" means that previous contents of copied attachments are being deleted, "finished_with_errors" means that some attachments could not be moved'
+                                ),
+                            created: Joi.date().required().description('Datestring of the time the migration was created'),
+                            started: Joi.date().description('Datestring of the time the migration was started'),
+                            finished: Joi.date().description('Datestring of the time the migration was finished'),
+                            processed: Joi.number().required().description('How many attachment entries have been processed'),
+                            migrated: Joi.number().required().description('How many attachments were moved to the target storage'),
+                            skipped: Joi.number().required().description('How many attachments did not need to be moved'),
+                            failed: Joi.number()
+                                .required()
+                                .description('How many attachments failed to move. Failed attachments stay in their previous storage'),
+                            cleaned: Joi.number().required().description('How many previous attachment contents have been deleted'),
+                            bytes: Joi.number().required().description('Total size of moved attachment contents in bytes'),
+                            lastError: Joi.string().description('Latest error message for a failed attachment'),
+                            error: Joi.string().description('Error message if the migration failed')
+                        }).$_setFlag('objectName', 'GetAttachmentMigrationResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            req.validate(roles.can(req.role).readAny('attachments'));
+
+            let migrationData = await db.database.collection('attachmentmigrations').findOne({ _id: new ObjectId(result.value.migration) });
+            if (!migrationData) {
+                res.status(404);
+                return res.json({
+                    error: 'Migration not found',
+                    code: 'MigrationNotFound'
+                });
+            }
+
+            return res.json({
+                success: true,
+                id: migrationData._id.toString(),
+                target: migrationData.target,
+                status: migrationData.status,
+                created: migrationData.created.toISOString(),
+                started: migrationData.started && migrationData.started.toISOString(),
+                finished: migrationData.finished && migrationData.finished.toISOString(),
+                processed: migrationData.processed,
+                migrated: migrationData.migrated,
+                skipped: migrationData.skipped,
+                failed: migrationData.failed,
+                cleaned: migrationData.cleaned,
+                bytes: migrationData.bytes,
+                lastError: migrationData.lastError,
+                error: migrationData.error
+            });
+        })
+    );
+};
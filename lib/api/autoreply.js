@@ -8,6 +8,7 @@ const { sessSchema, sessIPSchema, booleanSchema } = require('../schemas');
 const { publish, AUTOREPLY_USER_DISABLED, AUTOREPLY_USER_ENABLED } = require('../events');
 const { userId } = require('../schemas/request/general-schemas');
 const { successRes } = require('../schemas/response/general-schemas');
+const { AutoreplySchedule, AutoreplyTimezone, AutoreplyInternalDomains, AutoreplyExternal } = require('../schemas/request/autoreply-schemas');
 
 module.exports = (db, server) => {
     server.put(
@@ -37,6 +38,11 @@ module.exports = (db, server) => {
                         .description('HTML formatted content of the autoreply message'),
                     start: Joi.date().empty('').allow(false).description('Datestring of the start of the autoreply or boolean false to disable start checks'),
                     end: Joi.date().empty('').allow(false).description('Datestring of the end of the autoreply or boolean false to disable end checks'),
+                    schedule: AutoreplySchedule,
+                    timezone: AutoreplyTimezone,
+                    internalDomains: AutoreplyInternalDomains,
+                    external: AutoreplyExternal,
+                    contactsOnly: booleanSchema.description('If true, then external senders only get a reply if the user has sent mail to them before'),
                     sess: sessSchema,
                     ip: sessIPSchema
                 },
@@ -183,6 +189,11 @@ module.exports = (db, server) => {
                                 .description('HTML formatted content of the autoreply message'),
                             start: Joi.date().empty('').description('Datestring of the start of the autoreply or boolean false to disable start checks'),
                             end: Joi.date().empty('').description('Datestring of the end of the autoreply or boolean false to disable end checks'),
+                            schedule: AutoreplySchedule,
+                            timezone: Joi.string().description('Timezone name for the schedule'),
+                            internalDomains: AutoreplyInternalDomains,
+                            external: AutoreplyExternal,
+                            contactsOnly: booleanSchema.description('If true, then external senders only get a reply if the user has sent mail to them before'),
                             created: Joi.date().description('Datestring of when the Autoreply was created')
                         }).$_setFlag('objectName', 'GetAutoreplyResponse')
                     }
@@ -235,6 +246,11 @@ module.exports = (db, server) => {
                 html: entry.html || '',
                 start: entry.start || undefined,
                 end: entry.end || undefined,
+                schedule: entry.schedule || undefined,
+                timezone: entry.timezone || undefined,
+                internalDomains: entry.internalDomains || undefined,
+                external: entry.external || undefined,
+                contactsOnly: entry.contactsOnly || undefined,
                 created: entry.created || entry._id?.getTimestamp() || undefined
             });
         })
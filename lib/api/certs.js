@@ -21,6 +21,16 @@ const privateKeySchema = Joi.string()
     .trim()
     .regex(/^-+BEGIN (RSA )?PRIVATE KEY-+\s/, 'Certificate key format');
 
+// wildcard server names are allowed for certificates issued using dns-01 challenges
+const servernameSchema = Joi.string()
+    .empty('')
+    .custom((value, helpers) => {
+        if (Joi.string().hostname().validate(value.replace(/^\*\./, '')).error) {
+            return helpers.error('string.hostname');
+        }
+        return value;
+    }, 'Server name');
+
 module.exports = (db, server) => {
     const certHandler = new CertHandler({
         cipher: config.certs && config.certs.cipher,
@@ -314,7 +324,12 @@ module.exports = (db, server) => {
                 pathParams: {},
                 queryParams: {},
                 requestBody: {
-                    servername: Joi.string().empty('').hostname().required().label('ServerName').description('Server name this TLS certificate applies to'),
+                    servername: servernameSchema
+                        .required()
+                        .label('ServerName')
+                        .description(
+                            'Server name this TLS certificate applies to. Wildcard names (eg. "*.mail.example.com") require ACME to be configured with a DNS provider'
+                        ),
 
                     privateKey: Joi.string()
                         .when('acme', {
@@ -416,6 +431,14 @@ module.exports = (db, server) => {
             // permissions check
             req.validate(roles.can(req.role).createAny('certs'));
 
+            if (result.value.acme && /^\*\./.test(result.value.servername) && !(config.acme && config.acme.dns && config.acme.dns.provider)) {
+                res.status(400);
+                return res.json({
+                    error: 'Wildcard certificates require a DNS provider for dns-01 challenges',
+                    code: 'DnsProviderError'
+                });
+            }
+
             let response;
 
             try {
@@ -0,0 +1,371 @@
+'use strict';
+
+const log = require('npmlog');
+const Joi = require('joi');
+const ObjectId = require('mongodb').ObjectId;
+const tools = require('../tools');
+const roles = require('../roles');
+const consts = require('../consts');
+const DelegationHandler = require('../delegation-handler');
+const { sessSchema, sessIPSchema, booleanSchema } = require('../schemas');
+const { userId } = require('../schemas/request/general-schemas');
+const { successRes } = require('../schemas/response/general-schemas');
+const { DelegationEntry } = require('../schemas/response/users-schemas');
+
+module.exports = (db, server, userHandler) => {
+    const delegationHandler = new DelegationHandler({ users: db.users });
+
+    const formatDelegations = async (list, key) => {
+        let users = await db.users
+            .collection('users')
+            .find({ _id: { $in: list.map(delegationData => delegationData[key]) } }, { projection: { _id: true, username: true, address: true } })
+            .maxTimeMS(consts.DB_MAX_TIME_USERS)
+            .toArray();
+
+        return list.map(delegationData => {
+            let userData = users.find(entry => entry._id.equals(delegationData[key])) || {};
+            return {
+                user: delegationData.user.toString(),
+                delegate: delegationData.delegate.toString(),
+                username: userData.username || '',
+                address: userData.address || '',
+                sendAs: !!delegationData.sendAs,
+                sendOnBehalf: !!delegationData.sendOnBehalf,
+                rights: delegationData.rights || '',
+                created: delegationData.created,
+                updated: delegationData.updated
+            };
+        });
+    };
+
+    server.get(
+        {
+            path: '/users/:user/delegates',
+            summary: 'List delegates',
+            description: 'Lists users that are allowed to send messages as or on behalf of this user and to access the folders of this user',
+            name: 'getDelegates',
+            tags: ['Delegations'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: { sess: sessSchema, ip: sessIPSchema },
+                pathParams: { user: userId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            results: Joi.array().items(DelegationEntry).required().description('List of delegates')
+                        }).$_setFlag('objectName', 'GetDelegatesResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).readOwn('delegations'));
+            } else {
+                req.validate(roles.can(req.role).readAny('delegations'));
+            }
+
+            let user = new ObjectId(result.value.user);
+
+            let list = await delegationHandler.list(user);
+
+            return res.json({
+                success: true,
+                results: await formatDelegations(list, 'delegate')
+            });
+        })
+    );
+
+    server.get(
+        {
+            path: '/users/:user/delegations',
+            summary: 'List delegated accounts',
+            description: 'Lists users that have delegated access to this user. The username and address in the results belong to the delegating user.',
+            name: 'getDelegations',
+            tags: ['Delegations'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: { sess: sessSchema, ip: sessIPSchema },
+                pathParams: { user: userId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            results: Joi.array().items(DelegationEntry).required().description('List of delegated accounts')
+                        }).$_setFlag('objectName', 'GetDelegationsResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).readOwn('delegations'));
+            } else {
+                req.validate(roles.can(req.role).readAny('delegations'));
+            }
+
+            let user = new ObjectId(result.value.user);
+
+            let list = await delegationHandler.listDelegators(user);
+
+            return res.json({
+                success: true,
+                results: await formatDelegations(list, 'user')
+            });
+        })
+    );
+
+    server.put(
+        {
+            path: '/users/:user/delegates/:delegate',
+            summary: 'Add or update a delegate',
+            description:
+                'Allows another user to send messages as or on behalf of this user and to access all folders of this user over IMAP. Existing permissions of the delegate are replaced.',
+            name: 'updateDelegate',
+            tags: ['Delegations'],
+            validationObjs: {
+                requestBody: {
+                    sendAs: booleanSchema.default(false).description('If true then the delegate can send messages using the addresses of this user'),
+                    sendOnBehalf: booleanSchema
+                        .default(false)
+                        .description('If true then the delegate can send messages on behalf of this user. A Sender: header with the delegate address is added'),
+                    rights: Joi.string()
+                        .trim()
+                        .regex(/^[lrswipkxteacd]*$/)
+                        .empty('')
+                        .default('')
+                        .description('Access rights (RFC4314) for all folders of this user. Leave empty to not allow access to folders')
+                        .example('lrswite'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: { user: userId, delegate: userId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes
+                        }).$_setFlag('objectName', 'SuccessResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).updateOwn('delegations'));
+            } else {
+                req.validate(roles.can(req.role).updateAny('delegations'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let delegate = new ObjectId(result.value.delegate);
+
+            let userData = await db.users.collection('users').findOne({ _id: user }, { projection: { _id: true } });
+            if (!userData) {
+                res.status(404);
+                return res.json({
+                    error: 'This user does not exist',
+                    code: 'UserNotFound'
+                });
+            }
+
+            let delegateData = await db.users.collection('users').findOne({ _id: delegate }, { projection: { _id: true } });
+            if (!delegateData) {
+                res.status(404);
+                return res.json({
+                    error: 'Delegate user does not exist',
+                    code: 'UserNotFound'
+                });
+            }
+
+            let delegationData = await delegationHandler.set(user, delegate, {
+                sendAs: result.value.sendAs,
+                sendOnBehalf: result.value.sendOnBehalf,
+                rights: result.value.rights
+            });
+
+            try {
+                await userHandler.logAuthEvent(user, {
+                    action: 'delegate updated',
+                    result: 'success',
+                    target: delegate,
+                    sendAs: delegationData.sendAs,
+                    sendOnBehalf: delegationData.sendOnBehalf,
+                    rights: delegationData.rights,
+                    protocol: 'API',
+                    sess: result.value.sess,
+                    ip: result.value.ip
+                });
+            } catch (err) {
+                log.error('API', err);
+            }
+
+            return res.json({
+                success: true
+            });
+        })
+    );
+
+    server.del(
+        {
+            path: '/users/:user/delegates/:delegate',
+            summary: 'Remove a delegate',
+            description: 'Removes all delegated permissions of a user',
+            name: 'deleteDelegate',
+            tags: ['Delegations'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: { sess: sessSchema, ip: sessIPSchema },
+                pathParams: { user: userId, delegate: userId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes
+                        }).$_setFlag('objectName', 'SuccessResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).deleteOwn('delegations'));
+            } else {
+                req.validate(roles.can(req.role).deleteAny('delegations'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let delegate = new ObjectId(result.value.delegate);
+
+            let deleted = await delegationHandler.del(user, delegate);
+            if (!deleted) {
+                res.status(404);
+                return res.json({
+                    error: 'This user is not a delegate',
+                    code: 'NoSuchDelegate'
+                });
+            }
+
+            try {
+                await userHandler.logAuthEvent(user, {
+                    action: 'delegate removed',
+                    result: 'success',
+                    target: delegate,
+                    protocol: 'API',
+                    sess: result.value.sess,
+                    ip: result.value.ip
+                });
+            } catch (err) {
+                log.error('API', err);
+            }
+
+            return res.json({
+                success: true
+            });
+        })
+    );
+};
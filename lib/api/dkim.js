@@ -4,12 +4,58 @@ const config = require('wild-config');
 const Joi = require('joi');
 const ObjectId = require('mongodb').ObjectId;
 const DkimHandler = require('../dkim-handler');
+const TaskHandler = require('../task-handler');
 const tools = require('../tools');
 const roles = require('../roles');
-const { nextPageCursorSchema, previousPageCursorSchema, sessSchema, sessIPSchema } = require('../schemas');
+const { nextPageCursorSchema, previousPageCursorSchema, sessSchema, sessIPSchema, booleanSchema } = require('../schemas');
 const { successRes, totalRes, pageRes, previousCursorRes, nextCursorRes } = require('../schemas/response/general-schemas');
 const { mongopagingFindWrapper } = require('../mongopaging-find-wrapper');
 
+const dnsTxtSchema = Joi.object({
+    name: Joi.string().required().description('Is the domain name of TXT'),
+    value: Joi.string().required().description('Is the value of TXT')
+})
+    .required()
+    .description('Value for DNS TXT entry')
+    .$_setFlag('objectName', 'DnsTxt');
+
+const rotationSchema = Joi.object({
+    enabled: booleanSchema.required().description('If true then keys are rotated automatically'),
+    interval: Joi.number().required().description('Days between automatic rotations'),
+    gracePeriod: Joi.number().required().description('Days to keep the previous selector published after switching to a new key'),
+    selectorPrefix: Joi.string().required().description('Prefix for generated selectors'),
+    next: Joi.alternatives()
+        .try(Joi.date(), booleanSchema.allow(false))
+        .required()
+        .description('Time of the next automatic rotation or false if not scheduled'),
+    pending: Joi.alternatives()
+        .try(
+            Joi.object({
+                selector: Joi.string().required().description('Selector of the new key'),
+                fingerprint: Joi.string().required().description('Fingerprint of the new key'),
+                created: Joi.date().required().description('Time the new key was generated'),
+                lastCheck: Joi.alternatives().try(Joi.date(), booleanSchema.allow(false)).required().description('Time of the last DNS check'),
+                lastError: Joi.alternatives().try(Joi.string(), booleanSchema.allow(false)).required().description('Result of the last DNS check'),
+                dnsTxt: dnsTxtSchema.description('DNS TXT entry that must be published before signing switches to the new key')
+            }).$_setFlag('objectName', 'DkimRotationPending'),
+            booleanSchema.allow(false)
+        )
+        .required()
+        .description('New key waiting for its DNS record to be published, false if rotation is not in progress'),
+    retiring: Joi.array()
+        .items(
+            Joi.object({
+                selector: Joi.string().required().description('Previous selector'),
+                fingerprint: Joi.string().required().description('Fingerprint of the previous key'),
+                rotated: Joi.date().required().description('Time signing switched away from this key'),
+                expires: Joi.date().required().description('Time after which the DNS record for this selector can be removed'),
+                dnsTxt: dnsTxtSchema.description('DNS TXT entry for the previous selector')
+            }).$_setFlag('objectName', 'DkimRotationRetiring')
+        )
+        .required()
+        .description('Previous selectors that must stay published during the grace period')
+}).$_setFlag('objectName', 'DkimRotation');
+
 module.exports = (db, server) => {
     const dkimHandler = new DkimHandler({
         cipher: config.dkim.cipher,
@@ -18,6 +64,10 @@ module.exports = (db, server) => {
         redis: db.redis
     });
 
+    const taskHandler = new TaskHandler({
+        database: db.database
+    });
+
     server.get(
         {
             name: 'getDkimKeys',
@@ -398,7 +448,8 @@ module.exports = (db, server) => {
                                 .required()
                                 .description('Value for DNS TXT entry')
                                 .$_setFlag('objectName', 'DnsTxt'),
-                            created: Joi.date().required().description('DKIM created datestring')
+                            created: Joi.date().required().description('DKIM created datestring'),
+                            rotation: rotationSchema.description('Key rotation status, not set if rotation has never been configured')
                         }).$_setFlag('objectName', 'GetDkimKeyResponse')
                     }
                 }
@@ -517,4 +568,247 @@ module.exports = (db, server) => {
             });
         })
     );
+    server.put(
+        {
+            path: '/dkim/:dkim/rotation',
+            tags: ['DKIM'],
+            summary: 'Update DKIM key rotation policy',
+            name: 'updateDkimRotation',
+            description:
+                'Set up automatic key rotation for a domain. On every rotation a new key is generated under a new selector. Signing switches to the new key once its DNS record is found, and the previous selector is listed as retiring until the grace period ends.',
+            validationObjs: {
+                requestBody: {
+                    interval: Joi.number()
+                        .integer()
+                        .min(0)
+                        .max(3650)
+                        .required()
+                        .description('Days between automatic rotations. Use 0 to disable automatic rotation'),
+                    gracePeriod: Joi.number()
+                        .integer()
+                        .min(0)
+                        .max(365)
+                        .description('Days to keep the previous selector published after switching to a new key'),
+                    selectorPrefix: Joi.string()
+                        .trim()
+                        .max(32)
+                        .regex(/^[a-z0-9][a-z0-9-]*$/i, 'selector prefix')
+                        .description('Prefix for generated selectors, the rotation date is appended to it'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {
+                    dkim: Joi.string().hex().lowercase().length(24).required().description('ID of the DKIM')
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            rotation: rotationSchema.required()
+                        }).$_setFlag('objectName', 'UpdateDkimRotationResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...queryParams,
+                ...requestBody
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            req.validate(roles.can(req.role).updateAny('dkim'));
+
+            let rotation;
+            try {
+                rotation = await dkimHandler.setRotation({
+                    _id: result.value.dkim,
+                    interval: result.value.interval,
+                    gracePeriod: result.value.gracePeriod,
+                    selectorPrefix: result.value.selectorPrefix
+                });
+            } catch (err) {
+                res.status(err.responseCode || 500);
+                return res.json({
+                    error: err.message,
+                    code: err.code
+                });
+            }
+
+            return res.json({
+                success: true,
+                rotation
+            });
+        })
+    );
+
+    server.post(
+        {
+            path: '/dkim/:dkim/rotate',
+            tags: ['DKIM'],
+            summary: 'Start DKIM key rotation',
+            name: 'rotateDkimKey',
+            description:
+                'Generates a new key under a new selector. Publish the returned `rotation.pending.dnsTxt` record in DNS, signing switches to the new key once the record is found. The current key is used until then.',
+            validationObjs: {
+                requestBody: {
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {
+                    dkim: Joi.string().hex().lowercase().length(24).required().description('ID of the DKIM')
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            rotation: rotationSchema.required()
+                        }).$_setFlag('objectName', 'RotateDkimKeyResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...queryParams,
+                ...requestBody
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            req.validate(roles.can(req.role).updateAny('dkim'));
+
+            let rotation;
+            try {
+                rotation = await dkimHandler.startRotation(result.value.dkim);
+            } catch (err) {
+                res.status(err.responseCode || 500);
+                return res.json({
+                    error: err.message,
+                    code: err.code
+                });
+            }
+
+            // check for the DNS record right away, later checks are run by the recurring rotation task
+            await taskHandler.ensure('dkim-rotate', { dkim: result.value.dkim }, { dkim: result.value.dkim });
+
+            return res.json({
+                success: true,
+                rotation
+            });
+        })
+    );
+
+    server.del(
+        {
+            path: '/dkim/:dkim/rotate',
+            tags: ['DKIM'],
+            summary: 'Cancel DKIM key rotation',
+            name: 'cancelDkimRotation',
+            description: 'Discards the new key of a rotation that is waiting for its DNS record. Signing continues with the current key.',
+            validationObjs: {
+                requestBody: {},
+                queryParams: {
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                pathParams: {
+                    dkim: Joi.string().hex().lowercase().length(24).required().description('ID of the DKIM')
+                },
+                response: { 200: { description: 'Success', model: Joi.object({ success: successRes }).$_setFlag('objectName', 'SuccessResponse') } }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...queryParams,
+                ...requestBody
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            req.validate(roles.can(req.role).updateAny('dkim'));
+
+            let cancelled;
+            try {
+                cancelled = await dkimHandler.cancelRotation(result.value.dkim);
+            } catch (err) {
+                res.status(err.responseCode || 500);
+                return res.json({
+                    error: err.message,
+                    code: err.code
+                });
+            }
+
+            if (!cancelled) {
+                res.status(404);
+                return res.json({
+                    error: 'Key rotation is not in progress',
+                    code: 'RotationNotFound'
+                });
+            }
+
+            return res.json({
+                success: true
+            });
+        })
+    );
 };
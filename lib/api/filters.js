@@ -9,12 +9,27 @@ const roles = require('../roles');
 const { nextPageCursorSchema, previousPageCursorSchema, sessSchema, sessIPSchema, booleanSchema, metaDataSchema } = require('../schemas');
 const { publish, FILTER_DELETED, FILTER_CREATED, FORWARD_ADDED } = require('../events');
 const { successRes, totalRes, previousCursorRes, nextCursorRes } = require('../schemas/response/general-schemas');
-const { GetAllFiltersResult, GetFiltersResult } = require('../schemas/response/filters-schemas');
-const { FilterQuery, FilterAction } = require('../schemas/request/filters-schemas');
-const { userId, filterId } = require('../schemas/request/general-schemas');
+const { GetAllFiltersResult, GetFiltersResult, FilterApplyStatus, FilterTestResult } = require('../schemas/response/filters-schemas');
+const { FilterQuery, FilterAction, FilterApply } = require('../schemas/request/filters-schemas');
+const { userId, filterId, mailboxId, messageId } = require('../schemas/request/general-schemas');
 const { mongopagingFindWrapper } = require('../mongopaging-find-wrapper');
+const TaskHandler = require('../task-handler');
+const FilterHandler = require('../filter-handler');
+const consts = require('../consts');
+const config = require('wild-config');
+const { describeConditions } = require('../filter-conditions');
+
+module.exports = (db, server, userHandler, settingsHandler, messageHandler) => {
+    const taskHandler = new TaskHandler({ database: db.database });
+
+    // only used for testing filters, messages are never stored or sent
+    const filterHandler = new FilterHandler({
+        db,
+        sender: config.sender,
+        messageHandler,
+        loggelf: message => server.loggelf(message)
+    });
 
-module.exports = (db, server, userHandler, settingsHandler) => {
     server.get(
         {
             name: 'getAllFilters',
@@ -136,13 +151,10 @@ module.exports = (db, server, userHandler, settingsHandler) => {
             let mailboxList = Array.from(
                 new Set(
                     (listingWrapper.listing.results || [])
-                        .map(filterData => {
-                            if (filterData.action && filterData.action.mailbox) {
-                                return filterData.action.mailbox.toString();
-                            }
-                            return false;
-                        })
-                        .filter(mailbox => mailbox)
+                        .flatMap(filterData =>
+                            [].concat((filterData.action && filterData.action.mailbox) || []).concat((filterData.action && filterData.action.copy) || [])
+                        )
+                        .map(mailbox => mailbox.toString())
                 )
             ).map(mailbox => new ObjectId(mailbox));
 
@@ -181,6 +193,7 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         name: filterData.name,
                         query: descriptions.query,
                         action: descriptions.action,
+                        priority: filterData.priority || 0,
                         disabled: !!filterData.disabled,
                         created: filterData.created,
                         targets: filterData.action && filterData.action.targets && filterData.action.targets.map(t => t.value)
@@ -190,6 +203,10 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         values.metaData = tools.formatMetaData(filterData.metaData);
                     }
 
+                    if (filterData.apply) {
+                        values.apply = formatApplyStatus(filterData.apply);
+                    }
+
                     return permission.filter(values);
                 })
             };
@@ -344,6 +361,9 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 filters = [];
             }
 
+            // list filters in the same order as these are checked
+            filters = sortFilters(filters);
+
             return res.json({
                 success: true,
 
@@ -360,6 +380,7 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         name: filterData.name,
                         query: descriptions.query,
                         action: descriptions.action,
+                        priority: filterData.priority || 0,
                         disabled: !!filterData.disabled,
                         created: filterData.created
                     };
@@ -368,6 +389,10 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         values.metaData = tools.formatMetaData(filterData.metaData);
                     }
 
+                    if (filterData.apply) {
+                        values.apply = formatApplyStatus(filterData.apply);
+                    }
+
                     return permission.filter(values);
                 })
             });
@@ -400,8 +425,10 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                             created: Joi.date().required().description('Datestring of the time the filter was created'),
                             query: FilterQuery.required(),
                             action: FilterAction.required(),
+                            priority: Joi.number().required().description('Priority of the filter, filters with lower values are checked first'),
                             disabled: booleanSchema.required().description('If true, then this filter is ignored'),
-                            metaData: Joi.object().description('Custom metadata value')
+                            metaData: Joi.object().description('Custom metadata value'),
+                            apply: FilterApplyStatus
                         }).$_setFlag('objectName', 'GetFilterResponse')
                     }
                 }
@@ -494,6 +521,7 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 name: filterData.name,
                 query: {},
                 action: {},
+                priority: filterData.priority || 0,
                 disabled: !!filterData.disabled,
                 created: filterData.created
             };
@@ -519,6 +547,9 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         // cast ObjectId value to a string, otherwise `permission.filter` will mess up the value
                         response.action[key] = filterData.action[key].toString();
                         break;
+                    case 'copy':
+                        response.action[key] = filterData.action[key].map(mailbox => mailbox.toString());
+                        break;
                     default:
                         response.action[key] = filterData.action[key];
                 }
@@ -528,6 +559,10 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 response.metaData = tools.formatMetaData(filterData.metaData);
             }
 
+            if (filterData.apply) {
+                response.apply = formatApplyStatus(filterData.apply);
+            }
+
             return res.json(permission.filter(response));
         })
     );
@@ -641,8 +676,19 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                     query: FilterQuery.required(),
                     action: FilterAction.required(),
 
+                    priority: Joi.number()
+                        .integer()
+                        .min(-1000000)
+                        .max(1000000)
+                        .default(0)
+                        .description(
+                            'Filters are checked in the order of priority, lower values first. Filters with the same priority are checked in the order of creation'
+                        ),
+
                     disabled: booleanSchema.default(false).description('If true then this filter is ignored'),
 
+                    apply: FilterApply,
+
                     metaData: metaDataSchema.label('metaData').description('Optional metadata, must be an object or JSON formatted string'),
 
                     sess: sessSchema,
@@ -657,7 +703,8 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         description: 'Success',
                         model: Joi.object({
                             success: successRes,
-                            id: Joi.string().required().description('ID for the created filter')
+                            id: Joi.string().required().description('ID for the created filter'),
+                            scheduled: Joi.string().description('ID of the background task if the filter is run on existing messages')
                         }).$_setFlag('objectName', 'UpdateFilterResponse')
                     }
                 }
@@ -749,6 +796,7 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                     headers: {}
                 },
                 action: {},
+                priority: values.priority,
                 disabled: values.disabled,
                 created: new Date()
             };
@@ -779,12 +827,26 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 filterData.query.size = values.query.size;
             }
 
-            ['seen', 'flag', 'delete', 'spam'].forEach(key => {
+            if (values.query.conditions) {
+                filterData.query.conditions = values.query.conditions;
+            }
+
+            ['seen', 'flag', 'delete', 'spam', 'stop'].forEach(key => {
                 if (typeof values.action[key] === 'boolean') {
                     filterData.action[key] = values.action[key];
                 }
             });
 
+            ['path', 'keywords', 'reply'].forEach(key => {
+                if (values.action[key]) {
+                    filterData.action[key] = values.action[key];
+                }
+            });
+
+            if (values.action.copy) {
+                filterData.action.copy = await getCopyMailboxes(db, user, values.action.copy);
+            }
+
             let targets = values.action.targets;
             if (targets) {
                 for (let i = 0, len = targets.length; i < len; i++) {
@@ -846,6 +908,12 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 filterData.action.mailbox = mailboxData._id;
             }
 
+            let applyPayload;
+            if (values.apply) {
+                // throws if the filter can not be run on existing messages
+                applyPayload = await getApplyPayload(db, filterData, values.apply);
+            }
+
             let r;
             try {
                 r = await db.database.collection('filters').insertOne(filterData);
@@ -921,13 +989,219 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 log.error('API [Filter]', err);
             }
 
+            let scheduled;
+            if (applyPayload) {
+                scheduled = await scheduleApply(db, taskHandler, filterData, applyPayload);
+            }
+
             return res.json({
                 success: r.acknowledged,
-                id: filterData._id.toString()
+                id: filterData._id.toString(),
+                scheduled: scheduled ? scheduled.toString() : undefined
             });
         })
     );
 
+    server.post(
+        {
+            path: '/users/:user/filters/test',
+            summary: 'Test Filters against a message',
+            name: 'testFilters',
+            description:
+                'Runs a message through the filters and the active Sieve script of the user and returns which filters matched and what actions would be taken. The message is not stored, forwarded or replied to.',
+            tags: ['Filters'],
+            validationObjs: {
+                requestBody: {
+                    raw: Joi.binary()
+                        .max(consts.MAX_ALLOWED_MESSAGE_SIZE)
+                        .empty('')
+                        .description('base64 encoded message source. Alternatively, you can provide this value as POST body by using message/rfc822 MIME type'),
+                    mailbox: mailboxId.optional().description('ID of the Mailbox of a stored message to test, used if raw is not set'),
+                    message: messageId.optional().description('ID of a stored message to test, used if raw is not set'),
+
+                    filter: filterId.optional().description('If set, then only this filter is tested, even if it is disabled. Sieve script is not run'),
+
+                    sender: Joi.string().email({ tlds: false }).empty('').description('Envelope sender address'),
+                    recipient: Joi.string()
+                        .email({ tlds: false })
+                        .empty('')
+                        .description('Envelope recipient address. Defaults to the main address of the user'),
+                    verificationResults: Joi.object({
+                        spf: Joi.string().hostname().empty('').description('Domain name of a passing SPF check'),
+                        dkim: Joi.string().hostname().empty('').description('Domain name of a valid DKIM signature'),
+                        dmarc: Joi.string().hostname().empty('').description('Domain name of a passing DMARC check')
+                    })
+                        .description('Verification results to use. Stored messages use the stored results by default')
+                        .$_setFlag('objectName', 'FilterTestVerificationResults'),
+                    spamScore: Joi.number().description('Spam score to use. By default the score is read from message headers'),
+                    date: Joi.date().empty('').description('Time the message was received. Defaults to the current time'),
+
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {
+                    user: userId
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            filters: Joi.array().items(FilterTestResult).required().description('Results for every checked filter in the order of checking'),
+                            domainAccess: Joi.object({
+                                id: Joi.string().required().description('ID of the domain access entry'),
+                                tag: Joi.string().required().description('User tag of the domain access entry'),
+                                action: Joi.string().required().valid('block', 'allow').description('Either "block" (marked as spam) or "allow" (not spam)')
+                            })
+                                .allow(false)
+                                .description('Domain access entry for the sender domain that is checked before filters. False if there is no matching entry')
+                                .$_setFlag('objectName', 'FilterTestDomainAccess'),
+                            actions: Joi.object().required().description('Merged actions of all applied filters, uses the same format as filter actions'),
+                            sieve: Joi.object({
+                                script: Joi.string().description('ID of the active Sieve script'),
+                                actions: Joi.array().items(Joi.object()).description('Actions from the Sieve script'),
+                                implicitKeep: booleanSchema.description('If true, then the message would also be stored to INBOX'),
+                                error: Joi.string().description('Error message if running the script failed')
+                            })
+                                .allow(false)
+                                .description(
+                                    'Result of the active Sieve script. False if the user does not have an active script or only a single filter was tested'
+                                )
+                                .$_setFlag('objectName', 'FilterTestSieveResult')
+                        }).$_setFlag('objectName', 'TestFiltersResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            }).with('message', 'mailbox');
+
+            if (!req.params.raw && req.body && (Buffer.isBuffer(req.body) || typeof req.body === 'string')) {
+                req.params.raw = req.body;
+            }
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            let permission;
+            if (req.user && req.user === result.value.user) {
+                permission = roles.can(req.role).readOwn('filters');
+            } else {
+                permission = roles.can(req.role).readAny('filters');
+            }
+            req.validate(permission);
+
+            let values = result.value;
+            let user = new ObjectId(values.user);
+
+            if (!values.raw && !values.message) {
+                res.status(400);
+                return res.json({
+                    error: 'Either a raw message or a stored message must be provided',
+                    code: 'InputValidationError'
+                });
+            }
+
+            let userData = await db.users.collection('users').findOne({ _id: user }, { projection: { address: true, tagsview: true } });
+            if (!userData) {
+                res.status(404);
+                return res.json({
+                    error: 'This user does not exist',
+                    code: 'UserNotFound'
+                });
+            }
+
+            let messageData;
+            if (!values.raw) {
+                let mailboxData = await db.database.collection('mailboxes').findOne({ _id: new ObjectId(values.mailbox), user }, { projection: { _id: true } });
+                if (!mailboxData) {
+                    res.status(404);
+                    return res.json({
+                        error: 'This mailbox does not exist',
+                        code: 'NoSuchMailbox'
+                    });
+                }
+
+                messageData = await db.database.collection('messages').findOne(
+                    { mailbox: mailboxData._id, uid: values.message },
+                    {
+                        projection: {
+                            _id: true,
+                            user: true,
+                            mimeTree: true,
+                            headers: true,
+                            size: true,
+                            subject: true,
+                            text: true,
+                            textFooter: true,
+                            attachments: true,
+                            verificationResults: true
+                        }
+                    }
+                );
+                if (!messageData || messageData.user.toString() !== user.toString()) {
+                    res.status(404);
+                    return res.json({
+                        error: 'This message does not exist',
+                        code: 'MessageNotFound'
+                    });
+                }
+            }
+
+            if (values.filter) {
+                let filterData = await db.database.collection('filters').findOne({ _id: new ObjectId(values.filter), user }, { projection: { _id: true } });
+                if (!filterData) {
+                    res.status(404);
+                    return res.json({
+                        error: 'This filter does not exist',
+                        code: 'FilterNotFound'
+                    });
+                }
+            }
+
+            let testResult = await filterHandler.testMessage(userData, {
+                raw: values.raw,
+                messageData,
+                filter: values.filter,
+                sender: values.sender,
+                recipient: values.recipient,
+                verificationResults: values.verificationResults,
+                spamScore: values.spamScore,
+                date: values.date
+            });
+
+            return res.json(
+                Object.assign(
+                    {
+                        success: true
+                    },
+                    testResult
+                )
+            );
+        })
+    );
+
     server.put(
         {
             path: '/users/:user/filters/:filter',
@@ -941,8 +1215,18 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                     query: FilterQuery,
                     action: FilterAction,
 
+                    priority: Joi.number()
+                        .integer()
+                        .min(-1000000)
+                        .max(1000000)
+                        .description(
+                            'Filters are checked in the order of priority, lower values first. Filters with the same priority are checked in the order of creation'
+                        ),
+
                     disabled: booleanSchema.description('If true then this filter is ignored'),
 
+                    apply: FilterApply,
+
                     metaData: metaDataSchema.label('metaData').description('Optional metadata, must be an object or JSON formatted string'),
 
                     sess: sessSchema,
@@ -957,7 +1241,8 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                     200: {
                         description: 'Success',
                         model: Joi.object({
-                            success: successRes
+                            success: successRes,
+                            scheduled: Joi.string().description('ID of the background task if the filter is run on existing messages')
                         }).$_setFlag('objectName', 'UpdateFilterResponse')
                     }
                 }
@@ -1015,6 +1300,11 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 hasChanges = true;
             }
 
+            if (typeof values.priority === 'number') {
+                $set.priority = values.priority;
+                hasChanges = true;
+            }
+
             if (values.metaData) {
                 $set.metaData = values.metaData;
                 hasChanges = true;
@@ -1055,12 +1345,20 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                     $unset['query.size'] = true;
                     hasChanges = true;
                 }
+
+                if (values.query.conditions) {
+                    $set['query.conditions'] = values.query.conditions;
+                    hasChanges = true;
+                } else if ('conditions' in req.params.query) {
+                    $unset['query.conditions'] = true;
+                    hasChanges = true;
+                }
             }
 
             let targets;
 
             if (req.params.action) {
-                ['seen', 'flag', 'delete', 'spam'].forEach(key => {
+                ['seen', 'flag', 'delete', 'spam', 'stop'].forEach(key => {
                     if (typeof values.action[key] === 'boolean') {
                         $set['action.' + key] = values.action[key];
                         hasChanges = true;
@@ -1070,6 +1368,29 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                     }
                 });
 
+                ['path', 'keywords', 'reply'].forEach(key => {
+                    if (values.action[key]) {
+                        $set['action.' + key] = values.action[key];
+                        hasChanges = true;
+                    } else if (key in req.params.action) {
+                        $unset['action.' + key] = true;
+                        hasChanges = true;
+                    }
+                });
+
+                if (values.action.path && !('mailbox' in req.params.action)) {
+                    // target mailbox can be set either by ID or by path
+                    $unset['action.mailbox'] = true;
+                }
+
+                if (values.action.copy) {
+                    $set['action.copy'] = await getCopyMailboxes(db, user, values.action.copy);
+                    hasChanges = true;
+                } else if ('copy' in req.params.action) {
+                    $unset['action.copy'] = true;
+                    hasChanges = true;
+                }
+
                 targets = values.action.targets;
 
                 if (targets) {
@@ -1141,17 +1462,47 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         }
 
                         $set['action.mailbox'] = mailboxData._id;
+                        if (!('path' in req.params.action)) {
+                            $unset['action.path'] = true;
+                        }
                         hasChanges = true;
                     }
                 }
             }
 
-            if (!hasChanges) {
+            if (!hasChanges && !values.apply) {
                 return res.json({
                     success: true
                 });
             }
 
+            let applyFilterData;
+            let applyPayload;
+            if (values.apply) {
+                try {
+                    applyFilterData = await db.database.collection('filters').findOne({ _id: filter, user });
+                } catch (err) {
+                    res.status(500);
+                    return res.json({
+                        error: 'MongoDB Error: ' + err.message,
+                        code: 'InternalDatabaseError'
+                    });
+                }
+
+                if (!applyFilterData) {
+                    res.status(404);
+                    return res.json({
+                        error: 'Filter was not found',
+                        code: 'FilterNotFound'
+                    });
+                }
+
+                // validate against the updated filter before storing any changes,
+                // throws if the filter can not be run on existing messages
+                applyFilterData = getUpdatedFilter(applyFilterData, $set, $unset);
+                applyPayload = await getApplyPayload(db, applyFilterData, values.apply);
+            }
+
             let update = {};
 
             if (Object.keys($set).length) {
@@ -1164,14 +1515,19 @@ module.exports = (db, server, userHandler, settingsHandler) => {
 
             let r;
             try {
-                r = await db.database.collection('filters').findOneAndUpdate(
-                    {
-                        _id: filter,
-                        user
-                    },
-                    update,
-                    { returnDocument: 'before' }
-                );
+                if (hasChanges) {
+                    r = await db.database.collection('filters').findOneAndUpdate(
+                        {
+                            _id: filter,
+                            user
+                        },
+                        update,
+                        { returnDocument: 'before' }
+                    );
+                } else {
+                    // only running the filter on existing messages
+                    r = { value: await db.database.collection('filters').findOne({ _id: filter, user }) };
+                }
             } catch (err) {
                 res.status(500);
                 return res.json({
@@ -1220,13 +1576,217 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 }
             }
 
+            let scheduled;
+            if (applyPayload) {
+                scheduled = await scheduleApply(db, taskHandler, applyFilterData, applyPayload);
+            }
+
             return res.json({
-                success: true
+                success: true,
+                scheduled: scheduled ? scheduled.toString() : undefined
             });
         })
     );
 };
 
+// translates filter query and actions into a search-apply task payload
+async function getApplyPayload(db, filterData, apply) {
+    let user = filterData.user;
+
+    if (filterData.query && filterData.query.conditions) {
+        let err = new Error('Filters with condition groups can not be run on existing messages');
+        err.responseCode = 400;
+        err.code = 'InputValidationError';
+        throw err;
+    }
+
+    let payload = {
+        user: user.toString(),
+        filter: filterData._id.toString(),
+        action: {}
+    };
+
+    if (apply.mailbox) {
+        let mailboxData = await db.database.collection('mailboxes').findOne({ _id: new ObjectId(apply.mailbox), user }, { projection: { _id: true } });
+        if (!mailboxData) {
+            let err = new Error('This mailbox does not exist');
+            err.responseCode = 404;
+            err.code = 'NoSuchMailbox';
+            throw err;
+        }
+        payload.mailbox = mailboxData._id.toString();
+    } else {
+        // skip messages in Junk and Trash
+        payload.searchable = true;
+    }
+
+    let query = filterData.query || {};
+    let headers = query.headers || {};
+
+    ['from', 'to', 'subject', 'listId'].forEach(key => {
+        let value = headers[key];
+        if (!value || typeof value !== 'string') {
+            return;
+        }
+        if (key === 'listId' && value.indexOf('<') >= 0) {
+            // only check actual ID part of the List-ID header
+            let m = value.match(/<([^>]+)/);
+            if (m && m[1] && m[1].trim()) {
+                value = m[1].trim();
+            }
+        }
+        payload[key] = value;
+    });
+
+    if (query.text) {
+        payload.query = query.text;
+    }
+
+    if (query.ha === true) {
+        payload.attachments = true;
+    }
+
+    if (query.size > 0) {
+        payload.minSize = query.size;
+    } else if (query.size < 0) {
+        payload.maxSize = Math.abs(query.size);
+    }
+
+    let action = filterData.action || {};
+
+    if (action.seen) {
+        payload.action.seen = true;
+    }
+
+    if (action.flag) {
+        payload.action.flagged = true;
+    }
+
+    // existing messages are not deleted but moved to Trash
+    let specialUse = (action.delete && '\\Trash') || (action.spam && !action.mailbox && !action.path && '\\Junk');
+    if (specialUse) {
+        let mailboxData = await db.database.collection('mailboxes').findOne({ user, specialUse }, { projection: { _id: true } });
+        if (mailboxData) {
+            payload.action.moveTo = mailboxData._id.toString();
+        }
+    } else if (action.mailbox) {
+        payload.action.moveTo = action.mailbox.toString();
+    } else if (action.path) {
+        // mailboxes are only created on demand for new messages
+        let mailboxData = await db.database.collection('mailboxes').findOne({ user, path: action.path }, { projection: { _id: true } });
+        if (mailboxData) {
+            payload.action.moveTo = mailboxData._id.toString();
+        }
+    }
+
+    if (!Object.keys(payload.action).length) {
+        let err = new Error('Filter does not have any actions that can be applied to existing messages');
+        err.responseCode = 400;
+        err.code = 'InputValidationError';
+        throw err;
+    }
+
+    return payload;
+}
+
+// returns a copy of the filter entry with dot notation $set and $unset changes applied
+function getUpdatedFilter(filterData, $set, $unset) {
+    let updated = Object.assign({}, filterData);
+
+    // copies objects along the path, so that the original filter entry is not modified
+    let walk = path => {
+        let keys = path.split('.');
+        let last = keys.pop();
+        let parent = updated;
+        for (let key of keys) {
+            parent[key] = Object.assign({}, parent[key] && typeof parent[key] === 'object' ? parent[key] : {});
+            parent = parent[key];
+        }
+        return { parent, last };
+    };
+
+    for (let path of Object.keys($unset)) {
+        let { parent, last } = walk(path);
+        delete parent[last];
+    }
+
+    for (let path of Object.keys($set)) {
+        let { parent, last } = walk(path);
+        parent[last] = $set[path];
+    }
+
+    return updated;
+}
+
+// checks that all copy targets belong to the user and returns the mailbox IDs as ObjectId values
+async function getCopyMailboxes(db, user, mailboxes) {
+    let list = mailboxes.map(mailbox => new ObjectId(mailbox));
+    let existing = await db.database
+        .collection('mailboxes')
+        .find({ _id: { $in: list }, user })
+        .project({ _id: true })
+        .toArray();
+
+    if (existing.length < list.length) {
+        let err = new Error('This mailbox does not exist');
+        err.responseCode = 404;
+        err.code = 'NoSuchMailbox';
+        throw err;
+    }
+
+    return list;
+}
+
+// sorts filters by priority, filters with the same priority keep the order of creation
+function sortFilters(filters) {
+    return filters.sort((a, b) => (a.priority || 0) - (b.priority || 0) || a._id.toString().localeCompare(b._id.toString()));
+}
+
+async function scheduleApply(db, taskHandler, filterData, payload) {
+    let task = await taskHandler.add('search-apply', payload);
+
+    let applyData = {
+        task,
+        status: 'queued',
+        created: new Date(),
+        processed: 0,
+        updated: 0,
+        errors: 0
+    };
+
+    if (payload.mailbox) {
+        applyData.mailbox = new ObjectId(payload.mailbox);
+    }
+
+    // search-apply task updates progress counters while running
+    await db.database.collection('filters').updateOne({ _id: filterData._id, user: filterData.user }, { $set: { apply: applyData } });
+
+    return task;
+}
+
+function formatApplyStatus(applyData) {
+    let response = {
+        task: applyData.task.toString(),
+        status: applyData.status,
+        created: applyData.created,
+        processed: applyData.processed || 0,
+        updated: applyData.updated || 0,
+        errors: applyData.errors || 0
+    };
+
+    if (applyData.mailbox) {
+        response.mailbox = applyData.mailbox.toString();
+    }
+
+    ['started', 'finished', 'total', 'error'].forEach(key => {
+        if (applyData[key] || applyData[key] === 0) {
+            response[key] = applyData[key];
+        }
+    });
+
+    return response;
+}
+
 function getFilterStrings(filter, mailboxes) {
     let query = Object.keys(filter.query.headers || {}).map(key => [key, '(' + filter.query.headers[key] + ')']);
 
@@ -1250,6 +1810,10 @@ function getFilterStrings(filter, mailboxes) {
         }
     }
 
+    if (filter.query.conditions) {
+        query.push(['conditions', describeConditions(filter.query.conditions)]);
+    }
+
     // process actions
     let action = Object.keys(filter.action || {})
         .map(key => {
@@ -1285,6 +1849,27 @@ function getFilterStrings(filter, mailboxes) {
                     } else {
                         return ['keep in INBOX'];
                     }
+                case 'path':
+                    return ['move to folder', '"' + filter.action[key] + '"'];
+                case 'copy':
+                    return [
+                        'copy to folders',
+                        filter.action[key]
+                            .map(mailbox => {
+                                let target = mailboxes && mailboxes.find(entry => entry._id.toString() === mailbox.toString());
+                                return target ? '"' + target.path + '"' : mailbox.toString();
+                            })
+                            .join(', ')
+                    ];
+                case 'keywords':
+                    return ['add keywords', filter.action[key].join(', ')];
+                case 'reply':
+                    return ['reply with', '"' + (filter.action[key].subject || 'Re: {{subject}}') + '"'];
+                case 'stop':
+                    if (filter.action[key]) {
+                        return ['stop processing filters'];
+                    }
+                    break;
                 case 'targets':
                     if (filter.action[key]) {
                         return [
@@ -9,8 +9,8 @@ const util = require('util');
 const { sessSchema, sessIPSchema, booleanSchema, mailboxPathValidator } = require('../schemas');
 const { userId, mailboxId } = require('../schemas/request/general-schemas');
 const { successRes } = require('../schemas/response/general-schemas');
-const { GetMailboxesResult } = require('../schemas/response/mailboxes-schemas');
-const { MAX_MAILBOX_NAME_LENGTH, MAX_SUB_MAILBOXES } = require('../consts');
+const { GetMailboxesResult, MailboxMetadataEntry, MailboxAclEntry } = require('../schemas/response/mailboxes-schemas');
+const { MAX_MAILBOX_NAME_LENGTH, MAX_SUB_MAILBOXES, MAX_METADATA_SIZE, MAX_METADATA_NAME_LENGTH } = require('../consts');
 
 module.exports = (db, server, mailboxHandler) => {
     const getMailboxCounter = tools.getMailboxCounter;
@@ -698,4 +698,437 @@ module.exports = (db, server, mailboxHandler) => {
             });
         })
     );
+
+    server.get(
+        {
+            path: '/users/:user/mailboxes/:mailbox/metadata',
+            summary: 'List Mailbox metadata',
+            description: 'Lists METADATA (RFC5464) entries that are set for the Mailbox',
+            name: 'getMailboxMetadata',
+            tags: ['Mailboxes'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: { sess: sessSchema, ip: sessIPSchema },
+                pathParams: { user: userId, mailbox: mailboxId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            results: Joi.array().items(MailboxMetadataEntry).required().description('List of metadata entries')
+                        }).$_setFlag('objectName', 'GetMailboxMetadataResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).readOwn('mailboxes'));
+            } else {
+                req.validate(roles.can(req.role).readAny('mailboxes'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let mailbox = new ObjectId(result.value.mailbox);
+
+            let mailboxData = await db.database.collection('mailboxes').findOne({ _id: mailbox, user }, { projection: { _id: true } });
+            if (!mailboxData) {
+                res.status(404);
+                return res.json({
+                    error: 'This mailbox does not exist',
+                    code: 'NoSuchMailbox'
+                });
+            }
+
+            let entries = await mailboxHandler.metadataHandler.list(user, mailbox);
+
+            return res.json({
+                success: true,
+                results: entries
+            });
+        })
+    );
+
+    server.put(
+        {
+            path: '/users/:user/mailboxes/:mailbox/metadata',
+            summary: 'Update Mailbox metadata',
+            description:
+                'Sets or removes METADATA (RFC5464) entries for the Mailbox. Entries with a null value are removed. Stored values count towards the storage quota of the user.',
+            name: 'updateMailboxMetadata',
+            tags: ['Mailboxes'],
+            validationObjs: {
+                requestBody: {
+                    entries: Joi.array()
+                        .items(
+                            Joi.object({
+                                key: Joi.string()
+                                    .trim()
+                                    .max(MAX_METADATA_NAME_LENGTH)
+                                    .regex(/^\/(private|shared)\/[^/]/i)
+                                    .required()
+                                    .description('Entry name, must start with either /private/ or /shared/')
+                                    .example('/private/comment'),
+                                value: Joi.string().max(MAX_METADATA_SIZE).allow('', null).required().description('Entry value or null to remove the entry')
+                            }).$_setFlag('objectName', 'MailboxMetadataUpdate')
+                        )
+                        .min(1)
+                        .required()
+                        .description('List of entries to update'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: { user: userId, mailbox: mailboxId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            updated: Joi.number().required().description('Count of entries that were set'),
+                            deleted: Joi.number().required().description('Count of entries that were removed')
+                        }).$_setFlag('objectName', 'UpdateMailboxMetadataResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).updateOwn('mailboxes'));
+            } else {
+                req.validate(roles.can(req.role).updateAny('mailboxes'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let mailbox = new ObjectId(result.value.mailbox);
+
+            let mailboxData = await db.database.collection('mailboxes').findOne({ _id: mailbox, user }, { projection: { _id: true } });
+            if (!mailboxData) {
+                res.status(404);
+                return res.json({
+                    error: 'This mailbox does not exist',
+                    code: 'NoSuchMailbox'
+                });
+            }
+
+            let response = await mailboxHandler.metadataHandler.set(user, mailbox, result.value.entries);
+
+            return res.json({
+                success: true,
+                updated: response.updated,
+                deleted: response.deleted
+            });
+        })
+    );
+
+    server.get(
+        {
+            path: '/users/:user/mailboxes/:mailbox/acl',
+            summary: 'List Mailbox access rights',
+            description: 'Lists users that have access to the Mailbox. The owner of the Mailbox is always listed first and has all rights.',
+            name: 'getMailboxAcl',
+            tags: ['Mailboxes'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: { sess: sessSchema, ip: sessIPSchema },
+                pathParams: { user: userId, mailbox: mailboxId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            results: Joi.array().items(MailboxAclEntry).required().description('List of access rights')
+                        }).$_setFlag('objectName', 'GetMailboxAclResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).readOwn('mailboxes'));
+            } else {
+                req.validate(roles.can(req.role).readAny('mailboxes'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let mailbox = new ObjectId(result.value.mailbox);
+
+            let mailboxData = await db.database.collection('mailboxes').findOne({ _id: mailbox, user });
+            if (!mailboxData) {
+                res.status(404);
+                return res.json({
+                    error: 'This mailbox does not exist',
+                    code: 'NoSuchMailbox'
+                });
+            }
+
+            let list = await mailboxHandler.aclHandler.listAcl(mailboxData);
+
+            return res.json({
+                success: true,
+                results: list.map(entry => ({
+                    user: entry.user.toString(),
+                    username: entry.username,
+                    rights: entry.rights,
+                    owner: entry.owner,
+                    created: entry.created,
+                    updated: entry.updated
+                }))
+            });
+        })
+    );
+
+    server.put(
+        {
+            path: '/users/:user/mailboxes/:mailbox/acl/:grantee',
+            summary: 'Share a Mailbox',
+            description:
+                'Grants access rights (RFC4314) for the Mailbox to another user. Existing rights of that user are replaced. Setting empty rights removes access.',
+            name: 'updateMailboxAcl',
+            tags: ['Mailboxes'],
+            validationObjs: {
+                requestBody: {
+                    rights: Joi.string()
+                        .trim()
+                        .regex(/^[lrswipkxteacd]*$/)
+                        .allow('')
+                        .required()
+                        .description(
+                            'Access rights. l - list, r - read, s - keep seen state, w - write flags, i - insert, p - post, k - create mailboxes, x - delete mailbox, t - delete messages, e - expunge, a - administer'
+                        )
+                        .example('lrswite'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: { user: userId, mailbox: mailboxId, grantee: userId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            rights: Joi.string().required().allow('').description('Access rights after the update')
+                        }).$_setFlag('objectName', 'UpdateMailboxAclResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).updateOwn('mailboxes'));
+            } else {
+                req.validate(roles.can(req.role).updateAny('mailboxes'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let mailbox = new ObjectId(result.value.mailbox);
+            let grantee = new ObjectId(result.value.grantee);
+
+            let mailboxData = await db.database.collection('mailboxes').findOne({ _id: mailbox, user });
+            if (!mailboxData) {
+                res.status(404);
+                return res.json({
+                    error: 'This mailbox does not exist',
+                    code: 'NoSuchMailbox'
+                });
+            }
+
+            let granteeData = await db.users.collection('users').findOne({ _id: grantee }, { projection: { _id: true } });
+            if (!granteeData) {
+                res.status(404);
+                return res.json({
+                    error: 'This user does not exist',
+                    code: 'UserNotFound'
+                });
+            }
+
+            let rights = await mailboxHandler.aclHandler.setAcl(mailboxData, grantee, result.value.rights);
+
+            return res.json({
+                success: true,
+                rights
+            });
+        })
+    );
+
+    server.del(
+        {
+            path: '/users/:user/mailboxes/:mailbox/acl/:grantee',
+            summary: 'Unshare a Mailbox',
+            description: 'Removes all access rights of a user for the Mailbox',
+            name: 'deleteMailboxAcl',
+            tags: ['Mailboxes'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: { sess: sessSchema, ip: sessIPSchema },
+                pathParams: { user: userId, mailbox: mailboxId, grantee: userId },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes
+                        }).$_setFlag('objectName', 'SuccessResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).updateOwn('mailboxes'));
+            } else {
+                req.validate(roles.can(req.role).updateAny('mailboxes'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let mailbox = new ObjectId(result.value.mailbox);
+            let grantee = new ObjectId(result.value.grantee);
+
+            let mailboxData = await db.database.collection('mailboxes').findOne({ _id: mailbox, user });
+            if (!mailboxData) {
+                res.status(404);
+                return res.json({
+                    error: 'This mailbox does not exist',
+                    code: 'NoSuchMailbox'
+                });
+            }
+
+            let deleted = await mailboxHandler.aclHandler.deleteAcl(mailboxData, grantee);
+            if (!deleted) {
+                res.status(404);
+                return res.json({
+                    error: 'This mailbox is not shared with the user',
+                    code: 'NoSuchGrant'
+                });
+            }
+
+            return res.json({
+                success: true
+            });
+        })
+    );
 };
@@ -45,7 +45,8 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
         zone: config.sender.zone,
         collection: config.sender.collection,
         gfs: config.sender.gfs,
-        loopSecret: config.sender.loopSecret
+        loopSecret: config.sender.loopSecret,
+        sendDelay: config.sender.sendDelay
     });
 
     const bimiHandler = BimiHandler.create({
@@ -1130,6 +1131,32 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
                                 'List of files added to this message as attachments. Applies to Drafts, normal messages do not have this property. Needed to prevent uploading the same attachment every time a draft is updated'
                             ),
                             outbound: Joi.array().items(Joi.object({})).description('Outbound queue entries'),
+                            deliveryStatus: Joi.array()
+                                .items(
+                                    Joi.object({
+                                        type: Joi.string()
+                                            .valid('dsn', 'mdn')
+                                            .required()
+                                            .description('Report type, either a delivery status notification or a read receipt'),
+                                        recipient: Joi.string().required().description('Recipient address'),
+                                        action: Joi.string()
+                                            .required()
+                                            .description(
+                                                'For DSN one of "failed", "delayed", "delivered", "relayed" or "expanded". For MDN the disposition type, eg. "displayed" or "deleted"'
+                                            ),
+                                        status: Joi.string().description('DSN status code, eg. "5.1.1"'),
+                                        diagnosticCode: Joi.string()
+                                            .allow('')
+                                            .description('DSN diagnostic code, usually the response from the receiving server'),
+                                        remoteMta: Joi.string().allow('').description('DSN remote MTA'),
+                                        disposition: Joi.string().description('Full MDN disposition value'),
+                                        reportingMta: Joi.string().allow('').description('MTA or user agent that generated the report'),
+                                        updated: Joi.date().required().description('Time the report was received')
+                                    }).$_setFlag('objectName', 'DeliveryStatus')
+                                )
+                                .description(
+                                    'Latest delivery status and read receipt for every recipient of a sent message, based on received DSN and MDN reports'
+                                ),
                             forwardTargets: Joi.object({}).description('Forward targets'),
                             reference: Joi.object({}).description('Referenced message info'),
                             answered: booleanSchema.required().description('\\Answered flag value'),
@@ -1208,7 +1235,8 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
                             forwardTargets: true,
                             meta: true,
                             verificationResults: true,
-                            outbound: true
+                            outbound: true,
+                            deliveryStatus: true
                         }
                     }
                 );
@@ -1429,6 +1457,10 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
                 }
             }
 
+            if (messageData.deliveryStatus && messageData.deliveryStatus.length) {
+                response.deliveryStatus = messageData.deliveryStatus;
+            }
+
             return res.json(response);
         })
     );
@@ -2768,7 +2800,9 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
                 queryParams: {},
                 requestBody: {
                     deleteFiles: booleanSchema.description('If true then deletes attachment files listed in metaData.files array'),
-                    sendTime: Joi.date().description('Datestring for delivery if message should be sent some later time'),
+                    sendTime: Joi.date().description(
+                        'Datestring for delivery if message should be sent some later time. If not set, then the message is sent after the configured undo send delay'
+                    ),
                     sess: sessSchema,
                     ip: sessIPSchema
                 },
@@ -2778,6 +2812,9 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
                         model: Joi.object({
                             success: successRes,
                             queueId: Joi.string().description('Message ID in outbound queue').required(),
+                            sendTime: Joi.date().description(
+                                'Time the message is going to be sent. Until then the message can be removed from the queue to undo sending'
+                            ),
                             message: Joi.object({
                                 id: Joi.number().description('Message ID in mailbox').required(),
                                 mailbox: Joi.string().description('Mailbox ID the message was stored into').required(),
@@ -3011,7 +3048,10 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
                 });
             }
 
-            let queueId = await submitMessage(userData, envelope, sendTime, rebuilder.value, {
+            // delivery might be delayed to allow undoing sending the message
+            let queueTime = maildrop.getSendTime(sendTime);
+
+            let queueId = await submitMessage(userData, envelope, queueTime, rebuilder.value, {
                 origin: result.value.ip
             });
 
@@ -3021,6 +3061,7 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
 
             if (queueId) {
                 response.queueId = queueId;
+                response.sendTime = queueTime;
                 const moved = await messageHandler.moveAsync({
                     user,
                     source: {
@@ -3158,6 +3199,206 @@ module.exports = (db, server, messageHandler, userHandler, storageHandler, setti
         })
     );
 
+    server.get(
+        {
+            path: '/users/:user/outbound',
+            tags: ['Messages'],
+            summary: 'List Outbound Messages',
+            name: 'getOutboundMessages',
+            description:
+                'Lists messages submitted by the user that are still in the outbound queue, eg. scheduled messages or messages waiting for the undo send delay to pass.',
+            validationObjs: {
+                requestBody: {},
+                queryParams: {
+                    limit: Joi.number().empty('').default(100).min(1).max(1000).description('How many records to return'),
+                    scheduled: booleanSchema.default(false).description('If true, then only lists messages that are not due for delivery yet'),
+                    next: nextPageCursorSchema,
+                    previous: previousPageCursorSchema,
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                pathParams: {
+                    user: userId
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            previousCursor: Joi.alternatives()
+                                .try(Joi.string(), booleanSchema)
+                                .description('Either a cursor string or false if there are not any previous results')
+                                .required(),
+                            nextCursor: Joi.alternatives()
+                                .try(Joi.string(), booleanSchema)
+                                .description('Either a cursor string or false if there are not any next results')
+                                .required(),
+                            results: Joi.array()
+                                .items(
+                                    Joi.object({
+                                        queueId: Joi.string().required().description('Outbound queue ID of the message'),
+                                        from: Joi.string().allow('').required().description('Envelope sender address'),
+                                        to: Joi.array().items(Joi.string()).required().description('Envelope recipient addresses'),
+                                        subject: Joi.string().allow('').required().description('Message subject'),
+                                        created: Joi.date().required().description('Time the message was submitted'),
+                                        sendTime: Joi.date().required().description('Earliest time the message is going to be sent'),
+                                        recipients: Joi.array()
+                                            .items(
+                                                Joi.object({
+                                                    seq: Joi.string().required().description('Sequence ID of the queue entry'),
+                                                    recipient: Joi.string().required().description('Recipient address'),
+                                                    queued: Joi.date().required().description('Time the delivery to this recipient is attempted'),
+                                                    locked: booleanSchema
+                                                        .required()
+                                                        .description('If true, then the message is being delivered to this recipient and can not be changed')
+                                                }).$_setFlag('objectName', 'OutboundRecipient')
+                                            )
+                                            .required()
+                                            .description('Queue entries for every recipient')
+                                    }).$_setFlag('objectName', 'GetOutboundMessagesResult')
+                                )
+                                .required()
+                                .description('Queued messages, ordered by send time')
+                        }).$_setFlag('objectName', 'GetOutboundMessagesResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...queryParams,
+                ...requestBody
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).readOwn('messages'));
+            } else {
+                req.validate(roles.can(req.role).readAny('messages'));
+            }
+
+            let user = new ObjectId(result.value.user);
+
+            let listing = await maildrop.listQueue(user, {
+                limit: result.value.limit,
+                scheduled: result.value.scheduled,
+                next: result.value.next,
+                previous: result.value.previous
+            });
+
+            return res.json({
+                success: true,
+                previousCursor: listing.previousCursor,
+                nextCursor: listing.nextCursor,
+                results: listing.results
+            });
+        })
+    );
+
+    server.put(
+        {
+            path: '/users/:user/outbound/:queueId',
+            tags: ['Messages'],
+            summary: 'Reschedule an Outbound Message',
+            name: 'updateOutboundMessage',
+            description:
+                'Changes the send time of an outbound email that is still in queue. Use a time in the past to send the message immediately. Recipients the message is already being delivered to are not changed.',
+            validationObjs: {
+                requestBody: {
+                    sendTime: Joi.date().required().description('New send time for the message'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {
+                    user: userId,
+                    queueId: Joi.string().hex().lowercase().min(18).max(24).required().description('Outbound queue ID of the message')
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            queueId: Joi.string().required().description('Outbound queue ID of the message'),
+                            sendTime: Joi.date().required().description('New send time of the message'),
+                            updated: Joi.number().required().description('How many queue entries were updated')
+                        }).$_setFlag('objectName', 'UpdateOutboundMessageResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...queryParams,
+                ...requestBody
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).updateOwn('messages'));
+            } else {
+                req.validate(roles.can(req.role).updateAny('messages'));
+            }
+
+            let user = new ObjectId(result.value.user);
+            let queueId = result.value.queueId;
+
+            let now = new Date();
+            let sendTime = result.value.sendTime;
+            if (sendTime < now) {
+                sendTime = now;
+            }
+
+            let response = await maildrop.rescheduleQueued(queueId, user, sendTime);
+            if (!response.success) {
+                let err = new Error(response.code === 'NoSuchQueueEntry' ? 'This message does not exist in the outbound queue' : 'Not enough privileges');
+                err.responseCode = response.code === 'NoSuchQueueEntry' ? 404 : 403;
+                err.code = response.code;
+                throw err;
+            }
+
+            return res.json(response);
+        })
+    );
+
     server.del(
         {
             path: '/users/:user/outbound/:queueId',
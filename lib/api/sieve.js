@@ -0,0 +1,428 @@
+'use strict';
+
+const Joi = require('joi');
+const ObjectId = require('mongodb').ObjectId;
+const tools = require('../tools');
+const roles = require('../roles');
+const consts = require('../consts');
+const { sessSchema, sessIPSchema, booleanSchema } = require('../schemas');
+const { successRes } = require('../schemas/response/general-schemas');
+const { userId } = require('../schemas/request/general-schemas');
+
+const scriptId = Joi.string().hex().lowercase().length(24).required().description('ID of the Sieve script');
+
+module.exports = (db, server, sieveHandler) => {
+    server.get(
+        {
+            path: '/users/:user/sieve',
+            summary: 'List Sieve scripts for a User',
+            name: 'getSieveScripts',
+            tags: ['Sieve'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: {
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                pathParams: {
+                    user: userId
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            limits: Joi.object({
+                                allowed: Joi.number().required().description('How many Sieve scripts are allowed'),
+                                used: Joi.number().required().description('How many Sieve scripts have been created')
+                            })
+                                .required()
+                                .description('Sieve script usage limits for the user account'),
+                            results: Joi.array()
+                                .items(
+                                    Joi.object({
+                                        id: Joi.string().required().description('Sieve script ID'),
+                                        name: Joi.string().required().description('Name of the script'),
+                                        active: booleanSchema.required().description('If true, then this script is run for incoming messages'),
+                                        size: Joi.number().required().description('Script size in bytes'),
+                                        created: Joi.date().required().description('Datestring of the time the script was created'),
+                                        updated: Joi.date().required().description('Datestring of the time the script was last updated')
+                                    }).$_setFlag('objectName', 'GetSieveScriptsResult')
+                                )
+                                .required()
+                                .description('Sieve script listing')
+                        }).$_setFlag('objectName', 'GetSieveScriptsResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            let permission;
+            if (req.user && req.user === result.value.user) {
+                permission = roles.can(req.role).readOwn('filters');
+            } else {
+                permission = roles.can(req.role).readAny('filters');
+            }
+            req.validate(permission);
+
+            let user = new ObjectId(result.value.user);
+
+            let scripts = await sieveHandler.list(user);
+
+            return res.json({
+                success: true,
+
+                limits: {
+                    allowed: consts.MAX_SIEVE_SCRIPTS,
+                    used: scripts.length
+                },
+
+                results: scripts.map(scriptData =>
+                    permission.filter({
+                        id: scriptData._id.toString(),
+                        name: scriptData.name,
+                        active: !!scriptData.active,
+                        size: scriptData.size,
+                        created: scriptData.created,
+                        updated: scriptData.updated
+                    })
+                )
+            });
+        })
+    );
+
+    server.get(
+        {
+            path: '/users/:user/sieve/:script',
+            summary: 'Request Sieve script',
+            name: 'getSieveScript',
+            tags: ['Sieve'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: {
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                pathParams: {
+                    user: userId,
+                    script: scriptId
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            id: Joi.string().required().description('Sieve script ID'),
+                            name: Joi.string().required().description('Name of the script'),
+                            script: Joi.string().required().allow('').description('Script source'),
+                            active: booleanSchema.required().description('If true, then this script is run for incoming messages'),
+                            size: Joi.number().required().description('Script size in bytes'),
+                            created: Joi.date().required().description('Datestring of the time the script was created'),
+                            updated: Joi.date().required().description('Datestring of the time the script was last updated')
+                        }).$_setFlag('objectName', 'GetSieveScriptResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            let permission;
+            if (req.user && req.user === result.value.user) {
+                permission = roles.can(req.role).readOwn('filters');
+            } else {
+                permission = roles.can(req.role).readAny('filters');
+            }
+            req.validate(permission);
+
+            let scriptData = await sieveHandler.get(new ObjectId(result.value.user), new ObjectId(result.value.script));
+
+            return res.json(
+                permission.filter({
+                    success: true,
+                    id: scriptData._id.toString(),
+                    name: scriptData.name,
+                    script: scriptData.script,
+                    active: !!scriptData.active,
+                    size: scriptData.size,
+                    created: scriptData.created,
+                    updated: scriptData.updated
+                })
+            );
+        })
+    );
+
+    server.post(
+        {
+            path: '/users/:user/sieve',
+            summary: 'Create a new Sieve script',
+            name: 'createSieveScript',
+            description:
+                'Stores a Sieve script. The script is validated before storing and a SieveError with the line number is returned if the script is not valid. Only the active script is run for incoming messages, after JSON filters.',
+            tags: ['Sieve'],
+            validationObjs: {
+                requestBody: {
+                    name: Joi.string().trim().min(1).max(255).required().description('Name of the script, must be unique for the user'),
+                    script: Joi.string().allow('').max(consts.MAX_SIEVE_SCRIPT_SIZE).required().description('Sieve script source'),
+                    active: booleanSchema.default(false).description('If true, then this script is activated and any other script is deactivated'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {
+                    user: userId
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            id: Joi.string().required().description('ID of the Sieve script')
+                        }).$_setFlag('objectName', 'CreateSieveScriptResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).createOwn('filters'));
+            } else {
+                req.validate(roles.can(req.role).createAny('filters'));
+            }
+
+            let user = new ObjectId(result.value.user);
+
+            let userData = await db.users.collection('users').findOne({ _id: user }, { projection: { _id: true } });
+            if (!userData) {
+                res.status(404);
+                return res.json({
+                    error: 'This user does not exist',
+                    code: 'UserNotFound'
+                });
+            }
+
+            let script = await sieveHandler.create(user, {
+                name: result.value.name,
+                script: result.value.script,
+                active: result.value.active
+            });
+
+            return res.json({
+                success: true,
+                id: script.toString()
+            });
+        })
+    );
+
+    server.put(
+        {
+            path: '/users/:user/sieve/:script',
+            summary: 'Update Sieve script',
+            name: 'updateSieveScript',
+            tags: ['Sieve'],
+            validationObjs: {
+                requestBody: {
+                    name: Joi.string().trim().min(1).max(255).empty('').description('Name of the script, must be unique for the user'),
+                    script: Joi.string().allow('').max(consts.MAX_SIEVE_SCRIPT_SIZE).description('Sieve script source'),
+                    active: booleanSchema.description('If true, then this script is activated and any other script is deactivated'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {
+                    user: userId,
+                    script: scriptId
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes
+                        }).$_setFlag('objectName', 'SuccessResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).updateOwn('filters'));
+            } else {
+                req.validate(roles.can(req.role).updateAny('filters'));
+            }
+
+            let success = await sieveHandler.update(new ObjectId(result.value.user), new ObjectId(result.value.script), {
+                name: result.value.name,
+                script: result.value.script,
+                active: result.value.active
+            });
+
+            return res.json({
+                success
+            });
+        })
+    );
+
+    server.del(
+        {
+            path: '/users/:user/sieve/:script',
+            summary: 'Delete Sieve script',
+            name: 'deleteSieveScript',
+            tags: ['Sieve'],
+            validationObjs: {
+                requestBody: {},
+                queryParams: {
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                pathParams: {
+                    user: userId,
+                    script: scriptId
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes
+                        }).$_setFlag('objectName', 'SuccessResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            // permissions check
+            if (req.user && req.user === result.value.user) {
+                req.validate(roles.can(req.role).deleteOwn('filters'));
+            } else {
+                req.validate(roles.can(req.role).deleteAny('filters'));
+            }
+
+            let success = await sieveHandler.delete(new ObjectId(result.value.user), new ObjectId(result.value.script));
+
+            return res.json({
+                success
+            });
+        })
+    );
+};
@@ -19,6 +19,7 @@ const { userId, mailboxId } = require('../schemas/request/general-schemas');
 const { AddressOptionalName, AddressOptionalNameArray, Header, ReferenceWithoutAttachments } = require('../schemas/request/messages-schemas');
 const { successRes } = require('../schemas/response/general-schemas');
 const IndexerHelper = require('../indexer-helper');
+const DelegationHandler = require('../delegation-handler');
 
 class StreamCollect extends Transform {
     constructor() {
@@ -40,9 +41,12 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
         zone: config.sender.zone,
         collection: config.sender.collection,
         gfs: config.sender.gfs,
-        loopSecret: config.sender.loopSecret
+        loopSecret: config.sender.loopSecret,
+        sendDelay: config.sender.sendDelay
     });
 
+    const delegationHandler = new DelegationHandler({ users: db.users });
+
     function submitMessage(options, callback) {
         let user = options.user;
 
@@ -282,7 +286,8 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
 
                             if (!envelope.from) {
                                 if (options.from) {
-                                    envelope.from = options.from;
+                                    // envelope sender is validated separately from the From: header
+                                    envelope.from = Object.assign({}, options.from);
                                 } else {
                                     options.from = envelope.from = {
                                         name: userData.name || '',
@@ -293,7 +298,10 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
 
                             options.from = options.from || envelope.from;
 
-                            let validateFromAddress = (address, next) => {
+                            // addresses of other users that were allowed by a delegation
+                            let delegated = new Map();
+
+                            let validateFromAddress = (address, header, next) => {
                                 if (options.uploadOnly) {
                                     // message is not sent, so we do not care if address is valid or not
                                     return next(null, address);
@@ -331,22 +339,47 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                                     if (err) {
                                         return next(err);
                                     }
-                                    if (!resolvedUser || resolvedUser._id.toString() !== userData._id.toString()) {
+                                    if (!resolvedUser) {
                                         return next(null, userData.address);
                                     }
-                                    return next(null, address);
+                                    if (resolvedUser._id.toString() === userData._id.toString()) {
+                                        return next(null, address);
+                                    }
+                                    if (resolvedUser.disabled || resolvedUser.suspended) {
+                                        return next(null, userData.address);
+                                    }
+
+                                    // address belongs to another user, check if that user has delegated sending to current user
+                                    delegationHandler
+                                        .get(resolvedUser._id, userData._id)
+                                        .then(delegationData => {
+                                            let type;
+                                            if (delegationData && delegationData.sendAs) {
+                                                type = 'send as';
+                                            } else if (delegationData && delegationData.sendOnBehalf && header) {
+                                                // only the From: header can use this address, envelope sender remains the delegate
+                                                type = 'send on behalf';
+                                            }
+
+                                            if (type) {
+                                                delegated.set(address, { user: resolvedUser._id, type });
+                                            }
+
+                                            setImmediate(() => next(null, type ? address : userData.address));
+                                        })
+                                        .catch(err => next(err));
                                 });
                             };
 
                             // make sure that envelope address is allowed for current user
-                            validateFromAddress(tools.normalizeAddress(envelope.from.address), (err, address) => {
+                            validateFromAddress(tools.normalizeAddress(envelope.from.address), false, (err, address) => {
                                 if (err) {
                                     return callback(err);
                                 }
                                 envelope.from.address = address;
 
                                 // make sure that message header address is allowed for current user
-                                validateFromAddress(tools.normalizeAddress(options.from.address), (err, address) => {
+                                validateFromAddress(tools.normalizeAddress(options.from.address), true, (err, address) => {
                                     if (err) {
                                         return callback(err);
                                     }
@@ -380,6 +413,9 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                                         sendTime = now;
                                     }
 
+                                    // delivery might be delayed to allow undoing sending the message
+                                    let queueTime = maildrop.getSendTime(sendTime);
+
                                     let data = {
                                         envelope,
                                         from: options.from,
@@ -396,6 +432,15 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                                         disableUrlAccess: true
                                     };
 
+                                    let delegation = delegated.get(options.from.address);
+                                    if (delegation && delegation.type === 'send on behalf') {
+                                        // RFC5322 3.6.2, the delegate is the actual sender of the message
+                                        data.sender = {
+                                            name: userData.name || '',
+                                            address: userData.address
+                                        };
+                                    }
+
                                     // ensure plaintext content if html is provided
                                     if (data.html && !data.text) {
                                         try {
@@ -470,7 +515,7 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                                                     reason: 'submit',
                                                     from: compiledEnvelope.from,
                                                     to: compiledEnvelope.to,
-                                                    sendTime,
+                                                    sendTime: queueTime,
                                                     origin: options.ip,
                                                     runPlugins: true,
                                                     mtaRelay: userData.mtaRelay || false
@@ -519,6 +564,25 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                                         if (err) {
                                             // ignore
                                         }
+
+                                        if (outbound) {
+                                            // delegated sending is logged to the account of the delegating user
+                                            for (let [address, delegation] of delegated) {
+                                                userHandler
+                                                    .logAuthEvent(delegation.user, {
+                                                        action: 'delegated send',
+                                                        result: 'success',
+                                                        target: userData._id,
+                                                        delegation: delegation.type,
+                                                        address,
+                                                        protocol: 'API',
+                                                        sess: options.sess,
+                                                        ip: options.ip
+                                                    })
+                                                    .catch(err => log.error('API', 'AUTHLOGFAIL user=%s error=%s', delegation.user, err.message));
+                                            }
+                                        }
+
                                         if (overQuota) {
                                             log.info('API', 'STOREFAIL user=%s error=%s', user, 'Over quota');
                                             return callback(null, {
@@ -612,7 +676,8 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                                                         return callback(null, {
                                                             id: info.uid,
                                                             mailbox: info.mailbox,
-                                                            queueId: outbound
+                                                            queueId: outbound,
+                                                            sendTime: outbound ? queueTime : false
                                                         });
                                                     };
 
@@ -923,7 +988,7 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                             id: Joi.number().required().description('Message ID')
                         })
                         .description('Draft message to base this one on'),
-                    sendTime: Joi.date().description('Send time'),
+                    sendTime: Joi.date().description('Send time. If not set, then the message is sent after the configured undo send delay'),
                     uploadOnly: booleanSchema.default(false).description('If true only uploads the message but does not send it'),
                     envelope: Joi.object()
                         .keys({
@@ -957,7 +1022,10 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                             message: Joi.object({
                                 mailbox: Joi.string().required().description('Mailbox ID the message was stored to'),
                                 id: Joi.number().description('Message ID in the Mailbox').required(),
-                                queueId: Joi.string().required().description('Queue ID in MTA')
+                                queueId: Joi.string().required().description('Queue ID in MTA'),
+                                sendTime: Joi.alternatives()
+                                    .try(Joi.date(), booleanSchema)
+                                    .description('Time the message is going to be sent. Until then the message can be removed from the queue to undo sending')
                             })
                                 .required()
                                 .description('Information about submitted Message')
@@ -1045,7 +1113,7 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                             id: Joi.number().required().description('Message ID')
                         })
                         .description('Draft message to base this one on'),
-                    sendTime: Joi.date().description('Send time'),
+                    sendTime: Joi.date().description('Send time. If not set, then the message is sent after the configured undo send delay'),
                     uploadOnly: booleanSchema.default(false).description('If true only uploads the message but does not send it'),
                     envelope: Joi.object()
                         .keys({
@@ -1079,7 +1147,10 @@ module.exports = (db, server, messageHandler, userHandler, settingsHandler) => {
                             message: Joi.object({
                                 mailbox: Joi.string().required().description('Mailbox ID the message was stored to'),
                                 id: Joi.number().description('Message ID in the Mailbox').required(),
-                                queueId: Joi.string().required().description('Queue ID in MTA')
+                                queueId: Joi.string().required().description('Queue ID in MTA'),
+                                sendTime: Joi.alternatives()
+                                    .try(Joi.date(), booleanSchema)
+                                    .description('Time the message is going to be sent. Until then the message can be removed from the queue to undo sending')
                             })
                                 .required()
                                 .description('Information about submitted Message')
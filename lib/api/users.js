@@ -22,6 +22,9 @@ const { GetUsersResult } = require('../schemas/response/users-schemas');
 const { userId } = require('../schemas/request/general-schemas');
 const { mongopagingFindWrapper } = require('../mongopaging-find-wrapper');
 
+// chunk size for exported attachment contents, same as for attachments stored in GridFS
+const ATTACHMENT_CHUNK_SIZE = 255 * 1024;
+
 const FEATURE_FLAGS = ['indexing'];
 
 module.exports = (db, server, userHandler, settingsHandler) => {
@@ -1780,30 +1783,9 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 });
             }
 
-            let storageData;
+            let storageUsed;
             try {
-                // calculate mailbox size by aggregating the size's of all messages
-                // NB! Scattered query
-                storageData = await db.database
-                    .collection('messages')
-                    .aggregate([
-                        {
-                            $match: {
-                                user
-                            }
-                        },
-                        {
-                            $group: {
-                                _id: {
-                                    user: '$user'
-                                },
-                                storageUsed: {
-                                    $sum: '$size'
-                                }
-                            }
-                        }
-                    ])
-                    .toArray();
+                storageUsed = await getStorageUsed(db, user);
             } catch (err) {
                 res.status(500);
                 return res.json({
@@ -1812,8 +1794,6 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 });
             }
 
-            let storageUsed = (storageData && storageData[0] && storageData[0].storageUsed) || 0;
-
             let updateResponse;
             try {
                 // update quota counter
@@ -1949,7 +1929,7 @@ module.exports = (db, server, userHandler, settingsHandler) => {
             summary: 'Export data',
             name: 'createExport',
             description:
-                'Export data for matching users. Export dump does not include emails, only account structure (user data, password hashes, mailboxes, filters, etc.). A special "export"-role access token is required for exporting and importing.',
+                'Export data for matching users. By default export dump does not include emails, only account structure (user data, password hashes, mailboxes, filters, etc.). If `messages` is set then messages, threads and attachment contents are included as well, so the dump can be used to migrate accounts between clusters. A special "export"-role access token is required for exporting and importing.',
             validationObjs: {
                 requestBody: {
                     users: Joi.array().single().items(Joi.string().hex().lowercase().length(24).required()).description('An array of User ID values to export'),
@@ -1957,6 +1937,9 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         .single()
                         .items(Joi.string().trim().empty('').max(1024))
                         .description('An array of user tags to export. If set then at least one tag must exist on an user.'),
+                    messages: booleanSchema
+                        .default(false)
+                        .description('If true, then messages, threads, attachments and stored files are included in the export'),
                     sess: sessSchema,
                     ip: sessIPSchema
                 },
@@ -2002,9 +1985,66 @@ module.exports = (db, server, userHandler, settingsHandler) => {
             let exporter = new ExportStream({
                 type: 'wildduck_data_export',
                 users: result.value.users,
-                tags: result.value.tags
+                tags: result.value.tags,
+                messages: result.value.messages
             });
 
+            // attachments are deduplicated between users, so make sure each attachment is exported only once
+            let exportedAttachments = new Set();
+
+            let attachmentStorage = userHandler.messageHandler.attachmentStorage;
+
+            // Attachment contents are read from the storage backend the entry was stored in and exported as
+            // GridFS chunks, so the dump can be imported regardless of the storage configuration of the target
+            const exportAttachment = async (user, attachmentId, exporter) => {
+                let bucket = config.attachments.bucket || 'attachments';
+
+                // read the raw entry, so that all exported values are serialized with the same BSON library
+                let rawAttachmentData = await db.gridfs.collection(`${bucket}.files`).findOne({ _id: attachmentId }, { raw: true });
+                if (!rawAttachmentData) {
+                    log.error('Export', `Missing attachment ${attachmentId.toString('hex')} for user ${user}`);
+                    return;
+                }
+                let attachmentData = BSON.deserialize(rawAttachmentData);
+
+                let writeEntry = async (collection, entry) => {
+                    if (!exporter.write({ client: 'gridfs', collection, entry: BSON.serialize(entry) })) {
+                        await new Promise(resolve => exporter.once('drain', resolve));
+                    }
+                };
+
+                let metadata = Object.assign({}, attachmentData.metadata);
+                delete metadata.storage;
+                delete metadata.migrated;
+
+                await writeEntry(`${bucket}.files`, Object.assign({}, attachmentData, { chunkSize: ATTACHMENT_CHUNK_SIZE, metadata }));
+
+                let stream = attachmentStorage.createStoredReadStream(attachmentId, attachmentData);
+
+                let n = 0;
+                let buffered = [];
+                let bufferedLength = 0;
+                let writeChunk = async data => {
+                    await writeEntry(`${bucket}.chunks`, { _id: new BSON.ObjectId(), files_id: attachmentData._id, n: n++, data });
+                };
+
+                for await (let chunk of stream) {
+                    buffered.push(chunk);
+                    bufferedLength += chunk.length;
+                    while (bufferedLength >= ATTACHMENT_CHUNK_SIZE) {
+                        let data = Buffer.concat(buffered);
+                        await writeChunk(data.subarray(0, ATTACHMENT_CHUNK_SIZE));
+                        buffered = [data.subarray(ATTACHMENT_CHUNK_SIZE)];
+                        bufferedLength = buffered[0].length;
+                    }
+                }
+                if (bufferedLength) {
+                    await writeChunk(Buffer.concat(buffered));
+                }
+
+                log.info('Export', `Exported attachment ${attachmentId.toString('hex')} (${n} chunks) for user ${user}`);
+            };
+
             const runUserExport = async (user, exporter) => {
                 log.info('Export', `Processing user ${user}`);
 
@@ -2015,7 +2055,10 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                     let entry;
                     let rowcount = 0;
                     while ((entry = await cursor.next())) {
-                        exporter.write({ client, collection, entry });
+                        if (!exporter.write({ client, collection, entry })) {
+                            // message and attachment entries can be large, so wait until the output has been flushed
+                            await new Promise(resolve => exporter.once('drain', resolve));
+                        }
                         rowcount++;
                     }
                     await cursor.close();
@@ -2030,6 +2073,49 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                 await processCollection('database', 'autoreplies', { user });
                 await processCollection('database', 'filters', { user });
                 await processCollection('database', 'mailboxes', { user });
+
+                if (!result.value.messages) {
+                    return;
+                }
+
+                await processCollection('database', 'threads', { user });
+                await processCollection('database', 'messages', { user });
+
+                // stored files for the user
+                await processCollection('gridfs', 'storage.files', { 'metadata.user': user });
+                let fileIds = await db.gridfs
+                    .collection('storage.files')
+                    .find({ 'metadata.user': user }, { projection: { _id: true } })
+                    .toArray();
+                for (let { _id: fileId } of fileIds) {
+                    await processCollection('gridfs', 'storage.chunks', { files_id: fileId });
+                }
+
+                // attachment contents referenced by the exported messages
+                let attachmentIds = [];
+                let cursor = await db.database.collection('messages').find(
+                    { user },
+                    {
+                        projection: { _id: true, 'mimeTree.attachmentMap': true }
+                    }
+                );
+                let messageData;
+                while ((messageData = await cursor.next())) {
+                    let attachmentMap = (messageData.mimeTree && messageData.mimeTree.attachmentMap) || {};
+                    for (let key of Object.keys(attachmentMap)) {
+                        let attachmentId = attachmentMap[key];
+                        let idStr = attachmentId.toString('hex');
+                        if (!exportedAttachments.has(idStr)) {
+                            exportedAttachments.add(idStr);
+                            attachmentIds.push(attachmentId);
+                        }
+                    }
+                }
+                await cursor.close();
+
+                for (let attachmentId of attachmentIds) {
+                    await exportAttachment(user, attachmentId, exporter);
+                }
             };
 
             const runExport = async (query = {}, exporter) => {
@@ -2096,7 +2182,7 @@ module.exports = (db, server, userHandler, settingsHandler) => {
             summary: 'Import user data',
             name: 'createImport',
             description:
-                'Import data from an export dump. If a database entry already exists, it is not modified. A special "export"-role access token is required for exporting and importing.',
+                'Import data from an export dump. If a database entry already exists, it is not modified. If the dump includes messages, then mailbox counters, attachment references and quota usage are rebuilt for the imported entries. A special "export"-role access token is required for exporting and importing.',
             tags: ['Export'],
             applicationType: 'application/octet-stream',
             validationObjs: {
@@ -2110,7 +2196,8 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                             entries: Joi.number().description('How many database entries were found from the export file'),
                             imported: Joi.number().description('How many database entries were imported from the export file'),
                             failed: Joi.number().description('How many database entries were not imported due to some error'),
-                            existing: Joi.number().description('How many database existing entries were not imported')
+                            existing: Joi.number().description('How many database existing entries were not imported'),
+                            messages: Joi.number().description('How many messages were imported from the export file')
                         }).$_setFlag('objectName', 'CreateImportResponse')
                     }
                 }
@@ -2122,8 +2209,75 @@ module.exports = (db, server, userHandler, settingsHandler) => {
             // permissions check
             req.validate(roles.can(req.role).createAny('import'));
 
+            let attachmentsBucket = config.attachments.bucket || 'attachments';
+
+            const rebuildImportedData = async imported => {
+                // increment reference counters for attachments used by imported messages
+                for (let { id, count, magic } of imported.attachments.values()) {
+                    await db.gridfs.collection(`${attachmentsBucket}.files`).updateOne(
+                        { _id: id },
+                        {
+                            $inc: {
+                                'metadata.c': count,
+                                'metadata.m': magic
+                            },
+                            $set: {
+                                'metadata.cu': new Date()
+                            }
+                        }
+                    );
+                }
+
+                // make sure mailbox counters are ahead of the imported messages
+                for (let mailbox of imported.mailboxes.values()) {
+                    let counters = await db.database
+                        .collection('messages')
+                        .aggregate([
+                            { $match: { mailbox } },
+                            {
+                                $group: {
+                                    _id: '$mailbox',
+                                    uid: { $max: '$uid' },
+                                    modseq: { $max: '$modseq' }
+                                }
+                            }
+                        ])
+                        .toArray();
+
+                    if (!counters || !counters.length) {
+                        continue;
+                    }
+
+                    await db.database.collection('mailboxes').updateOne(
+                        { _id: mailbox },
+                        {
+                            $max: {
+                                uidNext: (Number(counters[0].uid) || 0) + 1,
+                                modifyIndex: Number(counters[0].modseq) || 0
+                            }
+                        }
+                    );
+                    log.info('Import', 'rebuilt mailbox=%s uid=%s modseq=%s', mailbox, counters[0].uid, counters[0].modseq);
+                }
+
+                // recalculate quota usage
+                for (let user of imported.users) {
+                    let storageUsed = await getStorageUsed(db, user);
+                    await db.users.collection('users').updateOne({ _id: user }, { $set: { storageUsed } });
+                    log.info('Import', 'rebuilt user=%s storageUsed=%s', user, storageUsed);
+                }
+            };
+
             let result;
 
+            // references to rebuild after all entries have been imported
+            let imported = {
+                messages: false,
+                users: [],
+                mailboxes: new Map(),
+                attachments: new Map()
+            };
+
             try {
                 result = await new Promise((resolve, reject) => {
                     let importer = new ImportStream();
@@ -2141,6 +2295,7 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                             err.code = 'INVALID_DATA';
                             reject(err);
                         }
+                        imported.messages = !!(canImport && header.messages);
                     });
 
                     let reading = false;
@@ -2150,7 +2305,8 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                         entries: 0,
                         imported: 0,
                         failed: 0,
-                        existing: 0
+                        existing: 0,
+                        messages: 0
                     };
 
                     importer.on('readable', () => {
@@ -2182,16 +2338,27 @@ module.exports = (db, server, userHandler, settingsHandler) => {
                                     return setImmediate(readNextEntry);
                                 }
 
-                                // we do not import data, only account info, so reset all storage info to 0
+                                // storage info is rebuilt from imported messages, if messages are not included then reset it to 0
                                 switch (entry.collection) {
                                     case 'users':
                                         document.storageUsed = 0;
                                         break;
 
                                     case 'mailboxes':
-                                        document.uidValidity = Math.floor(Date.now() / 1000);
-                                        document.uidNext = 1;
-                                        document.modifyIndex = 0;
+                                        if (!imported.messages) {
+                                            document.uidValidity = Math.floor(Date.now() / 1000);
+                                            document.uidNext = 1;
+                                            document.modifyIndex = 0;
+                                        }
+                                        break;
+
+                                    case `${attachmentsBucket}.files`:
+                                        // reference counters are rebuilt from the imported messages
+                                        document.metadata = Object.assign(document.metadata || {}, {
+                                            c: 0,
+                                            m: 0,
+                                            cu: new Date()
+                                        });
                                         break;
                                 }
 
@@ -2226,6 +2393,32 @@ module.exports = (db, server, userHandler, settingsHandler) => {
 
                                     if (res && res.insertedId) {
                                         result.imported++;
+
+                                        switch (entry.collection) {
+                                            case 'users':
+                                                imported.users.push(new ObjectId(document._id.toString()));
+                                                break;
+
+                                            case 'messages': {
+                                                result.messages++;
+                                                imported.mailboxes.set(document.mailbox.toString(), new ObjectId(document.mailbox.toString()));
+
+                                                let attachmentMap = (document.mimeTree && document.mimeTree.attachmentMap) || {};
+                                                for (let key of Object.keys(attachmentMap)) {
+                                                    // deserialized values are BSON Binary objects, use plain buffers for queries
+                                                    let attachmentId = Buffer.from(attachmentMap[key].buffer);
+                                                    let idStr = attachmentId.toString('hex');
+                                                    if (!imported.attachments.has(idStr)) {
+                                                        imported.attachments.set(idStr, { id: attachmentId, count: 0, magic: 0 });
+                                                    }
+                                                    let attachmentRef = imported.attachments.get(idStr);
+                                                    attachmentRef.count++;
+                                                    attachmentRef.magic += Number(document.magic) || 0;
+                                                }
+                                                break;
+                                            }
+                                        }
+
                                         log.info(
                                             'Import',
                                             'resolution=%s client=%s collection=%s _id=%s',
@@ -2270,6 +2463,10 @@ module.exports = (db, server, userHandler, settingsHandler) => {
 
                     req.pipe(importer);
                 });
+
+                if (imported.messages) {
+                    await rebuildImportedData(imported);
+                }
             } catch (err) {
                 res.status(500);
                 return res.json({
@@ -2675,3 +2872,43 @@ async function getKeyInfo(pubKeyArmored) {
 
     throw new Error('Failed to verify public key');
 }
+
+/**
+ * Calculates quota usage for an user by aggregating the sizes of all messages and metadata entries
+ *
+ * @param {Object} db Database connections
+ * @param {ObjectId} user User ID
+ * @returns {Number} Storage used in bytes
+ */
+async function getStorageUsed(db, user) {
+    // NB! Scattered query
+    let storageData = await db.database
+        .collection('messages')
+        .aggregate([
+            {
+                $match: {
+                    user
+                }
+            },
+            {
+                // METADATA entries are counted towards quota as well
+                $unionWith: {
+                    coll: 'metadata',
+                    pipeline: [{ $match: { user } }]
+                }
+            },
+            {
+                $group: {
+                    _id: {
+                        user: '$user'
+                    },
+                    storageUsed: {
+                        $sum: '$size'
+                    }
+                }
+            }
+        ])
+        .toArray();
+
+    return Number(storageData && storageData[0] && storageData[0].storageUsed) || 0;
+}
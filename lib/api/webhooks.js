@@ -2,12 +2,31 @@
 
 const Joi = require('joi');
 const ObjectId = require('mongodb').ObjectId;
+const config = require('wild-config');
 const tools = require('../tools');
 const roles = require('../roles');
-const { nextPageCursorSchema, previousPageCursorSchema, sessSchema, sessIPSchema } = require('../schemas');
+const consts = require('../consts');
+const { encrypt, decrypt } = require('../encrypt');
+const { queueDelivery } = require('../events');
+const { nextPageCursorSchema, previousPageCursorSchema, sessSchema, sessIPSchema, booleanSchema } = require('../schemas');
 const { successRes, totalRes, pageRes, previousCursorRes, nextCursorRes } = require('../schemas/response/general-schemas');
 const { mongopagingFindWrapper } = require('../mongopaging-find-wrapper');
 
+const retrySchema = Joi.object({
+    attempts: Joi.number()
+        .integer()
+        .min(1)
+        .max(20)
+        .description(`How many times to try a delivery before giving up. Defaults to ${consts.WEBHOOK_RETRY_ATTEMPTS}`),
+    delay: Joi.number()
+        .integer()
+        .min(100)
+        .max(3600 * 1000)
+        .description(`Delay in milliseconds before the first retry, the delay is doubled for every following retry. Defaults to ${consts.WEBHOOK_RETRY_DELAY}`)
+}).description('Retry policy for failed deliveries');
+
+const SPECIAL_USE_FILTERS = ['INBOX', '\\Archive', '\\Drafts', '\\Junk', '\\Sent', '\\Trash'];
+
 module.exports = (db, server) => {
     server.get(
         {
@@ -46,7 +65,11 @@ module.exports = (db, server) => {
                                         id: Joi.string().required().description('Webhooks unique ID (24 byte hex)'),
                                         type: Joi.array().items(Joi.string()).required().description('An array of event types this webhook matches'),
                                         user: Joi.string().required().description('User ID or null'),
-                                        url: Joi.string().required().description('Webhook URL')
+                                        url: Joi.string().required().description('Webhook URL'),
+                                        signed: Joi.boolean().required().description('Is true if deliveries are signed with a secret'),
+                                        disabled: Joi.boolean().required().description('Is true if the webhook was disabled after too many failed deliveries'),
+                                        mailbox: Joi.string().description('Mailbox ID this webhook is limited to'),
+                                        specialUse: Joi.array().items(Joi.string()).description('Special use folders this webhook is limited to')
                                     }).$_setFlag('objectName', 'GetWebhooksResult')
                                 )
                                 .required()
@@ -125,7 +148,11 @@ module.exports = (db, server) => {
                         _id: true,
                         type: true,
                         user: true,
-                        url: true
+                        url: true,
+                        secret: true,
+                        disabled: true,
+                        mailbox: true,
+                        specialUse: true
                     }
                 },
                 // _id gets removed in response if not explicitly set in paginatedField
@@ -164,7 +191,11 @@ module.exports = (db, server) => {
                         id: webhookData._id.toString(),
                         type: webhookData.type,
                         user: webhookData.user ? webhookData.user.toString() : null,
-                        url: webhookData.url
+                        url: webhookData.url,
+                        signed: !!webhookData.secret,
+                        disabled: !!webhookData.disabled,
+                        mailbox: webhookData.mailbox ? webhookData.mailbox.toString() : undefined,
+                        specialUse: webhookData.specialUse && webhookData.specialUse.length ? webhookData.specialUse : undefined
                     };
 
                     return permission.filter(values);
@@ -192,6 +223,25 @@ module.exports = (db, server) => {
                         .uri({ scheme: [/smtps?/, /https?/], allowRelative: false, relativeOnly: false })
                         .required()
                         .description('URL to POST data to'),
+                    secret: Joi.string()
+                        .trim()
+                        .min(16)
+                        .max(256)
+                        .empty('')
+                        .description(
+                            'Secret for signing deliveries. If set, then every delivery includes a X-Wildduck-Signature header with a HMAC-SHA256 signature of the timestamp, delivery ID and request body'
+                        ),
+                    retry: retrySchema,
+                    mailbox: Joi.string()
+                        .hex()
+                        .lowercase()
+                        .length(24)
+                        .description('Mailbox ID to match. Message events from other mailboxes are not delivered to this webhook'),
+                    specialUse: Joi.array()
+                        .items(Joi.string().valid(...SPECIAL_USE_FILTERS))
+                        .description(
+                            'Special use folders to match, eg. ["INBOX", "\\\\Sent"]. Message events from other folders are not delivered to this webhook'
+                        ),
                     sess: sessSchema,
                     ip: sessIPSchema
                 },
@@ -248,6 +298,7 @@ module.exports = (db, server) => {
             let type = result.value.type;
             let user = result.value.user ? new ObjectId(result.value.user) : null;
             let url = result.value.url;
+            let secret = result.value.secret;
 
             let userData;
             if (user) {
@@ -286,6 +337,22 @@ module.exports = (db, server) => {
                 created: new Date()
             };
 
+            if (secret) {
+                webhookData.secret = await encrypt(secret, config.webhooks.secret);
+            }
+
+            if (result.value.retry) {
+                webhookData.retry = result.value.retry;
+            }
+
+            if (result.value.mailbox) {
+                webhookData.mailbox = new ObjectId(result.value.mailbox);
+            }
+
+            if (result.value.specialUse && result.value.specialUse.length) {
+                webhookData.specialUse = result.value.specialUse;
+            }
+
             let r;
             // insert alias address to email address registry
             try {
@@ -307,6 +374,466 @@ module.exports = (db, server) => {
         })
     );
 
+    server.put(
+        {
+            path: '/webhooks/:webhook',
+            tags: ['Webhooks'],
+            summary: 'Update Webhook',
+            name: 'updateWebhook',
+            description:
+                'Updates an existing webhook. When the signing secret is changed, then deliveries are signed with both the new and the previous secret for 24 hours, so receivers can be updated without rejecting any deliveries',
+            validationObjs: {
+                requestBody: {
+                    type: Joi.array()
+                        .items(Joi.string().trim().max(128).lowercase())
+                        .description('An array of event types to match. For prefix match use ".*" at the end (eg. "user.*") or "*" for all types'),
+                    url: Joi.string()
+                        .uri({ scheme: [/smtps?/, /https?/], allowRelative: false, relativeOnly: false })
+                        .description('URL to POST data to'),
+                    secret: Joi.alternatives()
+                        .try(Joi.string().trim().min(16).max(256), Joi.boolean().valid(false))
+                        .description('New secret for signing deliveries. Set to false to stop signing deliveries'),
+                    retry: retrySchema,
+                    mailbox: Joi.alternatives()
+                        .try(Joi.string().hex().lowercase().length(24), Joi.boolean().valid(false))
+                        .description('Mailbox ID to match. Set to false to match all mailboxes'),
+                    specialUse: Joi.array()
+                        .items(Joi.string().valid(...SPECIAL_USE_FILTERS))
+                        .description('Special use folders to match. Set to an empty list to match all folders'),
+                    disabled: booleanSchema.description('Set to false to re-enable a webhook that was disabled after too many failed deliveries'),
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: { webhook: Joi.string().hex().lowercase().length(24).required().description('ID of the Webhook') },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({ success: successRes }).$_setFlag('objectName', 'SuccessResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            let webhook = new ObjectId(result.value.webhook);
+
+            let webhookData;
+            try {
+                webhookData = await db.users.collection('webhooks').findOne({
+                    _id: webhook
+                });
+            } catch (err) {
+                res.status(500);
+                return res.json({
+                    error: 'MongoDB Error: ' + err.message,
+                    code: 'InternalDatabaseError'
+                });
+            }
+
+            // permissions check
+            let permission;
+            if (req.user && webhookData && webhookData.user && req.user === webhookData.user.toString()) {
+                permission = roles.can(req.role).updateOwn('webhooks');
+            } else {
+                permission = roles.can(req.role).updateAny('webhooks');
+            }
+
+            req.validate(permission);
+
+            result.value = permission.filter(result.value);
+
+            if (!webhookData) {
+                res.status(404);
+                return res.json({
+                    error: 'Invalid or unknown webhook identifier',
+                    code: 'WebhookNotFound'
+                });
+            }
+
+            let $set = {
+                updated: new Date()
+            };
+            let $unset = {};
+
+            for (let key of ['type', 'url', 'retry']) {
+                if (result.value[key]) {
+                    $set[key] = result.value[key];
+                }
+            }
+
+            if (result.value.mailbox === false) {
+                $unset.mailbox = true;
+            } else if (result.value.mailbox) {
+                $set.mailbox = new ObjectId(result.value.mailbox);
+            }
+
+            if (result.value.specialUse && result.value.specialUse.length) {
+                $set.specialUse = result.value.specialUse;
+            } else if (result.value.specialUse) {
+                $unset.specialUse = true;
+            }
+
+            if (typeof result.value.disabled === 'boolean') {
+                $set.disabled = result.value.disabled;
+                if (!result.value.disabled) {
+                    $set.failures = 0;
+                }
+            }
+
+            if (result.value.secret === false) {
+                $unset.secret = true;
+                $unset.previousSecret = true;
+                $unset.previousSecretExpires = true;
+            } else if (result.value.secret) {
+                let currentSecret = webhookData.secret && (await decrypt(webhookData.secret, config.webhooks.secret));
+                if (currentSecret !== result.value.secret) {
+                    $set.secret = await encrypt(result.value.secret, config.webhooks.secret);
+                    if (currentSecret) {
+                        // keep signing with the previous secret for a while, so deliveries that are
+                        // already queued or retried do not fail with receivers that are not updated yet
+                        $set.previousSecret = webhookData.secret;
+                        $set.previousSecretExpires = new Date(Date.now() + consts.WEBHOOK_SECRET_ROTATION_TIME);
+                    }
+                }
+            }
+
+            let update = { $set };
+            if (Object.keys($unset).length) {
+                update.$unset = $unset;
+            }
+
+            let r;
+            try {
+                r = await db.users.collection('webhooks').updateOne({ _id: webhook }, update);
+            } catch (err) {
+                res.status(500);
+                return res.json({
+                    error: 'MongoDB Error: ' + err.message,
+                    code: 'InternalDatabaseError'
+                });
+            }
+
+            return res.json({
+                success: !!r.matchedCount
+            });
+        })
+    );
+
+    server.get(
+        {
+            path: '/webhooks/:webhook/deliveries',
+            tags: ['Webhooks'],
+            summary: 'List Webhook deliveries',
+            name: 'getWebhookDeliveries',
+            description: 'Lists recent delivery attempts for a webhook, newest first. Delivery attempts are kept for 7 days',
+            validationObjs: {
+                requestBody: {},
+                queryParams: {
+                    delivery: Joi.string().trim().max(64).empty('').description('Only list attempts for this delivery ID'),
+                    limit: Joi.number().default(20).min(1).max(250).description('How many records to return'),
+                    next: nextPageCursorSchema,
+                    previous: previousPageCursorSchema,
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                pathParams: { webhook: Joi.string().hex().lowercase().length(24).required().description('ID of the Webhook') },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({
+                            success: successRes,
+                            total: totalRes,
+                            page: pageRes,
+                            previousCursor: previousCursorRes,
+                            nextCursor: nextCursorRes,
+                            results: Joi.array()
+                                .items(
+                                    Joi.object({
+                                        id: Joi.string().required().description('ID of the delivery attempt'),
+                                        delivery: Joi.string().required().description('Delivery ID, sent as the X-Wildduck-Delivery header'),
+                                        ev: Joi.string().required().description('Event type'),
+                                        url: Joi.string().required().description('URL the delivery was posted to'),
+                                        attempt: Joi.number().required().description('Attempt number for this delivery'),
+                                        redelivery: Joi.boolean().required().description('Is true if this delivery was requested manually'),
+                                        created: Joi.date().required().description('Datestring of the attempt'),
+                                        duration: Joi.number().required().description('Request duration in milliseconds'),
+                                        status: Joi.number().allow(null).required().description('HTTP response status or null if no response was received'),
+                                        success: Joi.boolean().required().description('Is true if the receiver accepted the delivery'),
+                                        response: Joi.string().description('Beginning of the response body'),
+                                        error: Joi.string().description('Error message for failed attempts')
+                                    }).$_setFlag('objectName', 'GetWebhookDeliveriesResult')
+                                )
+                                .required()
+                                .description('Delivery attempt listing')
+                        }).$_setFlag('objectName', 'GetWebhookDeliveriesResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            let webhook = new ObjectId(result.value.webhook);
+
+            let webhookData;
+            try {
+                webhookData = await db.users.collection('webhooks').findOne(
+                    {
+                        _id: webhook
+                    },
+                    {
+                        projection: { _id: true, user: true }
+                    }
+                );
+            } catch (err) {
+                res.status(500);
+                return res.json({
+                    error: 'MongoDB Error: ' + err.message,
+                    code: 'InternalDatabaseError'
+                });
+            }
+
+            // permissions check
+            let permission;
+            if (req.user && webhookData && webhookData.user && req.user === webhookData.user.toString()) {
+                permission = roles.can(req.role).readOwn('webhooks');
+            } else {
+                permission = roles.can(req.role).readAny('webhooks');
+            }
+            req.validate(permission);
+
+            if (!webhookData) {
+                res.status(404);
+                return res.json({
+                    error: 'Invalid or unknown webhook identifier',
+                    code: 'WebhookNotFound'
+                });
+            }
+
+            let query = { webhook };
+            if (result.value.delivery) {
+                query.delivery = result.value.delivery;
+            }
+
+            let limit = result.value.limit;
+            let pageNext = result.value.next;
+            let pagePrevious = result.value.previous;
+
+            let total = await db.users.collection('webhookdeliveries').countDocuments(query);
+
+            let opts = {
+                limit,
+                query,
+                fields: {
+                    // FIXME: hack to keep _id in response
+                    _id: true,
+                    // FIXME: MongoPaging inserts fields value as second argument to col.find()
+                    projection: {
+                        data: false
+                    }
+                },
+                paginatedField: '_id',
+                sortAscending: false
+            };
+
+            if (pageNext) {
+                opts.next = pageNext;
+            }
+            if (pagePrevious) {
+                opts.previous = pagePrevious;
+            }
+
+            let listingWrapper;
+            try {
+                listingWrapper = await mongopagingFindWrapper(db.users.collection('webhookdeliveries'), opts);
+            } catch (err) {
+                res.status(500);
+                return res.json({
+                    error: 'MongoDB Error: ' + err.message,
+                    code: 'InternalDatabaseError'
+                });
+            }
+
+            return res.json({
+                success: true,
+                total,
+                page: listingWrapper.page,
+                previousCursor: listingWrapper.previousCursor,
+                nextCursor: listingWrapper.nextCursor,
+                results: (listingWrapper.listing.results || []).map(deliveryData =>
+                    permission.filter({
+                        id: deliveryData._id.toString(),
+                        delivery: deliveryData.delivery,
+                        ev: deliveryData.ev,
+                        url: deliveryData.url,
+                        attempt: deliveryData.attempt,
+                        redelivery: !!deliveryData.redelivery,
+                        created: deliveryData.created.toISOString(),
+                        duration: deliveryData.duration,
+                        status: deliveryData.status || null,
+                        success: !!deliveryData.success,
+                        response: deliveryData.response,
+                        error: deliveryData.error
+                    })
+                )
+            });
+        })
+    );
+
+    server.post(
+        {
+            path: '/webhooks/:webhook/deliveries/:delivery/redeliver',
+            tags: ['Webhooks'],
+            summary: 'Redeliver a Webhook delivery',
+            name: 'redeliverWebhookDelivery',
+            description:
+                'Queues the payload of a logged delivery attempt to be posted again. The redelivery uses the same delivery ID, so receivers can detect duplicates',
+            validationObjs: {
+                requestBody: {
+                    sess: sessSchema,
+                    ip: sessIPSchema
+                },
+                queryParams: {},
+                pathParams: {
+                    webhook: Joi.string().hex().lowercase().length(24).required().description('ID of the Webhook'),
+                    delivery: Joi.string().hex().lowercase().length(24).required().description('ID of the delivery attempt')
+                },
+                response: {
+                    200: {
+                        description: 'Success',
+                        model: Joi.object({ success: successRes }).$_setFlag('objectName', 'SuccessResponse')
+                    }
+                }
+            }
+        },
+        tools.responseWrapper(async (req, res) => {
+            res.charSet('utf-8');
+
+            const { pathParams, requestBody, queryParams } = req.route.spec.validationObjs;
+
+            const schema = Joi.object({
+                ...pathParams,
+                ...requestBody,
+                ...queryParams
+            });
+
+            const result = schema.validate(req.params, {
+                abortEarly: false,
+                convert: true
+            });
+
+            if (result.error) {
+                res.status(400);
+                return res.json({
+                    error: result.error.message,
+                    code: 'InputValidationError',
+                    details: tools.validationErrors(result)
+                });
+            }
+
+            let webhook = new ObjectId(result.value.webhook);
+
+            let webhookData;
+            try {
+                webhookData = await db.users.collection('webhooks').findOne(
+                    {
+                        _id: webhook
+                    },
+                    {
+                        // secrets are loaded when the delivery is made
+                        projection: { secret: false, previousSecret: false, previousSecretExpires: false }
+                    }
+                );
+            } catch (err) {
+                res.status(500);
+                return res.json({
+                    error: 'MongoDB Error: ' + err.message,
+                    code: 'InternalDatabaseError'
+                });
+            }
+
+            // permissions check
+            if (req.user && webhookData && webhookData.user && req.user === webhookData.user.toString()) {
+                req.validate(roles.can(req.role).updateOwn('webhooks'));
+            } else {
+                req.validate(roles.can(req.role).updateAny('webhooks'));
+            }
+
+            if (!webhookData) {
+                res.status(404);
+                return res.json({
+                    error: 'Invalid or unknown webhook identifier',
+                    code: 'WebhookNotFound'
+                });
+            }
+
+            let deliveryData = await db.users.collection('webhookdeliveries').findOne({
+                _id: new ObjectId(result.value.delivery),
+                webhook
+            });
+
+            if (!deliveryData) {
+                res.status(404);
+                return res.json({
+                    error: 'Invalid or unknown delivery identifier',
+                    code: 'DeliveryNotFound'
+                });
+            }
+
+            await queueDelivery(db.redis, webhookData, deliveryData.data, { redelivery: true });
+
+            return res.json({
+                success: true
+            });
+        })
+    );
+
     server.del(
         {
             path: '/webhooks/:webhook',
@@ -1,6 +1,7 @@
 'use strict';
 
 const GridstoreStorage = require('./attachments/gridstore-storage.js');
+const ObjectStorage = require('./attachments/object-storage.js');
 const crypto = require('crypto');
 
 const CHUNK_SIZE = 64 * 1024; // chunk size for calculating hashes
@@ -10,8 +11,14 @@ class AttachmentStorage {
         this.options = options || {};
 
         let type = (options.options && options.options.type) || 'gridstore';
+        this.type = type;
 
         switch (type) {
+            case 's3':
+            case 'fs':
+                this.storage = new ObjectStorage(this.options);
+                break;
+
             case 'gridstore':
             default:
                 this.storage = new GridstoreStorage(this.options);
@@ -36,6 +43,17 @@ class AttachmentStorage {
         return this.storage.createReadStream(id, attachmentData, options);
     }
 
+    /**
+     * Opens a stream for attachment contents as these are stored, decoded base64 contents are not encoded again
+     *
+     * @param {Buffer} id Attachment ID
+     * @param {Object} attachmentData Attachment info from get()
+     * @returns {Stream} Readable stream
+     */
+    createStoredReadStream(id, attachmentData) {
+        return this.storage.openDownloadStream(id, attachmentData, {});
+    }
+
     updateMany(ids, count, magic, callback) {
         return this.storage.update(ids, count, magic, callback);
     }
@@ -66,6 +84,35 @@ class AttachmentStorage {
         return this.storage.deleteOrphaned(callback);
     }
 
+    /**
+     * Moves a stored attachment to the configured storage backend
+     *
+     * @param {Buffer} id Attachment ID
+     * @returns {Object} Result with `status` ("migrated" or "skipped") and content `size`
+     */
+    async migrate(id) {
+        this.checkMigrations();
+        return await this.storage.migrate(id);
+    }
+
+    async listUnmigrated(after, limit) {
+        this.checkMigrations();
+        return await this.storage.listUnmigrated(after, limit);
+    }
+
+    async cleanupMigrated(delay, limit) {
+        this.checkMigrations();
+        return await this.storage.cleanupMigrated(delay, limit);
+    }
+
+    checkMigrations() {
+        if (typeof this.storage.migrate !== 'function') {
+            let err = new Error('Attachments can only be migrated to S3 or filesystem storage');
+            err.code = 'StorageError';
+            throw err;
+        }
+    }
+
     calculateHash(input, callback) {
         let algo = 'sha256';
 
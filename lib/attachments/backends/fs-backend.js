@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs');
+const pathlib = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * Stores attachment contents as plain files in a local (or network mounted) directory.
+ * Files are spread into subdirectories by the first bytes of the key to keep directory sizes small.
+ */
+class FsBackend {
+    constructor(options) {
+        options = options || {};
+
+        this.type = 'fs';
+
+        if (!options.path) {
+            throw new Error('Attachment storage path is not set');
+        }
+
+        this.root = pathlib.resolve(options.path);
+    }
+
+    getPath(key) {
+        key = (key || '').toString();
+        if (!/^[a-zA-Z0-9_-]+$/.test(key)) {
+            throw new Error('Invalid storage key');
+        }
+        return pathlib.join(this.root, key.substr(0, 2), key.substr(2, 2), key);
+    }
+
+    /**
+     * Stores content for a key. Keys are content hashes, so existing files are overwritten with identical content
+     *
+     * @param {String} key Storage key
+     * @param {Buffer} content File contents
+     */
+    async put(key, content) {
+        let path = this.getPath(key);
+        await fs.promises.mkdir(pathlib.dirname(path), { recursive: true });
+
+        // write to a temporary file first, so partially written files are never visible
+        let tmpPath = path + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+        try {
+            await fs.promises.writeFile(tmpPath, content);
+            await fs.promises.rename(tmpPath, path);
+        } catch (err) {
+            await fs.promises.unlink(tmpPath).catch(() => false);
+            throw err;
+        }
+    }
+
+    /**
+     * Opens a read stream for stored content
+     *
+     * @param {String} key Storage key
+     * @param {Object} [range] Byte range to read
+     * @param {Number} [range.start] First byte to read
+     * @param {Number} [range.end] Byte offset to stop reading at (exclusive)
+     * @returns {Stream} Readable stream
+     */
+    createReadStream(key, range) {
+        range = range || {};
+
+        let streamOptions = {};
+        if (range.start) {
+            streamOptions.start = range.start;
+        }
+        if (typeof range.end === 'number') {
+            if (range.end <= (range.start || 0)) {
+                // nothing to read
+                return Readable.from([]);
+            }
+            // fs ranges are inclusive
+            streamOptions.end = range.end - 1;
+        }
+
+        return fs.createReadStream(this.getPath(key), streamOptions);
+    }
+
+    /**
+     * Deletes stored content. Missing files are ignored
+     *
+     * @param {String} key Storage key
+     * @returns {Boolean} true if a file was deleted
+     */
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.getPath(key));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return false;
+            }
+            throw err;
+        }
+        return true;
+    }
+}
+
+module.exports = FsBackend;
@@ -0,0 +1,225 @@
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { PassThrough } = require('stream');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Stores attachment contents in an S3 compatible object storage (AWS S3, MinIO, Ceph etc.).
+ * Requests are signed using AWS Signature Version 4.
+ */
+class S3Backend {
+    constructor(options) {
+        options = options || {};
+
+        this.type = 's3';
+
+        if (!options.endpoint || !options.bucket) {
+            throw new Error('S3 endpoint or bucket is not set');
+        }
+
+        this.endpoint = new URL(options.endpoint);
+        this.region = options.region || 'us-east-1';
+        this.bucket = options.bucket;
+        this.prefix = options.prefix || '';
+        this.accessKeyId = options.accessKeyId || '';
+        this.secretAccessKey = options.secretAccessKey || '';
+        // path style URLs (http://host/bucket/key) are required by most self hosted S3 servers
+        this.forcePathStyle = typeof options.forcePathStyle === 'boolean' ? options.forcePathStyle : true;
+        this.timeout = Number(options.timeout) || 60 * 1000;
+    }
+
+    getUrl(key) {
+        let objectPath = (this.prefix + key)
+            .split('/')
+            .map(part => encodeRfc3986(part))
+            .join('/');
+
+        let url = new URL(this.endpoint.toString());
+        let basePath = url.pathname.replace(/\/+$/, '');
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}/${objectPath}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${objectPath}`;
+        }
+
+        return url;
+    }
+
+    /**
+     * Generates signed request headers
+     *
+     * @param {String} method HTTP method
+     * @param {URL} url Request URL
+     * @param {String} payloadHash Hex encoded SHA256 hash of the request body
+     * @param {Object} [headers] Additional headers to sign
+     * @returns {Object} Request headers
+     */
+    signRequest(method, url, payloadHash, headers) {
+        let now = new Date();
+        let amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        let dateStamp = amzDate.substr(0, 8);
+
+        headers = Object.assign(
+            {
+                host: url.host,
+                'x-amz-content-sha256': payloadHash,
+                'x-amz-date': amzDate
+            },
+            headers || {}
+        );
+
+        let signedHeaderKeys = Object.keys(headers)
+            .map(key => key.toLowerCase())
+            .sort();
+
+        let normalizedHeaders = {};
+        Object.keys(headers).forEach(key => {
+            normalizedHeaders[key.toLowerCase()] = headers[key].toString().trim().replace(/\s+/g, ' ');
+        });
+
+        let canonicalQuery = Array.from(url.searchParams.entries())
+            .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+            .sort((a, b) => (a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0].localeCompare(b[0])))
+            .map(([key, value]) => `${key}=${value}`)
+            .join('&');
+
+        let canonicalRequest = [
+            method,
+            url.pathname,
+            canonicalQuery,
+            signedHeaderKeys.map(key => `${key}:${normalizedHeaders[key]}\n`).join(''),
+            signedHeaderKeys.join(';'),
+            payloadHash
+        ].join('\n');
+
+        let scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+        let stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+
+        let signingKey = [dateStamp, this.region, 's3', 'aws4_request'].reduce(
+            (key, value) => crypto.createHmac('sha256', key).update(value).digest(),
+            'AWS4' + this.secretAccessKey
+        );
+        let signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        let result = Object.assign({}, headers);
+        delete result.host;
+        result.Authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderKeys.join(';')}, Signature=${signature}`;
+
+        return result;
+    }
+
+    /**
+     * Stores content for a key. Keys are content hashes, so existing objects are overwritten with identical content
+     *
+     * @param {String} key Storage key
+     * @param {Buffer} content File contents
+     */
+    async put(key, content) {
+        let url = this.getUrl(key);
+        let payloadHash = crypto.createHash('sha256').update(content).digest('hex');
+
+        let headers = this.signRequest('PUT', url, payloadHash, {
+            'content-length': content.length,
+            'content-type': 'application/octet-stream'
+        });
+
+        let res = await axios.put(url.toString(), content, {
+            headers,
+            timeout: this.timeout,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: () => true
+        });
+
+        if (res.status !== 200) {
+            throw requestError('Failed to store attachment contents', res);
+        }
+    }
+
+    /**
+     * Opens a read stream for stored content
+     *
+     * @param {String} key Storage key
+     * @param {Object} [range] Byte range to read
+     * @param {Number} [range.start] First byte to read
+     * @param {Number} [range.end] Byte offset to stop reading at (exclusive)
+     * @returns {Stream} Readable stream
+     */
+    createReadStream(key, range) {
+        range = range || {};
+
+        let output = new PassThrough();
+
+        let start = range.start || 0;
+        if (typeof range.end === 'number' && range.end <= start) {
+            // nothing to read
+            output.end();
+            return output;
+        }
+
+        let url = this.getUrl(key);
+        let headers = this.signRequest('GET', url, EMPTY_HASH);
+        if (start || typeof range.end === 'number') {
+            // HTTP ranges are inclusive
+            headers.Range = `bytes=${start}-${typeof range.end === 'number' ? range.end - 1 : ''}`;
+        }
+
+        axios
+            .get(url.toString(), {
+                headers,
+                timeout: this.timeout,
+                responseType: 'stream',
+                validateStatus: () => true
+            })
+            .then(res => {
+                if (![200, 206].includes(res.status)) {
+                    res.data.resume();
+                    return output.emit('error', requestError('Failed to load attachment contents', res));
+                }
+                res.data.once('error', err => output.emit('error', err));
+                res.data.pipe(output);
+            })
+            .catch(err => output.emit('error', err));
+
+        return output;
+    }
+
+    /**
+     * Deletes stored content. Missing objects are ignored
+     *
+     * @param {String} key Storage key
+     */
+    async delete(key) {
+        let url = this.getUrl(key);
+        let headers = this.signRequest('DELETE', url, EMPTY_HASH);
+
+        let res = await axios.delete(url.toString(), {
+            headers,
+            timeout: this.timeout,
+            validateStatus: () => true
+        });
+
+        if (![200, 204, 404].includes(res.status)) {
+            throw requestError('Failed to delete attachment contents', res);
+        }
+
+        return res.status !== 404;
+    }
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function requestError(message, res) {
+    let err = new Error(`${message}: unexpected response ${res.status}`);
+    err.code = 'StorageError';
+    err.statusCode = res.status;
+    return err;
+}
+
+module.exports = S3Backend;
@@ -8,6 +8,8 @@ const log = require('npmlog');
 const crypto = require('crypto');
 const base64Offset = require('./base64-offset');
 const FileHashCalculatorStream = require('../filehash-stream');
+const S3Backend = require('./backends/s3-backend');
+const FsBackend = require('./backends/fs-backend');
 
 // Set to false to disable base64 decoding feature
 const FEATURE_DECODE_ATTACHMENTS = true;
@@ -15,11 +17,20 @@ const FEATURE_DECODE_ATTACHMENTS = true;
 const ORPHANED_ATTACHMENTS_DELAY = 24 * 3600 * 1000;
 const MAX_ORPHANED_ATTACHMENTS = 1000;
 
+const BACKENDS = new Map([
+    ['s3', S3Backend],
+    ['fs', FsBackend]
+]);
+
 class GridstoreStorage {
     constructor(options) {
         this.bucketName = (options.options && options.options.bucket) || 'attachments';
         this.decodeBase64 = (options.options && options.options.decodeBase64) || false;
 
+        // entries with `metadata.storage` set are stored in an external backend, see ObjectStorage
+        this.storageOptions = options.options || {};
+        this.backends = new Map();
+
         this.lock = new RedFour({
             redis: options.redis,
             namespace: 'wildduck'
@@ -72,29 +83,14 @@ class GridstoreStorage {
         };
     }
 
-    create(attachment, hash, callback) {
-        hash = Buffer.from(hash, 'hex');
-        let returned = false;
-
-        let id = hash;
-        let metadata = {
-            m: attachment.magic,
-            c: 1,
-            cu: new Date(),
-            esize: attachment.body.length,
-            transferEncoding: attachment.transferEncoding
-        };
-
-        if (isNaN(metadata.m) || typeof metadata.m !== 'number') {
-            errors.notify(new Error('Invalid magic "' + metadata.m + '" for ' + id));
-        }
-
-        Object.keys(attachment.metadata || {}).forEach(key => {
-            if (!(key in attachment.metadata)) {
-                metadata[key] = attachment.metadata[key];
-            }
-        });
-
+    /**
+     * Checks if base64 encoded attachment can be stored in decoded form and sets
+     * decoding info to attachment metadata
+     *
+     * @param {Object} attachment Attachment node
+     * @param {Object} metadata Metadata object for the attachment entry
+     */
+    detectDecoding(attachment, metadata) {
         if (FEATURE_DECODE_ATTACHMENTS && attachment.transferEncoding === 'base64' && this.decodeBase64) {
             let lineLen = 0;
             let expectBr = false;
@@ -141,6 +137,45 @@ class GridstoreStorage {
                 }
             }
         }
+    }
+
+    /**
+     * Generates metadata for a new attachment entry
+     *
+     * @param {Object} attachment Attachment node
+     * @param {Buffer} id Attachment ID
+     * @returns {Object} Metadata object
+     */
+    createMetadata(attachment, id) {
+        let metadata = {
+            m: attachment.magic,
+            c: 1,
+            cu: new Date(),
+            esize: attachment.body.length,
+            transferEncoding: attachment.transferEncoding
+        };
+
+        if (isNaN(metadata.m) || typeof metadata.m !== 'number') {
+            errors.notify(new Error('Invalid magic "' + metadata.m + '" for ' + id));
+        }
+
+        Object.keys(attachment.metadata || {}).forEach(key => {
+            if (!(key in attachment.metadata)) {
+                metadata[key] = attachment.metadata[key];
+            }
+        });
+
+        this.detectDecoding(attachment, metadata);
+
+        return metadata;
+    }
+
+    create(attachment, hash, callback) {
+        hash = Buffer.from(hash, 'hex');
+        let returned = false;
+
+        let id = hash;
+        let metadata = this.createMetadata(attachment, id);
 
         let instance = crypto.randomBytes(8).toString('hex');
         let lockId = 'gs.' + hash.toString('base64');
@@ -400,7 +435,7 @@ class GridstoreStorage {
             options.startFrom + options.maxLength
         );
 
-        let stream = this.gridstore.openDownloadStream(id, streamOptions);
+        let stream = this.openDownloadStream(id, attachmentData, streamOptions);
         if (attachmentData && attachmentData.metadata.decoded) {
             let encoder = new libbase64.Encoder(encoderOptions);
 
@@ -418,6 +453,50 @@ class GridstoreStorage {
         return stream;
     }
 
+    /**
+     * Opens a stream for stored attachment contents
+     *
+     * @param {Buffer} id Attachment ID
+     * @param {Object} attachmentData Attachment info from get()
+     * @param {Object} streamOptions Byte range to read, `end` is exclusive
+     * @returns {Stream} Readable stream
+     */
+    openDownloadStream(id, attachmentData, streamOptions) {
+        let type = attachmentData && attachmentData.metadata && attachmentData.metadata.storage;
+        if (type) {
+            // stored in an external backend, readable regardless of the configured storage type
+            return this.getBackend(type).createReadStream(this.getKey(id), streamOptions);
+        }
+        return this.gridstore.openDownloadStream(id, streamOptions);
+    }
+
+    /**
+     * Returns a backend instance for a storage type
+     *
+     * @param {String} type Storage type, either "s3" or "fs"
+     * @returns {Object} Backend instance
+     */
+    getBackend(type) {
+        if (this.backends.has(type)) {
+            return this.backends.get(type);
+        }
+
+        let Backend = BACKENDS.get(type);
+        if (!Backend) {
+            let err = new Error('Unknown attachment storage type "' + type + '"');
+            err.code = 'StorageError';
+            throw err;
+        }
+
+        let backend = new Backend(this.storageOptions[type]);
+        this.backends.set(type, backend);
+        return backend;
+    }
+
+    getKey(id) {
+        return (Buffer.isBuffer(id) ? id : Buffer.from(id.buffer || id)).toString('hex');
+    }
+
     delete(id, magic, callback) {
         if (isNaN(magic) || typeof magic !== 'number') {
             errors.notify(new Error('Invalid magic "' + magic + '" for ' + id));
@@ -554,19 +633,14 @@ class GridstoreStorage {
                         }
 
                         // delete data chunks
-                        this.gridfs.collection(this.bucketName + '.chunks').deleteMany(
-                            {
-                                files_id: attachment._id
-                            },
-                            err => {
-                                if (err) {
-                                    // ignore as we don't really care if we have orphans or not
-                                }
-
-                                deleted++;
-                                processNext();
+                        this.deleteContent(attachment, err => {
+                            if (err) {
+                                // ignore as we don't really care if we have orphans or not
                             }
-                        );
+
+                            deleted++;
+                            processNext();
+                        });
                     }
                 );
             });
@@ -575,6 +649,97 @@ class GridstoreStorage {
         processNext();
     }
 
+    /**
+     * Removes stored contents for a deleted attachment entry
+     *
+     * @param {Object} attachment Deleted attachment entry
+     * @param {Function} callback
+     */
+    deleteContent(attachment, callback) {
+        let migrated = attachment.metadata && attachment.metadata.migrated;
+        if (migrated) {
+            // entry was deleted before previous contents were cleaned up after migration
+            this.deleteStoredContent(migrated.storage, attachment._id).catch(err => {
+                log.error('GridStore', 'Failed to delete migrated attachment contents id=%s error=%s', this.getKey(attachment._id), err.message);
+            });
+        }
+
+        let type = attachment.metadata && attachment.metadata.storage;
+        if (!type) {
+            return this.gridfs.collection(this.bucketName + '.chunks').deleteMany(
+                {
+                    files_id: attachment._id
+                },
+                callback
+            );
+        }
+
+        let lockId = 'gs.' + Buffer.from(this.getKey(attachment._id), 'hex').toString('base64');
+
+        let run = async () => {
+            let lock = await this.acquireLock(lockId);
+            try {
+                // make sure that the attachment was not re-created after the entry was removed
+                let existing = await this.gridfs.collection(this.bucketName + '.files').findOne({ _id: attachment._id }, { projection: { _id: true } });
+                if (existing) {
+                    return false;
+                }
+                return await this.getBackend(type).delete(this.getKey(attachment._id));
+            } finally {
+                this.releaseLock(lock);
+            }
+        };
+
+        run()
+            .then(result => callback(null, result))
+            .catch(err => {
+                log.error('GridStore', 'Failed to delete attachment contents id=%s error=%s', this.getKey(attachment._id), err.message);
+                callback(err);
+            });
+    }
+
+    /**
+     * Opens a stream for the full contents of an attachment stored in a specific storage
+     *
+     * @param {String} type Storage type
+     * @param {Buffer} id Attachment ID
+     * @returns {Stream} Readable stream
+     */
+    openStoredContent(type, id) {
+        if (type === 'gridstore') {
+            return this.gridstore.openDownloadStream(id);
+        }
+        return this.getBackend(type).createReadStream(this.getKey(id));
+    }
+
+    /**
+     * Deletes contents of an attachment from a specific storage, the attachment entry is not modified
+     *
+     * @param {String} type Storage type
+     * @param {Buffer} id Attachment ID
+     */
+    async deleteStoredContent(type, id) {
+        if (type === 'gridstore') {
+            await this.gridfs.collection(this.bucketName + '.chunks').deleteMany({
+                files_id: id
+            });
+            return;
+        }
+        await this.getBackend(type).delete(this.getKey(id));
+    }
+
+    async acquireLock(lockId) {
+        let lock = await this.lock.waitAcquireLock(lockId, 2 * 60 * 1000, 60 * 1000);
+        if (!lock.success) {
+            throw new Error('Failed to get lock');
+        }
+        return lock;
+    }
+
+    releaseLock(lock) {
+        this.lock.releaseLock(lock).catch(() => false);
+    }
+
     cleanupGarbage(id, next) {
         this.gridfs.collection(this.bucketName + '.files').findOne(
             {
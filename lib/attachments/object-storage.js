@@ -0,0 +1,272 @@
+'use strict';
+
+const crypto = require('crypto');
+const GridstoreStorage = require('./gridstore-storage');
+
+/**
+ * Attachment storage that keeps attachment contents in an external backend (S3 or filesystem).
+ *
+ * Attachment entries (hashes, reference counters, decoding info) are still kept in the GridFS
+ * files collection, so deduplication and garbage collection work the same way as with GridFS.
+ * The backend used for an entry is stored in `metadata.storage`, entries without it are stored
+ * in GridFS. Reads are dispatched by GridstoreStorage, so entries can still be read after
+ * switching storage types in either direction.
+ */
+class ObjectStorage extends GridstoreStorage {
+    constructor(options) {
+        super(options);
+
+        this.type = this.storageOptions.type;
+
+        // fail early on invalid configuration
+        this.backend = this.getBackend(this.type);
+    }
+
+    create(attachment, hash, callback) {
+        let id = Buffer.from(hash, 'hex');
+        let metadata = this.createMetadata(attachment, id);
+        metadata.storage = this.type;
+
+        let lockId = 'gs.' + id.toString('base64');
+
+        let increment = async () => {
+            let result = await this.gridfs.collection(this.bucketName + '.files').findOneAndUpdate(
+                {
+                    _id: id
+                },
+                {
+                    $inc: {
+                        'metadata.c': 1,
+                        'metadata.m': attachment.magic
+                    },
+                    $set: {
+                        'metadata.cu': new Date()
+                    }
+                },
+                {
+                    returnDocument: 'after'
+                }
+            );
+            return !!(result && result.value);
+        };
+
+        let store = async () => {
+            let content = metadata.decoded ? Buffer.from(attachment.body.toString(), 'base64') : attachment.body;
+            let fileContentHash = crypto.createHash('sha256').update(content).digest('base64');
+
+            await this.backend.put(this.getKey(id), content);
+
+            await this.gridfs.collection(this.bucketName + '.files').insertOne({
+                _id: id,
+                length: content.length,
+                chunkSize: 0,
+                uploadDate: new Date(),
+                contentType: attachment.contentType,
+                metadata: Object.assign(metadata, { fileContentHash })
+            });
+
+            return fileContentHash;
+        };
+
+        let tryStore = async () => {
+            for (let tryCount = 0; ; tryCount++) {
+                if (await increment()) {
+                    // already exists
+                    return { id };
+                }
+
+                // lock is needed to prevent garbage collector from deleting the same object while it is being uploaded
+                let lock = await this.acquireLock(lockId);
+                try {
+                    if (await increment()) {
+                        return { id };
+                    }
+                    let fileContentHash = await store();
+                    return { id, fileContentHash };
+                } catch (err) {
+                    if (err.code !== 11000 || tryCount >= 5) {
+                        throw err;
+                    }
+                    // race condition, entry was created by someone else, so try to increment again
+                } finally {
+                    this.releaseLock(lock);
+                }
+            }
+        };
+
+        tryStore()
+            .then(result => {
+                if (result.fileContentHash) {
+                    return callback(null, result.id, result.fileContentHash);
+                }
+                callback(null, result.id);
+            })
+            .catch(err => callback(err));
+    }
+
+    /**
+     * Moves contents of an attachment entry from the storage it was created in to the configured
+     * backend. Copied contents are verified against the content hash before the entry is switched
+     * over. Previous contents are not deleted immediately as these might be still streamed to
+     * clients, use cleanupMigrated() to remove these later.
+     *
+     * @param {Buffer} id Attachment ID
+     * @returns {Object} Result with `status` ("migrated" or "skipped") and content `size`
+     */
+    async migrate(id) {
+        let filesCollection = this.gridfs.collection(this.bucketName + '.files');
+        let key = this.getKey(id);
+
+        let lock = await this.acquireLock('gs.' + Buffer.from(key, 'hex').toString('base64'));
+        try {
+            let attachment = await filesCollection.findOne({ _id: id });
+            if (!attachment) {
+                // deleted by garbage collector
+                return { status: 'skipped', size: 0 };
+            }
+
+            let source = (attachment.metadata && attachment.metadata.storage) || 'gridstore';
+            if (source === this.type) {
+                return { status: 'skipped', size: 0 };
+            }
+
+            let content = await readContent(this.openStoredContent(source, id));
+            let fileContentHash = crypto.createHash('sha256').update(content).digest('base64');
+
+            if (content.length !== attachment.length || (attachment.metadata.fileContentHash && attachment.metadata.fileContentHash !== fileContentHash)) {
+                let err = new Error('Stored contents do not match the attachment entry');
+                err.code = 'HashMismatch';
+                throw err;
+            }
+
+            await this.backend.put(key, content);
+
+            let copied = await readContent(this.backend.createReadStream(key));
+            if (crypto.createHash('sha256').update(copied).digest('base64') !== fileContentHash) {
+                await this.backend.delete(key).catch(() => false);
+                let err = new Error('Copied contents do not match the attachment entry');
+                err.code = 'HashMismatch';
+                throw err;
+            }
+
+            let r = await filesCollection.updateOne(
+                {
+                    _id: id,
+                    'metadata.storage': attachment.metadata.storage ? source : { $exists: false }
+                },
+                {
+                    $set: {
+                        'metadata.storage': this.type,
+                        'metadata.fileContentHash': fileContentHash,
+                        'metadata.migrated': {
+                            storage: source,
+                            time: new Date()
+                        }
+                    }
+                }
+            );
+
+            if (!r || !r.matchedCount) {
+                // entry was deleted while copying
+                await this.backend.delete(key).catch(() => false);
+                return { status: 'skipped', size: 0 };
+            }
+
+            return { status: 'migrated', size: content.length };
+        } finally {
+            this.releaseLock(lock);
+        }
+    }
+
+    /**
+     * Lists IDs of attachment entries that are not stored in the configured backend
+     *
+     * @param {Buffer} [after] Only list entries with a larger ID than this
+     * @param {Number} limit Maximum number of entries to list
+     * @returns {Array} Attachment IDs in ascending order
+     */
+    async listUnmigrated(after, limit) {
+        let query = {
+            'metadata.storage': { $ne: this.type }
+        };
+
+        if (after) {
+            query._id = { $gt: after };
+        }
+
+        let list = await this.gridfs
+            .collection(this.bucketName + '.files')
+            .find(query, {
+                projection: { _id: true },
+                sort: { _id: 1 },
+                limit
+            })
+            .toArray();
+
+        return list.map(attachment => attachment._id);
+    }
+
+    /**
+     * Deletes previous contents of migrated attachment entries
+     *
+     * @param {Number} delay Only process entries that were migrated at least this many milliseconds ago
+     * @param {Number} limit Maximum number of entries to process
+     * @returns {Number} Count of processed entries
+     */
+    async cleanupMigrated(delay, limit) {
+        let filesCollection = this.gridfs.collection(this.bucketName + '.files');
+
+        let cursor = filesCollection.find(
+            {
+                'metadata.migrated.time': { $lt: new Date(Date.now() - delay) }
+            },
+            {
+                projection: {
+                    _id: true,
+                    'metadata.migrated': true
+                },
+                limit
+            }
+        );
+
+        let cleaned = 0;
+        let attachment;
+        try {
+            while ((attachment = await cursor.next())) {
+                await this.deleteStoredContent(attachment.metadata.migrated.storage, attachment._id);
+                await filesCollection.updateOne(
+                    {
+                        _id: attachment._id,
+                        'metadata.migrated.time': attachment.metadata.migrated.time
+                    },
+                    {
+                        $unset: {
+                            'metadata.migrated': true
+                        }
+                    }
+                );
+                cleaned++;
+            }
+        } finally {
+            await cursor.close();
+        }
+
+        return cleaned;
+    }
+}
+
+function readContent(stream) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        stream.on('readable', () => {
+            let chunk;
+            while ((chunk = stream.read()) !== null) {
+                chunks.push(chunk);
+            }
+        });
+        stream.once('error', reject);
+        stream.once('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+module.exports = ObjectStorage;
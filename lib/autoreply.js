@@ -3,10 +3,120 @@
 const MailComposer = require('nodemailer/lib/mail-composer');
 const MessageSplitter = require('./message-splitter');
 const errors = require('./errors');
+const tools = require('./tools');
+const consts = require('./consts');
 const { SettingsHandler } = require('./settings-handler');
+const { checkConditions } = require('./filter-conditions');
+
+/**
+ * Checks if an autoreply is active at a specific time. Autoreply must be within the start and
+ * end dates (if set) and match at least one of the weekly schedule windows (if set)
+ *
+ * @param {Object} autoreplyData Autoreply settings
+ * @param {Date} date Time to check
+ * @returns {Boolean} true if autoreply is active
+ */
+function isActive(autoreplyData, date) {
+    if (!autoreplyData || !autoreplyData.status) {
+        return false;
+    }
+
+    if (autoreplyData.start && autoreplyData.start > date) {
+        return false;
+    }
+
+    if (autoreplyData.end && autoreplyData.end < date) {
+        return false;
+    }
+
+    if (autoreplyData.schedule && autoreplyData.schedule.length) {
+        // schedule windows are checked the same way as "received" filter conditions
+        let conditions = autoreplyData.schedule.map(entry => ({
+            type: 'received',
+            days: entry.days,
+            start: entry.start,
+            end: entry.end,
+            timezone: autoreplyData.timezone
+        }));
+        return checkConditions({ op: 'or', conditions }, { date });
+    }
+
+    return true;
+}
+
+/**
+ * Checks if the sender of a message is from the same organization as the recipient
+ *
+ * @param {String} sender Sender address
+ * @param {String} recipient Recipient address
+ * @param {String[]} [internalDomains] Domains that are considered internal, defaults to the domain of the recipient
+ * @returns {Boolean} true if sender is internal
+ */
+function isInternalSender(sender, recipient, internalDomains) {
+    let getDomain = address => tools.normalizeDomain((address || '').substr((address || '').lastIndexOf('@') + 1));
+
+    let domains = internalDomains && internalDomains.length ? internalDomains.map(domain => tools.normalizeDomain(domain)) : [getDomain(recipient)];
+
+    let senderDomain = getDomain(sender);
+    return !!senderDomain && domains.includes(senderDomain);
+}
+
+/**
+ * Checks if a sender address belongs to an automated system that must not get automatic responses (RFC3834 section 2)
+ *
+ * @param {String} sender Envelope sender address
+ * @returns {Boolean} true if this is an automated sender
+ */
+function isAutomatedSender(sender) {
+    if (!sender) {
+        // null return path
+        return true;
+    }
+    let localPart = sender.substr(0, sender.lastIndexOf('@')).toLowerCase();
+    return /mailer-daemon|no-?reply|do-?not-?reply/.test(localPart) || /^(owner-.+|.+-request|listserv|majordomo)$/.test(localPart);
+}
+
+/**
+ * Checks message headers for signs of an automatically generated message or a mailing list message (RFC3834 section 2)
+ *
+ * @param {Object} headers Parsed message headers
+ * @returns {String|Boolean} Name of the header that marks this message as automated or false
+ */
+function isAutomatedMessage(headers) {
+    let autoSubmitted = headers.getFirst('Auto-Submitted');
+    if (autoSubmitted && autoSubmitted.trim().toLowerCase() !== 'no') {
+        // skip automatic messages
+        return 'auto-submitted';
+    }
+
+    let precedence = headers.getFirst('Precedence');
+    if (precedence && ['list', 'junk', 'bulk', 'auto_reply'].includes(precedence.trim().toLowerCase())) {
+        return 'precedence';
+    }
+
+    // List-Id, List-Unsubscribe, List-Post etc.
+    let listHeader = headers.getList().find(header => /^list-/i.test(header.key));
+    if (listHeader) {
+        return listHeader.key.toLowerCase();
+    }
+
+    let suppressAutoresponse = headers.getFirst('X-Auto-Response-Suppress');
+    if (suppressAutoresponse && /OOF|AutoReply|All/i.test(suppressAutoresponse)) {
+        return 'x-auto-response-suppress';
+    }
+
+    // non-standard headers used by some autoresponders
+    for (let key of ['X-Autoreply', 'X-Autorespond']) {
+        if (headers.getFirst(key)) {
+            return key.toLowerCase();
+        }
+    }
+
+    return false;
+}
 
 async function autoreply(options, autoreplyData) {
-    if (!options.sender || /mailer-daemon|no-?reply/gi.test(options.sender)) {
+    if (isAutomatedSender(options.sender)) {
         return false;
     }
 
@@ -19,27 +129,15 @@ async function autoreply(options, autoreplyData) {
     let messageSplitter = new MessageSplitter();
 
     let settingsHandler = new SettingsHandler({ db: options.db.database });
-    let maxAutoreplyInterval = await settingsHandler.get('const:autoreply:interval', {});
+    // autoreplies generated by filters can define their own interval
+    let maxAutoreplyInterval = autoreplyData.interval || (await settingsHandler.get('const:autoreply:interval', {}));
+    let intervalSeconds = Math.ceil(maxAutoreplyInterval / 1000);
 
     return new Promise((resolve, reject) => {
         messageSplitter.once('headers', headers => {
             messageHeaders = headers;
 
-            let autoSubmitted = headers.getFirst('Auto-Submitted');
-            if (autoSubmitted && autoSubmitted.toLowerCase() !== 'no') {
-                // skip automatic messages
-                return resolve(false);
-            }
-            let precedence = headers.getFirst('Precedence');
-            if (precedence && ['list', 'junk', 'bulk'].includes(precedence.toLowerCase())) {
-                return resolve(false);
-            }
-            let listUnsubscribe = headers.getFirst('List-Unsubscribe');
-            if (listUnsubscribe) {
-                return resolve(false);
-            }
-            let suppressAutoresponse = headers.getFirst('X-Auto-Response-Suppress');
-            if (suppressAutoresponse && /OOF|AutoReply/i.test(suppressAutoresponse)) {
+            if (isAutomatedMessage(headers)) {
                 return resolve(false);
             }
 
@@ -48,9 +146,10 @@ async function autoreply(options, autoreplyData) {
                 // delete all old entries
                 .zremrangebyscore('war:' + autoreplyData._id, '-inf', Date.now() - maxAutoreplyInterval)
                 // add new entry if not present
-                .zadd('war:' + autoreplyData._id, 'NX', Date.now(), options.sender)
+                // address variants (case, dots) are treated as the same sender
+                .zadd('war:' + autoreplyData._id, 'NX', Date.now(), tools.uview(options.sender))
                 // if no-one touches this key from now, then delete after max interval has passed
-                .expire('war:' + autoreplyData._id, maxAutoreplyInterval)
+                .expire('war:' + autoreplyData._id, intervalSeconds)
                 .exec((err, result) => {
                     if (err) {
                         errors.notify(err, { userId: autoreplyData._id });
@@ -63,7 +162,7 @@ async function autoreply(options, autoreplyData) {
                     }
 
                     // check limiting counters
-                    options.messageHandler.counters.ttlcounter('wda:' + autoreplyData._id, 1, maxAutoreplyInterval, false, (err, result) => {
+                    options.messageHandler.counters.ttlcounter('wda:' + autoreplyData._id, 1, consts.MAX_AUTOREPLIES, intervalSeconds, (err, result) => {
                         if (err || !result.success) {
                             return resolve(false);
                         }
@@ -86,6 +185,8 @@ async function autoreply(options, autoreplyData) {
                             },
                             headers: {
                                 'Auto-Submitted': 'auto-replied',
+                                // ask Exchange based responders not to reply to this message
+                                'X-Auto-Response-Suppress': 'All',
                                 'X-WD-Autoreply-For': (options.parentId || options.queueId).toString()
                             },
                             inReplyTo,
@@ -165,3 +266,7 @@ async function autoreply(options, autoreplyData) {
 }
 
 module.exports = autoreply;
+module.exports.isActive = isActive;
+module.exports.isInternalSender = isInternalSender;
+module.exports.isAutomatedSender = isAutomatedSender;
+module.exports.isAutomatedMessage = isAutomatedMessage;
@@ -13,7 +13,7 @@ let certHandler;
 
 module.exports.reload = () => {
     // load certificate files
-    [false, 'imap', 'lmtp', 'pop3', 'api', 'api.mobileconfig'].forEach(type => {
+    [false, 'imap', 'lmtp', 'pop3', 'managesieve', 'api', 'api.mobileconfig'].forEach(type => {
         let tlsconf = config.tls;
 
         if (type) {
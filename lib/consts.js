@@ -40,6 +40,9 @@ module.exports = {
 
     MAX_AUTOREPLIES: 2000,
 
+    // how many weekly time windows can be set for an autoreply schedule
+    MAX_AUTOREPLY_SCHEDULE: 20,
+
     DEFAULT_HASH_ALGO: 'pbkdf2', //either 'pbkdf2' or 'bcrypt'
 
     BCRYPT_ROUNDS: 11, // bcrypt.js benchmark async in a VPS: 261.192ms, do not want to take it too long
@@ -93,6 +96,28 @@ module.exports = {
     // renewal interval, must be lower than TASK_LOCK_INTERVAL
     TASK_UPDATE_INTERVAL: 10 * 60 * 1000,
 
+    // how many attachments to process between attachment migration checkpoints
+    ATTACHMENT_MIGRATION_BATCH_SIZE: 100,
+
+    // keep previous attachment contents after migration for a while as these might be still streamed to clients
+    ATTACHMENT_MIGRATION_CLEANUP_DELAY: 5 * 60 * 1000,
+
+    // after rotating a webhook secret, deliveries are signed with the previous secret as well for this long
+    WEBHOOK_SECRET_ROTATION_TIME: 24 * 3600 * 1000,
+
+    // default retry policy for webhook deliveries
+    WEBHOOK_RETRY_ATTEMPTS: 5,
+    WEBHOOK_RETRY_DELAY: 2000,
+
+    // disable webhooks after this many consecutive deliveries have failed all retries
+    WEBHOOK_MAX_FAILURES: 20,
+
+    // how long to keep webhook delivery attempts in the delivery log
+    WEBHOOK_DELIVERY_TTL: 7 * 24 * 3600 * 1000,
+
+    // how many characters of the response body to store in the delivery log
+    WEBHOOK_RESPONSE_SNIPPET: 1024,
+
     TEMP_PASS_WINDOW: 24 * 3600 * 1000,
 
     // mongdb query TTL limits
@@ -136,6 +161,30 @@ module.exports = {
     // maximum number of filters per account
     MAX_FILTERS: 400,
 
+    // maximum number of journal entries processed at once when checking NOTIFY changes, if there are more then all mailboxes are checked
+    NOTIFY_MAX_JOURNAL_ENTRIES: 1000,
+
+    // maximum number of users a single mailbox can be shared with
+    MAX_MAILBOX_GRANTS: 100,
+
+    // maximum number of delegates a single account can have
+    MAX_DELEGATES: 20,
+
+    // default IMAP namespace prefix for mailboxes shared by other users
+    SHARED_NAMESPACE: 'Other Users',
+
+    // maximum nesting depth of condition groups in a single filter
+    MAX_FILTER_CONDITION_DEPTH: 5,
+
+    // maximum number of conditions in a single condition group
+    MAX_FILTER_CONDITIONS: 50,
+
+    // maximum number of additional mailboxes a filter can copy a message to
+    MAX_FILTER_COPIES: 16,
+
+    // maximum number of keywords a filter can add to a message
+    MAX_FILTER_KEYWORDS: 32,
+
     // maximum amount of mailboxes per user
     MAX_MAILBOXES: 1500,
 
@@ -143,5 +192,35 @@ module.exports = {
     MAX_MAILBOX_NAME_LENGTH: 512,
 
     // Number of mailbox subpaths in a single mailbox path
-    MAX_SUB_MAILBOXES: 128
+    MAX_SUB_MAILBOXES: 128,
+
+    // maximum size of a single METADATA entry value
+    MAX_METADATA_SIZE: 64 * 1024,
+
+    // maximum number of METADATA entries per account (server and mailbox entries combined)
+    MAX_METADATA_ENTRIES: 1000,
+
+    // maximum length of a METADATA entry name
+    MAX_METADATA_NAME_LENGTH: 1024,
+
+    // maximum number of stored Sieve scripts per account
+    MAX_SIEVE_SCRIPTS: 16,
+
+    // maximum size of a single Sieve script
+    MAX_SIEVE_SCRIPT_SIZE: 64 * 1024,
+
+    // maximum number of redirect actions in a single Sieve script run
+    MAX_SIEVE_REDIRECTS: 4,
+
+    // maximum number of per-recipient delivery status entries stored for a sent message
+    MAX_DELIVERY_STATUS_ENTRIES: 1000,
+
+    // how often to check if the DNS record for a rotated DKIM key is published
+    DKIM_ROTATION_CHECK_INTERVAL: 10 * 60 * 1000,
+
+    // default number of days to keep the previous DKIM selector published after rotation
+    DKIM_ROTATION_GRACE_PERIOD: 7,
+
+    // default prefix for generated DKIM selectors, followed by the rotation date
+    DKIM_ROTATION_SELECTOR_PREFIX: 'wd'
 };
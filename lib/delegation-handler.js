@@ -0,0 +1,138 @@
+'use strict';
+
+const consts = require('./consts');
+const { normalizeRights } = require('./acl-rights');
+
+/**
+ * Manages account delegations. A delegation allows another user (the delegate) to send messages
+ * as the delegating user (send-as), on behalf of the delegating user (send-on-behalf, adds a Sender:
+ * header) and to access all folders of the delegating user over IMAP with the granted rights
+ */
+class DelegationHandler {
+    constructor(options) {
+        this.users = options.users;
+
+        this.loggelf = options.loggelf || (() => false);
+    }
+
+    /**
+     * Returns delegation entry for a delegate
+     *
+     * @param {ObjectId} user ID of the delegating user
+     * @param {ObjectId} delegate ID of the delegate
+     * @returns {Object|null} Delegation entry
+     */
+    async get(user, delegate) {
+        return await this.users.collection('delegations').findOne({ user, delegate }, { maxTimeMS: consts.DB_MAX_TIME_USERS });
+    }
+
+    /**
+     * Lists delegates of a user
+     *
+     * @param {ObjectId} user ID of the delegating user
+     * @returns {Array} List of delegation entries
+     */
+    async list(user) {
+        return await this.users.collection('delegations').find({ user }).sort({ _id: 1 }).maxTimeMS(consts.DB_MAX_TIME_USERS).toArray();
+    }
+
+    /**
+     * Lists delegations where the user is the delegate
+     *
+     * @param {ObjectId} delegate ID of the delegate
+     * @returns {Array} List of delegation entries
+     */
+    async listDelegators(delegate) {
+        return await this.users.collection('delegations').find({ delegate }).maxTimeMS(consts.DB_MAX_TIME_USERS).toArray();
+    }
+
+    /**
+     * Creates or replaces a delegation
+     *
+     * @param {ObjectId} user ID of the delegating user
+     * @param {ObjectId} delegate ID of the delegate
+     * @param {Object} permissions
+     * @param {Boolean} [permissions.sendAs] If true, then delegate can send messages using the addresses of the user
+     * @param {Boolean} [permissions.sendOnBehalf] If true, then delegate can send messages on behalf of the user
+     * @param {String} [permissions.rights] Access rights (RFC4314) for all folders of the user
+     * @returns {Object} Delegation entry
+     */
+    async set(user, delegate, permissions) {
+        if (user.equals(delegate)) {
+            let err = new Error('Users can not delegate access to themselves');
+            err.code = 'InvalidDelegate';
+            err.responseCode = 400;
+            throw err;
+        }
+
+        let delegationData = {
+            sendAs: !!permissions.sendAs,
+            sendOnBehalf: !!permissions.sendOnBehalf,
+            rights: normalizeRights(permissions.rights)
+        };
+
+        let existing = await this.get(user, delegate);
+        if (!existing) {
+            let count = await this.users.collection('delegations').countDocuments({ user });
+            if (count >= consts.MAX_DELEGATES) {
+                let err = new Error(`Account can not be delegated to more than ${consts.MAX_DELEGATES} users`);
+                err.code = 'TooManyDelegates';
+                err.responseCode = 400;
+                throw err;
+            }
+        }
+
+        let now = new Date();
+        let r = await this.users.collection('delegations').findOneAndUpdate(
+            { user, delegate },
+            {
+                $set: Object.assign({ updated: now }, delegationData),
+                $setOnInsert: {
+                    created: now
+                }
+            },
+            { upsert: true, returnDocument: 'after', maxTimeMS: consts.DB_MAX_TIME_USERS }
+        );
+
+        this.loggelf({
+            short_message: '[DELEGATION] set',
+            _mail_action: 'delegation_set',
+            _user: user,
+            _delegate: delegate,
+            _send_as: delegationData.sendAs ? 'yes' : 'no',
+            _send_on_behalf: delegationData.sendOnBehalf ? 'yes' : 'no',
+            _rights: delegationData.rights
+        });
+
+        return r.value;
+    }
+
+    /**
+     * Removes a delegation
+     *
+     * @param {ObjectId} user ID of the delegating user
+     * @param {ObjectId} delegate ID of the delegate
+     * @returns {Boolean} true if a delegation was removed
+     */
+    async del(user, delegate) {
+        let r = await this.users.collection('delegations').deleteOne({ user, delegate });
+
+        if (r.deletedCount) {
+            this.loggelf({
+                short_message: '[DELEGATION] delete',
+                _mail_action: 'delegation_delete',
+                _user: user,
+                _delegate: delegate
+            });
+        }
+
+        return !!r.deletedCount;
+    }
+
+    async deleteUser(user) {
+        let r = await this.users.collection('delegations').deleteMany({ $or: [{ user }, { delegate: user }] });
+        return r.deletedCount;
+    }
+}
+
+module.exports = DelegationHandler;
@@ -0,0 +1,194 @@
+'use strict';
+
+const log = require('npmlog');
+const addressparser = require('nodemailer/lib/addressparser');
+const { parseReport } = require('./dsn-parser');
+const { MESSAGE_DELIVERY_STATUS } = require('./events');
+const consts = require('./consts');
+
+/**
+ * Records delivery status notifications and read receipts received for sent messages
+ */
+class DeliveryStatusHandler {
+    constructor(options) {
+        this.database = options.database;
+        this.messageHandler = options.messageHandler;
+        // outbound queue, used to look up envelope recipients of sent messages
+        this.senderDb = options.senderDb;
+        this.queueCollection = options.queueCollection;
+    }
+
+    /**
+     * Checks if a received message is a DSN or an MDN for a message sent by the user and if it is,
+     * then updates the delivery status of the sent message
+     *
+     * @param {Object} userData User that received the report
+     * @param {Object} mimeTree Parsed MIME tree of the received message
+     * @returns {Object|Boolean} Updated status {message, mailbox, uid, type, recipients} or false if nothing was updated
+     */
+    async processReport(userData, mimeTree) {
+        let report = parseReport(mimeTree);
+        if (!report) {
+            return false;
+        }
+
+        let messageData = await this.findMessage(userData._id, report);
+        if (!messageData) {
+            log.verbose(
+                'DSN',
+                'Unmatched %s user=%s queueId=%s messageId=%s',
+                report.type,
+                userData._id,
+                report.queueId || report.envelopeId,
+                report.messageId
+            );
+            return false;
+        }
+
+        // only accept statuses for addresses the message was actually sent to
+        let envelopeRecipients = await this.getRecipients(messageData);
+        let recipients = report.recipients.filter(entry => envelopeRecipients.has(entry.recipient));
+        if (!recipients.length) {
+            log.verbose(
+                'DSN',
+                'Ignored %s for unknown recipients user=%s message=%s recipients=%s',
+                report.type,
+                userData._id,
+                messageData._id,
+                report.recipients.map(entry => entry.recipient).join(',')
+            );
+            return false;
+        }
+
+        let now = new Date();
+        let deliveryStatus = [].concat(messageData.deliveryStatus || []);
+        for (let entry of recipients) {
+            let statusEntry = Object.assign({ type: report.type }, entry, { reportingMta: report.reportingMta || '', updated: now });
+
+            // keep only the latest status for every recipient
+            let existing = deliveryStatus.findIndex(item => item.type === statusEntry.type && item.recipient === statusEntry.recipient);
+            if (existing >= 0) {
+                deliveryStatus[existing] = statusEntry;
+            } else if (deliveryStatus.length < consts.MAX_DELIVERY_STATUS_ENTRIES) {
+                deliveryStatus.push(statusEntry);
+            }
+        }
+
+        await this.database.collection('messages').updateOne(
+            {
+                _id: messageData._id,
+                mailbox: messageData.mailbox,
+                uid: messageData.uid
+            },
+            {
+                $set: {
+                    deliveryStatus
+                }
+            }
+        );
+
+        log.info(
+            'DSN',
+            'Updated %s status user=%s message=%s recipients=%s',
+            report.type,
+            userData._id,
+            messageData._id,
+            recipients.map(entry => `${entry.recipient}:${entry.action}`).join(',')
+        );
+
+        let mailboxData = await this.database.collection('mailboxes').findOne({ _id: messageData.mailbox });
+        if (mailboxData) {
+            await this.messageHandler.publishMessageEvent(MESSAGE_DELIVERY_STATUS, messageData, mailboxData, {
+                reportType: report.type,
+                queueId: [].concat(messageData.outbound || []).pop() || null,
+                recipients
+            });
+        }
+
+        return {
+            message: messageData._id,
+            mailbox: messageData.mailbox,
+            uid: messageData.uid,
+            type: report.type,
+            recipients
+        };
+    }
+
+    /**
+     * Collects the recipient addresses of a sent message from the outbound queue, the stored envelope
+     * and the To:, Cc: and Bcc: headers of the message
+     *
+     * @param {Object} messageData Sent message
+     * @returns {Set} Lowercase recipient addresses
+     */
+    async getRecipients(messageData) {
+        let recipients = new Set();
+
+        let walk = list => {
+            [].concat(list || []).forEach(item => {
+                if (typeof item === 'string') {
+                    return walk(addressparser(item));
+                }
+                if (item && item.address) {
+                    recipients.add(item.address.trim().toLowerCase());
+                }
+                if (item && item.group) {
+                    walk(item.group);
+                }
+            });
+        };
+
+        let parsedHeader = (messageData.mimeTree && messageData.mimeTree.parsedHeader) || {};
+        for (let key of ['to', 'cc', 'bcc']) {
+            walk(parsedHeader[key]);
+        }
+
+        // envelope recipients of messages submitted through the API
+        walk(messageData.meta && messageData.meta.to);
+
+        if (this.senderDb && messageData.outbound && messageData.outbound.length) {
+            // queue entries exist until the message has been delivered to every recipient
+            let queueEntries = await this.senderDb
+                .collection(this.queueCollection)
+                .find({ id: { $in: [].concat(messageData.outbound) } }, { projection: { recipient: true } })
+                .toArray();
+            walk(queueEntries.map(entry => entry.recipient));
+        }
+
+        return recipients;
+    }
+
+    // finds a message sent through the API by the outbound queue ID or by the Message-ID header
+    async findMessage(user, report) {
+        let projection = {
+            _id: true,
+            mailbox: true,
+            uid: true,
+            flags: true,
+            subject: true,
+            size: true,
+            outbound: true,
+            deliveryStatus: true,
+            'meta.to': true,
+            'mimeTree.parsedHeader': true
+        };
+
+        for (let queueId of [report.queueId, report.envelopeId]) {
+            if (!queueId) {
+                continue;
+            }
+            let messageData = await this.database.collection('messages').findOne({ user, outbound: queueId }, { projection });
+            if (messageData) {
+                return messageData;
+            }
+        }
+
+        if (report.messageId) {
+            return await this.database.collection('messages').findOne({ user, outbound: { $exists: true }, msgid: report.messageId }, { projection });
+        }
+
+        return false;
+    }
+}
+
+module.exports = DeliveryStatusHandler;
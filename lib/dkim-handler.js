@@ -1,9 +1,13 @@
 'use strict';
 
+const config = require('wild-config');
+const log = require('npmlog');
 const ObjectId = require('mongodb').ObjectId;
 const fingerprint = require('key-fingerprint').fingerprint;
 const crypto = require('crypto');
+const { Resolver } = require('dns').promises;
 const tools = require('./tools');
+const consts = require('./consts');
 const { publish, DKIM_CREATED, DKIM_UPDATED, DKIM_DELETED } = require('./events');
 const { encrypt, decrypt } = require('./encrypt');
 
@@ -21,6 +25,14 @@ class DkimHandler {
         this.database = options.database;
         this.redis = options.redis;
 
+        this.resolver = options.resolver;
+        if (!this.resolver) {
+            this.resolver = new Resolver();
+            if (config.resolver && config.resolver.ns && config.resolver.ns.length) {
+                this.resolver.setServers([].concat(config.resolver.ns || []));
+            }
+        }
+
         this.loggelf = options.loggelf || (() => false);
     }
 
@@ -41,12 +53,13 @@ class DkimHandler {
         return { privateKey, publicKey };
     }
 
-    async set(options) {
-        const domain = tools.normalizeDomain(options.domain);
-        const selector = options.selector;
-        const description = options.description;
-
-        let privateKeyPem = options.privateKey;
+    /**
+     * Validates a private key and derives public key values from it. If key is not set then a new RSA key is generated
+     *
+     * @param {String} [privateKeyPem] PEM formatted private key or a raw ED25519 key
+     * @returns {Object} Key values {privateKey, publicKey, publicKeyDer, fingerprint}, private key is encrypted if needed
+     */
+    async prepareKey(privateKeyPem) {
         let publicKeyPem;
         let publicKeyDer;
 
@@ -111,6 +124,21 @@ ${Buffer.concat([Buffer.from(ASN1_PADDING, 'base64'), Buffer.from(privateKeyPem,
         // encrypt if needed
         privateKeyPem = await encrypt(privateKeyPem, this.secret);
 
+        return {
+            privateKey: privateKeyPem,
+            publicKey: publicKeyPem,
+            publicKeyDer,
+            fingerprint: fp
+        };
+    }
+
+    async set(options) {
+        const domain = tools.normalizeDomain(options.domain);
+        const selector = options.selector;
+        const description = options.description;
+
+        const { privateKey: privateKeyPem, publicKey: publicKeyPem, publicKeyDer, fingerprint: fp } = await this.prepareKey(options.privateKey);
+
         let dkimData = {
             domain,
             selector,
@@ -241,7 +269,8 @@ ${Buffer.concat([Buffer.from(ASN1_PADDING, 'base64'), Buffer.from(privateKeyPem,
                 name: dkimData.selector + '._domainkey.' + dkimData.domain,
                 value: 'v=DKIM1;t=s;p=' + dkimData.publicKey.replace(/^-.*-$/gm, '').replace(/\s/g, '')
             },
-            created: dkimData.created
+            created: dkimData.created,
+            rotation: this.formatRotation(dkimData)
         };
     }
 
@@ -290,6 +319,389 @@ ${Buffer.concat([Buffer.from(ASN1_PADDING, 'base64'), Buffer.from(privateKeyPem,
 
         return true;
     }
+
+    /**
+     * Updates the key rotation policy for a domain
+     *
+     * @param {Object} options Policy options
+     * @param {String} options._id ID of the DKIM key
+     * @param {Number} options.interval Days between rotations, 0 disables automatic rotation
+     * @param {Number} [options.gracePeriod] Days to keep the previous selector published after switching
+     * @param {String} [options.selectorPrefix] Prefix for generated selectors
+     * @returns {Object} Rotation info
+     */
+    async setRotation(options) {
+        let dkimData = await this.getRotationRecord(options._id);
+
+        let interval = options.interval || 0;
+        let policy = {
+            'rotation.enabled': interval > 0,
+            'rotation.interval': interval,
+            'rotation.gracePeriod': typeof options.gracePeriod === 'number' ? options.gracePeriod : consts.DKIM_ROTATION_GRACE_PERIOD,
+            'rotation.selectorPrefix': options.selectorPrefix || consts.DKIM_ROTATION_SELECTOR_PREFIX
+        };
+
+        if (interval > 0) {
+            // count the first rotation from the time the current key was taken into use
+            let keyCreated = (dkimData.rotated || dkimData.created || new Date()).getTime();
+            policy['rotation.next'] = new Date(Math.max(keyCreated + interval * 24 * 3600 * 1000, Date.now()));
+        }
+
+        let r = await this.database.collection('dkim').findOneAndUpdate({ _id: dkimData._id }, { $set: policy }, { returnDocument: 'after' });
+        if (!r.value) {
+            let err = new Error('Invalid or unknown DKIM key');
+            err.responseCode = 404;
+            err.code = 'DkimNotFound';
+            throw err;
+        }
+
+        return this.formatRotation(r.value);
+    }
+
+    /**
+     * Generates a new key under a new selector. Signing switches over to the new key once the
+     * DNS record for the new selector is found, see processRotation()
+     *
+     * @param {String} id ID of the DKIM key
+     * @returns {Object} Rotation info
+     */
+    async startRotation(id) {
+        let dkimData = await this.getRotationRecord(id);
+
+        if (dkimData.rotation && dkimData.rotation.pending) {
+            let err = new Error('Key rotation is already in progress');
+            err.responseCode = 400;
+            err.code = 'RotationPending';
+            throw err;
+        }
+
+        let keyData = await this.prepareKey();
+        let selector = this.getNextSelector(dkimData);
+
+        let pending = {
+            selector,
+            privateKey: keyData.privateKey,
+            publicKey: keyData.publicKey,
+            publicKeyDer: keyData.publicKeyDer,
+            fingerprint: keyData.fingerprint,
+            created: new Date()
+        };
+
+        let r = await this.database
+            .collection('dkim')
+            .findOneAndUpdate(
+                { _id: dkimData._id, 'rotation.pending': { $exists: false } },
+                { $set: { 'rotation.pending': pending } },
+                { returnDocument: 'after' }
+            );
+
+        if (!r.value) {
+            let err = new Error('Key rotation is already in progress');
+            err.responseCode = 400;
+            err.code = 'RotationPending';
+            throw err;
+        }
+
+        log.info('DKIM', 'Started key rotation domain=%s selector=%s next=%s', dkimData.domain, dkimData.selector, selector);
+        this.loggelf({
+            short_message: `DKIM key rotation started for ${dkimData.domain}`,
+            _dkim_domain: dkimData.domain,
+            _dkim_selector: selector,
+            _dkim_action: 'rotation_start'
+        });
+
+        return this.formatRotation(r.value);
+    }
+
+    /**
+     * Cancels a pending key rotation, the generated key is discarded
+     *
+     * @param {String} id ID of the DKIM key
+     * @returns {Boolean} true if there was a pending rotation
+     */
+    async cancelRotation(id) {
+        let dkimData = await this.getRotationRecord(id);
+
+        let update = { $unset: { 'rotation.pending': '' } };
+        if (dkimData.rotation && dkimData.rotation.enabled) {
+            // do not start a new rotation immediately
+            update.$set = { 'rotation.next': new Date(Date.now() + dkimData.rotation.interval * 24 * 3600 * 1000) };
+        }
+
+        let r = await this.database.collection('dkim').updateOne({ _id: dkimData._id, 'rotation.pending': { $exists: true } }, update);
+
+        return !!r.modifiedCount;
+    }
+
+    /**
+     * Claims the next DKIM key that needs rotation processing. Claimed keys are not returned again
+     * until DKIM_ROTATION_CHECK_INTERVAL has passed
+     *
+     * @returns {Object|null} DKIM key record
+     */
+    async getNextRotation() {
+        let now = new Date();
+        let r = await this.database.collection('dkim').findOneAndUpdate(
+            {
+                $and: [
+                    {
+                        $or: [
+                            { 'rotation.enabled': true, 'rotation.next': { $lte: now } },
+                            { 'rotation.pending': { $exists: true } },
+                            { 'rotation.retiring.expires': { $lte: now } }
+                        ]
+                    },
+                    {
+                        $or: [{ 'rotation.checkAfter': { $exists: false } }, { 'rotation.checkAfter': { $lte: now } }]
+                    }
+                ]
+            },
+            { $set: { 'rotation.checkAfter': new Date(now.getTime() + consts.DKIM_ROTATION_CHECK_INTERVAL) } },
+            { returnDocument: 'after' }
+        );
+
+        return (r && r.value) || null;
+    }
+
+    /**
+     * Runs the next rotation step for a DKIM key: starts a scheduled rotation, switches signing to
+     * the new key once its DNS record is published and removes expired previous selectors
+     *
+     * @param {Object} dkimData DKIM key record
+     * @returns {String|Boolean} Name of the step that was run or false if there was nothing to do
+     */
+    async processRotation(dkimData) {
+        let now = new Date();
+        let rotation = dkimData.rotation || {};
+        let result = false;
+
+        let expired = (rotation.retiring || []).filter(entry => entry.expires <= now);
+        if (expired.length) {
+            await this.database.collection('dkim').updateOne({ _id: dkimData._id }, { $pull: { 'rotation.retiring': { expires: { $lte: now } } } });
+            for (let entry of expired) {
+                log.info('DKIM', 'Retired selector domain=%s selector=%s', dkimData.domain, entry.selector);
+                this.loggelf({
+                    short_message: `DKIM selector ${entry.selector} retired for ${dkimData.domain}`,
+                    _dkim_domain: dkimData.domain,
+                    _dkim_selector: entry.selector,
+                    _dkim_action: 'rotation_retire'
+                });
+            }
+            result = 'retired';
+        }
+
+        if (!rotation.pending) {
+            if (!rotation.enabled || !rotation.next || rotation.next > now) {
+                return result;
+            }
+            try {
+                await this.startRotation(dkimData._id);
+            } catch (err) {
+                if (err.code !== 'RotationPending') {
+                    throw err;
+                }
+            }
+            dkimData = await this.getRotationRecord(dkimData._id);
+            rotation = dkimData.rotation;
+            result = 'started';
+        }
+
+        let dnsTxt = this.getDnsTxt(dkimData.domain, rotation.pending.selector, rotation.pending.publicKeyDer);
+
+        let published;
+        try {
+            published = await this.checkDnsRecord(dnsTxt.name, rotation.pending.publicKeyDer);
+        } catch (err) {
+            await this.database
+                .collection('dkim')
+                .updateOne(
+                    { _id: dkimData._id, 'rotation.pending.selector': rotation.pending.selector },
+                    { $set: { 'rotation.pending.lastCheck': now, 'rotation.pending.lastError': err.message } }
+                );
+            return result;
+        }
+
+        if (!published) {
+            await this.database
+                .collection('dkim')
+                .updateOne(
+                    { _id: dkimData._id, 'rotation.pending.selector': rotation.pending.selector },
+                    { $set: { 'rotation.pending.lastCheck': now, 'rotation.pending.lastError': `DNS record ${dnsTxt.name} not found` } }
+                );
+            return result;
+        }
+
+        await this.switchKey(dkimData);
+        return 'switched';
+    }
+
+    // replaces the signing key with the pending key and keeps the previous selector around for the grace period
+    async switchKey(dkimData) {
+        let now = new Date();
+        let rotation = dkimData.rotation;
+        let pending = rotation.pending;
+
+        let updates = {
+            selector: pending.selector,
+            privateKey: pending.privateKey,
+            publicKey: pending.publicKey,
+            publicKeyDer: pending.publicKeyDer,
+            fingerprint: pending.fingerprint,
+            rotated: now
+        };
+
+        if (rotation.enabled) {
+            updates['rotation.next'] = new Date(now.getTime() + rotation.interval * 24 * 3600 * 1000);
+        }
+
+        let r = await this.database.collection('dkim').findOneAndUpdate(
+            { _id: dkimData._id, 'rotation.pending.selector': pending.selector },
+            {
+                $set: updates,
+                $unset: { 'rotation.pending': '' },
+                $push: {
+                    'rotation.retiring': {
+                        selector: dkimData.selector,
+                        publicKeyDer: dkimData.publicKeyDer,
+                        fingerprint: dkimData.fingerprint,
+                        rotated: now,
+                        expires: new Date(now.getTime() + (rotation.gracePeriod || 0) * 24 * 3600 * 1000)
+                    }
+                }
+            },
+            { returnDocument: 'after' }
+        );
+
+        if (!r.value) {
+            // rotation was cancelled or already processed
+            return false;
+        }
+
+        log.info('DKIM', 'Switched signing key domain=%s selector=%s previous=%s', dkimData.domain, pending.selector, dkimData.selector);
+        this.loggelf({
+            short_message: `DKIM signing key rotated for ${dkimData.domain}`,
+            _dkim_domain: dkimData.domain,
+            _dkim_selector: pending.selector,
+            _dkim_previous_selector: dkimData.selector,
+            _dkim_action: 'rotation_switch'
+        });
+
+        if (this.redis) {
+            try {
+                await publish(this.redis, {
+                    ev: DKIM_UPDATED,
+                    dkim: dkimData._id,
+                    domain: dkimData.domain,
+                    selector: pending.selector,
+                    fingerprint: pending.fingerprint
+                });
+            } catch (err) {
+                // ignore?
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Checks if a DKIM public key is published in DNS
+     *
+     * @param {String} name DNS name of the DKIM record, eg. "selector._domainkey.example.com"
+     * @param {String} publicKeyDer Base64 encoded public key
+     * @returns {Boolean} true if a matching record was found
+     */
+    async checkDnsRecord(name, publicKeyDer) {
+        let records;
+        try {
+            records = await this.resolver.resolveTxt(name);
+        } catch (err) {
+            if (['ENOTFOUND', 'ENODATA'].includes(err.code)) {
+                return false;
+            }
+            throw err;
+        }
+
+        for (let record of records || []) {
+            // long TXT values are split into multiple strings
+            let value = [].concat(record || []).join('');
+            let match = value.match(/(?:^|;)\s*p\s*=\s*([^;]*)/);
+            if (match && match[1].replace(/\s+/g, '') === publicKeyDer) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    getNextSelector(dkimData) {
+        let rotation = dkimData.rotation || {};
+        let used = [dkimData.selector].concat((rotation.retiring || []).map(entry => entry.selector));
+
+        let selector = (rotation.selectorPrefix || consts.DKIM_ROTATION_SELECTOR_PREFIX) + new Date().toISOString().substr(0, 10).replace(/-/g, '');
+        if (used.includes(selector)) {
+            selector += '-' + crypto.randomBytes(2).toString('hex');
+        }
+
+        return selector;
+    }
+
+    getDnsTxt(domain, selector, publicKeyDer) {
+        return {
+            name: selector + '._domainkey.' + domain,
+            value: 'v=DKIM1;t=s;p=' + publicKeyDer
+        };
+    }
+
+    async getRotationRecord(id) {
+        let dkimData = tools.isId(id) ? await this.database.collection('dkim').findOne({ _id: new ObjectId(id) }) : null;
+        if (!dkimData) {
+            let err = new Error('Invalid or unknown DKIM key');
+            err.responseCode = 404;
+            err.code = 'DkimNotFound';
+            throw err;
+        }
+
+        if (dkimData.domain === '*') {
+            let err = new Error('Key rotation is not supported for the default DKIM key');
+            err.responseCode = 400;
+            err.code = 'InputValidationError';
+            throw err;
+        }
+
+        return dkimData;
+    }
+
+    formatRotation(dkimData) {
+        let rotation = dkimData.rotation;
+        if (!rotation) {
+            return undefined;
+        }
+
+        return {
+            enabled: !!rotation.enabled,
+            interval: rotation.interval || 0,
+            gracePeriod: rotation.gracePeriod || 0,
+            selectorPrefix: rotation.selectorPrefix,
+            next: (rotation.enabled && rotation.next) || false,
+            pending: rotation.pending
+                ? {
+                      selector: rotation.pending.selector,
+                      fingerprint: rotation.pending.fingerprint,
+                      created: rotation.pending.created,
+                      lastCheck: rotation.pending.lastCheck || false,
+                      lastError: rotation.pending.lastError || false,
+                      dnsTxt: this.getDnsTxt(dkimData.domain, rotation.pending.selector, rotation.pending.publicKeyDer)
+                  }
+                : false,
+            retiring: (rotation.retiring || []).map(entry => ({
+                selector: entry.selector,
+                fingerprint: entry.fingerprint,
+                rotated: entry.rotated,
+                expires: entry.expires,
+                dnsTxt: this.getDnsTxt(dkimData.domain, entry.selector, entry.publicKeyDer)
+            }))
+        };
+    }
 }
 
 module.exports = DkimHandler;
@@ -0,0 +1,218 @@
+'use strict';
+
+// Parses delivery status notifications (RFC3464) and message disposition notifications (RFC8098)
+// from the MIME tree of a received message
+
+const libbase64 = require('libbase64');
+const libqp = require('libqp');
+
+// max number of per-recipient blocks processed from a single report
+const MAX_REPORT_RECIPIENTS = 500;
+
+const DSN_TYPES = ['message/delivery-status', 'message/global-delivery-status'];
+const MDN_TYPES = ['message/disposition-notification', 'message/global-disposition-notification'];
+const HEADER_TYPES = ['text/rfc822-headers', 'message/rfc822-headers', 'message/global-headers'];
+const MESSAGE_TYPES = ['message/rfc822', 'message/global'];
+
+/**
+ * Parses a report message
+ *
+ * @param {Object} mimeTree Parsed MIME tree of the message, node bodies must be included
+ * @returns {Object|Boolean} Report {type, reportingMta, queueId, envelopeId, messageId, recipients} or false if this is not a report message
+ */
+function parseReport(mimeTree) {
+    let reportNode = findReportNode(mimeTree);
+    if (!reportNode) {
+        return false;
+    }
+
+    let report = {
+        type: false,
+        reportingMta: false,
+        queueId: false,
+        envelopeId: false,
+        messageId: false,
+        recipients: []
+    };
+
+    for (let node of reportNode.childNodes || []) {
+        let contentType = getContentType(node);
+
+        if (DSN_TYPES.includes(contentType) || MDN_TYPES.includes(contentType)) {
+            let blocks = parseFieldBlocks(getNodeText(node));
+            if (!blocks.length) {
+                continue;
+            }
+
+            let messageFields = blocks.shift();
+            report.reportingMta = stripType(messageFields.get('reporting-mta') || messageFields.get('reporting-ua')) || false;
+
+            if (DSN_TYPES.includes(contentType)) {
+                report.type = 'dsn';
+                // ZoneMTA includes the queue ID of the bounced message
+                report.queueId = messageFields.get('x-zonemta-queue-id') || false;
+                report.envelopeId = messageFields.get('original-envelope-id') || false;
+
+                for (let fields of blocks.slice(0, MAX_REPORT_RECIPIENTS)) {
+                    let recipient = stripType(fields.get('final-recipient') || fields.get('original-recipient'));
+                    if (!recipient) {
+                        continue;
+                    }
+                    report.recipients.push({
+                        recipient: recipient.toLowerCase(),
+                        action: (fields.get('action') || '').toLowerCase(),
+                        status: fields.get('status') || '',
+                        diagnosticCode: stripType(fields.get('diagnostic-code')) || '',
+                        remoteMta: stripType(fields.get('remote-mta')) || ''
+                    });
+                }
+            } else {
+                // MDN has a single block of fields
+                report.type = 'mdn';
+                report.messageId = normalizeMessageId(messageFields.get('original-message-id'));
+
+                let recipient = stripType(messageFields.get('final-recipient') || messageFields.get('original-recipient'));
+                let disposition = messageFields.get('disposition') || '';
+                if (recipient && disposition) {
+                    report.recipients.push({
+                        recipient: recipient.toLowerCase(),
+                        // eg. "manual-action/MDN-sent-manually; displayed" -> "displayed"
+                        action: (disposition.split(';').pop() || '').trim().split('/').shift().toLowerCase(),
+                        disposition
+                    });
+                }
+            }
+        } else if (HEADER_TYPES.includes(contentType) && !report.messageId) {
+            let fields = parseFieldBlocks(getNodeText(node))[0];
+            report.messageId = normalizeMessageId(fields && fields.get('message-id'));
+        } else if (MESSAGE_TYPES.includes(contentType) && !report.messageId) {
+            let message = node.message || (node.childNodes && node.childNodes[0]);
+            report.messageId = normalizeMessageId(message && message.parsedHeader && message.parsedHeader['message-id']);
+        }
+    }
+
+    if (!report.type || !report.recipients.length) {
+        return false;
+    }
+
+    return report;
+}
+
+function findReportNode(node) {
+    if (!node) {
+        return false;
+    }
+
+    let contentType = node.parsedHeader && node.parsedHeader['content-type'];
+    if (contentType && (contentType.value || '').toLowerCase() === 'multipart/report') {
+        return node;
+    }
+
+    // bounces might be wrapped into another multipart node, eg. when a footer is added
+    if (node.multipart && node.childNodes) {
+        for (let childNode of node.childNodes) {
+            let reportNode = childNode.multipart && findReportNode(childNode);
+            if (reportNode) {
+                return reportNode;
+            }
+        }
+    }
+
+    return false;
+}
+
+function getContentType(node) {
+    let contentType = node.parsedHeader && node.parsedHeader['content-type'];
+    return ((contentType && contentType.value) || '').toLowerCase();
+}
+
+function getNodeText(node) {
+    let body = node.body;
+    if (!body) {
+        return '';
+    }
+    if (!Buffer.isBuffer(body)) {
+        body = Buffer.from(body.toString(), 'binary');
+    }
+
+    switch ((node.parsedHeader['content-transfer-encoding'] || '').toString().trim().toLowerCase()) {
+        case 'base64':
+            body = libbase64.decode(body.toString());
+            break;
+        case 'quoted-printable':
+            body = libqp.decode(body.toString());
+            break;
+    }
+
+    return body.toString();
+}
+
+/**
+ * Parses header-like field blocks separated by empty lines
+ *
+ * @param {String} text Report text
+ * @returns {Array} List of Maps where keys are lowercase field names
+ */
+function parseFieldBlocks(text) {
+    let blocks = [];
+    let fields = new Map();
+    let lastKey = false;
+
+    for (let line of (text || '').split(/\r?\n/)) {
+        if (!line.trim()) {
+            if (fields.size) {
+                blocks.push(fields);
+                fields = new Map();
+            }
+            lastKey = false;
+            continue;
+        }
+
+        if (/^\s/.test(line)) {
+            // folded line
+            if (lastKey) {
+                fields.set(lastKey, fields.get(lastKey) + ' ' + line.trim());
+            }
+            continue;
+        }
+
+        let sep = line.indexOf(':');
+        if (sep < 1) {
+            continue;
+        }
+
+        lastKey = line.substr(0, sep).trim().toLowerCase();
+        if (!fields.has(lastKey)) {
+            fields.set(lastKey, line.substr(sep + 1).trim());
+        } else {
+            // only the first value is used
+            lastKey = false;
+        }
+    }
+
+    if (fields.size) {
+        blocks.push(fields);
+    }
+
+    return blocks;
+}
+
+// "rfc822; user@example.com" -> "user@example.com"
+function stripType(value) {
+    if (!value) {
+        return '';
+    }
+    let sep = value.indexOf(';');
+    return (sep >= 0 ? value.substr(sep + 1) : value).trim();
+}
+
+function normalizeMessageId(value) {
+    value = (value || '').toString().trim();
+    if (!value) {
+        return false;
+    }
+    let match = value.match(/<[^>]+>/);
+    return match ? match[0] : '<' + value.replace(/^<|>$/g, '') + '>';
+}
+
+module.exports = { parseReport, parseFieldBlocks };
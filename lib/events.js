@@ -4,8 +4,10 @@
 
 const { Queue } = require('bullmq');
 const log = require('npmlog');
+const consts = require('./consts');
 
 let webhooksQueue;
+let webhooksPostQueue;
 
 module.exports = {
     DKIM_CREATED: 'dkim.created',
@@ -45,9 +47,33 @@ module.exports = {
     MAILBOX_DELETED: 'mailbox.deleted',
     MARKED_SPAM: 'marked.spam',
     MARKED_HAM: 'marked.ham',
+    WEBHOOK_DISABLED: 'webhook.disabled',
+    MESSAGE_NEW: 'message.new',
+    MESSAGE_DELETED: 'message.deleted',
+    MESSAGE_MOVED: 'message.moved',
+    MESSAGE_DELIVERY_STATUS: 'message.delivery.status',
+    FLAGS_CHANGED: 'flags.changed',
 
     FORWARD_ADDED: 'forward added',
 
+    /**
+     * Lists webhook type values that match an event type, eg. for "user.created"
+     * the list includes "*", "user.*" and "user.created"
+     *
+     * @param {String} ev Event type
+     * @returns {Array} Matching type values
+     */
+    getMatchingTypes(ev) {
+        let evtList = ['*'];
+        let typeParts = ev.split('.');
+        typeParts.pop();
+        for (let i = 1; i <= typeParts.length; i++) {
+            evtList.push(typeParts.slice(0, i).join('.') + '.*');
+        }
+        evtList.push(ev);
+        return evtList;
+    },
+
     async publish(redisClient, data) {
         if (!data || typeof data !== 'object' || !redisClient) {
             return;
@@ -84,5 +110,43 @@ module.exports = {
             log.error('Events', err);
         }
         return false;
+    },
+
+    /**
+     * Queues a single delivery for a webhook. Failed deliveries are retried with exponential
+     * backoff according to the retry policy of the webhook
+     *
+     * @param {Object} redisClient Redis client
+     * @param {Object} webhook Webhook entry, should not include secrets
+     * @param {Object} data Event payload
+     * @param {Object} [options] Delivery options
+     * @param {Boolean} [options.redelivery] If true then this delivery was requested manually
+     * @returns {Object} Queued job
+     */
+    async queueDelivery(redisClient, webhook, data, options) {
+        options = options || {};
+
+        if (!webhooksPostQueue) {
+            webhooksPostQueue = new Queue('webhooks_post', {
+                connection: redisClient,
+                prefix: `wd:bull`
+            });
+        }
+
+        let retry = webhook.retry || {};
+
+        return await webhooksPostQueue.add(
+            'webhook',
+            { data, webhook, redelivery: !!options.redelivery },
+            {
+                removeOnComplete: true,
+                removeOnFail: 500,
+                attempts: retry.attempts || consts.WEBHOOK_RETRY_ATTEMPTS,
+                backoff: {
+                    type: 'exponential',
+                    delay: retry.delay || consts.WEBHOOK_RETRY_DELAY
+                }
+            }
+        );
     }
 };
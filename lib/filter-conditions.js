@@ -0,0 +1,292 @@
+'use strict';
+
+const safeRegex = require('safe-regex2');
+
+// Evaluates condition groups of JSON filters. A group is an object {op, conditions} where op is
+// one of "and", "or" or "not" and conditions is a list of conditions or nested groups
+
+// only this many characters of a value are checked against regular expressions
+const MAX_REGEX_INPUT = 4 * 1024;
+
+const SPAM_SCORE_HEADERS = ['x-rspamd-score', 'x-spam-score'];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Checks if a message matches a condition group
+ *
+ * @param {Object} group Condition group {op, conditions}
+ * @param {Object} context Message information
+ * @param {Function} context.getHeaders Returns a list of decoded values for a header key
+ * @param {String} [context.recipient] Envelope recipient address
+ * @param {Object} [context.verificationResults] Verification results from the MX, eg. {spf, dkim, dmarc}
+ * @param {Number} [context.spamScore] Spam score of the message
+ * @param {Date} [context.date] Time the message was received, defaults to the current time
+ * @returns {Boolean} true if the message matches
+ */
+function checkConditions(group, context) {
+    if (!group || !Array.isArray(group.conditions)) {
+        return true;
+    }
+
+    let check = condition => (condition.op ? checkConditions(condition, context) : checkCondition(condition, context));
+
+    switch (group.op) {
+        case 'or':
+            return group.conditions.some(check);
+        case 'not':
+            // matches if none of the listed conditions match
+            return !group.conditions.some(check);
+        case 'and':
+        default:
+            return group.conditions.every(check);
+    }
+}
+
+/**
+ * Same as checkConditions but returns the result for every condition
+ *
+ * @param {Object} group Condition group {op, conditions}
+ * @param {Object} context Message information, see checkConditions
+ * @returns {Object} Condition group where the group and every condition has a "matched" property
+ */
+function explainConditions(group, context) {
+    let conditions = group.conditions.map(condition =>
+        condition.op ? explainConditions(condition, context) : Object.assign({}, condition, { matched: checkCondition(condition, context) })
+    );
+
+    let matched;
+    switch (group.op) {
+        case 'or':
+            matched = conditions.some(condition => condition.matched);
+            break;
+        case 'not':
+            matched = !conditions.some(condition => condition.matched);
+            break;
+        case 'and':
+        default:
+            matched = conditions.every(condition => condition.matched);
+    }
+
+    return { op: group.op, matched, conditions };
+}
+
+function checkCondition(condition, context) {
+    switch (condition.type) {
+        case 'header': {
+            let values = context.getHeaders ? context.getHeaders(condition.key) : [];
+            if (typeof condition.exists === 'boolean' && !condition.value) {
+                return condition.exists ? values.length > 0 : values.length === 0;
+            }
+            return values.some(value => matchValue(condition, value));
+        }
+
+        case 'recipient':
+            return !!context.recipient && matchValue(condition, context.recipient);
+
+        case 'spf':
+        case 'dkim':
+        case 'dmarc': {
+            if (!context.verificationResults) {
+                // nothing is known about the message, so neither a pass or a fail can match
+                return false;
+            }
+            let domain = getVerifiedDomain(context.verificationResults[condition.type]);
+            let verified = !!domain && (!condition.value || domain === condition.value.toLowerCase());
+            return condition.pass === false ? !verified : verified;
+        }
+
+        case 'spamScore': {
+            let score = context.spamScore;
+            if (typeof score !== 'number' || isNaN(score)) {
+                return false;
+            }
+            if (typeof condition.min === 'number' && score < condition.min) {
+                return false;
+            }
+            if (typeof condition.max === 'number' && score > condition.max) {
+                return false;
+            }
+            return true;
+        }
+
+        case 'received': {
+            let { day, minutes } = getLocalTime(context.date || new Date(), condition.timezone);
+            if (condition.days && condition.days.length && !condition.days.includes(day)) {
+                return false;
+            }
+            let start = parseTime(condition.start, 0);
+            let end = parseTime(condition.end, 24 * 60);
+            if (start <= end) {
+                return minutes >= start && minutes < end;
+            }
+            // time window passes midnight, eg. 22:00-06:00
+            return minutes >= start || minutes < end;
+        }
+    }
+
+    return false;
+}
+
+function matchValue(condition, value) {
+    value = (value || '').toString();
+    if (condition.regex) {
+        if (!isSafeRegex(condition.value)) {
+            // never evaluate patterns that might take exponential time, even if stored before these were rejected
+            return false;
+        }
+        return new RegExp(condition.value, 'i').test(value.substr(0, MAX_REGEX_INPUT));
+    }
+    return value.toLowerCase().indexOf((condition.value || '').toLowerCase()) >= 0;
+}
+
+/**
+ * Checks if a regular expression is safe to run against message data. Patterns with nested quantifiers,
+ * eg. "^(a+)+$", can backtrack catastrophically and stall message delivery
+ *
+ * @param {String} pattern Regular expression source
+ * @returns {Boolean} true if the pattern is valid and safe to use
+ */
+function isSafeRegex(pattern) {
+    return safeRegex(pattern || '');
+}
+
+function getVerifiedDomain(result) {
+    if (result && typeof result === 'object') {
+        result = result.domain;
+    }
+    return typeof result === 'string' && result ? result.toLowerCase() : false;
+}
+
+function getLocalTime(date, timezone) {
+    let parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    })
+        .formatToParts(date)
+        .forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+    return {
+        day: DAY_NAMES.indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+function parseTime(value, defaultValue) {
+    let match = (value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        return defaultValue;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Detects the spam score of a message. Uses the score from message meta if set, otherwise the
+ * topmost spam score header (the one added by the receiving MTA)
+ *
+ * @param {Object} meta Message meta data
+ * @param {Function} getHeaders Returns a list of decoded values for a header key
+ * @returns {Number|Boolean} Spam score or false if not known
+ */
+function getSpamScore(meta, getHeaders) {
+    if (meta && typeof meta.spamScore === 'number') {
+        return meta.spamScore;
+    }
+
+    for (let key of SPAM_SCORE_HEADERS) {
+        let value = getHeaders(key)[0];
+        if (value) {
+            let score = parseFloat(value.trim());
+            if (!isNaN(score)) {
+                return score;
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Returns the nesting depth of a condition group
+ *
+ * @param {Object} group Condition group
+ * @returns {Number} Nesting depth, 1 for a group without nested groups
+ */
+function getDepth(group) {
+    let depth = 0;
+    for (let condition of (group && group.conditions) || []) {
+        if (condition.op) {
+            depth = Math.max(depth, getDepth(condition));
+        }
+    }
+    return depth + 1;
+}
+
+/**
+ * Formats a condition group as a human readable string, eg. 'header "x-priority" exists and not spf passes'
+ *
+ * @param {Object} group Condition group
+ * @returns {String} Description of the conditions
+ */
+function describeConditions(group) {
+    let list = ((group && group.conditions) || []).map(condition => (condition.op ? '(' + describeConditions(condition) + ')' : describeCondition(condition)));
+
+    if (group.op === 'not') {
+        return 'not ' + (list.length > 1 ? '(' + list.join(' or ') + ')' : list.join(''));
+    }
+
+    return list.join(` ${group.op === 'or' ? 'or' : 'and'} `);
+}
+
+function describeCondition(condition) {
+    let describeValue = () => (condition.regex ? `matches /${condition.value}/` : `contains "${condition.value}"`);
+
+    switch (condition.type) {
+        case 'header':
+            if (typeof condition.exists === 'boolean' && !condition.value) {
+                return `header "${condition.key}" ${condition.exists ? 'exists' : 'does not exist'}`;
+            }
+            return `header "${condition.key}" ${describeValue()}`;
+
+        case 'recipient':
+            return `recipient ${describeValue()}`;
+
+        case 'spf':
+        case 'dkim':
+        case 'dmarc':
+            return `${condition.type} ${condition.pass === false ? 'does not pass' : 'passes'}${condition.value ? ' for ' + condition.value : ''}`;
+
+        case 'spamScore': {
+            let range = [];
+            if (typeof condition.min === 'number') {
+                range.push(`at least ${condition.min}`);
+            }
+            if (typeof condition.max === 'number') {
+                range.push(`at most ${condition.max}`);
+            }
+            return `spam score ${range.join(' and ')}`;
+        }
+
+        case 'received': {
+            let str = 'received';
+            if (condition.days && condition.days.length) {
+                str += ' on ' + condition.days.map(day => DAY_NAMES[day]).join(', ');
+            }
+            str += ` between ${condition.start || '00:00'}-${condition.end || '24:00'}`;
+            if (condition.timezone) {
+                str += ` ${condition.timezone}`;
+            }
+            return str;
+        }
+    }
+
+    return condition.type;
+}
+
+module.exports = { checkConditions, explainConditions, getSpamScore, getDepth, describeConditions, isSafeRegex };
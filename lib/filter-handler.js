@@ -1,18 +1,26 @@
 'use strict';
 
 const log = require('npmlog');
+const crypto = require('crypto');
 const ObjectId = require('mongodb').ObjectId;
 const forward = require('./forward');
 const autoreply = require('./autoreply');
 const Maildropper = require('./maildropper');
+const SieveHandler = require('./sieve-handler');
+const { getMessageContext } = require('./sieve-handler');
+const MailboxHandler = require('./mailbox-handler');
+const DeliveryStatusHandler = require('./delivery-status-handler');
+const { checkConditions, explainConditions, getSpamScore } = require('./filter-conditions');
 const tools = require('./tools');
 const consts = require('./consts');
 const util = require('util');
+const he = require('he');
 
 class FilterHandler {
     constructor(options) {
         this.db = options.db;
         this.messageHandler = options.messageHandler;
+        this.loggelf = options.loggelf || (() => false);
 
         this.prepareMessage = util.promisify(this.messageHandler.prepareMessage.bind(this.messageHandler));
         this.encryptMessage = util.promisify(this.messageHandler.encryptMessage.bind(this.messageHandler));
@@ -28,7 +36,23 @@ class FilterHandler {
             loopSecret: options.sender.loopSecret
         });
 
-        this.loggelf = options.loggelf || (() => false);
+        this.sieveHandler = new SieveHandler({ database: this.db.database });
+
+        // used to create target mailboxes of filters on demand
+        this.mailboxHandler = new MailboxHandler({
+            database: this.db.database,
+            users: this.db.users,
+            redis: this.db.redis,
+            notifier: this.messageHandler.notifier,
+            loggelf: this.loggelf
+        });
+
+        this.deliveryStatusHandler = new DeliveryStatusHandler({
+            database: this.db.database,
+            messageHandler: this.messageHandler,
+            senderDb: this.db.senderDb,
+            queueCollection: options.sender.collection
+        });
     }
 
     getUserData(address, callback) {
@@ -171,6 +195,16 @@ class FilterHandler {
 
         prepared.size = this.messageHandler.indexer.getSize(prepared.mimeTree);
 
+        if (raw) {
+            // bounces and read receipts update the delivery status of the sent message, the report itself is stored as usual.
+            // Report parts are read from the MIME tree, so this must run before getMaildata() removes attachment bodies
+            try {
+                await this.deliveryStatusHandler.processReport(userData, prepared.mimeTree);
+            } catch (err) {
+                log.error('Filter', 'DSNFAIL user=%s error=%s', userData._id, err.message);
+            }
+        }
+
         let maildata = options.maildata || this.messageHandler.indexer.getMaildata(prepared.mimeTree);
 
         // default flags are empty
@@ -211,83 +245,100 @@ class FilterHandler {
             }
         }
 
-        let filters = [];
-        try {
-            filters = await this.db.database
-                .collection('filters')
-                .find({
-                    user: userData._id,
-                    disabled: { $ne: true }
-                })
-                .sort({
-                    _id: 1
-                })
-                .toArray();
-        } catch (err) {
-            // ignore as filters are not so importand
-        }
-
         let isEncrypted = false;
-        let forwardTargets = new Map();
 
-        let matchingFilters = [];
-        let filterActions = new Map();
-
-        // check global whitelist/blacklist before filters
-        if (userData.tagsview && userData.tagsview.length) {
-            let from = parsedHeader.from || parsedHeader.sender;
-            from = [].concat(from || []);
-            tools.decodeAddresses(from);
-            from = tools.flatAddresses(from);
-
-            if (from && from.length) {
-                from = from[0];
-                let domain = tools.normalizeDomain(from.address.split('@').pop());
-                try {
-                    let domainaccessData = await this.db.database.collection('domainaccess').findOne({
-                        tag: { $in: userData.tagsview },
-                        domain
-                    });
+        let { filters, filterState, domainAccess, conditionContext } = await this.prepareFilters(userData, prepared, {
+            sender,
+            recipient,
+            verificationResults: options.verificationResults,
+            meta
+        });
+        let { filterActions, forwardTargets, copyTargets, keywords } = filterState;
 
-                    if (domainaccessData) {
-                        switch (domainaccessData.action) {
-                            case 'block':
-                                filterActions.set('spam', true);
-                                matchingFilters.push(`block:${domainaccessData.tag}:${domainaccessData._id}`);
-                                break;
-                            case 'allow':
-                                filterActions.set('spam', false);
-                                matchingFilters.push(`allow:${domainaccessData.tag}:${domainaccessData._id}`);
-                                break;
-                        }
-                    }
-                } catch (err) {
-                    // ignore, not important
-                }
-            }
+        let matchingFilters = [];
+        if (domainAccess) {
+            matchingFilters.push(`${domainAccess.action}:${domainAccess.tag}:${domainAccess._id}`);
         }
 
         for (let filterData of filters) {
-            if (!(await checkFilter(filterData, prepared, maildata))) {
+            if (!(await checkFilter(filterData, prepared, maildata, conditionContext))) {
                 continue;
             }
 
             matchingFilters.push(filterData.id || filterData._id);
 
             // apply matching filter
-            Object.keys(filterData.action).forEach(key => {
-                if (key === 'targets') {
-                    [].concat(filterData.action[key] || []).forEach(target => {
-                        forwardTargets.set(target.value, target);
-                    });
-                    return;
+            if (mergeFilterActions(filterData, filterState)) {
+                // skip filters with a larger priority value
+                break;
+            }
+        }
+
+        // run the active Sieve script after JSON filters, so values set by filters take precedence
+        let sieveResult = false;
+        try {
+            sieveResult = await this.sieveHandler.run(userData, prepared, { from: sender, to: recipient });
+        } catch (err) {
+            // on errors the message is delivered as if there was no script (implicit keep)
+            log.error('Filter', '%s SIEVEFAIL user=%s error=%s', prepared.id.toString(), userData._id.toString(), err.message);
+        }
+
+        let sieveDeliveries = [];
+        let sieveReject = false;
+        let sieveVacation = false;
+
+        if (sieveResult) {
+            matchingFilters.push(`sieve:${sieveResult.script}`);
+
+            for (let action of sieveResult.actions) {
+                switch (action.type) {
+                    case 'keep':
+                        sieveDeliveries.push({ path: false, flags: action.flags });
+                        break;
+                    case 'fileinto':
+                        // INBOX is case insensitive, treat it the same as keep
+                        sieveDeliveries.push({ path: /^inbox$/i.test(action.mailbox) ? false : action.mailbox, flags: action.flags });
+                        break;
+                    case 'redirect':
+                        forwardTargets.set(action.address, { type: 'mail', value: action.address });
+                        break;
+                    case 'reject':
+                        sieveReject = action.reason;
+                        break;
+                    case 'vacation':
+                        sieveVacation = action;
+                        break;
                 }
+            }
 
-                // if a previous filter already has set a value then do not touch it
-                if (!filterActions.has(key)) {
-                    filterActions.set(key, filterData.action[key]);
+            if (sieveResult.implicitKeep) {
+                sieveDeliveries.push({ path: false, flags: sieveResult.flags });
+            }
+
+            // a mailbox only gets a single copy of the message
+            sieveDeliveries = sieveDeliveries.filter((delivery, i) => sieveDeliveries.findIndex(entry => entry.path === delivery.path) === i);
+
+            if (!sieveDeliveries.length && !filterActions.has('delete')) {
+                // message was discarded, redirected or rejected
+                filterActions.set('delete', true);
+            }
+        }
+
+        if (sieveReject !== false) {
+            let err = new Error(sieveReject || 'Message rejected by recipient');
+            err.code = 'RejectedByPolicy';
+            err.responseCode = 550;
+
+            filterResults.push({ reject: true });
+
+            return {
+                response: {
+                    userData,
+                    response: err,
+                    filterResults,
+                    error: err
                 }
-            });
+            };
         }
 
         if (typeof userData.spamLevel === 'number' && userData.spamLevel >= 0) {
@@ -486,16 +537,30 @@ class FilterHandler {
                 user: userData._id
             });
 
-            if (!autoreplyData || !autoreplyData.status) {
+            if (!autoreply.isActive(autoreplyData, curtime)) {
                 return false;
             }
 
-            if (autoreplyData.start && autoreplyData.start > curtime) {
-                return false;
-            }
+            if (!autoreply.isInternalSender(sender, recipient, autoreplyData.internalDomains)) {
+                if (autoreplyData.contactsOnly) {
+                    // only reply to senders the user has sent mail to
+                    let knownSender = await this.db.database
+                        .collection('addressregister')
+                        .findOne({ user: userData._id, addrview: tools.uview(sender) }, { projection: { _id: true } });
+                    if (!knownSender) {
+                        return false;
+                    }
+                }
 
-            if (autoreplyData.end && autoreplyData.end < curtime) {
-                return false;
+                let external = autoreplyData.external;
+                if (external && (external.text || external.html)) {
+                    // same _id is kept, so internal and external replies share the rate limit
+                    autoreplyData = Object.assign({}, autoreplyData, {
+                        subject: external.subject,
+                        text: external.text,
+                        html: external.html
+                    });
+                }
             }
 
             let autoreplyResponse = await autoreply(
@@ -517,6 +582,89 @@ class FilterHandler {
             return autoreplyResponse;
         };
 
+        let sendVacation = async () => {
+            // never reply to messages marked as spam
+            if (!sender || !sieveVacation || filterActions.get('spam') || options.disableAutoreply) {
+                return;
+            }
+
+            let from = recipient;
+            if (sieveVacation.from) {
+                // only allow addresses that belong to the user
+                let addressData = await this.db.users
+                    .collection('addresses')
+                    .findOne({ user: userData._id, addrview: tools.uview(sieveVacation.from) }, { projection: { address: true } });
+                if (addressData) {
+                    from = addressData.address;
+                }
+            }
+
+            // replies are tracked per handle, so changing the response text resets the list of notified senders
+            let handle =
+                sieveVacation.handle ||
+                crypto
+                    .createHash('sha1')
+                    .update([sieveVacation.subject || '', sieveVacation.reason].join('\n'))
+                    .digest('hex');
+
+            return await autoreply(
+                {
+                    db: this.db,
+                    maildrop: this.maildrop,
+
+                    parentId: prepared.id,
+                    userData,
+                    sender,
+                    recipient: from,
+                    chunks,
+                    chunklen,
+                    messageHandler: this.messageHandler
+                },
+                {
+                    _id: `sieve:${userData._id}:${handle}`,
+                    subject: sieveVacation.subject,
+                    text: sieveVacation.reason,
+                    interval: sieveVacation.days * 24 * 3600 * 1000
+                }
+            );
+        };
+
+        let sendFilterReply = async () => {
+            let reply = filterActions.get('reply');
+            // never reply to messages marked as spam
+            if (!sender || !reply || filterActions.get('spam') || options.disableAutoreply) {
+                return;
+            }
+
+            let values = {
+                subject: prepared.subject || '',
+                sender,
+                recipient
+            };
+
+            return await autoreply(
+                {
+                    db: this.db,
+                    maildrop: this.maildrop,
+
+                    parentId: prepared.id,
+                    userData,
+                    sender,
+                    recipient,
+                    chunks,
+                    chunklen,
+                    messageHandler: this.messageHandler
+                },
+                {
+                    _id: `filter:${userData._id}:${reply.filter}`,
+                    subject: reply.subject && renderTemplate(reply.subject, values),
+                    text: reply.text && renderTemplate(reply.text, values),
+                    html: reply.html && renderTemplate(reply.html, values, true),
+                    interval: reply.interval && reply.interval * 1000
+                }
+            );
+        };
+
         let outbound = [];
 
         try {
@@ -566,6 +714,28 @@ class FilterHandler {
             log.error('Filter', '%s AUTOREPLYFAIL from=%s to=%s error=%s', prepared.id.toString(), '<>', sender, err.message);
         }
 
+        try {
+            let vacationId = await sendVacation();
+            if (vacationId) {
+                filterResults.push({ vacation: sender, 'vacation-queue-id': vacationId });
+                outbound.push(vacationId);
+                log.silly('Filter', '%s VACATIONOK id=%s from=%s to=%s', prepared.id.toString(), vacationId, '<>', sender);
+            }
+        } catch (err) {
+            log.error('Filter', '%s VACATIONFAIL from=%s to=%s error=%s', prepared.id.toString(), '<>', sender, err.message);
+        }
+
+        try {
+            let replyId = await sendFilterReply();
+            if (replyId) {
+                filterResults.push({ reply: sender, 'reply-queue-id': replyId });
+                outbound.push(replyId);
+                log.silly('Filter', '%s FILTERREPLYOK id=%s from=%s to=%s', prepared.id.toString(), replyId, '<>', sender);
+            }
+        } catch (err) {
+            log.error('Filter', '%s FILTERREPLYFAIL from=%s to=%s error=%s', prepared.id.toString(), '<>', sender, err.message);
+        }
+
         if (filterActions.get('delete')) {
             // nothing to do with the message, just continue
             let err = new Error(`Message dropped by policy [${matchingFilters.map(id => (id || '').toString()).join(':')}]`);
@@ -605,6 +775,15 @@ class FilterHandler {
             };
         }
 
+        if (sieveDeliveries.length) {
+            // first Sieve target gets the stored message, other targets get copies
+            if (sieveDeliveries[0].path) {
+                mailboxQueryKey = 'path';
+                mailboxQueryValue = sieveDeliveries[0].path;
+            }
+            flags.push(...sieveDeliveries[0].flags);
+        }
+
         // apply filter results to the message
         filterActions.forEach((value, key) => {
             switch (key) {
@@ -617,13 +796,13 @@ class FilterHandler {
                     }
                     break;
                 case 'seen':
-                    if (value) {
+                    if (value && !flags.includes('\\Seen')) {
                         flags.push('\\Seen');
                         filterResults.push({ seen: true });
                     }
                     break;
                 case 'flag':
-                    if (value) {
+                    if (value && !flags.includes('\\Flagged')) {
                         flags.push('\\Flagged');
                         filterResults.push({ flagged: true });
                     }
@@ -635,9 +814,29 @@ class FilterHandler {
                         mailboxQueryValue = value;
                     }
                     break;
+                case 'path':
+                    if (value) {
+                        mailboxQueryKey = 'path';
+                        mailboxQueryValue = value;
+                    }
+                    break;
             }
         });
 
+        keywords.forEach(keyword => {
+            if (!flags.includes(keyword)) {
+                flags.push(keyword);
+            }
+        });
+        if (keywords.size) {
+            filterResults.push({ keywords: Array.from(keywords) });
+        }
+
+        if (mailboxQueryKey === 'path' && filterActions.get('path') === mailboxQueryValue) {
+            // create the target mailbox of the filter if it does not exist yet
+            await this.ensureMailbox(userData, mailboxQueryValue);
+        }
+
         let messageOpts = {
             user: userData._id,
             [mailboxQueryKey]: mailboxQueryValue,
@@ -701,6 +900,49 @@ class FilterHandler {
                     id: data.id && data.id.toString()
                 });
 
+                let copies = filterActions.get('spam') ? [] : Array.from(copyTargets).filter(mailbox => mailbox !== (data.mailbox && data.mailbox.toString()));
+                for (let mailbox of copies) {
+                    try {
+                        let copyData = await this.storeCopy(messageOpts, { mailbox: new ObjectId(mailbox), flags });
+                        filterResults.push({
+                            mailbox: copyData.mailbox && copyData.mailbox.toString(),
+                            path: copyData.mailboxPath,
+                            uid: copyData.uid,
+                            id: copyData.id && copyData.id.toString()
+                        });
+                    } catch (err) {
+                        log.error(
+                            'Filter',
+                            '%s FILTERCOPYFAIL user=%s mailbox=%s error=%s',
+                            prepared.id.toString(),
+                            userData._id.toString(),
+                            mailbox,
+                            err.message
+                        );
+                    }
+                }
+
+                for (let delivery of sieveDeliveries.slice(1)) {
+                    try {
+                        let copyData = await this.storeCopy(messageOpts, delivery);
+                        filterResults.push({
+                            mailbox: copyData.mailbox && copyData.mailbox.toString(),
+                            path: copyData.mailboxPath,
+                            uid: copyData.uid,
+                            id: copyData.id && copyData.id.toString()
+                        });
+                    } catch (err) {
+                        log.error(
+                            'Filter',
+                            '%s SIEVECOPYFAIL user=%s path=%s error=%s',
+                            prepared.id.toString(),
+                            userData._id.toString(),
+                            delivery.path,
+                            err.message
+                        );
+                    }
+                }
+
                 return {
                     response: {
                         userData,
@@ -749,17 +991,287 @@ class FilterHandler {
             };
         }
     }
+
+    /**
+     * Runs a message through filters and the active Sieve script without storing, forwarding or replying to it
+     *
+     * @param {Object} userData User entry
+     * @param {Object} options
+     * @param {Buffer} [options.raw] RFC822 formatted message
+     * @param {Object} [options.messageData] Stored message entry, used if raw is not set
+     * @param {String} [options.filter] If set, then only checks this filter
+     * @param {String} [options.sender] Envelope sender address
+     * @param {String} [options.recipient] Envelope recipient address
+     * @param {Object} [options.verificationResults] Verification results {spf, dkim, dmarc}
+     * @param {Number} [options.spamScore] Spam score of the message
+     * @param {Date} [options.date] Time the message was received
+     * @returns {Object} Test results {filters, actions, sieve}
+     */
+    async testMessage(userData, options) {
+        let sender = options.sender || '';
+        let recipient = options.recipient || userData.address;
+
+        let prepared;
+        let maildata;
+        let verificationResults = options.verificationResults;
+
+        if (options.raw) {
+            prepared = await this.prepareMessage({ raw: options.raw });
+            prepared.size = this.messageHandler.indexer.getSize(prepared.mimeTree);
+            maildata = this.messageHandler.indexer.getMaildata(prepared.mimeTree);
+        } else {
+            let messageData = options.messageData;
+            prepared = {
+                id: messageData._id,
+                mimeTree: messageData.mimeTree,
+                headers: [].concat(messageData.headers || []),
+                size: messageData.size,
+                subject: messageData.subject
+            };
+            maildata = {
+                text: (messageData.text || '') + (messageData.textFooter || ''),
+                attachments: messageData.attachments || []
+            };
+            verificationResults = verificationResults || messageData.verificationResults;
+        }
+
+        // same as for delivered messages
+        prepared.headers.push({ key: 'delivered-to', value: recipient.toLowerCase() });
+
+        let { filters, filterState, domainAccess, conditionContext } = await this.prepareFilters(userData, prepared, {
+            filter: options.filter,
+            sender,
+            recipient,
+            verificationResults,
+            spamScore: options.spamScore,
+            date: options.date
+        });
+        let { filterActions, forwardTargets, copyTargets, keywords } = filterState;
+
+        let stopped = false;
+        let filterResults = [];
+        for (let filterData of filters) {
+            let checks = [];
+            let matched = !!(await checkFilter(filterData, prepared, maildata, conditionContext, checks));
+
+            filterResults.push({
+                id: filterData._id.toString(),
+                name: filterData.name || '',
+                matched,
+                // filters after a matching filter with the stop action are not applied
+                skipped: stopped,
+                checks
+            });
+
+            if (matched && !stopped && mergeFilterActions(filterData, filterState)) {
+                stopped = true;
+            }
+        }
+
+        let actions = {};
+        filterActions.forEach((value, key) => {
+            switch (key) {
+                case 'mailbox':
+                    actions[key] = value.toString();
+                    break;
+                case 'reply': {
+                    let reply = Object.assign({}, value);
+                    delete reply.filter;
+                    actions[key] = reply;
+                    break;
+                }
+                default:
+                    actions[key] = value;
+            }
+        });
+        if (forwardTargets.size) {
+            actions.targets = Array.from(forwardTargets.keys());
+        }
+        if (copyTargets.size) {
+            actions.copy = Array.from(copyTargets);
+        }
+        if (keywords.size) {
+            actions.keywords = Array.from(keywords);
+        }
+
+        let sieve = false;
+        if (!options.filter) {
+            try {
+                let sieveResult = await this.sieveHandler.run(userData, prepared, { from: sender, to: recipient });
+                if (sieveResult) {
+                    sieve = {
+                        script: sieveResult.script.toString(),
+                        actions: sieveResult.actions,
+                        implicitKeep: !!sieveResult.implicitKeep
+                    };
+                }
+            } catch (err) {
+                // on delivery the message would be stored as if there was no script
+                sieve = { error: err.message };
+            }
+        }
+
+        return {
+            filters: filterResults,
+            domainAccess: domainAccess ? { id: domainAccess._id.toString(), tag: domainAccess.tag, action: domainAccess.action } : false,
+            actions,
+            sieve
+        };
+    }
+
+    /**
+     * Loads the filters of a user and prepares the state for running these against a message. Domain access
+     * lists (block/allow) of the user tags are checked before any filters, so a matching entry sets the spam action
+     *
+     * @param {Object} userData User entry
+     * @param {Object} prepared Prepared message
+     * @param {Object} options
+     * @param {String} [options.filter] Filter ID, if set then only this filter is loaded, even if it is disabled
+     * @param {String} options.sender Envelope sender address
+     * @param {String} options.recipient Envelope recipient address
+     * @param {Object} [options.verificationResults] Verification results {spf, dkim, dmarc}
+     * @param {Number} [options.spamScore] Spam score of the message, detected from delivery info and headers if not set
+     * @param {Object} [options.meta] Delivery info
+     * @param {Date} [options.date] Time the message was received
+     * @returns {Object} Filters in the order of checking, filter state, matching domain access entry and condition context
+     */
+    async prepareFilters(userData, prepared, options) {
+        let filters = [];
+        try {
+            filters = await this.db.database
+                .collection('filters')
+                .find(options.filter ? { _id: new ObjectId(options.filter), user: userData._id } : { user: userData._id, disabled: { $ne: true } })
+                .sort({
+                    _id: 1
+                })
+                .toArray();
+
+            // lower priority values first, filters with the same priority keep the order of creation
+            filters.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+        } catch (err) {
+            // ignore as filters are not so importand
+        }
+
+        let filterState = {
+            filterActions: new Map(),
+            forwardTargets: new Map(),
+            copyTargets: new Set(),
+            keywords: new Set()
+        };
+
+        let parsedHeader = prepared.mimeTree.parsedHeader || {};
+
+        // check global whitelist/blacklist before filters
+        let domainAccess = false;
+        if (userData.tagsview && userData.tagsview.length) {
+            let from = parsedHeader.from || parsedHeader.sender;
+            from = [].concat(from || []);
+            tools.decodeAddresses(from);
+            from = tools.flatAddresses(from);
+
+            if (from && from.length) {
+                from = from[0];
+                let domain = tools.normalizeDomain(from.address.split('@').pop());
+                try {
+                    let domainaccessData = await this.db.database.collection('domainaccess').findOne({
+                        tag: { $in: userData.tagsview },
+                        domain
+                    });
+
+                    if (domainaccessData && ['block', 'allow'].includes(domainaccessData.action)) {
+                        filterState.filterActions.set('spam', domainaccessData.action === 'block');
+                        domainAccess = domainaccessData;
+                    }
+                } catch (err) {
+                    // ignore, not important
+                }
+            }
+        }
+
+        // condition groups can check any header, not only the indexed ones
+        let { getHeaders } = getMessageContext(prepared, { from: options.sender, to: options.recipient });
+
+        let conditionContext = {
+            getHeaders,
+            recipient: options.recipient,
+            verificationResults: options.verificationResults,
+            spamScore: typeof options.spamScore === 'number' ? options.spamScore : getSpamScore(options.meta || {}, getHeaders),
+            date: options.date || new Date()
+        };
+
+        return { filters, filterState, domainAccess, conditionContext };
+    }
+
+    // stores an additional copy of a message for filters and Sieve scripts that file the message into several mailboxes
+    async storeCopy(messageOpts, delivery) {
+        let copyOpts = Object.assign({}, messageOpts, {
+            // reuse the parsed message but use a new message ID
+            prepared: await this.prepareMessage({ mimeTree: messageOpts.prepared.mimeTree }),
+            flags: delivery.flags
+        });
+        delete copyOpts.mailbox;
+        delete copyOpts.specialUse;
+        delete copyOpts.path;
+
+        if (delivery.mailbox) {
+            copyOpts.mailbox = delivery.mailbox;
+            // copies are only stored to existing mailboxes
+            copyOpts.inboxDefault = false;
+        } else {
+            copyOpts.path = delivery.path || 'INBOX';
+        }
+
+        const { data } = await this.messageHandler.addAsync(copyOpts);
+        return data;
+    }
+
+    async ensureMailbox(userData, path) {
+        try {
+            let mailboxData = await this.db.database.collection('mailboxes').findOne({ user: userData._id, path }, { projection: { _id: true } });
+            if (!mailboxData) {
+                await this.mailboxHandler.createAsync(userData._id, path, {});
+            }
+        } catch (err) {
+            if (err.code !== 'ALREADYEXISTS') {
+                // message is stored to INBOX instead
+                log.error('Filter', 'MAILBOXFAIL user=%s path=%s error=%s', userData._id.toString(), path, err.message);
+            }
+        }
+    }
 }
 
-async function checkFilter(filterData, prepared, maildata) {
+/**
+ * Checks if a message matches a filter
+ *
+ * @param {Object} filterData Filter entry
+ * @param {Object} prepared Prepared message
+ * @param {Object} maildata Message data from the indexer
+ * @param {Object} [conditionContext] Values for condition groups
+ * @param {Array} [trace] If set, then all checks are run and the results are added to this list as {field, value, matched}
+ * @returns {Object|Boolean} Filter entry if the message matches, otherwise false
+ */
+async function checkFilter(filterData, prepared, maildata, conditionContext, trace) {
     if (!filterData || !filterData.query) {
         return false;
     }
 
     let query = filterData.query;
 
+    let failed = false;
+    let check = (field, value, matched) => {
+        if (trace) {
+            trace.push({ field, value, matched });
+        }
+        if (!matched) {
+            failed = true;
+        }
+        // without a trace there is no need to run any further checks
+        return !failed || !!trace;
+    };
+
     // prepare filter data
     let headerFilters = new Map();
+    let headerFields = new Map();
     if (query.headers) {
         Object.keys(query.headers).forEach(key => {
             let header = key.replace(/[A-Z]+/g, c => '-' + c.toLowerCase());
@@ -777,6 +1289,7 @@ async function checkFilter(filterData, prepared, maildata) {
                 }
 
                 headerFilters.set(header, value);
+                headerFields.set(header, key);
             }
         });
     }
@@ -820,16 +1333,18 @@ async function checkFilter(filterData, prepared, maildata) {
             }
         }
 
-        if (headerMatches.size < headerFilters.size) {
-            // not enough matches
-            return false;
+        for (let [key, value] of headerFilters) {
+            if (!check(headerFields.get(key), value.isRegex ? value.toString() : value, headerMatches.has(key))) {
+                // not enough matches
+                return false;
+            }
         }
     }
 
     if (typeof query.ha === 'boolean') {
         let hasAttachments = maildata.attachments && maildata.attachments.length;
         // true ha means attachmens must exist
-        if (!hasAttachments && query.ha) {
+        if (!check('ha', query.ha, !!hasAttachments || !query.ha)) {
             return false;
         }
     }
@@ -838,16 +1353,31 @@ async function checkFilter(filterData, prepared, maildata) {
         let messageSize = prepared.size;
         let filterSize = Math.abs(query.size);
         // negative value means "less than", positive means "more than"
-        if (query.size < 0 && messageSize > filterSize) {
+        let matched = !((query.size < 0 && messageSize > filterSize) || (query.size > 0 && messageSize < filterSize));
+        if (!check('size', query.size, matched)) {
             return false;
         }
-        if (query.size > 0 && messageSize < filterSize) {
+    }
+
+    if (query.text) {
+        // message plaintext must contain the text field value
+        let matched = maildata.text.toLowerCase().replace(/\s+/g, ' ').indexOf(query.text.toLowerCase()) >= 0;
+        if (!check('text', query.text, matched)) {
             return false;
         }
     }
 
-    if (query.text && maildata.text.toLowerCase().replace(/\s+/g, ' ').indexOf(query.text.toLowerCase()) < 0) {
-        // message plaintext does not match the text field value
+    if (query.conditions) {
+        let context = conditionContext || getMessageContext(prepared, {});
+        if (trace) {
+            let result = explainConditions(query.conditions, context);
+            check('conditions', result, result.matched);
+        } else if (!checkConditions(query.conditions, context)) {
+            return false;
+        }
+    }
+
+    if (failed) {
         return false;
     }
 
@@ -857,6 +1387,68 @@ async function checkFilter(filterData, prepared, maildata) {
     return filterData;
 }
 
+/**
+ * Merges actions of a matching filter into the actions of previously matched filters
+ *
+ * @param {Object} filterData Matching filter entry
+ * @param {Object} state Merged actions {filterActions, forwardTargets, copyTargets, keywords}
+ * @returns {Boolean} true if no further filters should be checked
+ */
+function mergeFilterActions(filterData, state) {
+    let { filterActions, forwardTargets, copyTargets, keywords } = state;
+
+    Object.keys(filterData.action || {}).forEach(key => {
+        switch (key) {
+            case 'targets':
+                [].concat(filterData.action[key] || []).forEach(target => {
+                    forwardTargets.set(target.value, target);
+                });
+                return;
+
+            case 'copy':
+                [].concat(filterData.action[key] || []).forEach(mailbox => copyTargets.add(mailbox.toString()));
+                return;
+
+            case 'keywords':
+                [].concat(filterData.action[key] || []).forEach(keyword => keywords.add(keyword));
+                return;
+
+            case 'stop':
+                return;
+
+            case 'mailbox':
+            case 'path':
+                // target mailbox can be set either by ID or by path, first matching filter wins
+                if (!filterActions.has('mailbox') && !filterActions.has('path')) {
+                    filterActions.set(key, filterData.action[key]);
+                }
+                return;
+
+            case 'reply':
+                if (!filterActions.has(key)) {
+                    // filter ID is used to track which senders have already been replied to
+                    filterActions.set(key, Object.assign({ filter: filterData._id }, filterData.action[key]));
+                }
+                return;
+        }
+
+        // if a previous filter already has set a value then do not touch it
+        if (!filterActions.has(key)) {
+            filterActions.set(key, filterData.action[key]);
+        }
+    });
+
+    return !!(filterData.action && filterData.action.stop);
+}
+
+// replaces {{key}} placeholders in filter reply templates
+function renderTemplate(template, values, isHtml) {
+    return template.replace(/\{\{\s*(subject|sender|recipient)\s*\}\}/g, (match, key) => {
+        let value = values[key] || '';
+        return isHtml ? he.encode(value, { useNamedReferences: true }) : value;
+    });
+}
+
 module.exports = FilterHandler;
 
 function parseReceived(str) {
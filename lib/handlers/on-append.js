@@ -3,10 +3,11 @@
 const db = require('../db');
 const consts = require('../consts');
 const tools = require('../tools');
+const { filterFlags } = require('../acl-rights');
 const { logIMAP, logError, logPerformance, logDB } = require('../logger');
 
 // APPEND mailbox (flags) date message
-module.exports = (server, messageHandler, userCache) => (path, flags, date, raw, session, callback) => {
+module.exports = (server, messageHandler, userCache, mailboxHandler) => (path, flags, date, raw, session, callback) => {
     const startTime = Date.now();
 
     logIMAP('APPEND', session, 'Command initiated', {
@@ -26,127 +27,147 @@ module.exports = (server, messageHandler, userCache) => (path, flags, date, raw,
         path
     );
 
-    logDB('findOne', 'users', { userId: session.user.id }, 'Looking up user data');
+    mailboxHandler.aclHandler.getMailbox(session.user.id, path, (err, mailboxData) => {
+        if (err) {
+            logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id, path }, 'Mailbox lookup failed');
+            return callback(err);
+        }
+        if (!mailboxData) {
+            logIMAP('APPEND', session, 'Command failed - mailbox not found', { path });
+            logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'TRYCREATE' });
+            return callback(null, 'TRYCREATE');
+        }
+        if (!mailboxData.rights.includes('i')) {
+            logIMAP('APPEND', session, 'Command failed - no insert access', { path, mailboxId: mailboxData._id });
+            logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'NOPERM' });
+            return callback(null, 'NOPERM');
+        }
 
-    db.users.collection('users').findOne(
-        {
-            _id: session.user.id
-        },
-        {
-            maxTimeMS: consts.DB_MAX_TIME_USERS
-        },
-        (err, userData) => {
-            if (err) {
-                logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'User lookup failed');
-                return callback(err);
-            }
-            if (!userData) {
-                const error = new Error('User not found');
-                logError(error, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'User not found in database');
-                return callback(error);
-            }
+        // messages appended to a shared mailbox are stored for the owner and count against the quota of the owner
+        let owner = mailboxData.user;
 
-            logDB('findOne', 'users', { userId: session.user.id }, 'User data retrieved successfully');
+        logDB('findOne', 'users', { userId: owner }, 'Looking up user data');
 
-            userCache.get(session.user.id, 'quota', { setting: 'const:max:storage' }, (err, quota) => {
+        db.users.collection('users').findOne(
+            {
+                _id: owner
+            },
+            {
+                maxTimeMS: consts.DB_MAX_TIME_USERS
+            },
+            (err, userData) => {
                 if (err) {
-                    logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Failed to get user quota');
+                    logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'User lookup failed');
                     return callback(err);
                 }
-
-                if (quota && userData.storageUsed > quota) {
-                    logIMAP('APPEND', session, 'Command failed - over quota', {
-                        quota,
-                        storageUsed: userData.storageUsed,
-                        path
-                    });
-                    logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'OVERQUOTA' });
-                    return callback(false, 'OVERQUOTA');
+                if (!userData) {
+                    const error = new Error('User not found');
+                    logError(error, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'User not found in database');
+                    return callback(error);
                 }
 
-                userCache.get(session.user.id, 'imapMaxUpload', { setting: 'const:max:imap:upload' }, (err, limit) => {
+                logDB('findOne', 'users', { userId: session.user.id }, 'User data retrieved successfully');
+
+                userCache.get(owner, 'quota', { setting: 'const:max:storage' }, (err, quota) => {
                     if (err) {
-                        logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Failed to get upload limit');
+                        logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Failed to get user quota');
                         return callback(err);
                     }
 
-                    messageHandler.counters.ttlcounter('iup:' + session.user.id, 0, limit, false, (err, res) => {
+                    if (quota && userData.storageUsed > quota) {
+                        logIMAP('APPEND', session, 'Command failed - over quota', {
+                            quota,
+                            storageUsed: userData.storageUsed,
+                            path
+                        });
+                        logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'OVERQUOTA' });
+                        return callback(false, 'OVERQUOTA');
+                    }
+
+                    userCache.get(session.user.id, 'imapMaxUpload', { setting: 'const:max:imap:upload' }, (err, limit) => {
                         if (err) {
-                            logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Failed to check rate limit');
-                            return callback(err);
-                        }
-                        if (!res.success) {
-                            let err = new Error('Upload was rate limited');
-                            err.response = 'NO';
-                            err.code = 'UploadRateLimited';
-                            err.ttl = res.ttl;
-                            err.responseMessage = `Upload was rate limited. Try again in ${tools.roundTime(res.ttl)}.`;
-
-                            logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Upload rate limited');
-                            logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'RATE_LIMITED' });
+                            logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Failed to get upload limit');
                             return callback(err);
                         }
 
-                        messageHandler.counters.ttlcounter('iup:' + session.user.id, raw.length, limit, false, () => {
-                            flags = Array.isArray(flags) ? flags : [].concat(flags || []);
-
-                            messageHandler.encryptMessage(
-                                userData.encryptMessages && !flags.includes('\\Draft') ? userData.pubKey : false,
-                                raw,
-                                (err, encrypted) => {
-                                    if (!err && encrypted) {
-                                        raw = encrypted;
-                                    }
-                                    messageHandler.add(
-                                        {
-                                            user: session.user.id,
-                                            path,
-                                            meta: {
-                                                source: 'IMAP',
-                                                from: '',
-                                                to: [session.user.address || session.user.username],
-                                                origin: session.remoteAddress,
-                                                transtype: 'APPEND',
-                                                time: new Date()
+                        messageHandler.counters.ttlcounter('iup:' + session.user.id, 0, limit, false, (err, res) => {
+                            if (err) {
+                                logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Failed to check rate limit');
+                                return callback(err);
+                            }
+                            if (!res.success) {
+                                let err = new Error('Upload was rate limited');
+                                err.response = 'NO';
+                                err.code = 'UploadRateLimited';
+                                err.ttl = res.ttl;
+                                err.responseMessage = `Upload was rate limited. Try again in ${tools.roundTime(res.ttl)}.`;
+
+                                logError(err, { command: 'APPEND', sessionId: session.id, userId: session.user.id }, 'Upload rate limited');
+                                logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'RATE_LIMITED' });
+                                return callback(err);
+                            }
+
+                            messageHandler.counters.ttlcounter('iup:' + session.user.id, raw.length, limit, false, () => {
+                                flags = filterFlags(Array.isArray(flags) ? flags : [].concat(flags || []), mailboxData.rights);
+
+                                messageHandler.encryptMessage(
+                                    userData.encryptMessages && !flags.includes('\\Draft') ? userData.pubKey : false,
+                                    raw,
+                                    (err, encrypted) => {
+                                        if (!err && encrypted) {
+                                            raw = encrypted;
+                                        }
+                                        messageHandler.add(
+                                            {
+                                                user: owner,
+                                                mailbox: mailboxData,
+                                                meta: {
+                                                    source: 'IMAP',
+                                                    from: '',
+                                                    to: [session.user.address || session.user.username],
+                                                    origin: session.remoteAddress,
+                                                    transtype: 'APPEND',
+                                                    time: new Date()
+                                                },
+                                                session,
+                                                date,
+                                                flags,
+                                                raw
                                             },
-                                            session,
-                                            date,
-                                            flags,
-                                            raw
-                                        },
-                                        (err, status, data) => {
-                                            if (err) {
-                                                logError(
-                                                    err,
-                                                    { command: 'APPEND', sessionId: session.id, userId: session.user.id, path },
-                                                    'Message append failed'
-                                                );
-                                                logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
-
-                                                if (err.imapResponse) {
-                                                    logIMAP('APPEND', session, 'Command completed with IMAP response', { response: err.imapResponse });
-                                                    return callback(null, err.imapResponse);
+                                            (err, status, data) => {
+                                                if (err) {
+                                                    logError(
+                                                        err,
+                                                        { command: 'APPEND', sessionId: session.id, userId: session.user.id, path },
+                                                        'Message append failed'
+                                                    );
+                                                    logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+
+                                                    if (err.imapResponse) {
+                                                        logIMAP('APPEND', session, 'Command completed with IMAP response', { response: err.imapResponse });
+                                                        return callback(null, err.imapResponse);
+                                                    }
+
+                                                    return callback(err);
                                                 }
 
-                                                return callback(err);
+                                                logIMAP('APPEND', session, 'Command completed successfully', {
+                                                    status,
+                                                    messageId: data && data.message,
+                                                    uid: data && data.uid,
+                                                    path
+                                                });
+                                                logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS' });
+                                                callback(null, status, data);
                                             }
-
-                                            logIMAP('APPEND', session, 'Command completed successfully', {
-                                                status,
-                                                messageId: data && data.message,
-                                                uid: data && data.uid,
-                                                path
-                                            });
-                                            logPerformance('APPEND', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS' });
-                                            callback(null, status, data);
-                                        }
-                                    );
-                                }
-                            );
+                                        );
+                                    }
+                                );
+                            });
                         });
                     });
                 });
-            });
-        }
-    );
+            }
+        );
+    });
 };
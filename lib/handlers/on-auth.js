@@ -3,7 +3,7 @@
 const config = require('wild-config');
 const { logIMAP, logError, logPerformance } = require('../logger');
 
-module.exports = (server, userHandler, userCache) => (login, session, callback) => {
+module.exports = (server, userHandler, userCache, oauthHandler) => (login, session, callback) => {
     const startTime = Date.now();
     let username = (login.username || '').toString().trim();
 
@@ -12,7 +12,21 @@ module.exports = (server, userHandler, userCache) => (login, session, callback)
         protocol: 'IMAP'
     });
 
-    userHandler.authenticate(
+    let authenticate = (username, password, requiredScope, meta, done) => {
+        if (login.accessToken) {
+            // XOAUTH2 and OAUTHBEARER
+            if (!oauthHandler) {
+                return done(null, false);
+            }
+            return oauthHandler
+                .authenticate(login.accessToken, { username, scope: requiredScope, meta })
+                .then(result => done(null, ...result))
+                .catch(err => done(err));
+        }
+        userHandler.authenticate(username, password, requiredScope, meta, done);
+    };
+
+    authenticate(
         username,
         login.password,
         'imap',
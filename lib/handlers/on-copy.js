@@ -4,6 +4,8 @@ const ObjectId = require('mongodb').ObjectId;
 const db = require('../db');
 const tools = require('../tools');
 const consts = require('../consts');
+const { filterFlags } = require('../acl-rights');
+const { MESSAGE_NEW } = require('../events');
 const { logIMAP, logError, logPerformance, logDB } = require('../logger');
 
 /**
@@ -13,6 +15,7 @@ const { logIMAP, logError, logPerformance, logDB } = require('../logger');
  * @function copyHandler
  * @param {Object} server - IMAP server instance
  * @param {Object} messageHandler - Message handler for storage operations
+ * @param {Object} mailboxHandler - Mailbox handler, used for resolving shared mailboxes and access rights
  * @param {Object} connection - Client connection object
  * @param {ObjectId} mailbox - Source mailbox ID
  * @param {Object} update - Copy operation parameters
@@ -27,7 +30,7 @@ const { logIMAP, logError, logPerformance, logDB } = require('../logger');
  *
  * @example
  * // Copy messages 1-5 from INBOX to Sent
- * const result = await copyHandler(server, messageHandler, connection, inboxId, {
+ * const result = await copyHandler(server, messageHandler, mailboxHandler, connection, inboxId, {
  *     destination: 'Sent',
  *     messages: '1:5'
  * }, session);
@@ -42,9 +45,10 @@ const { logIMAP, logError, logPerformance, logDB } = require('../logger');
  * // Returns on failure:
  * // 'OVERQUOTA' - User quota exceeded
  * // 'NONEXISTENT' - Source mailbox doesn't exist
+ * // 'NOPERM' - No read access to the source mailbox or no insert access to the target mailbox
  * // 'TRYCREATE' - Target mailbox doesn't exist (line 178)
  */
-async function copyHandler(server, messageHandler, connection, mailbox, update, session) {
+async function copyHandler(server, messageHandler, mailboxHandler, connection, mailbox, update, session) {
     const startTime = Date.now();
     const socket = (session.socket && session.socket._parent) || session.socket;
 
@@ -66,11 +70,55 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
     );
     tools.checkSocket(socket);
 
-    logDB('findOne', 'users', { userId: session.user.id }, 'Looking up user data');
+    logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Looking up source mailbox');
+
+    let mailboxData = await mailboxHandler.aclHandler.getSelectedMailboxAsync(session.user.id, mailbox);
+
+    if (!mailboxData) {
+        logIMAP('COPY', session, 'Command failed - source mailbox not found', {
+            sourceMailbox: mailbox,
+            destination: update.destination
+        });
+        logPerformance('COPY', Date.now() - startTime, { sessionId: session.id, status: 'NONEXISTENT' });
+        return 'NONEXISTENT';
+    }
+
+    logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Source mailbox found');
+
+    logDB('findOne', 'mailboxes', { userId: session.user.id, path: update.destination }, 'Looking up target mailbox');
+
+    let targetData = await mailboxHandler.aclHandler.getMailboxAsync(session.user.id, update.destination);
+
+    if (!targetData) {
+        logIMAP('COPY', session, 'Command failed - target mailbox not found', {
+            sourceMailbox: mailbox,
+            destination: update.destination,
+            userId: session.user.id
+        });
+        logPerformance('COPY', Date.now() - startTime, { sessionId: session.id, status: 'TRYCREATE' });
+        return 'TRYCREATE';
+    }
+
+    logDB('findOne', 'mailboxes', { userId: session.user.id, path: update.destination }, 'Target mailbox found');
+
+    if (!mailboxData.rights.includes('r') || !targetData.rights.includes('i')) {
+        logIMAP('COPY', session, 'Command failed - access denied', {
+            sourceMailbox: mailbox,
+            destination: update.destination,
+            userId: session.user.id
+        });
+        logPerformance('COPY', Date.now() - startTime, { sessionId: session.id, status: 'NOPERM' });
+        return 'NOPERM';
+    }
+
+    // copied messages are stored for the owner of the target mailbox
+    let targetUser = targetData.user;
+
+    logDB('findOne', 'users', { userId: targetUser }, 'Looking up user data');
 
     let userData = await db.users.collection('users').findOne(
         {
-            _id: session.user.id
+            _id: targetUser
         },
         {
             maxTimeMS: consts.DB_MAX_TIME_USERS
@@ -79,11 +127,11 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
 
     if (!userData) {
         const error = new Error('User not found');
-        logError(error, { command: 'COPY', sessionId: session.id, userId: session.user.id }, 'User not found in database');
+        logError(error, { command: 'COPY', sessionId: session.id, userId: targetUser }, 'User not found in database');
         throw error;
     }
 
-    logDB('findOne', 'users', { userId: session.user.id }, 'User data retrieved successfully');
+    logDB('findOne', 'users', { userId: targetUser }, 'User data retrieved successfully');
 
     /**
      * Quota Check - Prevent copying if user is over quota
@@ -103,52 +151,6 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
         return 'OVERQUOTA';
     }
 
-    logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Looking up source mailbox');
-
-    let mailboxData = await db.database.collection('mailboxes').findOne(
-        {
-            _id: mailbox
-        },
-        {
-            maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
-        }
-    );
-
-    if (!mailboxData) {
-        logIMAP('COPY', session, 'Command failed - source mailbox not found', {
-            sourceMailbox: mailbox,
-            destination: update.destination
-        });
-        logPerformance('COPY', Date.now() - startTime, { sessionId: session.id, status: 'NONEXISTENT' });
-        return 'NONEXISTENT';
-    }
-
-    logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Source mailbox found');
-
-    logDB('findOne', 'mailboxes', { userId: session.user.id, path: update.destination }, 'Looking up target mailbox');
-
-    let targetData = await db.database.collection('mailboxes').findOne(
-        {
-            user: session.user.id,
-            path: update.destination
-        },
-        {
-            maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
-        }
-    );
-
-    if (!targetData) {
-        logIMAP('COPY', session, 'Command failed - target mailbox not found', {
-            sourceMailbox: mailbox,
-            destination: update.destination,
-            userId: session.user.id
-        });
-        logPerformance('COPY', Date.now() - startTime, { sessionId: session.id, status: 'TRYCREATE' });
-        return 'TRYCREATE';
-    }
-
-    logDB('findOne', 'mailboxes', { userId: session.user.id, path: update.destination }, 'Target mailbox found');
-
     logDB('find', 'messages', { mailboxId: mailboxData._id, messages: update.messages }, 'Querying messages to copy');
 
     let cursor = await db.database
@@ -170,7 +172,7 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
         try {
             let r = await db.users.collection('users').findOneAndUpdate(
                 {
-                    _id: mailboxData.user
+                    _id: targetUser
                 },
                 {
                     $inc: {
@@ -189,7 +191,7 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
                 server.loggelf({
                     short_message: '[QUOTA] +',
                     _mail_action: 'quota',
-                    _user: mailboxData.user,
+                    _user: targetUser,
                     _inc: copiedStorage,
                     _copied_messages: copiedMessages,
                     _storage_used: r.value.storageUsed,
@@ -291,6 +293,21 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
             messageData.mailbox = targetData._id;
             messageData.uid = uidNext;
 
+            if (!messageData.user.equals(targetUser)) {
+                // threads are tracked per user
+                messageData.user = targetUser;
+                messageData.thread = await messageHandler.getThreadIdAsync(targetUser, messageData.subject, messageData.mimeTree);
+            }
+
+            if (targetData.shared) {
+                // flags the user is not allowed to set are dropped
+                messageData.flags = filterFlags(messageData.flags, targetData.rights);
+                messageData.unseen = !messageData.flags.includes('\\Seen');
+                messageData.flagged = messageData.flags.includes('\\Flagged');
+                messageData.undeleted = !messageData.flags.includes('\\Deleted');
+                messageData.draft = messageData.flags.includes('\\Draft');
+            }
+
             // retention settings
             messageData.exp = !!targetData.retention;
             messageData.rdate = Date.now() + (targetData.retention || 0);
@@ -458,6 +475,8 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
                 entry.junk = junk;
             }
             await new Promise(resolve => server.notifier.addEntries(targetData, entry, resolve));
+
+            messageHandler.publishMessageEvent(MESSAGE_NEW, messageData, targetData);
         }
     } catch (error) {
         logError(error, { command: 'COPY', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination }, 'Copy operation failed');
@@ -484,7 +503,7 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
     });
     logPerformance('COPY', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS', copiedMessages });
 
-    server.notifier.fire(session.user.id, targetData.path);
+    server.notifier.fire(targetUser, targetData.path);
     return [
         true,
         {
@@ -496,8 +515,8 @@ async function copyHandler(server, messageHandler, connection, mailbox, update,
 }
 
 // COPY / UID COPY sequence mailbox
-module.exports = (server, messageHandler) => (connection, mailbox, update, session, callback) => {
-    copyHandler(server, messageHandler, connection, mailbox, update, session)
+module.exports = (server, messageHandler, mailboxHandler) => (connection, mailbox, update, session, callback) => {
+    copyHandler(server, messageHandler, mailboxHandler, connection, mailbox, update, session)
         .then(args => {
             callback(null, ...[].concat(args || []));
         })
@@ -21,6 +21,20 @@ module.exports = (server, mailboxHandler) => (path, session, callback) => {
         path
     );
 
+    if (mailboxHandler.aclHandler.isSharedPath(path)) {
+        return createShared(mailboxHandler, path, session)
+            .then(result => {
+                logIMAP('CREATE', session, 'Command completed', { path, status: typeof result === 'string' ? result : 'SUCCESS' });
+                logPerformance('CREATE', Date.now() - startTime, { sessionId: session.id, status: typeof result === 'string' ? result : 'SUCCESS' });
+                callback(null, result);
+            })
+            .catch(err => {
+                logError(err, { command: 'CREATE', sessionId: session.id, userId: session.user.id, path }, 'Shared mailbox creation failed');
+                logPerformance('CREATE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+                callback(err);
+            });
+    }
+
     mailboxHandler.create(session.user.id, path, { subscribed: true }, (err, result) => {
         if (err) {
             logError(err, { command: 'CREATE', sessionId: session.id, userId: session.user.id, path }, 'Mailbox creation failed');
@@ -37,3 +51,25 @@ module.exports = (server, mailboxHandler) => (path, session, callback) => {
         callback(null, result);
     });
 };
+
+// creates a mailbox for the owner of the shared parent mailbox, requires "k" right for the parent
+async function createShared(mailboxHandler, path, session) {
+    let parentPath = path.split('/').slice(0, -1).join('/');
+
+    let parentData = await mailboxHandler.aclHandler.getMailboxAsync(session.user.id, parentPath);
+    if (!parentData) {
+        return 'CANNOT';
+    }
+
+    if (!parentData.rights.includes('k')) {
+        return 'NOPERM';
+    }
+
+    let ownerPath = parentData.path + '/' + path.split('/').pop();
+    let result = await mailboxHandler.createAsync(parentData.user, ownerPath, { subscribed: true });
+
+    // new mailbox is shared with the same users as the parent mailbox
+    await mailboxHandler.aclHandler.copyAcl(parentData._id, result.id);
+
+    return result.status;
+}
@@ -0,0 +1,55 @@
+'use strict';
+
+const { logIMAP, logError, logPerformance } = require('../logger');
+
+// GETACL "INBOX"
+module.exports = (server, mailboxHandler) => (path, session, callback) => {
+    const startTime = Date.now();
+
+    logIMAP('GETACL', session, 'Command initiated', {
+        path,
+        userId: session.user.id
+    });
+
+    server.logger.debug(
+        {
+            tnx: 'acl',
+            cid: session.id
+        },
+        '[%s] GETACL "%s"',
+        session.id,
+        path
+    );
+
+    let run = async () => {
+        let mailboxData = await mailboxHandler.aclHandler.getMailboxAsync(session.user.id, path);
+        if (!mailboxData) {
+            return 'NONEXISTENT';
+        }
+
+        if (!mailboxData.rights.includes('a')) {
+            return 'NOPERM';
+        }
+
+        let list = await mailboxHandler.aclHandler.listAcl(mailboxData);
+        return list.map(entry => ({
+            identifier: entry.username,
+            rights: entry.rights
+        }));
+    };
+
+    run()
+        .then(result => {
+            logIMAP('GETACL', session, 'Command completed', {
+                path,
+                status: typeof result === 'string' ? result : 'SUCCESS'
+            });
+            logPerformance('GETACL', Date.now() - startTime, { sessionId: session.id, status: typeof result === 'string' ? result : 'SUCCESS' });
+            callback(null, result);
+        })
+        .catch(err => {
+            logError(err, { command: 'GETACL', sessionId: session.id, userId: session.user.id, path }, 'ACL lookup failed');
+            logPerformance('GETACL', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            callback(err);
+        });
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const db = require('../db');
+const consts = require('../consts');
+const { logIMAP, logError, logPerformance } = require('../logger');
+
+// GETMETADATA (MAXSIZE 1024) "INBOX" (/private/comment)
+module.exports = (server, mailboxHandler) => (path, options, session, callback) => {
+    const startTime = Date.now();
+
+    logIMAP('GETMETADATA', session, 'Command initiated', {
+        path,
+        entries: options.entries,
+        userId: session.user.id
+    });
+
+    server.logger.debug(
+        {
+            tnx: 'metadata',
+            cid: session.id
+        },
+        '[%s] GETMETADATA "%s" %s',
+        session.id,
+        path,
+        options.entries.join(' ')
+    );
+
+    let run = async () => {
+        let mailbox = null;
+
+        if (path) {
+            // empty path refers to server entries
+            let mailboxData = await db.database.collection('mailboxes').findOne(
+                {
+                    user: session.user.id,
+                    path
+                },
+                {
+                    projection: { _id: true },
+                    maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
+                }
+            );
+
+            if (!mailboxData) {
+                return 'NONEXISTENT';
+            }
+
+            mailbox = mailboxData._id;
+        }
+
+        return await mailboxHandler.metadataHandler.get(session.user.id, mailbox, options.entries, {
+            depth: options.depth,
+            maxSize: options.maxSize
+        });
+    };
+
+    run()
+        .then(result => {
+            logIMAP('GETMETADATA', session, 'Command completed', {
+                path,
+                status: typeof result === 'string' ? result : 'SUCCESS'
+            });
+            logPerformance('GETMETADATA', Date.now() - startTime, { sessionId: session.id, status: typeof result === 'string' ? result : 'SUCCESS' });
+            callback(null, result);
+        })
+        .catch(err => {
+            logError(err, { command: 'GETMETADATA', sessionId: session.id, userId: session.user.id, path }, 'Metadata lookup failed');
+            logPerformance('GETMETADATA', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            callback(err);
+        });
+};
@@ -7,7 +7,7 @@ const { logIMAP, logError, logPerformance, logDB } = require('../logger');
 // LIST "" "*"
 // Returns all folders, query is informational
 // folders is either an Array or a Map
-module.exports = server =>
+module.exports = (server, mailboxHandler) =>
     (server.onList = function (query, session, callback) {
         const startTime = Date.now();
 
@@ -42,11 +42,22 @@ module.exports = server =>
                     return callback(err);
                 }
 
-                logIMAP('LIST', session, 'Command completed successfully', {
-                    query,
-                    mailboxCount: mailboxes ? mailboxes.length : 0
+                // mailboxes shared by other users are listed under the shared namespace
+                mailboxHandler.aclHandler.listShared(session.user.id, {}, (err, shared) => {
+                    if (err) {
+                        logError(err, { command: 'LIST', sessionId: session.id, userId: session.user.id, query }, 'Shared mailbox query failed');
+                        logPerformance('LIST', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+                        return callback(err);
+                    }
+
+                    mailboxes = mailboxes.concat(shared);
+
+                    logIMAP('LIST', session, 'Command completed successfully', {
+                        query,
+                        mailboxCount: mailboxes.length
+                    });
+                    logPerformance('LIST', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS', mailboxCount: mailboxes.length });
+                    callback(null, mailboxes);
                 });
-                logPerformance('LIST', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS', mailboxCount: mailboxes ? mailboxes.length : 0 });
-                callback(null, mailboxes);
             });
     });
@@ -7,7 +7,7 @@ const { logIMAP, logError, logPerformance, logDB } = require('../logger');
 // LSUB "" "*"
 // Returns all subscribed folders, query is informational
 // folders is either an Array or a Map
-module.exports = server => (query, session, callback) => {
+module.exports = (server, mailboxHandler) => (query, session, callback) => {
     const startTime = Date.now();
 
     logIMAP('LSUB', session, 'Command initiated', {
@@ -42,15 +42,25 @@ module.exports = server => (query, session, callback) => {
                 return callback(err);
             }
 
-            logIMAP('LSUB', session, 'Command completed successfully', {
-                query,
-                subscribedMailboxCount: mailboxes ? mailboxes.length : 0
-            });
-            logPerformance('LSUB', Date.now() - startTime, {
-                sessionId: session.id,
-                status: 'SUCCESS',
-                subscribedMailboxCount: mailboxes ? mailboxes.length : 0
+            mailboxHandler.aclHandler.listShared(session.user.id, { subscribed: true }, (err, shared) => {
+                if (err) {
+                    logError(err, { command: 'LSUB', sessionId: session.id, userId: session.user.id, query }, 'Shared mailbox query failed');
+                    logPerformance('LSUB', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+                    return callback(err);
+                }
+
+                mailboxes = mailboxes.concat(shared);
+
+                logIMAP('LSUB', session, 'Command completed successfully', {
+                    query,
+                    subscribedMailboxCount: mailboxes.length
+                });
+                logPerformance('LSUB', Date.now() - startTime, {
+                    sessionId: session.id,
+                    status: 'SUCCESS',
+                    subscribedMailboxCount: mailboxes.length
+                });
+                callback(null, mailboxes);
             });
-            callback(null, mailboxes);
         });
 };
@@ -1,9 +1,10 @@
 'use strict';
 
+const { hasRights } = require('../acl-rights');
 const { logIMAP, logError, logPerformance } = require('../logger');
 
 // MOVE / UID MOVE sequence mailbox
-module.exports = (server, messageHandler) => (mailbox, update, session, callback) => {
+module.exports = (server, messageHandler, mailboxHandler) => (mailbox, update, session, callback) => {
     const startTime = Date.now();
 
     logIMAP('MOVE', session, 'Command initiated', {
@@ -24,63 +25,99 @@ module.exports = (server, messageHandler) => (mailbox, update, session, callback
         update.destination
     );
 
-    let lockKey = ['mbwr', mailbox.toString()].join(':');
-    server.lock.waitAcquireLock(lockKey, 5 * 60 * 1000, 1 * 60 * 1000, (err, lock) => {
-        if (err) {
-            logError(err, { command: 'MOVE', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination }, 'Failed to acquire lock');
-            logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'LOCK_ERROR' });
-            return callback(err);
-        }
+    let moveMessages = targetData => {
+        let lockKey = ['mbwr', mailbox.toString()].join(':');
+        server.lock.waitAcquireLock(lockKey, 5 * 60 * 1000, 1 * 60 * 1000, (err, lock) => {
+            if (err) {
+                logError(err, { command: 'MOVE', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination }, 'Failed to acquire lock');
+                logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'LOCK_ERROR' });
+                return callback(err);
+            }
 
-        if (!lock.success) {
-            const lockError = new Error('Failed to get folder write lock');
-            logError(lockError, { command: 'MOVE', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination }, 'Lock acquisition failed');
-            logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'LOCK_FAILED' });
-            return callback(null, lockError);
-        }
+            if (!lock.success) {
+                const lockError = new Error('Failed to get folder write lock');
+                logError(
+                    lockError,
+                    { command: 'MOVE', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination },
+                    'Lock acquisition failed'
+                );
+                logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'LOCK_FAILED' });
+                return callback(null, lockError);
+            }
 
-        messageHandler.move(
-            {
-                user: session.user.id,
-                // folder to move messages from
-                source: {
-                    mailbox
+            messageHandler.move(
+                {
+                    user: targetData.user,
+                    // folder to move messages from
+                    source: {
+                        mailbox
+                    },
+                    // folder to move messages to
+                    destination: {
+                        mailbox: targetData
+                    },
+                    session,
+                    // list of UIDs to move
+                    messages: update.messages,
+                    showExpunged: true
                 },
-                // folder to move messages to
-                destination: {
-                    user: session.user.id,
-                    path: update.destination
-                },
-                session,
-                // list of UIDs to move
-                messages: update.messages,
-                showExpunged: true
-            },
-            (...args) => {
-                server.lock.releaseLock(lock, () => {
-                    if (args[0]) {
-                        logError(
-                            args[0],
-                            { command: 'MOVE', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination },
-                            'Move operation failed'
-                        );
-                        logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
-                        if (args[0].imapResponse) {
-                            logIMAP('MOVE', session, 'Command completed with IMAP response', { response: args[0].imapResponse });
-                            return callback(null, args[0].imapResponse);
+                (...args) => {
+                    server.lock.releaseLock(lock, () => {
+                        if (args[0]) {
+                            logError(
+                                args[0],
+                                { command: 'MOVE', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination },
+                                'Move operation failed'
+                            );
+                            logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+                            if (args[0].imapResponse) {
+                                logIMAP('MOVE', session, 'Command completed with IMAP response', { response: args[0].imapResponse });
+                                return callback(null, args[0].imapResponse);
+                            }
+                            return callback(args[0]);
                         }
-                        return callback(args[0]);
-                    }
 
-                    logIMAP('MOVE', session, 'Command completed successfully', {
-                        sourceMailbox: mailbox,
-                        destination: update.destination,
-                        messages: update.messages
+                        logIMAP('MOVE', session, 'Command completed successfully', {
+                            sourceMailbox: mailbox,
+                            destination: update.destination,
+                            messages: update.messages
+                        });
+                        logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS' });
+                        callback(...args);
                     });
-                    logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS' });
-                    callback(...args);
-                });
+                }
+            );
+        });
+    };
+
+    Promise.all([
+        mailboxHandler.aclHandler.getSelectedMailboxAsync(session.user.id, mailbox),
+        mailboxHandler.aclHandler.getMailboxAsync(session.user.id, update.destination)
+    ])
+        .then(([mailboxData, targetData]) => {
+            let result;
+            if (!mailboxData) {
+                result = 'NONEXISTENT';
+            } else if (!targetData) {
+                result = 'TRYCREATE';
+            } else if (!mailboxData.user.equals(targetData.user)) {
+                // messages can not be moved between users
+                result = 'CANNOT';
+            } else if (!hasRights(mailboxData.rights, 'rte') || !targetData.rights.includes('i')) {
+                result = 'NOPERM';
             }
-        );
-    });
+
+            if (result) {
+                logIMAP('MOVE', session, 'Command failed', { sourceMailbox: mailbox, destination: update.destination, response: result });
+                logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: result });
+                return callback(null, result);
+            }
+
+            moveMessages(targetData);
+        })
+        .catch(err => {
+            logError(err, { command: 'MOVE', sessionId: session.id, sourceMailbox: mailbox, destination: update.destination }, 'Mailbox lookup failed');
+            logPerformance('MOVE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            callback(err);
+        });
 };
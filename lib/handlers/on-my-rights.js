@@ -0,0 +1,40 @@
+'use strict';
+
+const { logIMAP, logError, logPerformance } = require('../logger');
+
+// MYRIGHTS "INBOX"
+module.exports = (server, mailboxHandler) => (path, session, callback) => {
+    const startTime = Date.now();
+
+    logIMAP('MYRIGHTS', session, 'Command initiated', {
+        path,
+        userId: session.user.id
+    });
+
+    server.logger.debug(
+        {
+            tnx: 'acl',
+            cid: session.id
+        },
+        '[%s] MYRIGHTS "%s"',
+        session.id,
+        path
+    );
+
+    mailboxHandler.aclHandler
+        .getMailboxAsync(session.user.id, path)
+        .then(mailboxData => {
+            let result = mailboxData ? { rights: mailboxData.rights } : 'NONEXISTENT';
+            logIMAP('MYRIGHTS', session, 'Command completed', {
+                path,
+                status: typeof result === 'string' ? result : 'SUCCESS'
+            });
+            logPerformance('MYRIGHTS', Date.now() - startTime, { sessionId: session.id, status: typeof result === 'string' ? result : 'SUCCESS' });
+            callback(null, result);
+        })
+        .catch(err => {
+            logError(err, { command: 'MYRIGHTS', sessionId: session.id, userId: session.user.id, path }, 'Rights lookup failed');
+            logPerformance('MYRIGHTS', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            callback(err);
+        });
+};
@@ -26,6 +26,13 @@ module.exports = (server, mailboxHandler) => (path, newname, session, callback)
         newname
     );
 
+    if (mailboxHandler.aclHandler.isSharedPath(path) || mailboxHandler.aclHandler.isSharedPath(newname)) {
+        // mailboxes can not be moved between users
+        logIMAP('RENAME', session, 'Command failed - shared namespace', { path, newname });
+        logPerformance('RENAME', Date.now() - startTime, { sessionId: session.id, status: 'CANNOT' });
+        return callback(null, 'CANNOT');
+    }
+
     logDB('findOne', 'mailboxes', { userId: session.user.id, path }, 'Looking up mailbox for rename');
 
     db.database.collection('mailboxes').findOne(
@@ -6,9 +6,10 @@ const consts = require('../consts');
 const { logIMAP, logError, logPerformance, logDB } = require('../logger');
 
 /**
- * Returns an array of matching UID values
+ * Returns an array of matching UID values. If SORT or THREAD data is requested,
+ * then also returns a list of matching message summaries
  */
-module.exports = server => (mailbox, options, session, callback) => {
+module.exports = (server, mailboxHandler) => (mailbox, options, session, callback) => {
     const startTime = Date.now();
 
     logIMAP('SEARCH', session, 'Command initiated', {
@@ -19,400 +20,497 @@ module.exports = server => (mailbox, options, session, callback) => {
 
     logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Looking up mailbox for search');
 
-    db.database.collection('mailboxes').findOne(
-        {
-            _id: mailbox
-        },
-        {
-            maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
-        },
-        (err, mailboxData) => {
-            if (err) {
-                logError(err, { command: 'SEARCH', sessionId: session.id, mailbox }, 'Mailbox lookup failed');
-                logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
-                return callback(err);
-            }
-            if (!mailboxData) {
-                logIMAP('SEARCH', session, 'Command failed - mailbox not found', { mailbox });
-                logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'NONEXISTENT' });
-                return callback(null, 'NONEXISTENT');
-            }
+    mailboxHandler.aclHandler.getSelectedMailbox(session.user.id, mailbox, (err, mailboxData) => {
+        if (err) {
+            logError(err, { command: 'SEARCH', sessionId: session.id, mailbox }, 'Mailbox lookup failed');
+            logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            return callback(err);
+        }
+        if (!mailboxData) {
+            logIMAP('SEARCH', session, 'Command failed - mailbox not found', { mailbox });
+            logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'NONEXISTENT' });
+            return callback(null, 'NONEXISTENT');
+        }
+        if (!mailboxData.rights.includes('r')) {
+            logIMAP('SEARCH', session, 'Command failed - no read access', { mailbox });
+            logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'NOPERM' });
+            return callback(null, 'NOPERM');
+        }
 
-            logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Mailbox found, preparing search query');
+        logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Mailbox found, preparing search query');
 
-            // prepare query
+        // prepare query
 
-            let query = {
-                mailbox: mailboxData._id
-            };
+        let query = {
+            mailbox: mailboxData._id
+        };
 
-            let returned = false;
-            let walkQuery = (parent, ne, node) => {
-                if (returned) {
-                    return;
-                }
-                node.forEach(term => {
-                    switch (term.key) {
-                        case 'all':
-                            if (ne) {
-                                parent.push({
-                                    // should not match anything
-                                    _id: -1
-                                });
-                            }
-                            break;
+        let returned = false;
+        let walkQuery = (parent, ne, node) => {
+            if (returned) {
+                return;
+            }
+            node.forEach(term => {
+                switch (term.key) {
+                    case 'all':
+                        if (ne) {
+                            parent.push({
+                                // should not match anything
+                                _id: -1
+                            });
+                        }
+                        break;
+
+                    case 'not':
+                        walkQuery(parent, !ne, [].concat(term.value || []));
+                        break;
 
-                        case 'not':
-                            walkQuery(parent, !ne, [].concat(term.value || []));
-                            break;
+                    case 'or': {
+                        let $or = [];
 
-                        case 'or': {
-                            let $or = [];
+                        [].concat(term.value || []).forEach(entry => {
+                            walkQuery($or, false, [].concat(entry || []));
+                        });
 
-                            [].concat(term.value || []).forEach(entry => {
-                                walkQuery($or, false, [].concat(entry || []));
+                        if ($or.length) {
+                            parent.push({
+                                $or
                             });
+                        }
 
-                            if ($or.length) {
-                                parent.push({
-                                    $or
-                                });
-                            }
+                        break;
+                    }
 
-                            break;
+                    case 'text': // search over entire email
+                    case 'body': // search over email body
+                        if (term.value && !ne) {
+                            // fulltext can only be in the root of the query, not in $not, $or expressions
+                            // https://docs.mongodb.com/v3.4/tutorial/text-search-in-aggregation/#restrictions
+                            // text index is keyed by the owner of the mailbox
+                            query.user = mailboxData.user;
+                            query.searchable = true;
+                            query.$text = {
+                                $search: term.value
+                            };
+                        } else {
+                            // can not search by text
+                            parent.push({
+                                // should not match anything
+                                _id: -1
+                            });
                         }
+                        break;
 
-                        case 'text': // search over entire email
-                        case 'body': // search over email body
-                            if (term.value && !ne) {
-                                // fulltext can only be in the root of the query, not in $not, $or expressions
-                                // https://docs.mongodb.com/v3.4/tutorial/text-search-in-aggregation/#restrictions
-                                query.user = session.user.id;
-                                query.searchable = true;
-                                query.$text = {
-                                    $search: term.value
-                                };
-                            } else {
-                                // can not search by text
+                    case 'modseq':
+                        parent.push({
+                            modseq: {
+                                [!ne ? '$gte' : '$lt']: term.value
+                            }
+                        });
+                        break;
+
+                    case 'uid':
+                        if (Array.isArray(term.value)) {
+                            if (!term.value.length) {
+                                // trying to find a message that does not exist
+                                returned = true;
+                                return callback(null, {
+                                    uidList: [],
+                                    highestModseq: 0
+                                });
+                            }
+                            if (term.value.length !== session.selected.uidList.length) {
+                                // not 1:*
+                                parent.push({
+                                    uid: tools.checkRangeQuery(term.value, ne)
+                                });
+                            } else if (ne) {
                                 parent.push({
                                     // should not match anything
                                     _id: -1
                                 });
                             }
-                            break;
-
-                        case 'modseq':
+                        } else {
                             parent.push({
-                                modseq: {
-                                    [!ne ? '$gte' : '$lt']: term.value
+                                uid: {
+                                    [!ne ? '$eq' : '$ne']: term.value
                                 }
                             });
-                            break;
-
-                        case 'uid':
-                            if (Array.isArray(term.value)) {
-                                if (!term.value.length) {
-                                    // trying to find a message that does not exist
-                                    returned = true;
-                                    return callback(null, {
-                                        uidList: [],
-                                        highestModseq: 0
-                                    });
-                                }
-                                if (term.value.length !== session.selected.uidList.length) {
-                                    // not 1:*
-                                    parent.push({
-                                        uid: tools.checkRangeQuery(term.value, ne)
-                                    });
-                                } else if (ne) {
-                                    parent.push({
-                                        // should not match anything
-                                        _id: -1
-                                    });
-                                }
-                            } else {
-                                parent.push({
-                                    uid: {
-                                        [!ne ? '$eq' : '$ne']: term.value
+                        }
+                        break;
+
+                    case 'flag':
+                        {
+                            switch (term.value) {
+                                case '\\Seen':
+                                case '\\Deleted':
+                                    // message object has "unseen" and "undeleted" properties
+                                    if (term.exists) {
+                                        parent.push({
+                                            ['un' + term.value.toLowerCase().substr(1)]: ne
+                                        });
+                                    } else {
+                                        parent.push({
+                                            ['un' + term.value.toLowerCase().substr(1)]: !ne
+                                        });
+                                    }
+                                    break;
+                                case '\\Flagged':
+                                case '\\Draft':
+                                    if (term.exists) {
+                                        parent.push({
+                                            [term.value.toLowerCase().substr(1)]: !ne
+                                        });
+                                    } else {
+                                        parent.push({
+                                            [term.value.toLowerCase().substr(1)]: ne
+                                        });
+                                    }
+                                    break;
+                                default:
+                                    if (term.exists) {
+                                        parent.push({
+                                            flags: {
+                                                [!ne ? '$eq' : '$ne']: term.value
+                                            }
+                                        });
+                                    } else {
+                                        parent.push({
+                                            flags: {
+                                                [!ne ? '$ne' : '$eq']: term.value
+                                            }
+                                        });
                                     }
-                                });
-                            }
-                            break;
-
-                        case 'flag':
-                            {
-                                switch (term.value) {
-                                    case '\\Seen':
-                                    case '\\Deleted':
-                                        // message object has "unseen" and "undeleted" properties
-                                        if (term.exists) {
-                                            parent.push({
-                                                ['un' + term.value.toLowerCase().substr(1)]: ne
-                                            });
-                                        } else {
-                                            parent.push({
-                                                ['un' + term.value.toLowerCase().substr(1)]: !ne
-                                            });
-                                        }
-                                        break;
-                                    case '\\Flagged':
-                                    case '\\Draft':
-                                        if (term.exists) {
-                                            parent.push({
-                                                [term.value.toLowerCase().substr(1)]: !ne
-                                            });
-                                        } else {
-                                            parent.push({
-                                                [term.value.toLowerCase().substr(1)]: ne
-                                            });
-                                        }
-                                        break;
-                                    default:
-                                        if (term.exists) {
-                                            parent.push({
-                                                flags: {
-                                                    [!ne ? '$eq' : '$ne']: term.value
-                                                }
-                                            });
-                                        } else {
-                                            parent.push({
-                                                flags: {
-                                                    [!ne ? '$ne' : '$eq']: term.value
-                                                }
-                                            });
-                                        }
-                                }
                             }
-                            break;
-
-                        case 'header':
-                            {
-                                let regex = tools.escapeRegexStr(Buffer.from(term.value, 'binary').toString());
-                                let entry = term.value
-                                    ? {
-                                          headers: {
-                                              $elemMatch: {
-                                                  key: term.header,
-                                                  value: !ne
-                                                      ? {
-                                                            $regex: regex,
-                                                            $options: 'i'
-                                                        }
-                                                      : {
-                                                            // not can not have a regex, so try exact match instead even if it fails
-                                                            $not: {
-                                                                $eq: Buffer.from(term.value, 'binary').toString().toLowerCase().trim()
-                                                            }
+                        }
+                        break;
+
+                    case 'header':
+                        {
+                            let regex = tools.escapeRegexStr(Buffer.from(term.value, 'binary').toString());
+                            let entry = term.value
+                                ? {
+                                      headers: {
+                                          $elemMatch: {
+                                              key: term.header,
+                                              value: !ne
+                                                  ? {
+                                                        $regex: regex,
+                                                        $options: 'i'
+                                                    }
+                                                  : {
+                                                        // not can not have a regex, so try exact match instead even if it fails
+                                                        $not: {
+                                                            $eq: Buffer.from(term.value, 'binary').toString().toLowerCase().trim()
                                                         }
-                                              }
+                                                    }
                                           }
                                       }
-                                    : {
-                                          'headers.key': !ne
-                                              ? term.header
-                                              : {
-                                                    $ne: term.header
-                                                }
-                                      };
-                                parent.push(entry);
+                                  }
+                                : {
+                                      'headers.key': !ne
+                                          ? term.header
+                                          : {
+                                                $ne: term.header
+                                            }
+                                  };
+                            parent.push(entry);
+                        }
+                        break;
+
+                    case 'internaldate':
+                        {
+                            let op = false;
+                            let value = new Date(term.value + ' GMT');
+                            switch (term.operator) {
+                                case '<':
+                                    op = '$lt';
+                                    break;
+                                case '<=':
+                                    op = '$lte';
+                                    break;
+                                case '>':
+                                    op = '$gt';
+                                    break;
+                                case '>=':
+                                    op = '$gte';
+                                    break;
                             }
-                            break;
-
-                        case 'internaldate':
-                            {
-                                let op = false;
-                                let value = new Date(term.value + ' GMT');
-                                switch (term.operator) {
-                                    case '<':
-                                        op = '$lt';
-                                        break;
-                                    case '<=':
-                                        op = '$lte';
-                                        break;
-                                    case '>':
-                                        op = '$gt';
-                                        break;
-                                    case '>=':
-                                        op = '$gte';
-                                        break;
-                                }
-                                let entry = !op
-                                    ? {
-                                          $gte: value,
-                                          $lt: new Date(value.getTime() + 24 * 3600 * 1000)
-                                      }
+                            let entry = !op
+                                ? {
+                                      $gte: value,
+                                      $lt: new Date(value.getTime() + 24 * 3600 * 1000)
+                                  }
+                                : {
+                                      [op]: value
+                                  };
+
+                            entry = {
+                                idate: !ne
+                                    ? entry
                                     : {
-                                          [op]: value
-                                      };
-
-                                entry = {
-                                    idate: !ne
-                                        ? entry
-                                        : {
-                                              $not: entry
-                                          }
-                                };
+                                          $not: entry
+                                      }
+                            };
 
-                                parent.push(entry);
+                            parent.push(entry);
+                        }
+                        break;
+
+                    case 'date':
+                        {
+                            let op = false;
+                            let value = new Date(term.value + ' GMT');
+                            switch (term.operator) {
+                                case '<':
+                                    op = '$lt';
+                                    break;
+                                case '<=':
+                                    op = '$lte';
+                                    break;
+                                case '>':
+                                    op = '$gt';
+                                    break;
+                                case '>=':
+                                    op = '$gte';
+                                    break;
                             }
-                            break;
-
-                        case 'date':
-                            {
-                                let op = false;
-                                let value = new Date(term.value + ' GMT');
-                                switch (term.operator) {
-                                    case '<':
-                                        op = '$lt';
-                                        break;
-                                    case '<=':
-                                        op = '$lte';
-                                        break;
-                                    case '>':
-                                        op = '$gt';
-                                        break;
-                                    case '>=':
-                                        op = '$gte';
-                                        break;
-                                }
-                                let entry = !op
-                                    ? {
-                                          $gte: value,
-                                          $lt: new Date(value.getTime() + 24 * 3600 * 1000)
-                                      }
+                            let entry = !op
+                                ? {
+                                      $gte: value,
+                                      $lt: new Date(value.getTime() + 24 * 3600 * 1000)
+                                  }
+                                : {
+                                      [op]: value
+                                  };
+
+                            entry = {
+                                hdate: !ne
+                                    ? entry
                                     : {
-                                          [op]: value
-                                      };
-
-                                entry = {
-                                    hdate: !ne
-                                        ? entry
-                                        : {
-                                              $not: entry
-                                          }
-                                };
+                                          $not: entry
+                                      }
+                            };
 
-                                parent.push(entry);
+                            parent.push(entry);
+                        }
+                        break;
+
+                    case 'size':
+                        {
+                            let op = '$eq';
+                            let value = Number(term.value) || 0;
+                            switch (term.operator) {
+                                case '<':
+                                    op = '$lt';
+                                    break;
+                                case '<=':
+                                    op = '$lte';
+                                    break;
+                                case '>':
+                                    op = '$gt';
+                                    break;
+                                case '>=':
+                                    op = '$gte';
+                                    break;
                             }
-                            break;
-
-                        case 'size':
-                            {
-                                let op = '$eq';
-                                let value = Number(term.value) || 0;
-                                switch (term.operator) {
-                                    case '<':
-                                        op = '$lt';
-                                        break;
-                                    case '<=':
-                                        op = '$lte';
-                                        break;
-                                    case '>':
-                                        op = '$gt';
-                                        break;
-                                    case '>=':
-                                        op = '$gte';
-                                        break;
-                                }
 
-                                let entry = {
-                                    [op]: value
-                                };
+                            let entry = {
+                                [op]: value
+                            };
 
-                                entry = {
-                                    size: !ne
-                                        ? entry
-                                        : {
-                                              $not: entry
-                                          }
-                                };
+                            entry = {
+                                size: !ne
+                                    ? entry
+                                    : {
+                                          $not: entry
+                                      }
+                            };
 
-                                parent.push(entry);
-                            }
-                            break;
-                    }
-                });
-            };
+                            parent.push(entry);
+                        }
+                        break;
+                }
+            });
+        };
 
-            let $and = [];
-            walkQuery($and, false, options.query);
-            if (returned) {
-                return;
-            }
+        let $and = [];
+        walkQuery($and, false, options.query);
+        if (returned) {
+            return;
+        }
 
-            if ($and.length) {
-                query.$and = $and;
-            }
+        if ($and.length) {
+            query.$and = $and;
+        }
 
-            server.logger.info(
-                {
-                    tnx: 'search',
-                    cid: session.id
-                },
-                '[%s] SEARCH %s',
-                session.id,
-                JSON.stringify(query)
-            );
-
-            let cursor = db.database
-                .collection('messages')
-                .find(query)
-                .project({
-                    uid: true,
-                    modseq: true
+        server.logger.info(
+            {
+                tnx: 'search',
+                cid: session.id
+            },
+            '[%s] SEARCH %s',
+            session.id,
+            JSON.stringify(query)
+        );
+
+        let returnOptions = [].concat(options.returnOptions || []);
+        if (
+            options.isUid &&
+            returnOptions.length &&
+            returnOptions.every(option => ['min', 'max', 'count'].includes(option)) &&
+            !(options.terms || []).includes('modseq')
+        ) {
+            // ESEARCH only asks for result limits, no need to iterate over all matching messages
+            return getSearchLimits(query, returnOptions)
+                .then(result => {
+                    logIMAP('SEARCH', session, 'Command completed successfully', {
+                        mailbox,
+                        resultCount: result.count,
+                        returnOptions
+                    });
+                    logPerformance('SEARCH', Date.now() - startTime, {
+                        sessionId: session.id,
+                        status: 'SUCCESS',
+                        resultCount: result.count
+                    });
+                    callback(null, result);
                 })
-                .withReadPreference('secondaryPreferred')
-                .maxTimeMS(consts.DB_MAX_TIME_MESSAGES);
-
-            let highestModseq = 0;
-            let uidList = [];
-
-            let processNext = () => {
-                cursor.next((err, message) => {
-                    if (err) {
-                        logError(err, { command: 'SEARCH', sessionId: session.id, mailbox, query }, 'Search query execution failed');
-                        server.logger.error(
-                            {
-                                tnx: 'search',
-                                cid: session.id
-                            },
-                            '[%s] SEARCHFAIL %s error="%s"',
-                            session.id,
-                            JSON.stringify(query),
-                            err.message
-                        );
-                        logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
-                        return callback(new Error('Can not make requested search query'));
-                    }
-                    if (!message) {
-                        return cursor.close(() => {
-                            logIMAP('SEARCH', session, 'Command completed successfully', {
-                                mailbox,
-                                resultCount: uidList.length,
-                                highestModseq
-                            });
-                            logPerformance('SEARCH', Date.now() - startTime, {
-                                sessionId: session.id,
-                                status: 'SUCCESS',
-                                resultCount: uidList.length
-                            });
-                            callback(null, {
-                                uidList,
-                                highestModseq
-                            });
+                .catch(err => {
+                    logError(err, { command: 'SEARCH', sessionId: session.id, mailbox, query }, 'Search query execution failed');
+                    logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+                    callback(new Error('Can not make requested search query'));
+                });
+        }
+
+        let projection = {
+            uid: true,
+            modseq: true
+        };
+
+        let includeMessages = !!(options.sort || options.thread);
+        if (includeMessages) {
+            // fields needed for SORT and THREAD
+            projection.idate = true;
+            projection.hdate = true;
+            projection.size = true;
+            projection.envelope = true;
+            projection.thread = true;
+        }
+
+        let cursor = db.database
+            .collection('messages')
+            .find(query)
+            .project(projection)
+            .withReadPreference('secondaryPreferred')
+            .maxTimeMS(consts.DB_MAX_TIME_MESSAGES);
+
+        let highestModseq = 0;
+        let uidList = [];
+        let messages = [];
+
+        let processNext = () => {
+            cursor.next((err, message) => {
+                if (err) {
+                    logError(err, { command: 'SEARCH', sessionId: session.id, mailbox, query }, 'Search query execution failed');
+                    server.logger.error(
+                        {
+                            tnx: 'search',
+                            cid: session.id
+                        },
+                        '[%s] SEARCHFAIL %s error="%s"',
+                        session.id,
+                        JSON.stringify(query),
+                        err.message
+                    );
+                    logPerformance('SEARCH', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+                    return callback(new Error('Can not make requested search query'));
+                }
+                if (!message) {
+                    return cursor.close(() => {
+                        logIMAP('SEARCH', session, 'Command completed successfully', {
+                            mailbox,
+                            resultCount: uidList.length,
+                            highestModseq
                         });
-                    }
+                        logPerformance('SEARCH', Date.now() - startTime, {
+                            sessionId: session.id,
+                            status: 'SUCCESS',
+                            resultCount: uidList.length
+                        });
+                        callback(null, {
+                            uidList,
+                            highestModseq,
+                            messages
+                        });
+                    });
+                }
 
-                    if (highestModseq < message.modseq) {
-                        highestModseq = message.modseq;
-                    }
+                if (highestModseq < message.modseq) {
+                    highestModseq = message.modseq;
+                }
 
-                    uidList.push(message.uid);
-                    setImmediate(processNext);
-                });
-            };
+                uidList.push(message.uid);
+                if (includeMessages) {
+                    messages.push(message);
+                }
+                setImmediate(processNext);
+            });
+        };
 
-            setImmediate(processNext);
-        }
-    );
+        setImmediate(processNext);
+    });
 };
+
+/**
+ * Resolves MIN, MAX and COUNT values for an ESEARCH query without fetching all matching messages
+ *
+ * @param {Object} query MongoDB query for matching messages
+ * @param {Array} returnOptions Requested RETURN options
+ * @returns {Object} Search result object
+ */
+async function getSearchLimits(query, returnOptions) {
+    let collection = db.database.collection('messages');
+
+    let findEdge = async direction => {
+        let message = await collection
+            .find(query)
+            .project({ uid: true })
+            .sort({ uid: direction })
+            .limit(1)
+            .withReadPreference('secondaryPreferred')
+            .maxTimeMS(consts.DB_MAX_TIME_MESSAGES)
+            .next();
+        return message ? message.uid : false;
+    };
+
+    let uidList = [];
+
+    if (returnOptions.includes('min')) {
+        let uid = await findEdge(1);
+        if (uid) {
+            uidList.push(uid);
+        }
+    }
+
+    if (returnOptions.includes('max')) {
+        let uid = await findEdge(-1);
+        if (uid && !uidList.includes(uid)) {
+            uidList.push(uid);
+        }
+    }
+
+    let result = {
+        uidList,
+        highestModseq: 0
+    };
+
+    if (returnOptions.includes('count')) {
+        result.count = await collection.countDocuments(query, {
+            maxTimeMS: consts.DB_MAX_TIME_MESSAGES,
+            readPreference: 'secondaryPreferred'
+        });
+    }
+
+    return result;
+}
@@ -0,0 +1,74 @@
+'use strict';
+
+const { logIMAP, logError, logPerformance } = require('../logger');
+
+// SETACL "INBOX" "user" "+lr"
+// DELETEACL "INBOX" "user"
+module.exports = (server, mailboxHandler) => (path, acl, session, callback) => {
+    const startTime = Date.now();
+
+    logIMAP('SETACL', session, 'Command initiated', {
+        path,
+        identifier: acl.identifier,
+        rights: acl.modifier + acl.rights,
+        userId: session.user.id
+    });
+
+    server.logger.debug(
+        {
+            tnx: 'acl',
+            cid: session.id
+        },
+        '[%s] SETACL "%s" "%s" "%s"',
+        session.id,
+        path,
+        acl.identifier,
+        acl.modifier + acl.rights
+    );
+
+    let run = async () => {
+        let mailboxData = await mailboxHandler.aclHandler.getMailboxAsync(session.user.id, path);
+        if (!mailboxData) {
+            return 'NONEXISTENT';
+        }
+
+        if (!mailboxData.rights.includes('a')) {
+            return 'NOPERM';
+        }
+
+        let granteeData = await mailboxHandler.aclHandler.resolveIdentifier(acl.identifier);
+        if (!granteeData) {
+            // unknown identifier, respond with a plain NO
+            return false;
+        }
+
+        try {
+            await mailboxHandler.aclHandler.setAcl(mailboxData, granteeData._id, acl.rights, acl.modifier);
+        } catch (err) {
+            if (err.imapResponse) {
+                return err.imapResponse;
+            }
+            throw err;
+        }
+
+        return true;
+    };
+
+    run()
+        .then(result => {
+            logIMAP('SETACL', session, 'Command completed', {
+                path,
+                status: typeof result === 'string' ? result : result ? 'SUCCESS' : 'FAILED'
+            });
+            logPerformance('SETACL', Date.now() - startTime, {
+                sessionId: session.id,
+                status: typeof result === 'string' ? result : result ? 'SUCCESS' : 'FAILED'
+            });
+            callback(null, result);
+        })
+        .catch(err => {
+            logError(err, { command: 'SETACL', sessionId: session.id, userId: session.user.id, path }, 'ACL update failed');
+            logPerformance('SETACL', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            callback(err);
+        });
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const db = require('../db');
+const consts = require('../consts');
+const { logIMAP, logError, logPerformance } = require('../logger');
+
+// SETMETADATA "INBOX" (/private/comment "My comment")
+module.exports = (server, mailboxHandler) => (path, entries, session, callback) => {
+    const startTime = Date.now();
+
+    logIMAP('SETMETADATA', session, 'Command initiated', {
+        path,
+        entries: entries.map(entry => entry.key),
+        userId: session.user.id
+    });
+
+    server.logger.debug(
+        {
+            tnx: 'metadata',
+            cid: session.id
+        },
+        '[%s] SETMETADATA "%s" %s',
+        session.id,
+        path,
+        entries.map(entry => entry.key).join(' ')
+    );
+
+    let run = async () => {
+        let mailbox = null;
+
+        if (path) {
+            // empty path refers to server entries
+            let mailboxData = await db.database.collection('mailboxes').findOne(
+                {
+                    user: session.user.id,
+                    path
+                },
+                {
+                    projection: { _id: true },
+                    maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
+                }
+            );
+
+            if (!mailboxData) {
+                return 'NONEXISTENT';
+            }
+
+            mailbox = mailboxData._id;
+        }
+
+        try {
+            await mailboxHandler.metadataHandler.set(session.user.id, mailbox, entries);
+        } catch (err) {
+            // convert known errors into RFC5464 response codes
+            switch (err.code) {
+                case 'MetadataTooLarge':
+                    return 'METADATA MAXSIZE ' + err.maxSize;
+                case 'MetadataTooMany':
+                    return 'METADATA TOOMANY';
+                case 'OverQuota':
+                    return 'OVERQUOTA';
+            }
+            throw err;
+        }
+
+        return true;
+    };
+
+    run()
+        .then(result => {
+            logIMAP('SETMETADATA', session, 'Command completed', {
+                path,
+                status: typeof result === 'string' ? result : 'SUCCESS'
+            });
+            logPerformance('SETMETADATA', Date.now() - startTime, { sessionId: session.id, status: typeof result === 'string' ? result : 'SUCCESS' });
+            callback(null, result);
+        })
+        .catch(err => {
+            logError(err, { command: 'SETMETADATA', sessionId: session.id, userId: session.user.id, path }, 'Metadata update failed');
+            logPerformance('SETMETADATA', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            callback(err);
+        });
+};
@@ -4,10 +4,12 @@ const imapTools = require('../../imap-core/lib/imap-tools');
 const db = require('../db');
 const tools = require('../tools');
 const consts = require('../consts');
+const { FLAGS_CHANGED } = require('../events');
+const { hasRights, filterFlags } = require('../acl-rights');
 const { logIMAP, logError, logPerformance, logDB } = require('../logger');
 
 // STORE / UID STORE, updates flags for selected UIDs
-module.exports = server => (mailbox, update, session, callback) => {
+module.exports = (server, messageHandler, mailboxHandler) => (mailbox, update, session, callback) => {
     const startTime = Date.now();
 
     logIMAP('STORE', session, 'Command initiated', {
@@ -30,406 +32,417 @@ module.exports = server => (mailbox, update, session, callback) => {
     );
     logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Looking up mailbox for store operation');
 
-    db.database.collection('mailboxes').findOne(
-        {
-            _id: mailbox
-        },
-        {
-            maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
-        },
-        (err, mailboxData) => {
-            if (err) {
-                logError(err, { command: 'STORE', sessionId: session.id, mailbox }, 'Mailbox lookup failed');
-                logPerformance('STORE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
-                return callback(err);
-            }
-
-            if (!mailboxData) {
-                logIMAP('STORE', session, 'Command failed - mailbox not found', { mailbox });
-                logPerformance('STORE', Date.now() - startTime, { sessionId: session.id, status: 'NONEXISTENT' });
-                return callback(null, 'NONEXISTENT');
-            }
+    mailboxHandler.aclHandler.getSelectedMailbox(session.user.id, mailbox, (err, mailboxData) => {
+        if (err) {
+            logError(err, { command: 'STORE', sessionId: session.id, mailbox }, 'Mailbox lookup failed');
+            logPerformance('STORE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+            return callback(err);
+        }
 
-            logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Mailbox found, preparing flag updates');
+        if (!mailboxData) {
+            logIMAP('STORE', session, 'Command failed - mailbox not found', { mailbox });
+            logPerformance('STORE', Date.now() - startTime, { sessionId: session.id, status: 'NONEXISTENT' });
+            return callback(null, 'NONEXISTENT');
+        }
 
-            let unseenChange = update.value.includes('\\Seen');
+        // replacing flags requires rights for all flag types, otherwise every listed flag must be allowed
+        if (
+            (update.action === 'set' && !hasRights(mailboxData.rights, 'stw')) ||
+            filterFlags(update.value, mailboxData.rights).length !== update.value.length
+        ) {
+            logIMAP('STORE', session, 'Command failed - not allowed to change flags', { mailbox, flags: update.value });
+            logPerformance('STORE', Date.now() - startTime, { sessionId: session.id, status: 'NOPERM' });
+            return callback(null, 'NOPERM');
+        }
 
-            let modified = [];
+        logDB('findOne', 'mailboxes', { mailboxId: mailbox }, 'Mailbox found, preparing flag updates');
 
-            let newModseq = false;
-            let getModseq = next => {
-                if (newModseq) {
-                    return next(null, newModseq);
-                }
-                db.database.collection('mailboxes').findOneAndUpdate(
-                    { _id: mailboxData._id },
-                    {
-                        $inc: {
-                            modifyIndex: 1
-                        }
-                    },
-                    {
-                        returnDocument: 'after',
-                        maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
-                    },
-                    (err, item) => {
-                        if (err) {
-                            return next(err);
-                        }
+        let unseenChange = update.value.includes('\\Seen');
 
-                        newModseq = item && item.value && item.value.modifyIndex;
+        let modified = [];
 
-                        next(null, newModseq);
+        let newModseq = false;
+        let getModseq = next => {
+            if (newModseq) {
+                return next(null, newModseq);
+            }
+            db.database.collection('mailboxes').findOneAndUpdate(
+                { _id: mailboxData._id },
+                {
+                    $inc: {
+                        modifyIndex: 1
+                    }
+                },
+                {
+                    returnDocument: 'after',
+                    maxTimeMS: consts.DB_MAX_TIME_MAILBOXES
+                },
+                (err, item) => {
+                    if (err) {
+                        return next(err);
                     }
-                );
-            };
 
-            let query = {
-                mailbox
-            };
+                    newModseq = item && item.value && item.value.modifyIndex;
 
-            let queryAll = false;
-            if (update.messages.length !== session.selected.uidList.length) {
-                // do not use uid selector for 1:*
-                query.uid = tools.checkRangeQuery(update.messages);
+                    next(null, newModseq);
+                }
+            );
+        };
+
+        let query = {
+            mailbox
+        };
+
+        let queryAll = false;
+        if (update.messages.length !== session.selected.uidList.length) {
+            // do not use uid selector for 1:*
+            query.uid = tools.checkRangeQuery(update.messages);
+        } else {
+            // 1:*
+            queryAll = true;
+        }
+
+        let condstoreEnabled = !!session.selected.condstoreEnabled;
+
+        let cursor = db.database
+            .collection('messages')
+            .find(query)
+            .project({
+                _id: true,
+                uid: true,
+                flags: true,
+                thread: true,
+                modseq: true,
+                // used for flags.changed event payloads
+                subject: true,
+                size: true,
+                'mimeTree.parsedHeader.from': true,
+                'mimeTree.parsedHeader.sender': true
+            })
+            .maxTimeMS(consts.DB_MAX_TIME_MESSAGES)
+            .sort({ uid: 1 });
+
+        let updateEntries = [];
+        let notifyEntries = [];
+
+        let done = (...args) => {
+            // Log performance and completion
+            if (args[0]) {
+                // Error case
+                logError(args[0], { command: 'STORE', sessionId: session.id, mailbox }, 'Store operation failed');
+                logPerformance('STORE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR', modifiedCount: modified.length });
             } else {
-                // 1:*
-                queryAll = true;
+                // Success case
+                logIMAP('STORE', session, 'Command completed successfully', {
+                    mailbox,
+                    action: update.action,
+                    modifiedCount: modified.length,
+                    updateEntries: updateEntries.length
+                });
+                logPerformance('STORE', Date.now() - startTime, {
+                    sessionId: session.id,
+                    status: 'SUCCESS',
+                    modifiedCount: modified.length
+                });
             }
 
-            let condstoreEnabled = !!session.selected.condstoreEnabled;
-
-            let cursor = db.database
-                .collection('messages')
-                .find(query)
-                .project({
-                    _id: true,
-                    uid: true,
-                    flags: true,
-                    thread: true,
-                    modseq: true
-                })
-                .maxTimeMS(consts.DB_MAX_TIME_MESSAGES)
-                .sort({ uid: 1 });
-
-            let updateEntries = [];
-            let notifyEntries = [];
-
-            let done = (...args) => {
-                // Log performance and completion
-                if (args[0]) {
-                    // Error case
-                    logError(args[0], { command: 'STORE', sessionId: session.id, mailbox }, 'Store operation failed');
-                    logPerformance('STORE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR', modifiedCount: modified.length });
-                } else {
-                    // Success case
-                    logIMAP('STORE', session, 'Command completed successfully', {
-                        mailbox,
-                        action: update.action,
-                        modifiedCount: modified.length,
-                        updateEntries: updateEntries.length
-                    });
-                    logPerformance('STORE', Date.now() - startTime, {
-                        sessionId: session.id,
-                        status: 'SUCCESS',
-                        modifiedCount: modified.length
-                    });
+            if (updateEntries.length) {
+                return db.database.collection('messages').bulkWrite(
+                    updateEntries,
+                    {
+                        ordered: false,
+                        writeConcern: 1
+                    },
+                    () => {
+                        updateEntries = [];
+                        server.notifier.addEntries(mailboxData, notifyEntries, () => {
+                            notifyEntries = [];
+                            server.notifier.fire(mailboxData.user);
+                            if (args[0]) {
+                                // first argument is an error
+                                return callback(...args);
+                            } else {
+                                updateMailboxFlags(mailboxData, update, () => callback(...args));
+                            }
+                        });
+                    }
+                );
+            }
+            server.notifier.fire(mailboxData.user);
+            if (args[0]) {
+                // first argument is an error
+                return callback(...args);
+            } else {
+                updateMailboxFlags(mailboxData, update, () => callback(...args));
+            }
+        };
+
+        // We have to process all messages one by one instead of just calling an update
+        // for all messages as we need to know which messages were exactly modified,
+        // otherwise we can't send flag update notifications and modify modseq values
+        let processNext = () => {
+            cursor.next((err, message) => {
+                if (err) {
+                    logError(err, { command: 'STORE', sessionId: session.id, mailbox }, 'Error processing message during store');
+                    return done(err);
                 }
-
-                if (updateEntries.length) {
-                    return db.database.collection('messages').bulkWrite(
-                        updateEntries,
-                        {
-                            ordered: false,
-                            writeConcern: 1
-                        },
-                        () => {
-                            updateEntries = [];
-                            server.notifier.addEntries(mailboxData, notifyEntries, () => {
-                                notifyEntries = [];
-                                server.notifier.fire(session.user.id);
-                                if (args[0]) {
-                                    // first argument is an error
-                                    return callback(...args);
-                                } else {
-                                    updateMailboxFlags(mailboxData, update, () => callback(...args));
-                                }
-                            });
-                        }
-                    );
+                if (!message) {
+                    return cursor.close(() => done(null, true, modified));
                 }
-                server.notifier.fire(session.user.id);
-                if (args[0]) {
-                    // first argument is an error
-                    return callback(...args);
-                } else {
-                    updateMailboxFlags(mailboxData, update, () => callback(...args));
+                if (queryAll && !session.selected.uidList.includes(message.uid)) {
+                    // skip processing messages that we do not know about yet
+                    return setImmediate(processNext);
                 }
-            };
 
-            // We have to process all messages one by one instead of just calling an update
-            // for all messages as we need to know which messages were exactly modified,
-            // otherwise we can't send flag update notifications and modify modseq values
-            let processNext = () => {
-                cursor.next((err, message) => {
-                    if (err) {
-                        logError(err, { command: 'STORE', sessionId: session.id, mailbox }, 'Error processing message during store');
-                        return done(err);
-                    }
-                    if (!message) {
-                        return cursor.close(() => done(null, true, modified));
-                    }
-                    if (queryAll && !session.selected.uidList.includes(message.uid)) {
-                        // skip processing messages that we do not know about yet
-                        return setImmediate(processNext);
-                    }
+                if (update.unchangedSince && message.modseq > update.unchangedSince) {
+                    modified.push(message.uid);
+                    return setImmediate(processNext);
+                }
 
-                    if (update.unchangedSince && message.modseq > update.unchangedSince) {
-                        modified.push(message.uid);
-                        return setImmediate(processNext);
-                    }
+                let flagsupdate = false; // query object for updates
+
+                let updated = false;
+                let existingFlags = message.flags.map(flag => flag.toLowerCase().trim());
+                switch (update.action) {
+                    case 'set':
+                        // check if update set matches current or is different
+                        if (
+                            // if length does not match
+                            existingFlags.length !== update.value.length ||
+                            // or a new flag was found
+                            update.value.filter(flag => !existingFlags.includes(flag.toLowerCase().trim())).length
+                        ) {
+                            updated = true;
+                        }
 
-                    let flagsupdate = false; // query object for updates
+                        message.flags = [].concat(update.value);
+
+                        // set flags
+                        if (updated) {
+                            flagsupdate = {
+                                $set: {
+                                    flags: message.flags,
+                                    unseen: !message.flags.includes('\\Seen'),
+                                    flagged: message.flags.includes('\\Flagged'),
+                                    undeleted: !message.flags.includes('\\Deleted'),
+                                    draft: message.flags.includes('\\Draft')
+                                }
+                            };
+
+                            if (!message.flags.includes('\\Deleted')) {
+                                flagsupdate.$set.searchable = true;
+                            } else {
+                                flagsupdate.$unset = {
+                                    searchable: ''
+                                };
+                            }
+                        }
+                        break;
+
+                    case 'add': {
+                        let newFlags = [];
+                        message.flags = message.flags.concat(
+                            update.value.filter(flag => {
+                                if (!existingFlags.includes(flag.toLowerCase().trim())) {
+                                    updated = true;
+                                    newFlags.push(flag);
+                                    return true;
+                                }
+                                return false;
+                            })
+                        );
+
+                        // add flags
+                        if (updated) {
+                            flagsupdate = {
+                                $addToSet: {
+                                    flags: {
+                                        $each: newFlags
+                                    }
+                                }
+                            };
 
-                    let updated = false;
-                    let existingFlags = message.flags.map(flag => flag.toLowerCase().trim());
-                    switch (update.action) {
-                        case 'set':
-                            // check if update set matches current or is different
                             if (
-                                // if length does not match
-                                existingFlags.length !== update.value.length ||
-                                // or a new flag was found
-                                update.value.filter(flag => !existingFlags.includes(flag.toLowerCase().trim())).length
+                                newFlags.includes('\\Seen') ||
+                                newFlags.includes('\\Flagged') ||
+                                newFlags.includes('\\Deleted') ||
+                                newFlags.includes('\\Draft')
                             ) {
-                                updated = true;
-                            }
+                                flagsupdate.$set = {};
 
-                            message.flags = [].concat(update.value);
-
-                            // set flags
-                            if (updated) {
-                                flagsupdate = {
-                                    $set: {
-                                        flags: message.flags,
-                                        unseen: !message.flags.includes('\\Seen'),
-                                        flagged: message.flags.includes('\\Flagged'),
-                                        undeleted: !message.flags.includes('\\Deleted'),
-                                        draft: message.flags.includes('\\Draft')
-                                    }
-                                };
+                                if (newFlags.includes('\\Seen')) {
+                                    flagsupdate.$set = {
+                                        unseen: false
+                                    };
+                                }
 
-                                if (!message.flags.includes('\\Deleted')) {
-                                    flagsupdate.$set.searchable = true;
-                                } else {
+                                if (newFlags.includes('\\Flagged')) {
+                                    flagsupdate.$set = {
+                                        flagged: true
+                                    };
+                                }
+
+                                if (newFlags.includes('\\Deleted')) {
+                                    flagsupdate.$set = {
+                                        undeleted: false
+                                    };
                                     flagsupdate.$unset = {
                                         searchable: ''
                                     };
                                 }
-                            }
-                            break;
-
-                        case 'add': {
-                            let newFlags = [];
-                            message.flags = message.flags.concat(
-                                update.value.filter(flag => {
-                                    if (!existingFlags.includes(flag.toLowerCase().trim())) {
-                                        updated = true;
-                                        newFlags.push(flag);
-                                        return true;
-                                    }
-                                    return false;
-                                })
-                            );
-
-                            // add flags
-                            if (updated) {
-                                flagsupdate = {
-                                    $addToSet: {
-                                        flags: {
-                                            $each: newFlags
-                                        }
-                                    }
-                                };
 
-                                if (
-                                    newFlags.includes('\\Seen') ||
-                                    newFlags.includes('\\Flagged') ||
-                                    newFlags.includes('\\Deleted') ||
-                                    newFlags.includes('\\Draft')
-                                ) {
-                                    flagsupdate.$set = {};
-
-                                    if (newFlags.includes('\\Seen')) {
-                                        flagsupdate.$set = {
-                                            unseen: false
-                                        };
-                                    }
-
-                                    if (newFlags.includes('\\Flagged')) {
-                                        flagsupdate.$set = {
-                                            flagged: true
-                                        };
-                                    }
-
-                                    if (newFlags.includes('\\Deleted')) {
-                                        flagsupdate.$set = {
-                                            undeleted: false
-                                        };
-                                        flagsupdate.$unset = {
-                                            searchable: ''
-                                        };
-                                    }
-
-                                    if (newFlags.includes('\\Draft')) {
-                                        flagsupdate.$set = {
-                                            draft: true
-                                        };
-                                    }
+                                if (newFlags.includes('\\Draft')) {
+                                    flagsupdate.$set = {
+                                        draft: true
+                                    };
                                 }
                             }
-                            break;
                         }
+                        break;
+                    }
 
-                        case 'remove': {
-                            // We need to use the case of existing flags when removing
-                            let oldFlags = [];
-                            let flagsUpdates = update.value.map(flag => flag.toLowerCase().trim());
-                            message.flags = message.flags.filter(flag => {
-                                if (!flagsUpdates.includes(flag.toLowerCase().trim())) {
-                                    return true;
-                                }
-                                oldFlags.push(flag);
-                                updated = true;
-                                return false;
-                            });
-
-                            // remove flags
-                            if (updated) {
-                                flagsupdate = {
-                                    $pull: {
-                                        flags: {
-                                            $in: oldFlags
-                                        }
-                                    }
-                                };
-                                if (
-                                    oldFlags.includes('\\Seen') ||
-                                    oldFlags.includes('\\Flagged') ||
-                                    oldFlags.includes('\\Deleted') ||
-                                    oldFlags.includes('\\Draft')
-                                ) {
-                                    flagsupdate.$set = {};
-                                    if (oldFlags.includes('\\Seen')) {
-                                        flagsupdate.$set = {
-                                            unseen: true
-                                        };
-                                    }
-                                    if (oldFlags.includes('\\Flagged')) {
-                                        flagsupdate.$set = {
-                                            flagged: false
-                                        };
-                                    }
-                                    if (oldFlags.includes('\\Deleted')) {
-                                        flagsupdate.$set = {
-                                            undeleted: true
-                                        };
-                                        if (!['\\Junk', '\\Trash'].includes(mailboxData.specialUse)) {
-                                            flagsupdate.$set.searchable = true;
-                                        }
+                    case 'remove': {
+                        // We need to use the case of existing flags when removing
+                        let oldFlags = [];
+                        let flagsUpdates = update.value.map(flag => flag.toLowerCase().trim());
+                        message.flags = message.flags.filter(flag => {
+                            if (!flagsUpdates.includes(flag.toLowerCase().trim())) {
+                                return true;
+                            }
+                            oldFlags.push(flag);
+                            updated = true;
+                            return false;
+                        });
+
+                        // remove flags
+                        if (updated) {
+                            flagsupdate = {
+                                $pull: {
+                                    flags: {
+                                        $in: oldFlags
                                     }
-                                    if (oldFlags.includes('\\Draft')) {
-                                        flagsupdate.$set = {
-                                            draft: false
-                                        };
+                                }
+                            };
+                            if (
+                                oldFlags.includes('\\Seen') ||
+                                oldFlags.includes('\\Flagged') ||
+                                oldFlags.includes('\\Deleted') ||
+                                oldFlags.includes('\\Draft')
+                            ) {
+                                flagsupdate.$set = {};
+                                if (oldFlags.includes('\\Seen')) {
+                                    flagsupdate.$set = {
+                                        unseen: true
+                                    };
+                                }
+                                if (oldFlags.includes('\\Flagged')) {
+                                    flagsupdate.$set = {
+                                        flagged: false
+                                    };
+                                }
+                                if (oldFlags.includes('\\Deleted')) {
+                                    flagsupdate.$set = {
+                                        undeleted: true
+                                    };
+                                    if (!['\\Junk', '\\Trash'].includes(mailboxData.specialUse)) {
+                                        flagsupdate.$set.searchable = true;
                                     }
                                 }
+                                if (oldFlags.includes('\\Draft')) {
+                                    flagsupdate.$set = {
+                                        draft: false
+                                    };
+                                }
                             }
-                            break;
                         }
+                        break;
                     }
+                }
 
-                    if (updated) {
-                        getModseq((err, modseq) => {
-                            if (err) {
-                                return cursor.close(() => done(err));
-                            }
+                if (updated) {
+                    getModseq((err, modseq) => {
+                        if (err) {
+                            return cursor.close(() => done(err));
+                        }
 
-                            if (!update.silent || condstoreEnabled) {
-                                // print updated state of the message
-                                session.writeStream.write(
-                                    session.formatResponse('FETCH', message.uid, {
-                                        uid: update.isUid ? message.uid : false,
-                                        flags: message.flags,
-                                        modseq: condstoreEnabled ? modseq : false
-                                    })
-                                );
-                            }
+                        if (!update.silent || condstoreEnabled) {
+                            // print updated state of the message
+                            session.writeStream.write(
+                                session.formatResponse('FETCH', message.uid, {
+                                    uid: update.isUid ? message.uid : false,
+                                    flags: message.flags,
+                                    modseq: condstoreEnabled ? modseq : false
+                                })
+                            );
+                        }
 
-                            if (!flagsupdate.$set) {
-                                flagsupdate.$set = {};
-                            }
-                            flagsupdate.$set.modseq = modseq;
-
-                            updateEntries.push({
-                                updateOne: {
-                                    filter: {
-                                        _id: message._id,
-                                        // include shard key data as well
-                                        mailbox: mailboxData._id,
-                                        uid: message.uid,
-                                        modseq: {
-                                            $lt: modseq
-                                        }
-                                    },
-                                    update: flagsupdate
-                                }
-                            });
-
-                            notifyEntries.push({
-                                command: 'FETCH',
-                                ignore: session.id,
-                                uid: message.uid,
-                                flags: message.flags,
-                                thread: message.thread,
-                                message: message._id,
-                                modseq,
-                                unseenChange
-                            });
-
-                            if (updateEntries.length >= consts.BULK_BATCH_SIZE) {
-                                return db.database.collection('messages').bulkWrite(
-                                    updateEntries,
-                                    {
-                                        ordered: false,
-                                        writeConcern: 1
-                                    },
-                                    err => {
-                                        updateEntries = [];
-                                        if (err) {
-                                            return cursor.close(() => done(err));
-                                        }
-
-                                        server.notifier.addEntries(mailboxData, notifyEntries, () => {
-                                            notifyEntries = [];
-                                            server.notifier.fire(session.user.id);
-                                            return setImmediate(processNext);
-                                        });
+                        if (!flagsupdate.$set) {
+                            flagsupdate.$set = {};
+                        }
+                        flagsupdate.$set.modseq = modseq;
+
+                        updateEntries.push({
+                            updateOne: {
+                                filter: {
+                                    _id: message._id,
+                                    // include shard key data as well
+                                    mailbox: mailboxData._id,
+                                    uid: message.uid,
+                                    modseq: {
+                                        $lt: modseq
                                     }
-                                );
-                            } else {
-                                return setImmediate(processNext);
+                                },
+                                update: flagsupdate
                             }
                         });
-                    } else {
-                        return setImmediate(processNext);
-                    }
-                });
-            };
 
-            return setImmediate(processNext);
-        }
-    );
+                        notifyEntries.push({
+                            command: 'FETCH',
+                            ignore: session.id,
+                            uid: message.uid,
+                            flags: message.flags,
+                            thread: message.thread,
+                            message: message._id,
+                            modseq,
+                            unseenChange
+                        });
+
+                        if (messageHandler) {
+                            messageHandler.publishMessageEvent(FLAGS_CHANGED, message, mailboxData);
+                        }
+
+                        if (updateEntries.length >= consts.BULK_BATCH_SIZE) {
+                            return db.database.collection('messages').bulkWrite(
+                                updateEntries,
+                                {
+                                    ordered: false,
+                                    writeConcern: 1
+                                },
+                                err => {
+                                    updateEntries = [];
+                                    if (err) {
+                                        return cursor.close(() => done(err));
+                                    }
+
+                                    server.notifier.addEntries(mailboxData, notifyEntries, () => {
+                                        notifyEntries = [];
+                                        server.notifier.fire(mailboxData.user);
+                                        return setImmediate(processNext);
+                                    });
+                                }
+                            );
+                        } else {
+                            return setImmediate(processNext);
+                        }
+                    });
+                } else {
+                    return setImmediate(processNext);
+                }
+            });
+        };
+
+        return setImmediate(processNext);
+    });
 };
 
 function updateMailboxFlags(mailbox, update, callback) {
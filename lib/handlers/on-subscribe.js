@@ -5,7 +5,7 @@ const consts = require('../consts');
 const { logIMAP, logError, logPerformance, logDB } = require('../logger');
 
 // SUBSCRIBE "path/to/mailbox"
-module.exports = server => (path, session, callback) => {
+module.exports = (server, mailboxHandler) => (path, session, callback) => {
     const startTime = Date.now();
 
     logIMAP('SUBSCRIBE', session, 'Command initiated', {
@@ -22,6 +22,26 @@ module.exports = server => (path, session, callback) => {
         session.id,
         path
     );
+    if (mailboxHandler.aclHandler.isSharedPath(path)) {
+        // subscriptions for shared mailboxes are stored with the grant, not in the mailbox of the owner
+        return mailboxHandler.aclHandler
+            .getMailboxAsync(session.user.id, path)
+            .then(mailboxData => (mailboxData ? mailboxHandler.aclHandler.setSubscribed(session.user.id, mailboxData, true) : false))
+            .then(success => {
+                logIMAP('SUBSCRIBE', session, 'Command completed', { path, status: success ? 'SUCCESS' : 'NONEXISTENT' });
+                logPerformance('SUBSCRIBE', Date.now() - startTime, { sessionId: session.id, status: success ? 'SUCCESS' : 'NONEXISTENT' });
+                if (success) {
+                    server.notifier.fire(session.user.id, { command: 'LIST' });
+                }
+                callback(null, success ? true : 'NONEXISTENT');
+            })
+            .catch(err => {
+                logError(err, { command: 'SUBSCRIBE', sessionId: session.id, userId: session.user.id, path }, 'Shared mailbox subscription failed');
+                logPerformance('SUBSCRIBE', Date.now() - startTime, { sessionId: session.id, status: 'ERROR' });
+                callback(err);
+            });
+    }
+
     logDB('findOneAndUpdate', 'mailboxes', { userId: session.user.id, path }, 'Subscribing to mailbox');
 
     db.database.collection('mailboxes').findOneAndUpdate(
@@ -56,6 +76,9 @@ module.exports = server => (path, session, callback) => {
                 mailboxId: item.value._id
             });
             logPerformance('SUBSCRIBE', Date.now() - startTime, { sessionId: session.id, status: 'SUCCESS' });
+
+            // let NOTIFY sessions know about the subscription change
+            server.notifier.fire(session.user.id, { command: 'LIST' });
             callback(null, true);
         }
     );
@@ -1,6 +1,7 @@
 'use strict';
 
 const config = require('wild-config');
+const ObjectId = require('mongodb').ObjectId;
 const tools = require('./tools');
 const consts = require('./consts');
 const EventEmitter = require('events').EventEmitter;
@@ -326,6 +327,44 @@ class ImapNotifier extends EventEmitter {
             .toArray(callback);
     }
 
+    /**
+     * Returns journal entries of a user that were added after the last known entry. Used by
+     * NOTIFY to detect changes in non-selected mailboxes with a single query
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId|Boolean} lastId ID of the last known journal entry. If not set, then only the current position is returned
+     * @param {Function} callback Returns update entries as an array, ID of the last entry and a flag if the listing was truncated
+     */
+    getUserUpdates(user, lastId, callback) {
+        let journal = this.database.collection('journal');
+
+        if (!lastId) {
+            return journal.findOne({ user }, { sort: { _id: -1 }, projection: { _id: true } }, (err, entry) => {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, [], entry ? entry._id : ObjectId.createFromTime(Math.floor(Date.now() / 1000)), false);
+            });
+        }
+
+        journal
+            .find({ user, _id: { $gt: lastId } }, { projection: { _id: true, mailbox: true, command: true, modseq: true } })
+            .sort({ _id: 1 })
+            .limit(consts.NOTIFY_MAX_JOURNAL_ENTRIES + 1)
+            .toArray((err, updates) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let truncated = updates.length > consts.NOTIFY_MAX_JOURNAL_ENTRIES;
+                if (truncated) {
+                    updates = updates.slice(0, consts.NOTIFY_MAX_JOURNAL_ENTRIES);
+                }
+
+                callback(null, updates, updates.length ? updates[updates.length - 1]._id : lastId, truncated);
+            });
+    }
+
     async updateCounters(entries) {
         if (!entries) {
             return;
@@ -4,6 +4,8 @@ const ObjectId = require('mongodb').ObjectId;
 const ImapNotifier = require('./imap-notifier');
 const { publish, MAILBOX_CREATED, MAILBOX_RENAMED, MAILBOX_DELETED } = require('./events');
 const { SettingsHandler } = require('./settings-handler');
+const MetadataHandler = require('./metadata-handler');
+const AclHandler = require('./acl-handler');
 const { MAX_MAILBOX_NAME_LENGTH, MAX_SUB_MAILBOXES } = require('./consts');
 
 class MailboxHandler {
@@ -23,6 +25,19 @@ class MailboxHandler {
             });
 
         this.settingsHandler = new SettingsHandler({ db: this.database });
+
+        this.metadataHandler = new MetadataHandler({
+            database: this.database,
+            users: this.users,
+            loggelf: this.loggelf,
+            settingsHandler: this.settingsHandler
+        });
+
+        this.aclHandler = new AclHandler({
+            database: this.database,
+            users: this.users,
+            loggelf: this.loggelf
+        });
     }
 
     create(user, path, opts, callback) {
@@ -97,7 +112,7 @@ class MailboxHandler {
             }
         });
 
-        const r = this.database.collection('mailboxes').insertOne(mailboxData, { writeConcern: 'majority' });
+        const r = await this.database.collection('mailboxes').insertOne(mailboxData, { writeConcern: 'majority' });
 
         try {
             await publish(this.redis, {
@@ -334,7 +349,35 @@ class MailboxHandler {
                             }
                         };
 
+                        let deleteMetadata = async () => {
+                            try {
+                                await this.metadataHandler.deleteMailbox(user, mailbox);
+                            } catch (err) {
+                                this.loggelf({
+                                    user,
+                                    mailbox,
+                                    action: 'delete_metadata',
+                                    error: err.message
+                                });
+                            }
+                        };
+
+                        let deleteAcl = async () => {
+                            try {
+                                await this.aclHandler.deleteMailbox(mailbox);
+                            } catch (err) {
+                                this.loggelf({
+                                    user,
+                                    mailbox,
+                                    action: 'delete_acl',
+                                    error: err.message
+                                });
+                            }
+                        };
+
                         deleteFilters()
+                            .then(deleteMetadata)
+                            .then(deleteAcl)
                             .then(() => {
                                 // send information about deleted mailbox straight to connected clients
                                 this.notifier.fire(mailboxData.user, {
@@ -445,6 +488,11 @@ class MailboxHandler {
                             return callback(err, 'NONEXISTENT');
                         }
 
+                        if ('subscribed' in $set) {
+                            // let NOTIFY sessions know about the subscription change
+                            this.notifier.fire(mailboxData.user, { command: 'LIST' });
+                        }
+
                         return callback(null, true);
                     }
                 );
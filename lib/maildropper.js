@@ -5,10 +5,12 @@ const RelaxedBody = require('nodemailer/lib/dkim/relaxed-body');
 const MessageSplitter = require('./message-splitter');
 const seqIndex = new SeqIndex();
 const GridFSBucket = require('mongodb').GridFSBucket;
+const { EJSON } = require('mongodb').BSON;
 const { randomUUID: uuid } = require('crypto');
 const os = require('os');
 const hostname = os.hostname().toLowerCase();
 const addressparser = require('nodemailer/lib/addressparser');
+const libmime = require('libmime');
 const punycode = require('punycode.js');
 const crypto = require('crypto');
 const tools = require('./tools');
@@ -608,6 +610,215 @@ class Maildropper {
 
         return { success: true, queueId: id, deleted };
     }
+
+    /**
+     * Returns the time to queue a submitted message for. Messages without a future send time are held back
+     * for `sendDelay` seconds, so sending can be undone by removing the message from the queue
+     *
+     * @param {Date} [sendTime] Requested send time
+     * @returns {Date} Earliest time to attempt delivery
+     */
+    getSendTime(sendTime) {
+        let now = new Date();
+        if (sendTime && sendTime > now) {
+            return sendTime;
+        }
+
+        let delay = Number(this.options.sendDelay) || 0;
+        return delay > 0 ? new Date(now.getTime() + delay * 1000) : now;
+    }
+
+    /**
+     * Lists messages submitted by a user that are still in the outbound queue
+     *
+     * @param {ObjectId} user User ID
+     * @param {Object} [options]
+     * @param {Number} [options.limit] Max number of messages to list
+     * @param {Boolean} [options.scheduled] If true, then only lists messages that are not due for delivery yet
+     * @param {String} [options.next] Cursor for the next page
+     * @param {String} [options.previous] Cursor for the previous page
+     * @returns {Object} Listing {results, nextCursor, previousCursor}, results are sorted by send time
+     */
+    async listQueue(user, options) {
+        options = options || {};
+
+        let limit = options.limit || 100;
+        let cursor = this.parseQueueCursor(options.next || options.previous);
+        // when paging backwards, the listing is read in reverse order and flipped afterwards
+        let reverse = !options.next && !!options.previous;
+        let direction = reverse ? -1 : 1;
+        let operator = reverse ? '$lt' : '$gt';
+
+        let pipeline = [
+            {
+                $match: {
+                    'metadata.data.userId': user.toString(),
+                    'metadata.data.reason': 'submit'
+                }
+            },
+            {
+                $lookup: {
+                    from: this.collection,
+                    localField: 'metadata.data.id',
+                    foreignField: 'id',
+                    as: 'recipients'
+                }
+            },
+            // messages without queue entries are already delivered, queue file is not yet deleted
+            { $match: { 'recipients.0': { $exists: true } } },
+            {
+                $project: {
+                    'metadata.data.id': true,
+                    'metadata.data.from': true,
+                    'metadata.data.to': true,
+                    'metadata.data.time': true,
+                    'metadata.data.headers': true,
+                    'recipients.seq': true,
+                    'recipients.recipient': true,
+                    'recipients.queued': true,
+                    'recipients.locked': true,
+                    sendTime: { $min: '$recipients.queued' }
+                }
+            }
+        ];
+
+        if (options.scheduled) {
+            pipeline.push({ $match: { sendTime: { $gt: new Date() } } });
+        }
+
+        if (cursor) {
+            pipeline.push({
+                $match: {
+                    $or: [{ sendTime: { [operator]: cursor.sendTime } }, { sendTime: cursor.sendTime, _id: { [operator]: cursor._id } }]
+                }
+            });
+        }
+
+        // fetch one extra entry to detect if there are more pages
+        pipeline.push({ $sort: { sendTime: direction, _id: direction } }, { $limit: limit + 1 });
+
+        let queueFiles = await this.db.senderDb
+            .collection(this.gfs + '.files')
+            .aggregate(pipeline)
+            .toArray();
+
+        let hasMore = queueFiles.length > limit;
+        queueFiles = queueFiles.slice(0, limit);
+        if (reverse) {
+            queueFiles.reverse();
+        }
+
+        let results = queueFiles.map(queueFile => {
+            let envelope = queueFile.metadata.data;
+
+            let subjectHeader = (envelope.headers || []).find(header => header.key === 'subject');
+            let subject = '';
+            if (subjectHeader) {
+                subject = subjectHeader.line
+                    .substr(subjectHeader.line.indexOf(':') + 1)
+                    .replace(/\r?\n[ \t]*/g, ' ')
+                    .trim();
+                try {
+                    subject = libmime.decodeWords(subject);
+                } catch (E) {
+                    // ignore, use the raw value
+                }
+            }
+
+            return {
+                queueId: envelope.id,
+                from: envelope.from || '',
+                to: envelope.to || [],
+                subject,
+                created: new Date(envelope.time),
+                sendTime: new Date(queueFile.sendTime),
+                recipients: queueFile.recipients
+                    .sort((a, b) => a.seq.localeCompare(b.seq))
+                    .map(entry => ({
+                        seq: entry.seq,
+                        recipient: entry.recipient,
+                        queued: entry.queued,
+                        // locked entries are being delivered and can not be changed anymore
+                        locked: !!entry.locked
+                    }))
+            };
+        });
+
+        let first = queueFiles[0];
+        let last = queueFiles[queueFiles.length - 1];
+
+        return {
+            results,
+            // there is a next page if more entries were found after this page or if we paged backwards
+            nextCursor: last && (reverse ? !!cursor : hasMore) ? this.getQueueCursor(last) : false,
+            previousCursor: first && (reverse ? hasMore : !!cursor) ? this.getQueueCursor(first) : false
+        };
+    }
+
+    /**
+     * Encodes the position of a queued message in the outbound listing as a paging cursor
+     *
+     * @param {Object} queueFile Queue file entry with a `sendTime` value
+     * @returns {String} Paging cursor
+     */
+    getQueueCursor(queueFile) {
+        return Buffer.from(EJSON.stringify([queueFile.sendTime, queueFile._id])).toString('base64url');
+    }
+
+    /**
+     * Decodes an outbound listing paging cursor
+     *
+     * @param {String} [value] Paging cursor
+     * @returns {Object|Boolean} Cursor position {sendTime, _id} or false if cursor is not set
+     */
+    parseQueueCursor(value) {
+        if (!value) {
+            return false;
+        }
+
+        let data;
+        try {
+            data = EJSON.parse(Buffer.from(value, 'base64url').toString());
+        } catch (E) {
+            // handled below
+        }
+
+        if (!Array.isArray(data) || data.length !== 2 || !(data[0] instanceof Date) || !data[1]) {
+            let err = new Error('Invalid paging cursor');
+            err.code = 'InvalidCursor';
+            err.responseCode = 400;
+            throw err;
+        }
+
+        return { sendTime: data[0], _id: data[1] };
+    }
+
+    /**
+     * Changes the send time of a queued message. Entries that are already being delivered are not changed
+     *
+     * @param {String} id Queue ID
+     * @param {ObjectId} [user] If set, then the message must belong to this user
+     * @param {Date} sendTime New send time
+     * @returns {Object} Result {success, queueId, updated} or {success: false, code}
+     */
+    async rescheduleQueued(id, user, sendTime) {
+        let queueFile = await this.db.senderDb.collection(this.gfs + '.files').findOne({
+            filename: 'message ' + id
+        });
+
+        if (!queueFile) {
+            return { success: false, code: 'NoSuchQueueEntry' };
+        }
+
+        if (user && queueFile.metadata.data.userId && user.toString() !== queueFile.metadata.data.userId.toString()) {
+            // message does not belong to us
+            return { success: false, code: 'NotEnoughPrivileges' };
+        }
+
+        let queueUpdateRes = await this.db.senderDb.collection(this.collection).updateMany({ id, locked: false }, { $set: { queued: sendTime } });
+
+        return { success: true, queueId: id, sendTime, updated: queueUpdateRes.matchedCount };
+    }
 }
 
 module.exports = Maildropper;
@@ -0,0 +1,901 @@
+/* eslint no-control-regex: 0 */
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const base32 = require('base32.js');
+const packageData = require('../../package.json');
+const os = require('os');
+const saslOAuth = require('../../imap-core/lib/sasl-oauth');
+const consts = require('../consts');
+const { CAPABILITIES } = require('../sieve/interpreter');
+const { parseCommand, formatString, formatResponse } = require('./parser');
+
+// clients tend to keep the connection open while the script editor is open
+const SOCKET_TIMEOUT = 10 * 60 * 1000;
+
+const MAX_SCRIPT_NAME_LENGTH = 255;
+
+// maps SieveHandler error codes to ManageSieve response codes
+const RESPONSE_CODES = {
+    ScriptNotFound: 'NONEXISTENT',
+    ScriptExists: 'ALREADYEXISTS',
+    ScriptLimitReached: 'QUOTA/MAXSCRIPTS',
+    SieveError: false
+};
+
+class ManageSieveConnection extends EventEmitter {
+    constructor(server, socket, options) {
+        super();
+
+        options = options || {};
+
+        this.ignore = options.ignore;
+
+        this._server = server;
+        this._socket = socket;
+
+        this._closed = false;
+        this._closing = false;
+        this._closingTimeout = null;
+
+        this.secured = !!this._server.options.secure;
+        this._upgrading = false;
+
+        // Store remote address for later usage
+        this.remoteAddress = options.remoteAddress || this._socket.remoteAddress;
+        this.id = options.id || base32.encode(crypto.randomBytes(10)).toLowerCase();
+
+        this.processing = false;
+        this._buffer = Buffer.alloc(0);
+
+        // bytes of a too large literal that still need to be skipped
+        this._discard = 0;
+        this._discardLine = false;
+
+        this.logger = {};
+        ['info', 'debug', 'error'].forEach(level => {
+            this.logger[level] = (...args) => {
+                if (!this.ignore) {
+                    this._server.logger[level](...args);
+                }
+            };
+        });
+    }
+
+    init() {
+        this._setListeners();
+        this._resetSession();
+        this.logger.info(
+            {
+                tnx: 'connection',
+                cid: this.id,
+                host: this.remoteAddress
+            },
+            'Connection from %s to %s %s:%s',
+            this.remoteAddress,
+            (this._socket && this._socket.servername) || os.hostname(),
+            this._socket && this._socket.localAddress,
+            this._socket && this._socket.localPort
+        );
+        this.send(
+            this.getCapabilities().concat(
+                formatResponse(
+                    'OK',
+                    false,
+                    ((this._server.options.id && this._server.options.id.name) || packageData.name) +
+                        ' ready for requests from ' +
+                        this.remoteAddress +
+                        ' ' +
+                        this.id
+                )
+            )
+        );
+    }
+
+    write(payload) {
+        if (!this._socket || this._socket.destroyed || this._socket.readyState !== 'open') {
+            return;
+        }
+        this._socket.write(payload);
+    }
+
+    send(payload) {
+        if (!this._socket || this._socket.destroyed || this._socket.readyState !== 'open') {
+            return;
+        }
+
+        if (Array.isArray(payload)) {
+            payload = payload.join('\r\n');
+        }
+
+        this.logger.debug(
+            {
+                tnx: 'send',
+                cid: this.id,
+                host: this.remoteAddress
+            },
+            this.id + ' S:',
+            (payload.length < 128 ? payload : payload.substr(0, 128) + '... +' + (payload.length - 128) + ' B').replace(/\r?\n/g, '\\n')
+        );
+        this.write(payload + '\r\n');
+    }
+
+    _setListeners() {
+        this._socket.on('close', () => this._onClose());
+        this._socket.on('error', err => this._onError(err));
+        this._socket.setTimeout(this._server.options.socketTimeout || SOCKET_TIMEOUT, () => this._onTimeout());
+        this._socket.on('readable', () => {
+            if (this.processing) {
+                return;
+            }
+            this.processing = true;
+
+            this.read();
+        });
+    }
+
+    /**
+     * Fired when the socket is closed
+     * @event
+     */
+    _onClose(/* hadError */) {
+        clearTimeout(this._closingTimeout);
+        if (this._closed) {
+            return;
+        }
+
+        this._buffer = Buffer.alloc(0);
+        this.processing = false;
+
+        this._closed = true;
+        this._closing = false;
+
+        this.logger.info(
+            {
+                tnx: 'close',
+                cid: this.id,
+                host: this.remoteAddress,
+                user: this?.session?.user?.username
+            },
+            'Connection closed to %s',
+            this.remoteAddress
+        );
+
+        // clear session
+        this.session = null;
+
+        this.emit('close');
+    }
+
+    /**
+     * Fired when an error occurs with the socket
+     *
+     * @event
+     * @param {Error} err Error object
+     */
+    _onError(err) {
+        if (['ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH'].includes(err.code)) {
+            this.close(); // mark connection as 'closing'
+            return;
+        }
+
+        this.logger.error(
+            {
+                err,
+                tnx: 'error',
+                user: this?.session?.user?.username
+            },
+            '%s',
+            err.message
+        );
+        this.emit('error', err);
+    }
+
+    /**
+     * Fired when socket timeouts. Closes connection
+     *
+     * @event
+     */
+    _onTimeout() {
+        this.send(formatResponse('BYE', false, 'Disconnected for inactivity'));
+        this.close();
+    }
+
+    _resetSession() {
+        this.session = {
+            id: this.id,
+            remoteAddress: this.remoteAddress
+        };
+    }
+
+    close() {
+        if (this._closed || this._closing) {
+            return;
+        }
+
+        if (!this._socket.destroyed && this._socket.writable) {
+            this._socket.end();
+        }
+
+        this._server.connections.delete(this);
+
+        // allow socket to close in 1500ms or force it to close
+        this._closingTimeout = setTimeout(() => {
+            if (this._closed) {
+                return;
+            }
+
+            try {
+                this._socket.destroy();
+            } catch (err) {
+                // ignore
+            }
+
+            setImmediate(() => this._onClose());
+        }, 1500);
+        this._closingTimeout.unref();
+
+        this._closing = true;
+    }
+
+    read() {
+        let chunk;
+        let chunks = [];
+        while ((chunk = this._socket.read()) !== null) {
+            chunks.push(chunk);
+        }
+
+        if (!chunks.length) {
+            this.processing = false;
+            return;
+        }
+
+        this._buffer = Buffer.concat([this._buffer].concat(chunks));
+        this.processBuffer();
+    }
+
+    processBuffer() {
+        if (this._closed || this._closing) {
+            this.processing = false;
+            return;
+        }
+
+        if (this._discard || this._discardLine) {
+            // skip the contents of a literal that was too large and the rest of the command line
+            if (this._discard) {
+                let skip = Math.min(this._discard, this._buffer.length);
+                this._buffer = this._buffer.slice(skip);
+                this._discard -= skip;
+                if (this._discard) {
+                    return this.read();
+                }
+            }
+
+            let lineEnd = this._buffer.indexOf(0x0a);
+            if (lineEnd < 0) {
+                this._buffer = Buffer.alloc(0);
+                return this.read();
+            }
+            this._buffer = this._buffer.slice(lineEnd + 1);
+            this._discardLine = false;
+            this._nextHandler = null;
+
+            this.send(formatResponse('NO', 'QUOTA/MAXSIZE', `Scripts can not be larger than ${consts.MAX_SIEVE_SCRIPT_SIZE} bytes`));
+        }
+
+        let command;
+        try {
+            command = parseCommand(this._buffer, { maxLiteralSize: consts.MAX_SIEVE_SCRIPT_SIZE });
+        } catch (err) {
+            this.logger.info(
+                {
+                    err,
+                    tnx: 'parse',
+                    cid: this.id,
+                    host: this.remoteAddress
+                },
+                'Failed to parse command. %s',
+                err.message
+            );
+            this.send(formatResponse('BYE', false, err.message));
+            return this.close();
+        }
+
+        if (!command) {
+            // wait for more data
+            return this.read();
+        }
+
+        if (command.tooLarge) {
+            this._discard = command.skip;
+            this._discardLine = true;
+            return this.processBuffer();
+        }
+
+        this._buffer = this._buffer.slice(command.length);
+
+        this.handleCommand(command.args, err => {
+            if (err) {
+                this.logger.error(
+                    {
+                        err,
+                        tnx: 'command',
+                        cid: this.id,
+                        host: this.remoteAddress,
+                        user: this?.session?.user?.username
+                    },
+                    'Error processing command. %s',
+                    err.message
+                );
+                this.send(formatResponse('BYE', 'TRYLATER', err.responseMessage || 'Internal server error'));
+                return this.close();
+            }
+            this.processBuffer();
+        });
+    }
+
+    handleCommand(args, next) {
+        if (typeof this._nextHandler === 'function') {
+            let handler = this._nextHandler;
+            this._nextHandler = null;
+            this.logger.debug(
+                {
+                    tnx: 'receive',
+                    cid: this.id,
+                    user: this?.session?.user?.username
+                },
+                this.id + ' C: <continue data>'
+            );
+            return handler(args, next);
+        }
+
+        if (!args.length) {
+            this.send(formatResponse('NO', false, 'Empty command'));
+            return next();
+        }
+
+        let command = args[0].type === 'atom' ? args[0].value.toUpperCase() : '';
+        let params = args.slice(1);
+
+        this.logger.debug(
+            {
+                tnx: 'receive',
+                cid: this.id,
+                user: this?.session?.user?.username
+            },
+            this.id + ' C:',
+            command === 'AUTHENTICATE'
+                ? command + ' ' + formatString(params[0] && params[0].value) + (params.length > 1 ? ' *hidden*' : '')
+                : [command].concat(params.map(param => (param.type === 'atom' ? param.value : `<${Buffer.byteLength(param.value)} bytes>`))).join(' ')
+        );
+
+        if (command && typeof this['command_' + command] === 'function') {
+            return this['command_' + command](params, next);
+        }
+
+        this.send(formatResponse('NO', false, 'Unknown command'));
+        return next();
+    }
+
+    getCapabilities() {
+        let version = (this._server.options.id && this._server.options.id.version) || packageData.version;
+
+        let mechanisms = [];
+        if (this.canAuthenticate() && !this.session.user) {
+            mechanisms = ['PLAIN'].concat(this._server.options.enableOAuth ? saslOAuth.MECHANISMS : []);
+        }
+
+        return [
+            ['IMPLEMENTATION', this._server.options.disableVersionString ? 'WildDuck' : 'WildDuck-v' + version],
+            ['SASL', mechanisms.join(' ')],
+            ['SIEVE', CAPABILITIES.join(' ')],
+            !this.secured && !this._server.options.disableSTARTTLS ? ['STARTTLS'] : false,
+            ['MAXREDIRECTS', String(consts.MAX_SIEVE_REDIRECTS)],
+            this.session.user ? ['OWNER', this.session.user.username] : false,
+            ['VERSION', '1.0']
+        ]
+            .filter(row => row)
+            .map(row => row.map(value => formatString(value)).join(' '));
+    }
+
+    canAuthenticate() {
+        return this.secured || !!this._server.options.ignoreSTARTTLS || !!this._server.options.disableSTARTTLS;
+    }
+
+    /**
+     * Checks if the session is authenticated, sends a NO response if it is not
+     *
+     * @returns {Boolean} true if authenticated
+     */
+    checkAuth() {
+        if (!this.session.user) {
+            this.send(formatResponse('NO', false, 'Authentication required'));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks that command arguments are strings, sends a NO response if these are not
+     *
+     * @param {Array} params Command arguments
+     * @param {Number} count Expected argument count
+     * @returns {Array|Boolean} List of string values or false if arguments are invalid
+     */
+    getStrings(params, count) {
+        if (params.length !== count || params.some(param => param.type !== 'string')) {
+            this.send(formatResponse('NO', false, 'Invalid arguments'));
+            return false;
+        }
+        return params.map(param => param.value);
+    }
+
+    checkName(name) {
+        // https://tools.ietf.org/html/rfc5804#section-1.6
+        if (!name || name.length > MAX_SCRIPT_NAME_LENGTH || /[\x00-\x1f\x7f-\x9f\u2028\u2029]/.test(name)) {
+            this.send(formatResponse('NO', false, 'Invalid script name'));
+            return false;
+        }
+        return true;
+    }
+
+    checkSize(size) {
+        if (size > consts.MAX_SIEVE_SCRIPT_SIZE) {
+            this.send(formatResponse('NO', 'QUOTA/MAXSIZE', `Scripts can not be larger than ${consts.MAX_SIEVE_SCRIPT_SIZE} bytes`));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Runs a script storage operation, expected errors are reported to the client with a NO response
+     *
+     * @param {Function} handler Async function to run
+     * @param {Function} next Callback to run once the operation is finished
+     */
+    runScriptAction(handler, next) {
+        handler()
+            .then(() => next())
+            .catch(err => {
+                if (!this.session) {
+                    // already closed, do nothing
+                    return;
+                }
+                if (err.code in RESPONSE_CODES) {
+                    this.send(formatResponse('NO', RESPONSE_CODES[err.code], err.message));
+                    return next();
+                }
+                next(err);
+            });
+    }
+
+    async getScriptByName(name) {
+        try {
+            return await this._server.sieveHandler.getByName(this.session.user.id, name);
+        } catch (err) {
+            if (err.code === 'ScriptNotFound') {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.4
+    command_CAPABILITY(params, next) {
+        this.send(this.getCapabilities().concat(formatResponse('OK', false, 'Capability completed')));
+        return next();
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.2
+    command_STARTTLS(params, next) {
+        if (this.secured) {
+            this.send(formatResponse('NO', false, 'TLS is already active'));
+            return next();
+        }
+
+        if (this._server.options.disableSTARTTLS || this.session.user) {
+            this.send(formatResponse('NO', false, 'Command not allowed'));
+            return next();
+        }
+
+        this.send(formatResponse('OK', false, 'Begin TLS negotiation now'));
+
+        this.upgrade(err => {
+            if (err) {
+                return this._onError(err);
+            }
+            // discard anything that was sent before the TLS handshake
+            this._buffer = Buffer.alloc(0);
+            this._setListeners();
+            this.send(this.getCapabilities().concat(formatResponse('OK', false, 'TLS negotiation successful')));
+            return next();
+        });
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.1
+    command_AUTHENTICATE(params, next) {
+        if (this.session.user) {
+            this.send(formatResponse('NO', false, 'Already authenticated'));
+            return next();
+        }
+
+        if (!this.canAuthenticate()) {
+            this.send(formatResponse('NO', 'ENCRYPT-NEEDED', 'Use STARTTLS before authenticating'));
+            return next();
+        }
+
+        if (!params.length || params.length > 2 || params.some(param => param.type !== 'string')) {
+            this.send(formatResponse('NO', false, 'Invalid arguments'));
+            return next();
+        }
+
+        let mechanism = params[0].value.toUpperCase();
+
+        let authHandler;
+        if (mechanism === 'PLAIN') {
+            authHandler = (response, next) => this.authPlain(response, next);
+        } else if (saslOAuth.MECHANISMS.includes(mechanism) && this._server.options.enableOAuth) {
+            authHandler = (response, next) => this.authOAuth(mechanism, response, next);
+        } else {
+            this.send(formatResponse('NO', false, 'Unsupported SASL mechanism'));
+            return next();
+        }
+
+        if (params.length > 1) {
+            return authHandler(params[1].value, next);
+        }
+
+        // no initial response, send an empty challenge
+        this.send('""');
+        this._nextHandler = (args, next) => {
+            if (args.length !== 1 || args[0].type !== 'string') {
+                this.send(formatResponse('NO', false, 'Invalid SASL response'));
+                return next();
+            }
+
+            if (args[0].value === '*') {
+                this.send(formatResponse('NO', false, 'Authentication aborted'));
+                return next();
+            }
+
+            authHandler(args[0].value, next);
+        };
+        return next();
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.3
+    command_LOGOUT(params, next) {
+        this.send(formatResponse('OK', false, 'Logout completed'));
+        this.close();
+        return next();
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.11
+    command_NOOP(params, next) {
+        if (params.length && params[0].type === 'string') {
+            this.send(formatResponse('OK', 'TAG ' + formatString(params[0].value), 'Done'));
+        } else {
+            this.send(formatResponse('OK', false, 'Done'));
+        }
+        return next();
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.5
+    command_HAVESPACE(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        if (params.length !== 2 || params[0].type !== 'string' || params[1].type !== 'atom' || !/^[0-9]+$/.test(params[1].value)) {
+            this.send(formatResponse('NO', false, 'Invalid arguments'));
+            return next();
+        }
+
+        let name = params[0].value;
+        if (!this.checkName(name) || !this.checkSize(Number(params[1].value))) {
+            return next();
+        }
+
+        this.runScriptAction(async () => {
+            let scripts = await this._server.sieveHandler.list(this.session.user.id);
+            if (!scripts.find(scriptData => scriptData.name === name) && scripts.length >= consts.MAX_SIEVE_SCRIPTS) {
+                this.send(formatResponse('NO', 'QUOTA/MAXSCRIPTS', `Up to ${consts.MAX_SIEVE_SCRIPTS} Sieve scripts can be stored`));
+                return;
+            }
+            this.send(formatResponse('OK', false, 'Putscript would succeed'));
+        }, next);
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.6
+    command_PUTSCRIPT(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        let args = this.getStrings(params, 2);
+        if (!args) {
+            return next();
+        }
+
+        let [name, script] = args;
+        if (!this.checkName(name) || !this.checkSize(Buffer.byteLength(script))) {
+            return next();
+        }
+
+        this.runScriptAction(async () => {
+            let user = this.session.user.id;
+            let scriptData = await this.getScriptByName(name);
+            if (scriptData) {
+                await this._server.sieveHandler.update(user, scriptData._id, { script });
+            } else {
+                await this._server.sieveHandler.create(user, { name, script });
+            }
+            this.send(formatResponse('OK', false, 'Putscript completed'));
+        }, next);
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.12
+    command_CHECKSCRIPT(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        let args = this.getStrings(params, 1);
+        if (!args || !this.checkSize(Buffer.byteLength(args[0]))) {
+            return next();
+        }
+
+        try {
+            this._server.sieveHandler.check(args[0]);
+        } catch (err) {
+            this.send(formatResponse('NO', false, err.message));
+            return next();
+        }
+
+        this.send(formatResponse('OK', false, 'Script is valid'));
+        return next();
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.7
+    command_LISTSCRIPTS(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        this.runScriptAction(async () => {
+            let scripts = await this._server.sieveHandler.list(this.session.user.id);
+            this.send(
+                scripts
+                    .map(scriptData => formatString(scriptData.name) + (scriptData.active ? ' ACTIVE' : ''))
+                    .concat(formatResponse('OK', false, 'Listscripts completed'))
+            );
+        }, next);
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.8
+    command_SETACTIVE(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        let args = this.getStrings(params, 1);
+        if (!args) {
+            return next();
+        }
+
+        let name = args[0];
+
+        this.runScriptAction(async () => {
+            let user = this.session.user.id;
+            if (!name) {
+                // empty name deactivates the active script
+                await this._server.sieveHandler.activate(user, false);
+            } else {
+                let scriptData = await this._server.sieveHandler.getByName(user, name);
+                await this._server.sieveHandler.activate(user, scriptData._id);
+            }
+            this.send(formatResponse('OK', false, 'Setactive completed'));
+        }, next);
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.9
+    command_GETSCRIPT(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        let args = this.getStrings(params, 1);
+        if (!args) {
+            return next();
+        }
+
+        this.runScriptAction(async () => {
+            let scriptData = await this._server.sieveHandler.getByName(this.session.user.id, args[0]);
+            let script = scriptData.script || '';
+            this.send([`{${Buffer.byteLength(script)}}\r\n${script}`, formatResponse('OK', false, 'Getscript completed')]);
+        }, next);
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.10
+    command_DELETESCRIPT(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        let args = this.getStrings(params, 1);
+        if (!args) {
+            return next();
+        }
+
+        this.runScriptAction(async () => {
+            let user = this.session.user.id;
+            let scriptData = await this._server.sieveHandler.getByName(user, args[0]);
+            if (scriptData.active) {
+                this.send(formatResponse('NO', 'ACTIVE', 'You may not delete an active script'));
+                return;
+            }
+            await this._server.sieveHandler.delete(user, scriptData._id);
+            this.send(formatResponse('OK', false, 'Deletescript completed'));
+        }, next);
+    }
+
+    // https://tools.ietf.org/html/rfc5804#section-2.11.1
+    command_RENAMESCRIPT(params, next) {
+        if (!this.checkAuth()) {
+            return next();
+        }
+
+        let args = this.getStrings(params, 2);
+        if (!args) {
+            return next();
+        }
+
+        let [oldName, newName] = args;
+        if (!this.checkName(newName)) {
+            return next();
+        }
+
+        this.runScriptAction(async () => {
+            let user = this.session.user.id;
+            let scriptData = await this._server.sieveHandler.getByName(user, oldName);
+            await this._server.sieveHandler.update(user, scriptData._id, { name: newName });
+            this.send(formatResponse('OK', false, 'Renamescript completed'));
+        }, next);
+    }
+
+    authPlain(plain, next) {
+        if (!/^(?:[a-zA-Z0-9+/]{4})*(?:(?:[a-zA-Z0-9+/]{3}=)|(?:[a-zA-Z0-9+/]{2}==))?$/.test(plain)) {
+            this.send(formatResponse('NO', false, 'Invalid SASL response'));
+            return next();
+        }
+
+        let credentials = Buffer.from(plain, 'base64').toString().split('\x00');
+        if (credentials.length !== 3) {
+            this.send(formatResponse('NO', false, 'Invalid SASL response'));
+            return next();
+        }
+
+        this.authenticate(
+            {
+                method: 'PLAIN',
+                username: credentials[1] || credentials[0] || '',
+                password: credentials[2] || ''
+            },
+            next
+        );
+    }
+
+    authOAuth(mechanism, token, next) {
+        let data = saslOAuth.parse(mechanism, token);
+        if (!data) {
+            this.send(formatResponse('NO', false, 'Invalid SASL response'));
+            return next();
+        }
+
+        this.authenticate(
+            {
+                method: mechanism,
+                username: data.username,
+                accessToken: data.accessToken
+            },
+            next
+        );
+    }
+
+    authenticate(auth, next) {
+        let username = auth.username;
+        let method = auth.method;
+
+        this._server.onAuth(auth, this.session, (err, response) => {
+            if (!this.session) {
+                // already closed, do nothing
+                return;
+            }
+
+            if (err) {
+                this.logger.info(
+                    {
+                        err,
+                        tnx: 'autherror',
+                        cid: this.id,
+                        method,
+                        user: username
+                    },
+                    'Authentication error for %s using %s. %s',
+                    username,
+                    method,
+                    err.message
+                );
+
+                if (err.response === 'NO') {
+                    this.send(formatResponse('NO', false, err.message));
+                    return next();
+                }
+
+                return next(err);
+            }
+
+            if (!response || !response.user) {
+                this.logger.info(
+                    {
+                        tnx: 'authfail',
+                        cid: this.id,
+                        method,
+                        user: username
+                    },
+                    'Authentication failed for %s using %s',
+                    username,
+                    method
+                );
+                this.send(formatResponse('NO', false, (response && response.message) || 'Username and password not accepted'));
+                return next();
+            }
+
+            this.logger.info(
+                {
+                    tnx: 'auth',
+                    cid: this.id,
+                    method,
+                    user: username
+                },
+                '%s authenticated using %s',
+                username,
+                method
+            );
+
+            this.session.user = response.user;
+            this.send(formatResponse('OK', false, 'Authentication successful'));
+            next();
+        });
+    }
+
+    upgrade(callback) {
+        this._socket.removeAllListeners();
+        this._upgrading = true;
+        this._server._upgrade(this._socket, (err, socket) => {
+            this._upgrading = false;
+            if (err) {
+                return callback(err);
+            }
+            this.secured = true;
+            this._socket = socket;
+
+            let cipher = socket.getCipher();
+            this._server.logger.info(
+                {
+                    tnx: 'starttls',
+                    cid: this.id,
+                    user: this?.session?.user?.username,
+                    cipher: cipher && cipher.name
+                },
+                '[%s] Connection upgraded to TLS using %s',
+                this.id,
+                (cipher && cipher.name) || 'N/A'
+            );
+            callback();
+        });
+    }
+}
+
+module.exports = ManageSieveConnection;
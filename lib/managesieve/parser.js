@@ -0,0 +1,188 @@
+/* eslint no-control-regex: 0 */
+'use strict';
+
+// Command parser and response formatting for ManageSieve (RFC5804). Arguments are either atoms,
+// quoted strings or literals. Literals can contain line breaks, so commands are parsed from a
+// raw buffer instead of splitting input into lines
+
+const MAX_LINE_LENGTH = 8 * 1024;
+
+/**
+ * Tries to parse a single command from the beginning of the buffer
+ *
+ * @param {Buffer} buffer Input buffer
+ * @param {Object} [options]
+ * @param {Number} [options.maxLiteralSize] Max allowed literal size
+ * @returns {Object|Boolean} Parsed command {args, length} or false if more data is needed. If a literal is too large,
+ *                           then returns {tooLarge: true, skip} where skip is the number of bytes to discard
+ */
+function parseCommand(buffer, options) {
+    options = options || {};
+
+    let len = buffer.length;
+    let pos = 0;
+    let args = [];
+
+    let nonLiteralBytes = 0;
+
+    while (pos < len) {
+        let c = buffer[pos];
+
+        if (c === 0x20) {
+            pos++;
+            nonLiteralBytes++;
+            continue;
+        }
+
+        if (c === 0x0a || (c === 0x0d && buffer[pos + 1] === 0x0a)) {
+            pos += c === 0x0d ? 2 : 1;
+            return { args, length: pos };
+        }
+
+        if (c === 0x0d) {
+            if (pos + 1 >= len) {
+                // wait for the line feed
+                return false;
+            }
+            throw createError('Unexpected CR');
+        }
+
+        if (c === 0x22) {
+            // quoted string
+            let value = [];
+            let i = pos + 1;
+            let closed = false;
+            for (; i < len; i++) {
+                let chr = buffer[i];
+                if (chr === 0x22) {
+                    closed = true;
+                    break;
+                }
+                if (chr === 0x0d || chr === 0x0a) {
+                    throw createError('Unexpected line break in quoted string');
+                }
+                if (chr === 0x5c) {
+                    i++;
+                    if (i >= len) {
+                        break;
+                    }
+                    chr = buffer[i];
+                    if (chr !== 0x22 && chr !== 0x5c) {
+                        throw createError('Invalid escape sequence in quoted string');
+                    }
+                }
+                value.push(chr);
+            }
+            if (!closed) {
+                return checkLineLength(len - pos + nonLiteralBytes);
+            }
+            args.push({ type: 'string', value: Buffer.from(value).toString() });
+            nonLiteralBytes += i + 1 - pos;
+            pos = i + 1;
+            continue;
+        }
+
+        if (c === 0x7b) {
+            // literal, {123+} or {123}
+            let end = buffer.indexOf(0x7d, pos);
+            if (end < 0) {
+                return checkLineLength(len - pos + nonLiteralBytes);
+            }
+            let match = buffer
+                .slice(pos + 1, end)
+                .toString()
+                .match(/^([0-9]+)\+?$/);
+            if (!match) {
+                throw createError('Invalid literal');
+            }
+            let size = Number(match[1]);
+
+            let dataStart = end + 1;
+            if (buffer[dataStart] === 0x0d) {
+                dataStart++;
+            }
+            if (dataStart >= len) {
+                return false;
+            }
+            if (buffer[dataStart] !== 0x0a) {
+                throw createError('Expected line break after literal');
+            }
+            dataStart++;
+
+            if (options.maxLiteralSize && size > options.maxLiteralSize) {
+                return { tooLarge: true, skip: dataStart + size };
+            }
+
+            if (dataStart + size > len) {
+                return false;
+            }
+
+            args.push({ type: 'string', value: buffer.slice(dataStart, dataStart + size).toString() });
+            nonLiteralBytes += dataStart - pos;
+            pos = dataStart + size;
+            continue;
+        }
+
+        // atom
+        let i = pos;
+        while (i < len && ![0x20, 0x0d, 0x0a, 0x22, 0x7b].includes(buffer[i])) {
+            i++;
+        }
+        if (i >= len) {
+            return checkLineLength(len - pos + nonLiteralBytes);
+        }
+        args.push({ type: 'atom', value: buffer.slice(pos, i).toString() });
+        nonLiteralBytes += i - pos;
+        pos = i;
+    }
+
+    return checkLineLength(nonLiteralBytes);
+}
+
+/**
+ * Formats a string for a response. Strings that can not be quoted are sent as literals
+ *
+ * @param {String} value String value
+ * @returns {String} Quoted string or a literal
+ */
+function formatString(value) {
+    value = (value || '').toString();
+    if (/[\r\n\x00]/.test(value) || Buffer.byteLength(value) > 1024) {
+        return `{${Buffer.byteLength(value)}}\r\n${value}`;
+    }
+    return '"' + value.replace(/(["\\])/g, '\\$1') + '"';
+}
+
+/**
+ * Formats a response line, eg. NO (QUOTA/MAXSIZE) "Script is too large"
+ *
+ * @param {String} status One of OK, NO or BYE
+ * @param {String} [code] Response code
+ * @param {String} [message] Human readable message
+ * @returns {String} Response line
+ */
+function formatResponse(status, code, message) {
+    let response = [status];
+    if (code) {
+        response.push(`(${code})`);
+    }
+    if (message) {
+        response.push(formatString(message));
+    }
+    return response.join(' ');
+}
+
+function checkLineLength(length) {
+    if (length > MAX_LINE_LENGTH) {
+        throw createError('Command line too long');
+    }
+    return false;
+}
+
+function createError(message) {
+    let err = new Error(message);
+    err.code = 'ParseError';
+    return err;
+}
+
+module.exports = { parseCommand, formatString, formatResponse };
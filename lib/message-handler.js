@@ -17,11 +17,15 @@ const log = require('npmlog');
 const packageData = require('../package.json');
 const { SettingsHandler } = require('./settings-handler');
 const { htmlToText } = require('html-to-text');
+const { publish, getMatchingTypes, MESSAGE_NEW, MESSAGE_DELETED, MESSAGE_MOVED, FLAGS_CHANGED } = require('./events');
 
 // index only the following headers for SEARCH
 const INDEXED_HEADERS = ['to', 'cc', 'subject', 'from', 'sender', 'reply-to', 'message-id', 'thread-index', 'list-id', 'delivered-to'];
 const DISALLOWED_HEADERS_FOR_ADDRESS_REGISTER = ['list-id', 'auto-submitted', 'x-auto-response-suppress'];
 
+// how long to cache the result of checking if there are any webhooks for message events
+const WEBHOOK_CHECK_CACHE_TTL = 10 * 1000;
+
 openpgp.config.commentstring = 'Plaintext message encrypted by WildDuck Mail Server';
 openpgp.config.versionString = `WildDuck v${packageData.version}`;
 
@@ -63,6 +67,73 @@ class MessageHandler {
         });
 
         this.settingsHandler = new SettingsHandler({ db: this.database });
+
+        this.webhookChecks = new Map();
+    }
+
+    /**
+     * Publishes a message event for webhooks. Message events are high volume, so these are only
+     * queued if there is an active webhook for the event type
+     *
+     * @param {String} ev Event type
+     * @param {Object} messageData Message entry
+     * @param {Object} mailboxData Mailbox entry the message is stored in
+     * @param {Object} [extra] Additional event properties
+     */
+    async publishMessageEvent(ev, messageData, mailboxData, extra) {
+        try {
+            if (!(await this.hasWebhooks(ev, mailboxData.user))) {
+                return false;
+            }
+
+            let parsedHeader = (messageData.mimeTree && messageData.mimeTree.parsedHeader) || {};
+            let from = [].concat(parsedHeader.from || parsedHeader.sender || [])[0];
+            if (from) {
+                from = { name: from.name || '', address: from.address || '' };
+                tools.decodeAddresses([from]);
+            }
+
+            return await publish(
+                this.redis,
+                Object.assign(
+                    {
+                        ev,
+                        user: mailboxData.user,
+                        mailbox: mailboxData._id,
+                        specialUse: getEventSpecialUse(mailboxData),
+                        message: messageData._id,
+                        uid: messageData.uid,
+                        flags: messageData.flags,
+                        subject: messageData.subject,
+                        from: from || null,
+                        size: messageData.size
+                    },
+                    extra || {}
+                )
+            );
+        } catch (err) {
+            log.error('Events', 'Failed to publish %s for %s. error=%s', ev, messageData._id, err.message);
+            return false;
+        }
+    }
+
+    async hasWebhooks(ev, user) {
+        let key = `${ev}:${user}`;
+        let cached = this.webhookChecks.get(key);
+        if (cached && cached.expires > Date.now()) {
+            return cached.value;
+        }
+
+        let webhookData = await this.users
+            .collection('webhooks')
+            .findOne({ type: { $in: getMatchingTypes(ev) }, user: { $in: [user, null] }, disabled: { $ne: true } }, { projection: { _id: true } });
+
+        if (this.webhookChecks.size > 10000) {
+            this.webhookChecks.clear();
+        }
+        this.webhookChecks.set(key, { value: !!webhookData, expires: Date.now() + WEBHOOK_CHECK_CACHE_TTL });
+
+        return !!webhookData;
     }
 
     async getMailboxAsync(options) {
@@ -620,6 +691,8 @@ class MessageHandler {
                             // added Entries
                             this.notifier.fire(mailboxData.user);
 
+                            this.publishMessageEvent(MESSAGE_NEW, messageData, mailboxData);
+
                             let raw = options.rawchunks || options.raw;
                             let processAudits = async () => {
                                 let audits = await this.database
@@ -899,6 +972,8 @@ class MessageHandler {
             this.notifier.fire(mailboxData.user);
         }
 
+        this.publishMessageEvent(MESSAGE_DELETED, messageData, mailboxData);
+
         return true;
     }
 
@@ -1852,7 +1927,11 @@ class MessageHandler {
                                     _id: true,
                                     uid: true,
                                     thread: true,
-                                    flags: true
+                                    flags: true,
+                                    subject: true,
+                                    size: true,
+                                    'mimeTree.parsedHeader.from': true,
+                                    'mimeTree.parsedHeader.sender': true
                                 },
                                 returnDocument: 'after'
                             },
@@ -1877,6 +1956,10 @@ class MessageHandler {
                                     unseenChange: 'seen' in changes
                                 });
 
+                                if (addFlags.length || removeFlags.length) {
+                                    this.publishMessageEvent(FLAGS_CHANGED, messageData, mailboxData);
+                                }
+
                                 if (notifyEntries.length >= bulk_batch_size) {
                                     return this.notifier.addEntries(mailboxData, notifyEntries, () => {
                                         notifyEntries = [];
@@ -2192,6 +2275,13 @@ class MessageHandler {
             if (options.showExpunged) {
                 options.session.writeStream.write(options.session.formatResponse('EXPUNGE', messageUid));
             }
+
+            this.publishMessageEvent(MESSAGE_MOVED, message, targetData, {
+                sourceMailbox: mailboxData._id.toString(),
+                sourceSpecialUse: getEventSpecialUse(mailboxData),
+                sourceMessage: messageId.toString(),
+                sourceUid: messageUid
+            });
         }
 
         let entry = {
@@ -2225,4 +2315,12 @@ class MessageHandler {
     }
 }
 
+// special use flag of a mailbox for webhook events, INBOX does not have a flag so its path is used instead
+function getEventSpecialUse(mailboxData) {
+    if (mailboxData.path === 'INBOX') {
+        return 'INBOX';
+    }
+    return mailboxData.specialUse || null;
+}
+
 module.exports = MessageHandler;
@@ -0,0 +1,328 @@
+'use strict';
+
+const { SettingsHandler } = require('./settings-handler');
+const consts = require('./consts');
+
+/**
+ * Stores IMAP METADATA (RFC5464) entries. Entries are either server entries (mailbox is null) or
+ * mailbox entries. Stored values count towards the storage quota of the user.
+ */
+class MetadataHandler {
+    constructor(options) {
+        this.database = options.database;
+        this.users = options.users || options.database;
+
+        this.loggelf = options.loggelf || (() => false);
+
+        this.settingsHandler = options.settingsHandler || new SettingsHandler({ db: this.database });
+    }
+
+    /**
+     * Fetches requested entries
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId|null} mailbox Mailbox ID or null for server entries
+     * @param {Array} entries List of entry names
+     * @param {Object} [options]
+     * @param {Number|String} [options.depth=0] Either 0, 1 or "infinity"
+     * @param {Number} [options.maxSize] Values larger than this are not returned
+     * @returns {Object} {entries: [{key, value}], longEntries} where value is null for missing entries
+     */
+    async get(user, mailbox, entries, options) {
+        options = options || {};
+
+        let keys = [].concat(entries || []).map(normalizeEntryName);
+        let depth = (options.depth || 0).toString().toLowerCase();
+
+        let $or = [];
+        keys.forEach(key => {
+            $or.push({ key });
+            if (depth === '1') {
+                $or.push({ key: new RegExp('^' + escapeRegExp(key) + '/[^/]+$') });
+            } else if (depth === 'infinity') {
+                $or.push({ key: new RegExp('^' + escapeRegExp(key) + '/') });
+            }
+        });
+
+        if (!$or.length) {
+            return { entries: [], longEntries: 0 };
+        }
+
+        let list = await this.database
+            .collection('metadata')
+            .find({ user, mailbox: mailbox || null, $or })
+            .sort({ key: 1 })
+            .maxTimeMS(consts.DB_MAX_TIME_MAILBOXES)
+            .toArray();
+
+        let result = [];
+        let longEntries = 0;
+        let found = new Set();
+
+        list.forEach(entry => {
+            found.add(entry.key);
+            if (options.maxSize && entry.size > options.maxSize) {
+                longEntries = Math.max(longEntries, entry.size);
+                return;
+            }
+            result.push({ key: entry.key, value: entry.value });
+        });
+
+        keys.forEach(key => {
+            if (!found.has(key)) {
+                // requested entry does not exist
+                result.push({ key, value: null });
+            }
+        });
+
+        return { entries: result, longEntries };
+    }
+
+    /**
+     * Lists all entries for a mailbox or for the server
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId|null} mailbox Mailbox ID or null for server entries
+     * @returns {Array} List of entries
+     */
+    async list(user, mailbox) {
+        let list = await this.database
+            .collection('metadata')
+            .find({ user, mailbox: mailbox || null })
+            .sort({ key: 1 })
+            .maxTimeMS(consts.DB_MAX_TIME_MAILBOXES)
+            .toArray();
+
+        return list.map(entry => ({
+            key: entry.key,
+            value: entry.value,
+            size: entry.size,
+            updated: entry.updated
+        }));
+    }
+
+    /**
+     * Sets or removes entries. Entries with a null value are removed
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId|null} mailbox Mailbox ID or null for server entries
+     * @param {Array} entries List of entries {key, value}
+     * @returns {Object} {updated, deleted, storageUsed} where storageUsed is the change in used storage
+     */
+    async set(user, mailbox, entries) {
+        mailbox = mailbox || null;
+
+        let changes = new Map();
+        [].concat(entries || []).forEach(entry => {
+            let key = normalizeEntryName(entry.key);
+            let value = entry.value === null || typeof entry.value === 'undefined' ? null : entry.value.toString();
+            let size = value === null ? 0 : Buffer.byteLength(value);
+
+            if (size > consts.MAX_METADATA_SIZE) {
+                let err = new Error('Metadata value is too large');
+                err.responseCode = 400;
+                err.code = 'MetadataTooLarge';
+                err.maxSize = consts.MAX_METADATA_SIZE;
+                throw err;
+            }
+
+            // last value wins if the same key is listed multiple times
+            changes.set(key, { key, value, size });
+        });
+
+        if (!changes.size) {
+            return { updated: 0, deleted: 0, storageUsed: 0 };
+        }
+
+        let existing = await this.database
+            .collection('metadata')
+            .find({ user, mailbox, key: { $in: Array.from(changes.keys()) } })
+            .project({ key: true, size: true })
+            .maxTimeMS(consts.DB_MAX_TIME_MAILBOXES)
+            .toArray();
+
+        let existingSizes = new Map(existing.map(entry => [entry.key, entry.size || 0]));
+
+        let sizeDiff = 0;
+        let added = 0;
+        let operations = [];
+        let updated = 0;
+        let deleted = 0;
+
+        for (let change of changes.values()) {
+            let exists = existingSizes.has(change.key);
+
+            if (change.value === null) {
+                if (exists) {
+                    sizeDiff -= existingSizes.get(change.key);
+                    deleted++;
+                    operations.push({ deleteOne: { filter: { user, mailbox, key: change.key } } });
+                }
+                continue;
+            }
+
+            if (!exists) {
+                added++;
+            }
+            sizeDiff += change.size - (existingSizes.get(change.key) || 0);
+            updated++;
+
+            operations.push({
+                updateOne: {
+                    filter: { user, mailbox, key: change.key },
+                    update: {
+                        $set: {
+                            value: change.value,
+                            size: change.size,
+                            updated: new Date()
+                        },
+                        $setOnInsert: {
+                            created: new Date()
+                        }
+                    },
+                    upsert: true
+                }
+            });
+        }
+
+        if (!operations.length) {
+            return { updated, deleted, storageUsed: 0 };
+        }
+
+        if (added) {
+            let count = await this.database.collection('metadata').countDocuments({ user }, { maxTimeMS: consts.DB_MAX_TIME_MAILBOXES });
+            if (count + added > consts.MAX_METADATA_ENTRIES) {
+                let err = new Error('Too many metadata entries');
+                err.responseCode = 400;
+                err.code = 'MetadataTooMany';
+                throw err;
+            }
+        }
+
+        if (sizeDiff > 0) {
+            await this.checkQuota(user, sizeDiff);
+        }
+
+        await this.database.collection('metadata').bulkWrite(operations, { ordered: false });
+
+        if (sizeDiff) {
+            await this.users.collection('users').updateOne({ _id: user }, { $inc: { storageUsed: sizeDiff } });
+        }
+
+        return { updated, deleted, storageUsed: sizeDiff };
+    }
+
+    /**
+     * Removes all entries of a mailbox, used when a mailbox is deleted
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId} mailbox Mailbox ID
+     * @returns {Number} Count of deleted entries
+     */
+    async deleteMailbox(user, mailbox) {
+        let usage = await this.getUsage(user, mailbox);
+        if (!usage.count) {
+            return 0;
+        }
+
+        let r = await this.database.collection('metadata').deleteMany({ user, mailbox });
+
+        if (usage.size) {
+            await this.users.collection('users').updateOne({ _id: user }, { $inc: { storageUsed: -usage.size } });
+        }
+
+        return r.deletedCount;
+    }
+
+    /**
+     * Calculates storage used by metadata entries
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId} [mailbox] If set, then only counts entries for this mailbox
+     * @returns {Object} {count, size}
+     */
+    async getUsage(user, mailbox) {
+        let match = { user };
+        if (mailbox) {
+            match.mailbox = mailbox;
+        }
+
+        let result = await this.database
+            .collection('metadata')
+            .aggregate([
+                {
+                    $match: match
+                },
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        size: { $sum: '$size' }
+                    }
+                }
+            ])
+            .toArray();
+
+        return {
+            count: (result && result[0] && result[0].count) || 0,
+            size: (result && result[0] && result[0].size) || 0
+        };
+    }
+
+    async checkQuota(user, size) {
+        let userData = await this.users.collection('users').findOne(
+            { _id: user },
+            {
+                projection: { quota: true, storageUsed: true },
+                maxTimeMS: consts.DB_MAX_TIME_USERS
+            }
+        );
+
+        if (!userData) {
+            let err = new Error('This user does not exist');
+            err.responseCode = 404;
+            err.code = 'UserNotFound';
+            throw err;
+        }
+
+        let quota = userData.quota || (await this.settingsHandler.get('const:max:storage'));
+        if (quota && (Number(userData.storageUsed) || 0) + size > quota) {
+            let err = new Error('Storage quota exceeded');
+            err.responseCode = 403;
+            err.code = 'OverQuota';
+            throw err;
+        }
+    }
+}
+
+/**
+ * Validates and normalizes entry name (RFC5464 3.2). Entry names are case-insensitive
+ *
+ * @param {String} name Entry name, eg. "/private/comment"
+ * @returns {String} Normalized entry name
+ */
+function normalizeEntryName(name) {
+    name = (name || '').toString().toLowerCase();
+
+    if (
+        !/^\/(private|shared)\/[^/]/.test(name) ||
+        /\/\/|\/$|[*%]/.test(name) ||
+        // printable ASCII only
+        /[^\x21-\x7e]/.test(name) ||
+        name.length > consts.MAX_METADATA_NAME_LENGTH
+    ) {
+        let err = new Error('Invalid metadata entry name');
+        err.responseCode = 400;
+        err.code = 'InvalidEntryName';
+        throw err;
+    }
+
+    return name;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = MetadataHandler;
+module.exports.normalizeEntryName = normalizeEntryName;
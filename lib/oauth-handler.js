@@ -0,0 +1,365 @@
+'use strict';
+
+const config = require('wild-config');
+const crypto = require('crypto');
+const axios = require('axios');
+const tools = require('./tools');
+
+const JWT_ALGORITHMS = new Map([
+    ['RS256', { hash: 'sha256' }],
+    ['RS384', { hash: 'sha384' }],
+    ['RS512', { hash: 'sha512' }],
+    ['PS256', { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }],
+    ['PS384', { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 }],
+    ['PS512', { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 }],
+    ['ES256', { hash: 'sha256', dsaEncoding: 'ieee-p1363' }],
+    ['ES384', { hash: 'sha384', dsaEncoding: 'ieee-p1363' }],
+    ['ES512', { hash: 'sha512', dsaEncoding: 'ieee-p1363' }]
+]);
+
+// allowed clock skew in seconds when checking token expiration
+const CLOCK_TOLERANCE = 30;
+
+// do not refetch JWKS for unknown key IDs more often than this (ms)
+const JWKS_MIN_REFRESH = 30 * 1000;
+
+/**
+ * Validates OAuth 2.0 bearer tokens either as signed JWTs against a JWKS endpoint
+ * or by using a token introspection (RFC7662) endpoint, and maps tokens to users
+ */
+class OAuthHandler {
+    constructor(options) {
+        options = options || {};
+
+        this.userHandler = options.userHandler;
+        this.options = options.config || config.oauth || {};
+        this.loggelf = options.loggelf || (() => false);
+
+        this.jwks = {
+            keys: new Map(),
+            fetched: 0
+        };
+    }
+
+    get enabled() {
+        return !!this.options.enabled;
+    }
+
+    /**
+     * Validates an access token
+     *
+     * @param {String} accessToken Bearer token
+     * @returns {Object} Token claims
+     */
+    async verifyToken(accessToken) {
+        if (!this.enabled) {
+            throw invalidToken('OAuth2 authentication is not enabled');
+        }
+
+        accessToken = (accessToken || '').toString().trim();
+        if (!accessToken) {
+            throw invalidToken('Missing access token');
+        }
+
+        let claims;
+        if (this.options.jwksUrl && isJWT(accessToken)) {
+            claims = await this.verifyJWT(accessToken);
+        } else if (this.options.introspectionUrl) {
+            claims = await this.introspect(accessToken);
+        } else {
+            throw invalidToken('Unsupported access token');
+        }
+
+        this.checkClaims(claims);
+
+        return claims;
+    }
+
+    async verifyJWT(accessToken) {
+        let [encodedHeader, encodedPayload, encodedSignature] = accessToken.split('.');
+
+        let header;
+        let claims;
+        try {
+            header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+            claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+        } catch (err) {
+            throw invalidToken('Failed to parse access token');
+        }
+
+        let algorithm = JWT_ALGORITHMS.get(header.alg);
+        if (!algorithm) {
+            throw invalidToken('Unsupported token signing algorithm');
+        }
+
+        let key = await this.getKey(header.kid);
+        if (!key) {
+            throw invalidToken('Unknown token signing key');
+        }
+
+        let verifyKey = { key };
+        ['padding', 'saltLength', 'dsaEncoding'].forEach(prop => {
+            if (algorithm[prop]) {
+                verifyKey[prop] = algorithm[prop];
+            }
+        });
+
+        let valid;
+        try {
+            valid = crypto.verify(algorithm.hash, Buffer.from(encodedHeader + '.' + encodedPayload), verifyKey, Buffer.from(encodedSignature, 'base64url'));
+        } catch (err) {
+            valid = false;
+        }
+
+        if (!valid) {
+            throw invalidToken('Invalid token signature');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Finds a public key from the JWKS endpoint
+     *
+     * @param {String} [kid] Key ID from the token header
+     * @returns {KeyObject|Boolean} Public key or false if not found
+     */
+    async getKey(kid) {
+        let cacheTime = (Number(this.options.jwksCacheTime) || 3600) * 1000;
+
+        let findKey = () => {
+            if (kid) {
+                return this.jwks.keys.get(kid) || false;
+            }
+            // no key ID set, only usable if there is a single key
+            return this.jwks.keys.size === 1 ? Array.from(this.jwks.keys.values())[0] : false;
+        };
+
+        let key = this.jwks.fetched > Date.now() - cacheTime ? findKey() : false;
+        if (key || this.jwks.fetched > Date.now() - JWKS_MIN_REFRESH) {
+            return key;
+        }
+
+        let res = await axios.get(this.options.jwksUrl, {
+            timeout: 10 * 1000,
+            headers: {
+                Accept: 'application/json'
+            }
+        });
+
+        let keys = new Map();
+        [].concat((res.data && res.data.keys) || []).forEach((jwk, i) => {
+            if (!jwk || (jwk.use && jwk.use !== 'sig')) {
+                return;
+            }
+            try {
+                keys.set(jwk.kid || `key-${i}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch (err) {
+                this.loggelf({
+                    short_message: '[OAUTH] Failed to load JWKS key',
+                    _error: err.message,
+                    _kid: jwk.kid,
+                    _url: this.options.jwksUrl
+                });
+            }
+        });
+
+        this.jwks = {
+            keys,
+            fetched: Date.now()
+        };
+
+        return findKey();
+    }
+
+    /**
+     * Validates an opaque token using the introspection endpoint
+     *
+     * @param {String} accessToken Bearer token
+     * @returns {Object} Token claims
+     */
+    async introspect(accessToken) {
+        let requestOptions = {
+            timeout: 10 * 1000,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Accept: 'application/json'
+            },
+            validateStatus: status => status < 500
+        };
+
+        if (this.options.clientId) {
+            requestOptions.auth = {
+                username: this.options.clientId,
+                password: this.options.clientSecret || ''
+            };
+        }
+
+        let res = await axios.post(
+            this.options.introspectionUrl,
+            new URLSearchParams({ token: accessToken, token_type_hint: 'access_token' }).toString(),
+            requestOptions
+        );
+
+        if (res.status !== 200 || !res.data || res.data.active !== true) {
+            throw invalidToken('Inactive access token');
+        }
+
+        return res.data;
+    }
+
+    checkClaims(claims) {
+        if (!claims || typeof claims !== 'object') {
+            throw invalidToken('Invalid token claims');
+        }
+
+        let now = Math.floor(Date.now() / 1000);
+
+        // tokens without an expiration time would be valid forever
+        if (typeof claims.exp !== 'number') {
+            throw invalidToken('Access token does not expire');
+        }
+
+        if (claims.exp < now - CLOCK_TOLERANCE) {
+            throw invalidToken('Access token has expired');
+        }
+
+        if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_TOLERANCE) {
+            throw invalidToken('Access token is not yet valid');
+        }
+
+        if (this.options.issuer && claims.iss !== this.options.issuer) {
+            throw invalidToken('Unexpected token issuer');
+        }
+
+        if (this.options.audience && ![].concat(claims.aud || []).includes(this.options.audience)) {
+            throw invalidToken('Unexpected token audience');
+        }
+
+        if (this.options.scope) {
+            let scopes = Array.isArray(claims.scp) ? claims.scp : (claims.scope || claims.scp || '').toString().split(/\s+/);
+            if (!scopes.includes(this.options.scope)) {
+                throw invalidToken('Required scope is missing from access token');
+            }
+        }
+    }
+
+    /**
+     * Returns the value of the claim that identifies the user
+     *
+     * @param {Object} claims Token claims
+     * @returns {String|Boolean} Username, email address or user ID
+     */
+    getUserIdentifier(claims) {
+        let value = (this.options.userClaim || 'email')
+            .split('.')
+            .reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+
+        return typeof value === 'string' && value.trim() ? value.trim() : false;
+    }
+
+    /**
+     * Authenticates a user with an access token
+     *
+     * @param {String} accessToken Bearer token
+     * @param {Object} [options]
+     * @param {String} [options.username] Authorization identity provided by the client, must match the token user
+     * @param {String} [options.scope] Required authentication scope (eg. "imap")
+     * @param {Object} [options.meta] Authentication metadata for logging
+     * @returns {Array} [authResponse, userId] similar to UserHandler#asyncAuthenticate
+     */
+    async authenticate(accessToken, options) {
+        options = options || {};
+        let meta = options.meta || {};
+        let scope = options.scope || 'master';
+
+        let claims;
+        try {
+            claims = await this.verifyToken(accessToken);
+        } catch (err) {
+            this.loggelf({
+                short_message: '[AUTHFAIL] ' + (options.username || 'oauth2'),
+                _error: err.message,
+                _code: err.code,
+                _auth_result: 'fail',
+                _username: options.username,
+                _scope: scope,
+                _ip: meta.ip,
+                _sess: meta.sess
+            });
+
+            try {
+                // count invalid tokens as failed authentication attempts
+                await this.userHandler.rateLimitIP(meta, 1);
+            } catch (E) {
+                // ignore
+            }
+
+            if (err.code === 'InvalidToken') {
+                return [false, false];
+            }
+            throw err;
+        }
+
+        let identifier = this.getUserIdentifier(claims);
+        if (!identifier) {
+            this.loggelf({
+                short_message: '[AUTHFAIL] ' + (options.username || 'oauth2'),
+                _error: 'Missing user claim',
+                _auth_result: 'fail',
+                _claim: this.options.userClaim || 'email',
+                _scope: scope,
+                _ip: meta.ip,
+                _sess: meta.sess
+            });
+            return [false, false];
+        }
+
+        if (tools.isId(identifier)) {
+            let userData = await this.userHandler.asyncGet(identifier, { username: true });
+            if (!userData) {
+                return [false, false];
+            }
+            identifier = userData.username;
+        }
+
+        meta.method = 'oauth2';
+        let [authResponse, user] = await this.userHandler.asyncAuthenticate(identifier, false, scope, meta, false);
+
+        if (!authResponse || !options.username) {
+            return [authResponse, user];
+        }
+
+        // authorization identity must match the user the token was issued for
+        let userData = await this.userHandler.asyncGet(options.username);
+        if (!userData || userData._id.toString() !== authResponse.user.toString()) {
+            this.loggelf({
+                short_message: '[AUTHFAIL] ' + options.username,
+                _error: 'Token was issued for another user',
+                _auth_result: 'fail',
+                _username: options.username,
+                _user: authResponse.user,
+                _scope: scope,
+                _ip: meta.ip,
+                _sess: meta.sess
+            });
+            return [false, user];
+        }
+
+        return [authResponse, user];
+    }
+}
+
+function isJWT(accessToken) {
+    return /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(accessToken);
+}
+
+function invalidToken(message) {
+    let err = new Error(message);
+    err.responseCode = 401;
+    err.code = 'InvalidToken';
+    return err;
+}
+
+module.exports = OAuthHandler;
+module.exports.isJWT = isJWT;
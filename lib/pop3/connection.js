@@ -6,6 +6,7 @@ const base32 = require('base32.js');
 const packageData = require('../../package.json');
 const DataStream = require('nodemailer/lib/smtp-connection/data-stream');
 const os = require('os');
+const saslOAuth = require('../../imap-core/lib/sasl-oauth');
 
 const SOCKET_TIMEOUT = 60 * 1000;
 
@@ -335,7 +336,9 @@ class POP3Connection extends EventEmitter {
             (this.secured || this._server.options.ignoreSTARTTLS) && !this?.session?.user ? 'USER' : false,
             'RESP-CODES',
             // https://tools.ietf.org/html/rfc5034#section-6
-            (this.secured || this._server.options.ignoreSTARTTLS) && !this?.session?.user ? 'SASL PLAIN' : false,
+            (this.secured || this._server.options.ignoreSTARTTLS) && !this?.session?.user
+                ? ['SASL', 'PLAIN'].concat(this._server.options.enableOAuth ? saslOAuth.MECHANISMS : []).join(' ')
+                : false,
             // https://tools.ietf.org/html/rfc2449#section-6.6
             'PIPELINING',
             !this.secured && !this._server.options.disableSTARTTLS ? 'STLS' : false,
@@ -468,13 +471,30 @@ class POP3Connection extends EventEmitter {
         }
 
         if (!args) {
-            this.send(['+OK', 'PLAIN']);
+            this.send(['+OK', 'PLAIN'].concat(this._server.options.enableOAuth ? saslOAuth.MECHANISMS : []));
             return next();
         }
 
         let params = args.split(/\s+/);
         let mechanism = params.shift().toUpperCase();
 
+        if (saslOAuth.MECHANISMS.includes(mechanism) && this._server.options.enableOAuth) {
+            if (!params.length) {
+                this.send('+ ');
+                this._nextHandler = (args, next) => this.authOAuth(mechanism, args, next);
+                return next();
+            }
+
+            let token = params.shift();
+
+            if (params.length) {
+                this.send('-ERR malformed command');
+                return next();
+            }
+
+            return this.authOAuth(mechanism, token, next);
+        }
+
         if (mechanism !== 'PLAIN') {
             this.send('-ERR unsupported SASL mechanism');
             return next();
@@ -1015,6 +1035,99 @@ class POP3Connection extends EventEmitter {
         );
     }
 
+    authOAuth(mechanism, token, next) {
+        let data = saslOAuth.parse(mechanism, token);
+        if (!data) {
+            this.send('-ERR malformed command');
+            return next();
+        }
+
+        let username = data.username;
+
+        this._server.onAuth(
+            {
+                method: mechanism,
+                username,
+                accessToken: data.accessToken
+            },
+            this.session,
+            (err, response) => {
+                if (!this.session) {
+                    // already closed, do nothing
+                    return;
+                }
+
+                if (err) {
+                    this.logger.info(
+                        {
+                            err,
+                            tnx: 'autherror',
+                            cid: this.id,
+                            method: mechanism,
+                            user: username
+                        },
+                        'Authentication error for %s using %s. %s',
+                        username,
+                        mechanism,
+                        err.message
+                    );
+
+                    if (err.response === 'NO') {
+                        this.send('-ERR [AUTH] ' + err.message);
+                        return next();
+                    }
+
+                    return next(err);
+                }
+
+                if (!response || !response.user) {
+                    this.logger.info(
+                        {
+                            tnx: 'authfail',
+                            cid: this.id,
+                            method: mechanism,
+                            user: username
+                        },
+                        'Authentication failed for %s using %s',
+                        username,
+                        mechanism
+                    );
+
+                    // send error challenge, client is expected to respond with an empty line
+                    this.send('+ ' + saslOAuth.formatError(mechanism, this._server.options.oauthScope));
+                    this._nextHandler = (args, next) => {
+                        this.send('-ERR [AUTH] ' + ((response && response.message) || 'Invalid access token'));
+                        return next();
+                    };
+                    return next();
+                }
+
+                username = username || response.user.username;
+
+                this.logger.info(
+                    {
+                        tnx: 'auth',
+                        cid: this.id,
+                        method: mechanism,
+                        user: username
+                    },
+                    '%s authenticated using %s',
+                    username,
+                    mechanism
+                );
+
+                this.session.user = response.user;
+
+                this.openMailbox(err => {
+                    if (err) {
+                        return next(err);
+                    }
+                    next();
+                });
+            }
+        );
+    }
+
     openMailbox(next) {
         this._server.onListMessages(this.session, (err, listing) => {
             if (!this.session) {
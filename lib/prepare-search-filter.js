@@ -60,6 +60,7 @@ const prepareSearchFilter = async (db, user, payload) => {
     let filterFrom = payload.from;
     let filterTo = payload.to;
     let filterSubject = payload.subject;
+    let filterListId = payload.listId;
     let filterAttachments = payload.attachments;
     let filterFlagged = payload.flagged;
     let filterUnseen = payload.unseen;
@@ -294,6 +295,24 @@ const prepareSearchFilter = async (db, user, payload) => {
         });
     }
 
+    if (filterListId) {
+        let regex = escapeRegexStr(filterListId);
+        if (!filter.$and) {
+            filter.$and = [];
+        }
+        filter.$and.push({
+            headers: {
+                $elemMatch: {
+                    key: 'list-id',
+                    value: {
+                        $regex: regex,
+                        $options: 'i'
+                    }
+                }
+            }
+        });
+    }
+
     if (filterAttachments) {
         filter.ha = true;
     }
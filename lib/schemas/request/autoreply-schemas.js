@@ -0,0 +1,63 @@
+'use strict';
+
+const Joi = require('joi');
+const consts = require('../../consts');
+
+const AutoreplyScheduleEntry = Joi.object({
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().description('Days of the week, 0 is Sunday. If not set, then all days match'),
+    start: Joi.string()
+        .pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+        .description('Start of the time window in HH:MM format, inclusive. Defaults to 00:00'),
+    end: Joi.string()
+        .pattern(/^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$/)
+        .description('End of the time window in HH:MM format, exclusive. Defaults to 24:00. If end is before start, then the window passes midnight')
+})
+    .description('Weekly time window')
+    .$_setFlag('objectName', 'AutoreplyScheduleEntry');
+
+const AutoreplySchedule = Joi.array()
+    .items(AutoreplyScheduleEntry)
+    .max(consts.MAX_AUTOREPLY_SCHEDULE)
+    .description(
+        'Weekly time windows when the autoreply is active, eg. outside of office hours. If empty, then autoreply is active all the time between start and end'
+    );
+
+const AutoreplyTimezone = Joi.string()
+    .max(64)
+    .empty('')
+    .custom((value, helpers) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value }).format();
+        } catch (err) {
+            return helpers.message({ custom: 'Unknown timezone "{{#timezone}}"' }, { timezone: value });
+        }
+        return value;
+    })
+    .description('Timezone name for the schedule, eg. "Europe/Tallinn". Defaults to UTC');
+
+const AutoreplyInternalDomains = Joi.array()
+    .items(Joi.string().trim().hostname())
+    .max(100)
+    .description('Sender domains that get the internal autoreply message. If empty, then only senders from the domain of the recipient address are internal');
+
+const AutoreplyExternal = Joi.object({
+    subject: Joi.string()
+        .allow('')
+        .trim()
+        .max(2 * 1024)
+        .description('Subject line for the external autoreply. If empty then uses subject of the original message'),
+    text: Joi.string()
+        .allow('')
+        .trim()
+        .max(128 * 1024)
+        .description('Plaintext formatted content of the external autoreply message'),
+    html: Joi.string()
+        .allow('')
+        .trim()
+        .max(128 * 1024)
+        .description('HTML formatted content of the external autoreply message')
+})
+    .description('Autoreply message for external senders. If text and html are empty, then external senders get the same message as internal senders')
+    .$_setFlag('objectName', 'AutoreplyExternal');
+
+module.exports = { AutoreplySchedule, AutoreplyTimezone, AutoreplyInternalDomains, AutoreplyExternal };
@@ -1,7 +1,10 @@
+/* eslint no-control-regex: 0 */
 'use strict';
 
 const Joi = require('joi');
-const { booleanSchema } = require('../../schemas');
+const { booleanSchema, mailboxPathValidator } = require('../../schemas');
+const consts = require('../../consts');
+const { getDepth, isSafeRegex } = require('../../filter-conditions');
 
 const FilterAction = Joi.object({
     seen: booleanSchema.description('If true then mark matching messages as Seen'),
@@ -9,6 +12,58 @@ const FilterAction = Joi.object({
     delete: booleanSchema.description('If true then do not store matching messages'),
     spam: booleanSchema.description('If true then store matching messages to Junk Mail folder'),
     mailbox: Joi.string().hex().lowercase().length(24).empty('').description('Mailbox ID to store matching messages to'),
+    path: Joi.string()
+        .trim()
+        .regex(/\/{2,}|\/$/, { invert: true })
+        .max(consts.MAX_MAILBOX_NAME_LENGTH * consts.MAX_SUB_MAILBOXES + 127)
+        .custom(mailboxPathValidator, 'Mailbox path validation')
+        .empty('')
+        .description('Path of the Mailbox to store matching messages to, eg. "Archive/Invoices". The mailbox is created if it does not exist yet'),
+    copy: Joi.array()
+        .items(Joi.string().hex().lowercase().length(24))
+        .max(consts.MAX_FILTER_COPIES)
+        .unique()
+        .empty('')
+        .description('List of Mailbox IDs to store additional copies of matching messages to'),
+    keywords: Joi.array()
+        .items(
+            Joi.string()
+                .trim()
+                .max(128)
+                .regex(/^[^\\\s(){}"%*\]\x00-\x1f\x7f]+$/)
+        )
+        .max(consts.MAX_FILTER_KEYWORDS)
+        .unique()
+        .empty('')
+        .description('List of custom IMAP keywords to add to matching messages, eg. "$label1"'),
+    reply: Joi.object({
+        subject: Joi.string()
+            .trim()
+            .max(2 * 1024)
+            .empty('')
+            .description('Subject of the reply. Defaults to the subject of the matching message'),
+        text: Joi.string()
+            .max(128 * 1024)
+            .empty('')
+            .description('Plaintext content of the reply'),
+        html: Joi.string()
+            .max(128 * 1024)
+            .empty('')
+            .description('HTML content of the reply'),
+        interval: Joi.number()
+            .integer()
+            .min(60)
+            .max(365 * 24 * 3600)
+            .empty('')
+            .description('How many seconds to wait before replying to the same sender again. Defaults to the autoreply interval setting')
+    })
+        .or('text', 'html')
+        .empty('')
+        .description(
+            'Reply sent to the sender of a matching message. The subject, text and html values can use {{subject}}, {{sender}} and {{recipient}} placeholders'
+        )
+        .$_setFlag('objectName', 'FilterReply'),
+    stop: booleanSchema.description('If true then filters with a larger priority value are not checked for matching messages'),
     targets: Joi.array()
         .items(
             Joi.string().email({ tlds: false }),
@@ -23,10 +78,104 @@ const FilterAction = Joi.object({
             'An array of forwarding targets. The value could either be an email address or a relay url to next MX server ("smtp://mx2.zone.eu:25") or an URL where mail contents are POSTed to'
         )
 })
+    .oxor('mailbox', 'path')
     .default({})
     .description('Action to take with a matching message')
     .$_setFlag('objectName', 'Action');
 
+const FilterCondition = Joi.object({
+    type: Joi.string()
+        .valid('header', 'recipient', 'spf', 'dkim', 'dmarc', 'spamScore', 'received')
+        .required()
+        .description(
+            'Condition type. "header" checks a message header, "recipient" checks the envelope recipient address the message was delivered to, "spf", "dkim" and "dmarc" check verification results from the MX, "spamScore" checks the spam score and "received" checks the time the message was received'
+        ),
+    key: Joi.string()
+        .trim()
+        .lowercase()
+        .max(255)
+        .pattern(/^[^\s:]+$/)
+        .when('type', { is: 'header', then: Joi.required(), otherwise: Joi.forbidden() })
+        .description('Header key, eg. "x-mailer" (only for "header")'),
+    value: Joi.string()
+        .trim()
+        .max(255)
+        .empty('')
+        .when('type', { is: 'recipient', then: Joi.required() })
+        .when('type', { is: Joi.valid('spamScore', 'received'), then: Joi.forbidden() })
+        .description(
+            'Value to match. For "header" and "recipient" this is a partial match (case insensitive) or a regular expression if regex is set. For "spf", "dkim" and "dmarc" this is the verified domain name'
+        ),
+    regex: booleanSchema
+        .when('type', { is: Joi.valid('header', 'recipient'), otherwise: Joi.forbidden() })
+        .description('If true, then value is a case insensitive regular expression'),
+    exists: booleanSchema
+        .when('type', { is: 'header', otherwise: Joi.forbidden() })
+        .description('If true, then the header must exist, if false then the header must not exist. Ignored if value is set'),
+    pass: booleanSchema
+        .when('type', { is: Joi.valid('spf', 'dkim', 'dmarc'), otherwise: Joi.forbidden() })
+        .description('If true (the default), then the check must pass, if false then the check must not pass'),
+    min: Joi.number().when('type', { is: 'spamScore', otherwise: Joi.forbidden() }).description('Minimum spam score, inclusive'),
+    max: Joi.number().when('type', { is: 'spamScore', otherwise: Joi.forbidden() }).description('Maximum spam score, inclusive'),
+    days: Joi.array()
+        .items(Joi.number().integer().min(0).max(6))
+        .unique()
+        .when('type', { is: 'received', otherwise: Joi.forbidden() })
+        .description('Days of the week, 0 is Sunday. If not set, then all days match'),
+    start: Joi.string()
+        .pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+        .when('type', { is: 'received', otherwise: Joi.forbidden() })
+        .description('Start of the time window in HH:MM format, inclusive. Defaults to 00:00'),
+    end: Joi.string()
+        .pattern(/^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$/)
+        .when('type', { is: 'received', otherwise: Joi.forbidden() })
+        .description('End of the time window in HH:MM format, exclusive. Defaults to 24:00. If end is before start, then the window passes midnight'),
+    timezone: Joi.string()
+        .max(64)
+        .when('type', { is: 'received', otherwise: Joi.forbidden() })
+        .description('Timezone name for the time window, eg. "Europe/Tallinn". Defaults to UTC')
+})
+    .when(Joi.object({ type: 'header' }).unknown(), { then: Joi.object().or('value', 'exists') })
+    .when(Joi.object({ type: 'spamScore' }).unknown(), { then: Joi.object().or('min', 'max') })
+    .custom((value, helpers) => {
+        if (value.regex && value.value) {
+            try {
+                RegExp(value.value, 'i');
+            } catch (err) {
+                return helpers.message({ custom: 'Invalid regular expression "{{#regex}}"' }, { regex: value.value });
+            }
+            if (!isSafeRegex(value.value)) {
+                return helpers.message({ custom: 'Regular expression "{{#regex}}" is too complex' }, { regex: value.value });
+            }
+        }
+        if (value.timezone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value.timezone }).format();
+            } catch (err) {
+                return helpers.message({ custom: 'Unknown timezone "{{#timezone}}"' }, { timezone: value.timezone });
+            }
+        }
+        return value;
+    })
+    .description('A single condition')
+    .$_setFlag('objectName', 'FilterCondition');
+
+const FilterConditionGroup = Joi.object({
+    op: Joi.string()
+        .valid('and', 'or', 'not')
+        .required()
+        .description('How to combine conditions. "and" requires all conditions to match, "or" requires any, "not" requires none to match'),
+    conditions: Joi.array()
+        .items(Joi.alternatives().conditional('.op', { is: Joi.exist(), then: Joi.link('#FilterConditionGroup'), otherwise: FilterCondition }))
+        .min(1)
+        .max(consts.MAX_FILTER_CONDITIONS)
+        .required()
+        .description('List of conditions and nested condition groups')
+})
+    .id('FilterConditionGroup')
+    .description('Group of conditions')
+    .$_setFlag('objectName', 'FilterConditionGroup');
+
 const FilterQuery = Joi.object({
     from: Joi.string().trim().max(255).empty('').description('Partial match for the From: header (case insensitive)'),
     to: Joi.string().trim().max(255).empty('').description('Partial match for the To:/Cc: headers (case insensitive)'),
@@ -38,10 +187,31 @@ const FilterQuery = Joi.object({
         .empty('')
         .description(
             'Message size in bytes. If the value is a positive number then message needs to be larger, if negative then message needs to be smaller than abs(size) value'
-        )
+        ),
+    conditions: FilterConditionGroup.empty('')
+        .custom((value, helpers) => {
+            if (getDepth(value) > consts.MAX_FILTER_CONDITION_DEPTH) {
+                return helpers.message({ custom: 'Condition groups can be nested up to {{#limit}} levels' }, { limit: consts.MAX_FILTER_CONDITION_DEPTH });
+            }
+            return value;
+        })
+        .description('Additional conditions combined with and/or/not groups. These conditions must match in addition to the other query fields')
 })
     .default({})
     .description('Rules that a message must match')
     .$_setFlag('objectName', 'Query');
 
-module.exports = { FilterAction, FilterQuery };
+const FilterApply = Joi.object({
+    mailbox: Joi.string()
+        .hex()
+        .lowercase()
+        .length(24)
+        .empty('')
+        .description('ID of the Mailbox to run the filter on. If not set, then the filter is run on all messages except messages in Junk and Trash')
+})
+    .description(
+        'If set, then the filter is also run on existing messages. Runs in the background, progress is listed in the "apply" property of the filter. Forwarding targets, copies, keywords and replies are not used for existing messages and deleted messages are moved to Trash'
+    )
+    .$_setFlag('objectName', 'FilterApply');
+
+module.exports = { FilterAction, FilterQuery, FilterCondition, FilterConditionGroup, FilterApply };
@@ -3,6 +3,22 @@
 const Joi = require('joi');
 const { booleanSchema } = require('../../schemas');
 
+const FilterApplyStatus = Joi.object({
+    task: Joi.string().required().description('ID of the background task'),
+    mailbox: Joi.string().description('ID of the Mailbox the filter was run on. If not set, then the filter was run on all messages'),
+    status: Joi.string().required().valid('queued', 'running', 'finished', 'failed').description('Status of the run'),
+    created: Joi.date().required().description('Datestring of the time the run was requested'),
+    started: Joi.date().description('Datestring of the time the run was started'),
+    finished: Joi.date().description('Datestring of the time the run was finished'),
+    total: Joi.number().description('How many messages matched the filter query'),
+    processed: Joi.number().required().description('How many matching messages have been processed'),
+    updated: Joi.number().required().description('How many messages were modified'),
+    errors: Joi.number().required().description('How many messages failed to update'),
+    error: Joi.string().description('Error message if the run failed')
+})
+    .description('Status of the latest run of this filter on existing messages')
+    .$_setFlag('objectName', 'FilterApplyStatus');
+
 const GetAllFiltersResult = Joi.object({
     id: Joi.string().required().description('Filter ID'),
     user: Joi.string().required().description('User ID'),
@@ -10,6 +26,7 @@ const GetAllFiltersResult = Joi.object({
     created: Joi.date().required().description('Datestring of the time the filter was created'),
     query: Joi.array().items(Joi.array().items(Joi.string())).required().description('Filter query strings'),
     action: Joi.array().items(Joi.array().items(Joi.string())).required().description('Filter action strings'),
+    priority: Joi.number().required().description('Priority of the filter, filters with lower values are checked first'),
     disabled: booleanSchema.required().description('If true, then this filter is ignored'),
     metaData: Joi.object().description('Custom metadata value. Included if metaData query argument was true'),
     targets: Joi.array().items(Joi.string()).description('List of forwarding targets')
@@ -21,8 +38,31 @@ const GetFiltersResult = Joi.object({
     created: Joi.date().required().description('Datestring of the time the filter was created'),
     query: Joi.array().items(Joi.array().items(Joi.string())).required().description('Filter query strings'),
     action: Joi.array().items(Joi.array().items(Joi.string())).required().description('Filter action strings'),
+    priority: Joi.number().required().description('Priority of the filter, filters with lower values are checked first'),
     disabled: booleanSchema.required().description('If true, then this filter is ignored'),
-    metaData: Joi.object().description('Custom metadata value. Included if metaData query argument was true')
+    metaData: Joi.object().description('Custom metadata value. Included if metaData query argument was true'),
+    apply: FilterApplyStatus
 }).$_setFlag('objectName', 'GetFiltersResult');
 
-module.exports = { GetAllFiltersResult, GetFiltersResult };
+const FilterTestResult = Joi.object({
+    id: Joi.string().required().description('Filter ID'),
+    name: Joi.string().allow('').required().description('Name for the filter'),
+    matched: booleanSchema.required().description('If true, then the message matches this filter'),
+    skipped: booleanSchema
+        .required()
+        .description('If true, then actions of this filter are not applied because a previous matching filter had the stop action'),
+    checks: Joi.array()
+        .items(
+            Joi.object({
+                field: Joi.string().required().description('Query field, eg. "from" or "conditions"'),
+                value: Joi.any()
+                    .required()
+                    .description('Query value. For "conditions" this is the condition group where every condition has a "matched" property'),
+                matched: booleanSchema.required().description('If true, then the message passed this check')
+            }).$_setFlag('objectName', 'FilterTestCheck')
+        )
+        .required()
+        .description('Results for every query field of the filter')
+}).$_setFlag('objectName', 'FilterTestResult');
+
+module.exports = { GetAllFiltersResult, GetFiltersResult, FilterApplyStatus, FilterTestResult };
@@ -21,6 +21,24 @@ const GetMailboxesResult = Joi.object({
     size: Joi.number().description('Total size of mailbox in bytes.')
 });
 
+const MailboxMetadataEntry = Joi.object({
+    key: Joi.string().required().description('Entry name').example('/private/comment'),
+    value: Joi.string().required().allow('').description('Entry value'),
+    size: Joi.number().required().description('Size of the entry value in bytes'),
+    updated: Joi.date().required().description('Datestring of the last update')
+}).$_setFlag('objectName', 'MailboxMetadataEntry');
+
+const MailboxAclEntry = Joi.object({
+    user: Joi.string().hex().lowercase().length(24).required().description('ID of the User'),
+    username: Joi.string().required().allow('').description('Username of the User'),
+    rights: Joi.string().required().description('Access rights (RFC4314) of the User').example('lrs'),
+    owner: booleanSchema.required().description('If true then this User is the owner of the Mailbox'),
+    created: Joi.date().description('Datestring of the time the rights were granted'),
+    updated: Joi.date().description('Datestring of the last update')
+}).$_setFlag('objectName', 'MailboxAclEntry');
+
 module.exports = {
-    GetMailboxesResult
+    GetMailboxesResult,
+    MailboxMetadataEntry,
+    MailboxAclEntry
 };
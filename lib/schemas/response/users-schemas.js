@@ -26,4 +26,18 @@ const GetUsersResult = Joi.object({
     suspended: booleanSchema.required().description('If true then user can not authenticate')
 }).$_setFlag('objectName', 'GetUsersResult');
 
-module.exports = { GetUsersResult };
+const DelegationEntry = Joi.object({
+    user: Joi.string().hex().lowercase().length(24).required().description('ID of the delegating User'),
+    delegate: Joi.string().hex().lowercase().length(24).required().description('ID of the delegate'),
+    username: Joi.string().required().allow('').description('Username of the other User'),
+    address: Joi.string().required().allow('').description('Main address of the other User'),
+    sendAs: booleanSchema.required().description('If true then the delegate can send messages using the addresses of the delegating User'),
+    sendOnBehalf: booleanSchema
+        .required()
+        .description('If true then the delegate can send messages on behalf of the delegating User, these messages include a Sender: header'),
+    rights: Joi.string().required().allow('').description('Access rights (RFC4314) of the delegate for all folders of the delegating User').example('lrs'),
+    created: Joi.date().required().description('Datestring of the time the delegation was created'),
+    updated: Joi.date().required().description('Datestring of the last update')
+}).$_setFlag('objectName', 'DelegationEntry');
+
+module.exports = { GetUsersResult, DelegationEntry };
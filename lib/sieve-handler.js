@@ -0,0 +1,246 @@
+'use strict';
+
+const libmime = require('libmime');
+const consts = require('./consts');
+const { compile, execute, SieveError } = require('./sieve/interpreter');
+
+/**
+ * Manages stored Sieve scripts. A user can store several named scripts but only one of these
+ * can be active at a time. The active script is run for every message delivered over LMTP
+ */
+class SieveHandler {
+    constructor(options) {
+        this.database = options.database;
+    }
+
+    /**
+     * Validates script source, throws a SieveError with the line number if the script is not valid
+     *
+     * @param {String} script Script source
+     * @returns {Object} Compiled script
+     */
+    check(script) {
+        if (Buffer.byteLength(script || '') > consts.MAX_SIEVE_SCRIPT_SIZE) {
+            let err = new SieveError(`Script is larger than allowed ${consts.MAX_SIEVE_SCRIPT_SIZE} bytes`);
+            err.responseCode = 400;
+            throw err;
+        }
+
+        try {
+            return compile(script || '');
+        } catch (err) {
+            err.responseCode = 400;
+            if (err.line) {
+                err.details = { line: err.line };
+            }
+            throw err;
+        }
+    }
+
+    async list(user) {
+        return await this.database
+            .collection('sievescripts')
+            .find({ user }, { projection: { script: false } })
+            .sort({ name: 1 })
+            .toArray();
+    }
+
+    async get(user, script) {
+        let scriptData = await this.database.collection('sievescripts').findOne({ _id: script, user });
+        if (!scriptData) {
+            throw createError('Sieve script was not found', 'ScriptNotFound', 404);
+        }
+        return scriptData;
+    }
+
+    async getByName(user, name) {
+        let scriptData = await this.database.collection('sievescripts').findOne({ user, name });
+        if (!scriptData) {
+            throw createError('Sieve script was not found', 'ScriptNotFound', 404);
+        }
+        return scriptData;
+    }
+
+    /**
+     * Stores a new script
+     *
+     * @param {ObjectId} user User ID
+     * @param {Object} options
+     * @param {String} options.name Script name, unique per user
+     * @param {String} options.script Script source
+     * @param {Boolean} [options.active] If true, then the script is activated
+     * @returns {ObjectId} Script ID
+     */
+    async create(user, options) {
+        this.check(options.script);
+
+        let count = await this.database.collection('sievescripts').countDocuments({ user });
+        if (count >= consts.MAX_SIEVE_SCRIPTS) {
+            throw createError(`Up to ${consts.MAX_SIEVE_SCRIPTS} Sieve scripts can be stored`, 'ScriptLimitReached', 400);
+        }
+
+        let existing = await this.database.collection('sievescripts').findOne({ user, name: options.name }, { projection: { _id: true } });
+        if (existing) {
+            throw createError('A Sieve script with the same name already exists', 'ScriptExists', 400);
+        }
+
+        let now = new Date();
+        let r = await this.database.collection('sievescripts').insertOne({
+            user,
+            name: options.name,
+            script: options.script,
+            size: Buffer.byteLength(options.script),
+            active: false,
+            created: now,
+            updated: now
+        });
+
+        if (options.active) {
+            await this.activate(user, r.insertedId);
+        }
+
+        return r.insertedId;
+    }
+
+    /**
+     * Updates an existing script
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId} script Script ID
+     * @param {Object} options
+     * @param {String} [options.name] New name for the script
+     * @param {String} [options.script] New script source
+     * @param {Boolean} [options.active] Activate or deactivate the script
+     * @returns {Boolean} true if script was updated
+     */
+    async update(user, script, options) {
+        let scriptData = await this.get(user, script);
+
+        let $set = { updated: new Date() };
+
+        if (typeof options.script === 'string') {
+            this.check(options.script);
+            $set.script = options.script;
+            $set.size = Buffer.byteLength(options.script);
+        }
+
+        if (options.name && options.name !== scriptData.name) {
+            let existing = await this.database.collection('sievescripts').findOne({ user, name: options.name }, { projection: { _id: true } });
+            if (existing) {
+                throw createError('A Sieve script with the same name already exists', 'ScriptExists', 400);
+            }
+            $set.name = options.name;
+        }
+
+        await this.database.collection('sievescripts').updateOne({ _id: scriptData._id, user }, { $set });
+
+        if (options.active === true) {
+            await this.activate(user, scriptData._id);
+        } else if (options.active === false && scriptData.active) {
+            await this.activate(user, false);
+        }
+
+        return true;
+    }
+
+    async delete(user, script) {
+        let r = await this.database.collection('sievescripts').deleteOne({ _id: script, user });
+        if (!r.deletedCount) {
+            throw createError('Sieve script was not found', 'ScriptNotFound', 404);
+        }
+        return true;
+    }
+
+    /**
+     * Sets the active script for a user
+     *
+     * @param {ObjectId} user User ID
+     * @param {ObjectId|Boolean} script Script ID or false to deactivate all scripts
+     */
+    async activate(user, script) {
+        if (script) {
+            let r = await this.database.collection('sievescripts').updateOne({ _id: script, user }, { $set: { active: true } });
+            if (!r.matchedCount) {
+                throw createError('Sieve script was not found', 'ScriptNotFound', 404);
+            }
+        }
+
+        let query = { user, active: true };
+        if (script) {
+            query._id = { $ne: script };
+        }
+        await this.database.collection('sievescripts').updateMany(query, { $set: { active: false } });
+
+        return true;
+    }
+
+    /**
+     * Runs the active script of the user against a message that is being delivered
+     *
+     * @param {Object} userData User entry
+     * @param {Object} prepared Prepared message
+     * @param {Object} envelope Envelope addresses {from, to}
+     * @returns {Object|Boolean} Execution result (see interpreter execute()) with script ID or false if there is no active script
+     */
+    async run(userData, prepared, envelope) {
+        let scriptData = await this.database.collection('sievescripts').findOne({ user: userData._id, active: true });
+        if (!scriptData) {
+            return false;
+        }
+
+        let compiled = compile(scriptData.script);
+        let result = execute(compiled, getMessageContext(prepared, envelope), {
+            addresses: [envelope.to, userData.address].filter(address => address),
+            maxRedirects: consts.MAX_SIEVE_REDIRECTS
+        });
+
+        result.script = scriptData._id;
+        return result;
+    }
+}
+
+// message headers for the interpreter, values are unfolded and decoded
+function getMessageContext(prepared, envelope) {
+    let headers = new Map();
+
+    [].concat((prepared.mimeTree && prepared.mimeTree.header) || []).forEach(line => {
+        let sep = line.indexOf(':');
+        if (sep < 0) {
+            return;
+        }
+
+        let key = line.substr(0, sep).trim().toLowerCase();
+        let value = Buffer.from(line.substr(sep + 1).replace(/\r?\n/g, ''), 'binary')
+            .toString()
+            .trim();
+        try {
+            value = libmime.decodeWords(value);
+        } catch (E) {
+            // ignore, keep the encoded value
+        }
+
+        if (!headers.has(key)) {
+            headers.set(key, []);
+        }
+        headers.get(key).push(value);
+    });
+
+    return {
+        getHeaders: key => headers.get(key.toLowerCase()) || [],
+        envelope: {
+            from: envelope.from || '',
+            to: envelope.to || ''
+        },
+        size: prepared.size
+    };
+}
+
+function createError(message, code, responseCode) {
+    let err = new Error(message);
+    err.code = code;
+    err.responseCode = responseCode;
+    return err;
+}
+
+module.exports = SieveHandler;
+module.exports.getMessageContext = getMessageContext;
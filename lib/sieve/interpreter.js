@@ -0,0 +1,593 @@
+'use strict';
+
+const addressparser = require('nodemailer/lib/addressparser');
+const { parse, SieveError } = require('./parser');
+
+// extensions that can be listed in "require"
+const CAPABILITIES = ['fileinto', 'reject', 'envelope', 'vacation', 'imap4flags', 'copy', 'comparator-i;octet', 'comparator-i;ascii-casemap'];
+
+const COMPARATORS = ['i;ascii-casemap', 'i;octet'];
+
+// headers that are checked by "vacation" to see if the message was sent to the user
+const VACATION_RECIPIENT_HEADERS = ['to', 'cc', 'bcc', 'resent-to', 'resent-cc', 'resent-bcc'];
+
+const VACATION_DEFAULT_DAYS = 7;
+const VACATION_MAX_DAYS = 90;
+
+const MATCH_TAGS = {
+    is: { key: 'match' },
+    contains: { key: 'match' },
+    matches: { key: 'match' },
+    comparator: { key: 'comparator', type: 'string' }
+};
+
+const ADDRESS_PART_TAGS = {
+    all: { key: 'addressPart' },
+    localpart: { key: 'addressPart' },
+    domain: { key: 'addressPart' }
+};
+
+const FLAGS_TAGS = {
+    flags: { key: 'flags', type: 'stringlist', capability: 'imap4flags' }
+};
+
+const COPY_TAGS = {
+    copy: { key: 'copy', capability: 'copy' }
+};
+
+// argument definitions for commands, positional arguments are listed by type
+const COMMANDS = {
+    require: { args: ['stringlist'] },
+    if: { test: true, block: true },
+    elsif: { test: true, block: true },
+    else: { block: true },
+    stop: {},
+    keep: { tags: FLAGS_TAGS },
+    discard: {},
+    redirect: { tags: COPY_TAGS, args: ['string'] },
+    fileinto: { capability: 'fileinto', tags: Object.assign({}, COPY_TAGS, FLAGS_TAGS), args: ['string'] },
+    reject: { capability: 'reject', args: ['string'] },
+    vacation: {
+        capability: 'vacation',
+        tags: {
+            days: { key: 'days', type: 'number' },
+            subject: { key: 'subject', type: 'string' },
+            from: { key: 'from', type: 'string' },
+            addresses: { key: 'addresses', type: 'stringlist' },
+            handle: { key: 'handle', type: 'string' }
+        },
+        args: ['string']
+    },
+    setflag: { capability: 'imap4flags', args: ['stringlist'] },
+    addflag: { capability: 'imap4flags', args: ['stringlist'] },
+    removeflag: { capability: 'imap4flags', args: ['stringlist'] }
+};
+
+// argument definitions for tests
+const TESTS = {
+    address: { tags: Object.assign({}, MATCH_TAGS, ADDRESS_PART_TAGS), args: ['stringlist', 'stringlist'] },
+    envelope: { capability: 'envelope', tags: Object.assign({}, MATCH_TAGS, ADDRESS_PART_TAGS), args: ['stringlist', 'stringlist'] },
+    header: { tags: MATCH_TAGS, args: ['stringlist', 'stringlist'] },
+    exists: { args: ['stringlist'] },
+    size: { tags: { over: { key: 'relation' }, under: { key: 'relation' } }, args: ['number'] },
+    allof: { tests: 'list' },
+    anyof: { tests: 'list' },
+    not: { tests: 'single' },
+    true: {},
+    false: {},
+    hasflag: { capability: 'imap4flags', tags: MATCH_TAGS, args: ['stringlist'] }
+};
+
+/**
+ * Parses and validates a Sieve script. Throws a SieveError if the script is not valid
+ *
+ * @param {String} source Script source
+ * @returns {Object} Compiled script that can be used with execute()
+ */
+function compile(source) {
+    let commands = parse(source);
+    let capabilities = new Set();
+
+    let pos = 0;
+    // "require" is only allowed at the beginning of the script
+    while (pos < commands.length && commands[pos].name === 'require') {
+        let command = compileNode(commands[pos++], COMMANDS, 'command', capabilities);
+        for (let capability of command.args[0]) {
+            capability = capability.toLowerCase();
+            if (!CAPABILITIES.includes(capability)) {
+                throw new SieveError(`Unsupported extension "${capability}"`, command.line);
+            }
+            capabilities.add(capability);
+        }
+    }
+
+    return {
+        capabilities: Array.from(capabilities),
+        commands: compileCommands(commands.slice(pos), capabilities)
+    };
+}
+
+function compileCommands(commands, capabilities) {
+    let result = [];
+    let previous = false;
+
+    for (let node of commands) {
+        if (node.name === 'require') {
+            throw new SieveError('"require" must be used before any other commands', node.line);
+        }
+
+        let command = compileNode(node, COMMANDS, 'command', capabilities);
+        let spec = COMMANDS[command.name];
+
+        if (['elsif', 'else'].includes(command.name) && !['if', 'elsif'].includes(previous)) {
+            throw new SieveError(`"${command.name}" must follow "if" or "elsif"`, command.line);
+        }
+
+        if (spec.test && command.tests.length !== 1) {
+            throw new SieveError(`"${command.name}" requires a single test`, command.line);
+        }
+        if (!spec.test && command.tests.length) {
+            throw new SieveError(`"${command.name}" does not accept tests`, command.line);
+        }
+
+        if (spec.block) {
+            if (!node.block) {
+                throw new SieveError(`"${command.name}" requires a block`, command.line);
+            }
+            command.block = compileCommands(node.block, capabilities);
+        } else if (node.block) {
+            throw new SieveError(`"${command.name}" does not accept a block`, command.line);
+        }
+
+        if (command.name === 'vacation' && typeof command.tags.days === 'number') {
+            command.tags.days = Math.min(Math.max(command.tags.days, 1), VACATION_MAX_DAYS);
+        }
+
+        result.push(command);
+        previous = command.name;
+    }
+
+    return result;
+}
+
+function compileTest(node, capabilities) {
+    let test = compileNode(node, TESTS, 'test', capabilities);
+    let spec = TESTS[test.name];
+
+    switch (spec.tests) {
+        case 'list':
+            if (!node.tests.length) {
+                throw new SieveError(`"${test.name}" requires a list of tests`, test.line);
+            }
+            break;
+        case 'single':
+            if (node.tests.length !== 1) {
+                throw new SieveError(`"${test.name}" requires a single test`, test.line);
+            }
+            break;
+        default:
+            if (node.tests.length) {
+                throw new SieveError(`"${test.name}" does not accept tests`, test.line);
+            }
+    }
+
+    if (test.name === 'size' && !test.tags.relation) {
+        throw new SieveError('"size" requires either ":over" or ":under"', test.line);
+    }
+
+    return test;
+}
+
+// validates arguments of a command or a test against the definitions
+function compileNode(node, definitions, kind, capabilities) {
+    let spec = Object.prototype.hasOwnProperty.call(definitions, node.name) && definitions[node.name];
+    if (!spec) {
+        throw new SieveError(`Unknown ${kind} "${node.name}"`, node.line);
+    }
+
+    if (spec.capability && !capabilities.has(spec.capability)) {
+        throw new SieveError(`"${node.name}" requires "${spec.capability}" extension`, node.line);
+    }
+
+    let tagDefs = spec.tags || {};
+    let argDefs = spec.args || [];
+    let tags = {};
+    let args = [];
+
+    for (let i = 0; i < node.args.length; i++) {
+        let arg = node.args[i];
+
+        if (arg.type === 'tag') {
+            let tagDef = Object.prototype.hasOwnProperty.call(tagDefs, arg.value) && tagDefs[arg.value];
+            if (!tagDef || args.length) {
+                // tagged arguments must precede positional arguments
+                throw new SieveError(`Unexpected tag ":${arg.value}" for "${node.name}"`, node.line);
+            }
+            if (tagDef.capability && !capabilities.has(tagDef.capability)) {
+                throw new SieveError(`":${arg.value}" requires "${tagDef.capability}" extension`, node.line);
+            }
+            if (Object.prototype.hasOwnProperty.call(tags, tagDef.key)) {
+                throw new SieveError(`Conflicting tag ":${arg.value}" for "${node.name}"`, node.line);
+            }
+
+            if (tagDef.type) {
+                let value = node.args[++i];
+                if (!value || !isArgType(value, tagDef.type)) {
+                    throw new SieveError(`":${arg.value}" requires a ${tagDef.type} argument`, node.line);
+                }
+                tags[tagDef.key] = getArgValue(value, tagDef.type);
+            } else {
+                tags[tagDef.key] = tagDef.key === 'copy' ? true : arg.value;
+            }
+            continue;
+        }
+
+        let type = argDefs[args.length];
+        if (!type) {
+            throw new SieveError(`Too many arguments for "${node.name}"`, node.line);
+        }
+        if (!isArgType(arg, type)) {
+            throw new SieveError(`"${node.name}" expects a ${type} argument`, node.line);
+        }
+        args.push(getArgValue(arg, type));
+    }
+
+    if (args.length < argDefs.length) {
+        throw new SieveError(`Missing arguments for "${node.name}"`, node.line);
+    }
+
+    if (tags.comparator) {
+        tags.comparator = tags.comparator.toLowerCase();
+        if (!COMPARATORS.includes(tags.comparator)) {
+            throw new SieveError(`Unsupported comparator "${tags.comparator}"`, node.line);
+        }
+    }
+
+    return {
+        name: node.name,
+        line: node.line,
+        tags,
+        args,
+        tests: node.tests.map(test => compileTest(test, capabilities))
+    };
+}
+
+function isArgType(arg, type) {
+    if (type === 'stringlist') {
+        return arg.type === 'stringlist' || arg.type === 'string';
+    }
+    return arg.type === type;
+}
+
+function getArgValue(arg, type) {
+    if (type === 'stringlist') {
+        return [].concat(arg.value);
+    }
+    return arg.value;
+}
+
+/**
+ * Runs a compiled script against a message
+ *
+ * @param {Object} script Compiled script
+ * @param {Object} message Message information
+ * @param {Function} message.getHeaders Function that returns a list of decoded values for a header key
+ * @param {Object} message.envelope Envelope addresses {from, to}
+ * @param {Number} message.size Message size in bytes
+ * @param {Object} [options]
+ * @param {Array} [options.addresses] Addresses of the recipient, used by "vacation"
+ * @param {Number} [options.maxRedirects] How many "redirect" actions are allowed
+ * @returns {Object} {implicitKeep, flags, actions} where actions is a list of {type, ...} objects
+ */
+function execute(script, message, options) {
+    options = options || {};
+
+    let state = {
+        message,
+        options,
+        implicitKeep: true,
+        stopped: false,
+        flags: [],
+        actions: []
+    };
+
+    runCommands(script.commands, state);
+
+    let types = new Set(state.actions.map(action => action.type));
+    if (types.has('reject') && (types.has('keep') || types.has('fileinto'))) {
+        throw new SieveError('"reject" can not be combined with "keep" or "fileinto"');
+    }
+
+    return {
+        implicitKeep: state.implicitKeep,
+        flags: state.flags,
+        actions: state.actions
+    };
+}
+
+function runCommands(commands, state) {
+    // set if a branch of the current if/elsif/else chain was already taken
+    let matched = false;
+
+    for (let command of commands) {
+        if (state.stopped) {
+            return;
+        }
+
+        switch (command.name) {
+            case 'if':
+                matched = evaluate(command.tests[0], state);
+                if (matched) {
+                    runCommands(command.block, state);
+                }
+                break;
+
+            case 'elsif':
+                if (!matched) {
+                    matched = evaluate(command.tests[0], state);
+                    if (matched) {
+                        runCommands(command.block, state);
+                    }
+                }
+                break;
+
+            case 'else':
+                if (!matched) {
+                    runCommands(command.block, state);
+                }
+                break;
+
+            case 'stop':
+                state.stopped = true;
+                break;
+
+            case 'keep':
+                state.implicitKeep = false;
+                state.actions.push({ type: 'keep', flags: command.tags.flags ? normalizeFlags(command.tags.flags) : state.flags.slice() });
+                break;
+
+            case 'discard':
+                state.implicitKeep = false;
+                state.actions.push({ type: 'discard' });
+                break;
+
+            case 'fileinto':
+                if (!command.tags.copy) {
+                    state.implicitKeep = false;
+                }
+                state.actions.push({
+                    type: 'fileinto',
+                    mailbox: command.args[0],
+                    flags: command.tags.flags ? normalizeFlags(command.tags.flags) : state.flags.slice()
+                });
+                break;
+
+            case 'redirect': {
+                let address = [].concat(addressparser(command.args[0]) || []).shift();
+                if (!address || !address.address || address.address.indexOf('@') < 0) {
+                    throw new SieveError(`Invalid redirect address "${command.args[0]}"`, command.line);
+                }
+                let redirects = state.actions.filter(action => action.type === 'redirect').length;
+                if (typeof state.options.maxRedirects === 'number' && redirects >= state.options.maxRedirects) {
+                    throw new SieveError('Too many redirects', command.line);
+                }
+                if (!command.tags.copy) {
+                    state.implicitKeep = false;
+                }
+                state.actions.push({ type: 'redirect', address: address.address, copy: !!command.tags.copy });
+                break;
+            }
+
+            case 'reject':
+                state.implicitKeep = false;
+                state.actions.push({ type: 'reject', reason: command.args[0] });
+                break;
+
+            case 'vacation':
+                if (state.actions.some(action => action.type === 'vacation')) {
+                    throw new SieveError('"vacation" can only be used once', command.line);
+                }
+                if (isAddressedTo(state.message, [].concat(state.options.addresses || []).concat(command.tags.addresses || []))) {
+                    state.actions.push({
+                        type: 'vacation',
+                        reason: command.args[0],
+                        days: command.tags.days || VACATION_DEFAULT_DAYS,
+                        subject: command.tags.subject || false,
+                        from: command.tags.from || false,
+                        handle: command.tags.handle || false
+                    });
+                }
+                break;
+
+            case 'setflag':
+                state.flags = normalizeFlags(command.args[0]);
+                break;
+
+            case 'addflag':
+                state.flags = normalizeFlags(state.flags.concat(command.args[0]));
+                break;
+
+            case 'removeflag': {
+                let remove = normalizeFlags(command.args[0]).map(flag => flag.toLowerCase());
+                state.flags = state.flags.filter(flag => !remove.includes(flag.toLowerCase()));
+                break;
+            }
+        }
+    }
+}
+
+function evaluate(test, state) {
+    let message = state.message;
+
+    switch (test.name) {
+        case 'true':
+            return true;
+
+        case 'false':
+            return false;
+
+        case 'not':
+            return !evaluate(test.tests[0], state);
+
+        case 'allof':
+            return test.tests.every(entry => evaluate(entry, state));
+
+        case 'anyof':
+            return test.tests.some(entry => evaluate(entry, state));
+
+        case 'exists':
+            return test.args[0].every(key => message.getHeaders(key).length > 0);
+
+        case 'size':
+            return test.tags.relation === 'over' ? message.size > test.args[0] : message.size < test.args[0];
+
+        case 'header': {
+            let values = [];
+            test.args[0].forEach(key => {
+                values = values.concat(message.getHeaders(key));
+            });
+            return matchAny(values, test.args[1], test.tags);
+        }
+
+        case 'address': {
+            let values = [];
+            test.args[0].forEach(key => {
+                message.getHeaders(key).forEach(value => {
+                    values = values.concat(parseAddresses(value).map(address => getAddressPart(address, test.tags.addressPart)));
+                });
+            });
+            return matchAny(values, test.args[1], test.tags);
+        }
+
+        case 'envelope': {
+            let values = [];
+            test.args[0].forEach(key => {
+                key = key.toLowerCase();
+                if (['from', 'to'].includes(key) && typeof (message.envelope && message.envelope[key]) === 'string') {
+                    let address = message.envelope[key];
+                    // null sender is only matched by an empty string
+                    values.push(address ? getAddressPart(address, test.tags.addressPart) : '');
+                }
+            });
+            return matchAny(values, test.args[1], test.tags);
+        }
+
+        case 'hasflag':
+            return matchAny(state.flags, test.args[0], test.tags);
+    }
+
+    return false;
+}
+
+function matchAny(values, keys, tags) {
+    let matchType = tags.match || 'is';
+    let comparator = tags.comparator || 'i;ascii-casemap';
+
+    return values.some(value => keys.some(key => matchValue(value, key, matchType, comparator)));
+}
+
+function matchValue(value, key, matchType, comparator) {
+    value = (value || '').toString();
+    key = (key || '').toString();
+
+    if (comparator === 'i;ascii-casemap') {
+        value = asciiLowercase(value);
+        key = asciiLowercase(key);
+    }
+
+    switch (matchType) {
+        case 'contains':
+            return value.indexOf(key) >= 0;
+        case 'matches':
+            return getWildcardRegex(key).test(value);
+        case 'is':
+        default:
+            return value === key;
+    }
+}
+
+function asciiLowercase(str) {
+    return str.replace(/[A-Z]+/g, c => c.toLowerCase());
+}
+
+// converts a :matches pattern into a regular expression, "*" matches any sequence and "?" a single character
+function getWildcardRegex(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        let c = pattern.charAt(i);
+        if (c === '\\' && i < pattern.length - 1) {
+            c = pattern.charAt(++i);
+            source += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else if (c === '*') {
+            source += '[\\s\\S]*';
+        } else if (c === '?') {
+            source += '[\\s\\S]';
+        } else {
+            source += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+
+function parseAddresses(value) {
+    let list = [];
+    let walk = addresses => {
+        [].concat(addresses || []).forEach(address => {
+            if (address.group) {
+                return walk(address.group);
+            }
+            if (address.address) {
+                list.push(address.address);
+            }
+        });
+    };
+    walk(addressparser(value || ''));
+    return list;
+}
+
+function getAddressPart(address, part) {
+    let atPos = address.lastIndexOf('@');
+    switch (part) {
+        case 'localpart':
+            return atPos >= 0 ? address.substr(0, atPos) : address;
+        case 'domain':
+            return atPos >= 0 ? address.substr(atPos + 1) : '';
+        case 'all':
+        default:
+            return address;
+    }
+}
+
+// vacation responses are only sent if one of the user addresses is listed as a recipient
+function isAddressedTo(message, addresses) {
+    let list = addresses.map(address => asciiLowercase(address.toString().trim()));
+    if (!list.length) {
+        return false;
+    }
+
+    return VACATION_RECIPIENT_HEADERS.some(key =>
+        message.getHeaders(key).some(value => parseAddresses(value).some(address => list.includes(asciiLowercase(address))))
+    );
+}
+
+// flag values may contain several space separated flags, duplicates are removed
+function normalizeFlags(flags) {
+    let result = [];
+    let seen = new Set();
+    [].concat(flags || []).forEach(value => {
+        value
+            .toString()
+            .split(/\s+/)
+            .filter(flag => flag)
+            .forEach(flag => {
+                let key = flag.toLowerCase();
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    result.push(flag);
+                }
+            });
+    });
+    return result;
+}
+
+module.exports = { compile, execute, CAPABILITIES, SieveError };
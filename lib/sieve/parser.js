@@ -0,0 +1,334 @@
+'use strict';
+
+// Tokenizer and parser for Sieve scripts (RFC5228). The parser only validates syntax, checking
+// commands and arguments against supported extensions is done by the interpreter
+
+// limits how deep blocks and tests can be nested to keep recursion in check
+const MAX_NESTING_DEPTH = 32;
+
+const QUANTIFIERS = {
+    k: 1024,
+    m: 1024 * 1024,
+    g: 1024 * 1024 * 1024
+};
+
+const PUNCTUATION = ['[', ']', '(', ')', '{', '}', ',', ';'];
+
+class SieveError extends Error {
+    constructor(message, line) {
+        super(line ? `line ${line}: ${message}` : message);
+        this.name = 'SieveError';
+        this.code = 'SieveError';
+        this.line = line || false;
+    }
+}
+
+/**
+ * Splits script source into tokens
+ *
+ * @param {String} source Script source
+ * @returns {Array} List of tokens {type, value, line}
+ */
+function tokenize(source) {
+    let tokens = [];
+    let len = source.length;
+    let pos = 0;
+    let line = 1;
+
+    let identifierRe = /[a-zA-Z_][a-zA-Z0-9_]*/y;
+    let numberRe = /([0-9]+)([kKmMgG]?)/y;
+
+    let readIdentifier = () => {
+        identifierRe.lastIndex = pos;
+        let match = identifierRe.exec(source);
+        if (!match) {
+            return false;
+        }
+        pos = identifierRe.lastIndex;
+        return match[0];
+    };
+
+    let readMultiline = startLine => {
+        // "text:" must be followed by optional whitespace or a hash comment and a line break
+        while (pos < len && (source.charAt(pos) === ' ' || source.charAt(pos) === '\t')) {
+            pos++;
+        }
+        if (source.charAt(pos) === '#') {
+            while (pos < len && source.charAt(pos) !== '\n') {
+                pos++;
+            }
+        }
+        if (source.charAt(pos) === '\r') {
+            pos++;
+        }
+        if (source.charAt(pos) !== '\n') {
+            throw new SieveError('Expected line break after "text:"', line);
+        }
+        pos++;
+        line++;
+
+        let lines = [];
+        while (pos < len) {
+            let end = source.indexOf('\n', pos);
+            let lineStr = source.substring(pos, end < 0 ? len : end).replace(/\r$/, '');
+            pos = end < 0 ? len : end + 1;
+            line++;
+
+            if (lineStr === '.') {
+                return lines.join('\r\n') + (lines.length ? '\r\n' : '');
+            }
+
+            // remove dot-stuffing
+            lines.push(lineStr.charAt(0) === '.' ? lineStr.substr(1) : lineStr);
+        }
+
+        throw new SieveError('Unterminated multi-line string', startLine);
+    };
+
+    while (pos < len) {
+        let c = source.charAt(pos);
+
+        if (c === '\n') {
+            line++;
+            pos++;
+            continue;
+        }
+
+        if (c === ' ' || c === '\t' || c === '\r') {
+            pos++;
+            continue;
+        }
+
+        if (c === '#') {
+            // hash comment, runs until the end of the line
+            let end = source.indexOf('\n', pos);
+            pos = end < 0 ? len : end;
+            continue;
+        }
+
+        if (c === '/' && source.charAt(pos + 1) === '*') {
+            let end = source.indexOf('*/', pos + 2);
+            if (end < 0) {
+                throw new SieveError('Unterminated comment', line);
+            }
+            line += countLines(source.substring(pos, end));
+            pos = end + 2;
+            continue;
+        }
+
+        if (c === '"') {
+            let startLine = line;
+            let value = '';
+            pos++;
+            for (;;) {
+                if (pos >= len) {
+                    throw new SieveError('Unterminated string', startLine);
+                }
+                let chr = source.charAt(pos++);
+                if (chr === '"') {
+                    break;
+                }
+                if (chr === '\\' && pos < len) {
+                    // only \\ and \" are defined, for anything else the backslash is ignored
+                    chr = source.charAt(pos++);
+                }
+                if (chr === '\n') {
+                    line++;
+                }
+                value += chr;
+            }
+            tokens.push({ type: 'string', value, line: startLine });
+            continue;
+        }
+
+        if (PUNCTUATION.includes(c)) {
+            tokens.push({ type: c, line });
+            pos++;
+            continue;
+        }
+
+        if (c === ':') {
+            pos++;
+            let tag = readIdentifier();
+            if (!tag) {
+                throw new SieveError('Invalid tag', line);
+            }
+            tokens.push({ type: 'tag', value: tag.toLowerCase(), line });
+            continue;
+        }
+
+        if (c >= '0' && c <= '9') {
+            numberRe.lastIndex = pos;
+            let match = numberRe.exec(source);
+            pos = numberRe.lastIndex;
+            let value = Number(match[1]) * (QUANTIFIERS[match[2].toLowerCase()] || 1);
+            tokens.push({ type: 'number', value, line });
+            continue;
+        }
+
+        let identifier = readIdentifier();
+        if (identifier) {
+            if (identifier.toLowerCase() === 'text' && source.charAt(pos) === ':') {
+                let startLine = line;
+                pos++;
+                tokens.push({ type: 'string', value: readMultiline(startLine), line: startLine });
+                continue;
+            }
+            tokens.push({ type: 'identifier', value: identifier.toLowerCase(), line });
+            continue;
+        }
+
+        throw new SieveError(`Unexpected character "${c}"`, line);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses script source into a list of commands. Every command is an object
+ * {name, args, tests, block, line}, tests use the same structure without the block.
+ * Arguments are objects {type, value} where type is one of "tag", "number", "string" or "stringlist"
+ *
+ * @param {String} source Script source
+ * @returns {Array} List of top level commands
+ */
+function parse(source) {
+    let tokens = tokenize((source || '').toString());
+    let pos = 0;
+
+    let lastLine = tokens.length ? tokens[tokens.length - 1].line : 1;
+
+    let peek = () => tokens[pos];
+
+    let unexpected = (token, expected) => {
+        if (!token) {
+            return new SieveError(`Unexpected end of script, expected ${expected}`, lastLine);
+        }
+        let found = token.type === 'identifier' || token.type === 'tag' ? `"${token.value}"` : token.type;
+        return new SieveError(`Unexpected ${found}, expected ${expected}`, token.line);
+    };
+
+    let parseStringList = () => {
+        let values = [];
+        for (;;) {
+            let token = tokens[pos++];
+            if (!token || token.type !== 'string') {
+                throw unexpected(token, 'a string');
+            }
+            values.push(token.value);
+
+            token = tokens[pos++];
+            if (token && token.type === ']') {
+                return values;
+            }
+            if (!token || token.type !== ',') {
+                throw unexpected(token, '"," or "]"');
+            }
+        }
+    };
+
+    // parseArguments and parseTest call each other
+    let parseTest;
+
+    let parseArguments = depth => {
+        let args = [];
+        let tests = [];
+
+        for (;;) {
+            let token = peek();
+            if (!token) {
+                break;
+            }
+            if (token.type === 'tag' || token.type === 'number' || token.type === 'string') {
+                args.push({ type: token.type, value: token.value });
+                pos++;
+                continue;
+            }
+            if (token.type === '[') {
+                pos++;
+                args.push({ type: 'stringlist', value: parseStringList() });
+                continue;
+            }
+            break;
+        }
+
+        let token = peek();
+        if (token && token.type === 'identifier') {
+            tests.push(parseTest(depth + 1));
+        } else if (token && token.type === '(') {
+            pos++;
+            for (;;) {
+                tests.push(parseTest(depth + 1));
+                token = tokens[pos++];
+                if (token && token.type === ')') {
+                    break;
+                }
+                if (!token || token.type !== ',') {
+                    throw unexpected(token, '"," or ")"');
+                }
+            }
+        }
+
+        return { args, tests };
+    };
+
+    parseTest = depth => {
+        let token = tokens[pos++];
+        if (!token || token.type !== 'identifier') {
+            throw unexpected(token, 'a test');
+        }
+        if (depth > MAX_NESTING_DEPTH) {
+            throw new SieveError('Too many nested tests', token.line);
+        }
+        let { args, tests } = parseArguments(depth);
+        return { name: token.value, args, tests, line: token.line };
+    };
+
+    let parseCommands = (depth, inBlock) => {
+        let commands = [];
+        for (;;) {
+            let token = tokens[pos++];
+            if (!token) {
+                if (inBlock) {
+                    throw unexpected(token, '"}"');
+                }
+                return commands;
+            }
+            if (token.type === '}' && inBlock) {
+                return commands;
+            }
+            if (token.type !== 'identifier') {
+                throw unexpected(token, 'a command');
+            }
+            if (depth > MAX_NESTING_DEPTH) {
+                throw new SieveError('Too many nested blocks', token.line);
+            }
+
+            let { args, tests } = parseArguments(depth);
+            let command = { name: token.value, args, tests, block: null, line: token.line };
+
+            let next = tokens[pos++];
+            if (next && next.type === '{') {
+                command.block = parseCommands(depth + 1, true);
+            } else if (!next || next.type !== ';') {
+                throw unexpected(next, '";" or "{"');
+            }
+
+            commands.push(command);
+        }
+    };
+
+    return parseCommands(0, false);
+}
+
+function countLines(str) {
+    let count = 0;
+    for (let i = 0; i < str.length; i++) {
+        if (str.charAt(i) === '\n') {
+            count++;
+        }
+    }
+    return count;
+}
+
+module.exports = { parse, tokenize, SieveError };
@@ -0,0 +1,136 @@
+'use strict';
+
+const log = require('npmlog');
+const db = require('../db');
+const consts = require('../consts');
+
+function timeout(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+let run = async (task, data, options) => {
+    const attachmentStorage = options.messageHandler.attachmentStorage;
+    const migrations = db.database.collection('attachmentmigrations');
+
+    let migrationData = await migrations.findOne({ _id: data.migration });
+    if (!migrationData || ['finished', 'finished_with_errors', 'failed'].includes(migrationData.status)) {
+        log.verbose('Tasks', 'task=attachment-migrate id=%s migration=%s Nothing to process', task._id, data.migration);
+        return false;
+    }
+
+    if (migrationData.target !== attachmentStorage.type) {
+        // storage configuration was changed after the migration was created
+        await migrations.updateOne(
+            { _id: migrationData._id },
+            {
+                $set: {
+                    status: 'failed',
+                    error: `Attachment storage type is "${attachmentStorage.type}", expected "${migrationData.target}"`,
+                    finished: new Date()
+                }
+            }
+        );
+        return false;
+    }
+
+    let batchSize = migrationData.batchSize || consts.ATTACHMENT_MIGRATION_BATCH_SIZE;
+
+    if (['queued', 'copying'].includes(migrationData.status)) {
+        if (migrationData.status === 'queued') {
+            await migrations.updateOne({ _id: migrationData._id }, { $set: { status: 'copying', started: new Date() } });
+        }
+
+        // continue from the last checkpoint if the task was interrupted
+        let lastId = migrationData.lastId || null;
+
+        let ids;
+        while ((ids = await attachmentStorage.listUnmigrated(lastId, batchSize)).length) {
+            let counters = {
+                processed: 0,
+                migrated: 0,
+                skipped: 0,
+                failed: 0,
+                bytes: 0
+            };
+            let lastError;
+
+            for (let id of ids) {
+                try {
+                    let result = await attachmentStorage.migrate(id);
+                    counters[result.status]++;
+                    counters.bytes += result.size;
+                } catch (err) {
+                    counters.failed++;
+                    lastError = `${id.toString('hex')}: ${err.message}`;
+                    log.error(
+                        'Tasks',
+                        'task=attachment-migrate id=%s migration=%s attachment=%s error=%s',
+                        task._id,
+                        data.migration,
+                        id.toString('hex'),
+                        err.message
+                    );
+                }
+                counters.processed++;
+            }
+
+            lastId = ids[ids.length - 1];
+
+            let cleaned = await attachmentStorage.cleanupMigrated(consts.ATTACHMENT_MIGRATION_CLEANUP_DELAY, batchSize);
+
+            let update = {
+                $set: {
+                    lastId,
+                    updated: new Date()
+                },
+                $inc: Object.assign(counters, { cleaned })
+            };
+            if (lastError) {
+                update.$set.lastError = lastError;
+            }
+            await migrations.updateOne({ _id: migrationData._id }, update);
+
+            log.verbose(
+                'Tasks',
+                'task=attachment-migrate id=%s migration=%s processed=%s migrated=%s failed=%s',
+                task._id,
+                data.migration,
+                counters.processed,
+                counters.migrated,
+                counters.failed
+            );
+        }
+
+        migrationData.copied = new Date();
+        await migrations.updateOne({ _id: migrationData._id }, { $set: { status: 'cleanup', copied: migrationData.copied, updated: new Date() } });
+    }
+
+    // wait until the last migrated attachments are not used by older readers anymore
+    let wait = migrationData.copied.getTime() + consts.ATTACHMENT_MIGRATION_CLEANUP_DELAY - Date.now();
+    if (wait > 0) {
+        await timeout(wait);
+    }
+
+    let cleaned;
+    while ((cleaned = await attachmentStorage.cleanupMigrated(consts.ATTACHMENT_MIGRATION_CLEANUP_DELAY, batchSize))) {
+        await migrations.updateOne({ _id: migrationData._id }, { $set: { updated: new Date() }, $inc: { cleaned } });
+    }
+
+    // failed attachments were left in their previous storage, these can be retried with a new migration
+    let { failed } = await migrations.findOne({ _id: migrationData._id }, { projection: { failed: true } });
+    let status = failed ? 'finished_with_errors' : 'finished';
+
+    await migrations.updateOne({ _id: migrationData._id }, { $set: { status, finished: new Date() } });
+
+    log.verbose('Tasks', 'task=attachment-migrate id=%s migration=%s failed=%s Attachment migration %s', task._id, data.migration, failed || 0, status);
+    return true;
+};
+
+module.exports = (task, data, options, callback) => {
+    run(task, data, options)
+        .then(result => callback(null, result))
+        .catch(err => {
+            log.error('Tasks', 'task=attachment-migrate id=%s migration=%s error=%s', task._id, data.migration, err.message);
+            callback(err);
+        });
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+const log = require('npmlog');
+
+let run = async (task, data, options) => {
+    const { dkimHandler } = options;
+
+    if (data.dkim) {
+        // rotation was requested through the API, check this key immediately
+        let dkimData = await dkimHandler.getRotationRecord(data.dkim);
+        let result = await dkimHandler.processRotation(dkimData);
+        log.verbose('Tasks', 'task=dkim-rotate id=%s domain=%s result=%s', task._id, dkimData.domain, result);
+        return true;
+    }
+
+    let dkimData;
+    while ((dkimData = await dkimHandler.getNextRotation())) {
+        try {
+            let result = await dkimHandler.processRotation(dkimData);
+            log.verbose('Tasks', 'task=dkim-rotate id=%s domain=%s result=%s', task._id, dkimData.domain, result);
+        } catch (err) {
+            log.error('Tasks', 'task=dkim-rotate id=%s domain=%s error=%s', task._id, dkimData.domain, err.message);
+        }
+    }
+
+    return true;
+};
+
+module.exports = (task, data, options, callback) => {
+    run(task, data, options)
+        .then(response => callback(null, response))
+        .catch(callback);
+};
@@ -25,6 +25,13 @@ module.exports = (task, data, options, callback) => {
                             user: userData._id
                         }
                     },
+                    {
+                        // METADATA entries are counted towards quota as well
+                        $unionWith: {
+                            coll: 'metadata',
+                            pipeline: [{ $match: { user: userData._id } }]
+                        }
+                    },
                     {
                         $group: {
                             _id: {
@@ -7,6 +7,9 @@ const { prepareSearchFilter } = require('../prepare-search-filter');
 const { getMongoDBQuery } = require('../search-query');
 const ObjectId = require('mongodb').ObjectId;
 
+// how often to store progress for filter runs
+const PROGRESS_INTERVAL = 100;
+
 let run = async (task, data, options) => {
     const messageHandler = options.messageHandler;
 
@@ -14,27 +17,61 @@ let run = async (task, data, options) => {
 
     let updated = 0;
     let errors = 0;
+    let processed = 0;
 
     const user = new ObjectId(data.user);
 
+    // set if the task was created to run a filter on existing messages
+    const filter = data.filter ? new ObjectId(data.filter) : false;
+    const started = new Date();
+
+    let updateProgress = async $set => {
+        if (!filter) {
+            return;
+        }
+        try {
+            // only update the latest run of the filter
+            await db.database.collection('filters').updateOne(
+                { _id: filter, user, 'apply.task': task._id },
+                {
+                    $set: Object.assign(
+                        {
+                            'apply.status': 'running',
+                            'apply.started': started,
+                            'apply.processed': processed,
+                            'apply.updated': updated,
+                            'apply.errors': errors
+                        },
+                        $set
+                    )
+                }
+            );
+        } catch (err) {
+            log.error('Tasks', 'task=search-apply id=%s user=%s filter=%s error=%s', task._id, data.user, data.filter, err.message);
+        }
+    };
+
     const action = data.action || {};
     if (action.moveTo) {
         action.moveTo = new ObjectId(action.moveTo);
     }
 
     let query;
-    let filter;
-
-    if (data.q) {
-        filter = await getMongoDBQuery(db, user, data.q);
-        query = data.q;
-    } else {
-        let prepared = await prepareSearchFilter(db, user, data);
-        filter = prepared.filter;
-        query = prepared.query;
-    }
+    let searchFilter;
+
+    let failure = false;
 
     try {
+        // an invalid search query must not leave the filter run in the running state
+        if (data.q) {
+            searchFilter = await getMongoDBQuery(db, user, data.q);
+            query = data.q;
+        } else {
+            let prepared = await prepareSearchFilter(db, user, data);
+            searchFilter = prepared.filter;
+            query = prepared.query;
+        }
+
         // getMailboxAsync throws if mailbox is missing or wrong owner
         const mailboxData = action.moveTo ? await messageHandler.getMailboxAsync({ mailbox: action.moveTo }) : false;
 
@@ -45,7 +82,7 @@ let run = async (task, data, options) => {
             }
         }
 
-        let cursor = await db.database.collection('messages').find(filter);
+        let cursor = await db.database.collection('messages').find(searchFilter);
 
         let messageData;
 
@@ -54,11 +91,20 @@ let run = async (task, data, options) => {
             return;
         }
 
+        if (filter) {
+            await updateProgress({ 'apply.total': await db.database.collection('messages').countDocuments(searchFilter) });
+        }
+
         while ((messageData = await cursor.next())) {
             if (!messageData || messageData.user.toString() !== user.toString()) {
                 continue;
             }
 
+            processed++;
+            if (processed % PROGRESS_INTERVAL === 0) {
+                await updateProgress({});
+            }
+
             if (action.moveTo && action.moveTo.toString() !== messageData.mailbox.toString()) {
                 try {
                     await messageHandler.moveAsync({
@@ -106,9 +152,19 @@ let run = async (task, data, options) => {
         await cursor.close();
     } catch (err) {
         log.error('Tasks', 'task=search-apply id=%s user=%s error=%s', task._id, data.user, err.stack);
+        failure = err;
         // best effort, do not throw
     } finally {
         log.verbose('Tasks', 'task=search-apply id=%s user=%s query=%s updated=%s errors=%s', task._id, data.user, JSON.stringify(query), updated, errors);
+
+        let $set = {
+            'apply.status': failure ? 'failed' : 'finished',
+            'apply.finished': new Date()
+        };
+        if (failure) {
+            $set['apply.error'] = failure.message;
+        }
+        await updateProgress($set);
     }
 };
 
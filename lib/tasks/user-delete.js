@@ -171,6 +171,16 @@ const run = async (task, data) => {
         throw err;
     }
 
+    try {
+        let delRes = await db.database.collection('sievescripts').deleteMany({ user: data.user });
+        result.sievescripts = { deleted: delRes.deletedCount };
+    } catch (err) {
+        log.error('Tasks', 'task=user-delete id=%s user=%s message=%s error=%s', task._id, data.user, 'Failed to delete sieve scripts', err.message);
+        err.code = 'InternalDatabaseError';
+        result.sievescripts = { error: err.message };
+        throw err;
+    }
+
     try {
         let delRes = await db.database.collection('autoreplies').deleteMany({ user: data.user });
         result.autoreplies = { deleted: delRes.deletedCount };
@@ -181,6 +191,38 @@ const run = async (task, data) => {
         throw err;
     }
 
+    try {
+        let delRes = await db.database.collection('metadata').deleteMany({ user: data.user });
+        result.metadata = { deleted: delRes.deletedCount };
+    } catch (err) {
+        log.error('Tasks', 'task=user-delete id=%s user=%s message=%s error=%s', task._id, data.user, 'Failed to delete metadata', err.message);
+        err.code = 'InternalDatabaseError';
+        result.metadata = { error: err.message };
+        throw err;
+    }
+
+    try {
+        // remove grants given by and given to this user
+        let delRes = await db.database.collection('mailboxacl').deleteMany({ $or: [{ user: data.user }, { owner: data.user }] });
+        result.mailboxacl = { deleted: delRes.deletedCount };
+    } catch (err) {
+        log.error('Tasks', 'task=user-delete id=%s user=%s message=%s error=%s', task._id, data.user, 'Failed to delete mailbox grants', err.message);
+        err.code = 'InternalDatabaseError';
+        result.mailboxacl = { error: err.message };
+        throw err;
+    }
+
+    try {
+        // remove delegations given by and given to this user
+        let delRes = await db.users.collection('delegations').deleteMany({ $or: [{ user: data.user }, { delegate: data.user }] });
+        result.delegations = { deleted: delRes.deletedCount };
+    } catch (err) {
+        log.error('Tasks', 'task=user-delete id=%s user=%s message=%s error=%s', task._id, data.user, 'Failed to delete delegations', err.message);
+        err.code = 'InternalDatabaseError';
+        result.delegations = { error: err.message };
+        throw err;
+    }
+
     try {
         let deleted = await deleteRegistryAddresses(task, data);
         result.addressregister = { deleted };
@@ -0,0 +1,66 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// how old signed deliveries are accepted by verify()
+const DEFAULT_TOLERANCE = 5 * 60;
+
+/**
+ * Generates the value for the X-Wildduck-Signature header. Signed content is
+ * "{timestamp}.{delivery ID}.{request body}", so a captured request can not be replayed
+ * with a different timestamp or delivery ID. If several secrets are provided (eg. while
+ * a secret is being rotated) then a signature is included for every secret.
+ *
+ * @param {Array} secrets Webhook secrets
+ * @param {Number} timestamp Unix time in seconds
+ * @param {String} deliveryId Delivery ID
+ * @param {String|Buffer} body Request body
+ * @returns {String} Signature header value, eg. "t=1700000000,v1=abcdef..."
+ */
+function sign(secrets, timestamp, deliveryId, body) {
+    let parts = [`t=${timestamp}`];
+    for (let secret of [].concat(secrets || [])) {
+        let hmac = crypto.createHmac('sha256', secret);
+        hmac.update(`${timestamp}.${deliveryId}.`);
+        hmac.update(body);
+        parts.push(`v1=${hmac.digest('hex')}`);
+    }
+    return parts.join(',');
+}
+
+/**
+ * Verifies a signature header value. Mostly useful for webhook receivers written in Node.js
+ *
+ * @param {String} secret Webhook secret
+ * @param {String} header X-Wildduck-Signature header value
+ * @param {String} deliveryId X-Wildduck-Delivery header value
+ * @param {String|Buffer} body Raw request body
+ * @param {Number} [tolerance] Maximum allowed age of the signature in seconds
+ * @returns {Boolean} true if signature is valid
+ */
+function verify(secret, header, deliveryId, body, tolerance) {
+    let timestamp;
+    let signatures = [];
+
+    for (let part of (header || '').toString().split(',')) {
+        let [key, value] = part.trim().split('=');
+        if (key === 't') {
+            timestamp = Number(value);
+        } else if (key === 'v1' && value) {
+            signatures.push(Buffer.from(value, 'hex'));
+        }
+    }
+
+    if (!timestamp || !signatures.length) {
+        return false;
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > (tolerance || DEFAULT_TOLERANCE)) {
+        return false;
+    }
+
+    let expected = Buffer.from(sign(secret, timestamp, deliveryId, body).split('v1=').pop(), 'hex');
+    return signatures.some(signature => signature.length === expected.length && crypto.timingSafeEqual(signature, expected));
+}
+
+module.exports = { sign, verify };
@@ -0,0 +1,201 @@
+'use strict';
+
+const config = require('wild-config');
+const log = require('npmlog');
+const ManageSieveServer = require('./lib/managesieve/server');
+const UserHandler = require('./lib/user-handler');
+const SieveHandler = require('./lib/sieve-handler');
+const OAuthHandler = require('./lib/oauth-handler');
+const packageData = require('./package.json');
+const db = require('./lib/db');
+const certs = require('./lib/certs');
+const Gelf = require('gelf');
+const os = require('os');
+
+let userHandler;
+let oauthHandler;
+let loggelf;
+
+const serverOptions = {
+    port: config.managesieve.port,
+    host: config.managesieve.host,
+
+    secure: config.managesieve.secure,
+    secured: config.managesieve.secured,
+
+    disableSTARTTLS: config.managesieve.disableSTARTTLS,
+    ignoreSTARTTLS: config.managesieve.ignoreSTARTTLS,
+
+    disableVersionString: !!config.managesieve.disableVersionString,
+
+    enableOAuth: !!(config.oauth && config.oauth.enabled),
+    oauthScope: config.oauth && config.oauth.scope,
+
+    useProxy: !!config.managesieve.useProxy,
+    ignoredHosts: config.managesieve.ignoredHosts,
+
+    id: {
+        name: config.managesieve.name || 'WildDuck ManageSieve Server',
+        version: config.managesieve.version || packageData.version
+    },
+
+    SNICallback(servername, cb) {
+        certs
+            .getContextForServername(
+                servername,
+                serverOptions,
+                {
+                    source: 'managesieve'
+                },
+                {
+                    loggelf: message => loggelf(message)
+                }
+            )
+            .then(context => cb(null, context))
+            .catch(err => cb(err));
+    },
+
+    // log to console
+    logger: {
+        info(...args) {
+            args.shift();
+            log.info('ManageSieve', ...args);
+        },
+        debug(...args) {
+            args.shift();
+            log.silly('ManageSieve', ...args);
+        },
+        error(...args) {
+            args.shift();
+            log.error('ManageSieve', ...args);
+        }
+    },
+
+    onAuth(auth, session, callback) {
+        let authenticate = (username, password, requiredScope, meta, done) => {
+            if (auth.accessToken) {
+                // XOAUTH2 and OAUTHBEARER
+                return oauthHandler
+                    .authenticate(auth.accessToken, { username, scope: requiredScope, meta })
+                    .then(result => done(null, ...result))
+                    .catch(err => done(err));
+            }
+            userHandler.authenticate(username, password, requiredScope, meta, done);
+        };
+
+        authenticate(
+            auth.username,
+            auth.password,
+            // Sieve scripts are managed by mail clients, so these use the same scope as IMAP
+            'imap',
+            {
+                protocol: 'ManageSieve',
+                sess: session.id,
+                ip: session.remoteAddress
+            },
+            (err, result) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                if (!result) {
+                    return callback();
+                }
+
+                if (result.scope === 'master' && result.require2fa) {
+                    // master password not allowed if 2fa is enabled!
+                    return callback();
+                }
+
+                callback(null, {
+                    user: {
+                        id: result.user,
+                        username: result.username
+                    }
+                });
+            }
+        );
+    }
+};
+
+certs.loadTLSOptions(serverOptions, 'managesieve');
+
+const server = new ManageSieveServer(serverOptions);
+
+certs.registerReload(server, 'managesieve');
+
+module.exports = done => {
+    if (!config.managesieve || !config.managesieve.enabled) {
+        return setImmediate(() => done(null, false));
+    }
+
+    let started = false;
+
+    const component = config.log.gelf.component || 'wildduck';
+    const hostname = config.log.gelf.hostname || os.hostname();
+    const gelf =
+        config.log.gelf && config.log.gelf.enabled
+            ? new Gelf(config.log.gelf.options)
+            : {
+                  // placeholder
+                  emit: (key, message) => log.info('Gelf', JSON.stringify(message))
+              };
+
+    loggelf = message => {
+        if (typeof message === 'string') {
+            message = {
+                short_message: message
+            };
+        }
+        message = message || {};
+
+        if (!message.short_message || message.short_message.indexOf(component.toUpperCase()) !== 0) {
+            message.short_message = component.toUpperCase() + ' ' + (message.short_message || '');
+        }
+
+        message.facility = component; // facility is deprecated but set by the driver if not provided
+        message.host = hostname;
+        message.timestamp = Date.now() / 1000;
+        message._component = component;
+        Object.keys(message).forEach(key => {
+            if (!message[key]) {
+                delete message[key];
+            }
+        });
+        gelf.emit('gelf.log', message);
+    };
+
+    userHandler = new UserHandler({
+        database: db.database,
+        users: db.users,
+        redis: db.redis,
+        loggelf: message => loggelf(message)
+    });
+
+    oauthHandler = new OAuthHandler({
+        userHandler,
+        loggelf: message => loggelf(message)
+    });
+
+    server.sieveHandler = new SieveHandler({
+        database: db.database
+    });
+
+    server.loggelf = loggelf;
+
+    server.on('error', err => {
+        if (!started) {
+            started = true;
+            return done(err);
+        }
+        log.error('ManageSieve', err.message);
+    });
+
+    server.listen(config.managesieve.port, config.managesieve.host, () => {
+        if (started) {
+            return server.close();
+        }
+        started = true;
+        done(null, server);
+    });
+};
@@ -5,6 +5,7 @@ const log = require('npmlog');
 const POP3Server = require('./lib/pop3/server');
 const UserHandler = require('./lib/user-handler');
 const MessageHandler = require('./lib/message-handler');
+const OAuthHandler = require('./lib/oauth-handler');
 const packageData = require('./package.json');
 const ObjectId = require('mongodb').ObjectId;
 const db = require('./lib/db');
@@ -18,6 +19,7 @@ const MAX_MESSAGES = 250;
 
 let messageHandler;
 let userHandler;
+let oauthHandler;
 let loggelf;
 
 const serverOptions = {
@@ -32,6 +34,9 @@ const serverOptions = {
 
     disableVersionString: !!config.pop3.disableVersionString,
 
+    enableOAuth: !!(config.oauth && config.oauth.enabled),
+    oauthScope: config.oauth && config.oauth.scope,
+
     useProxy: !!config.imap.useProxy,
     ignoredHosts: config.pop3.ignoredHosts,
 
@@ -73,7 +78,18 @@ const serverOptions = {
     },
 
     onAuth(auth, session, callback) {
-        userHandler.authenticate(
+        let authenticate = (username, password, requiredScope, meta, done) => {
+            if (auth.accessToken) {
+                // XOAUTH2 and OAUTHBEARER
+                return oauthHandler
+                    .authenticate(auth.accessToken, { username, scope: requiredScope, meta })
+                    .then(result => done(null, ...result))
+                    .catch(err => done(err));
+            }
+            userHandler.authenticate(username, password, requiredScope, meta, done);
+        };
+
+        authenticate(
             auth.username,
             auth.password,
             'pop3',
@@ -483,6 +499,11 @@ module.exports = done => {
         loggelf: message => loggelf(message)
     });
 
+    oauthHandler = new OAuthHandler({
+        userHandler,
+        loggelf: message => loggelf(message)
+    });
+
     server.loggelf = loggelf;
 
     server.on('error', err => {
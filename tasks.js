@@ -11,6 +11,7 @@ const { Queue } = require('bullmq');
 const MessageHandler = require('./lib/message-handler');
 const MailboxHandler = require('./lib/mailbox-handler');
 const CertHandler = require('./lib/cert-handler');
+const DkimHandler = require('./lib/dkim-handler');
 const AuditHandler = require('./lib/audit-handler');
 const TaskHandler = require('./lib/task-handler');
 
@@ -29,12 +30,15 @@ const taskAcmeUpdate = require('./lib/tasks/acme-update');
 const taskClearFolder = require('./lib/tasks/clear-folder');
 const taskSearchApply = require('./lib/tasks/search-apply');
 const taskUserIndexing = require('./lib/tasks/user-indexing');
+const taskAttachmentMigrate = require('./lib/tasks/attachment-migrate');
+const taskDkimRotate = require('./lib/tasks/dkim-rotate');
 
 let messageHandler;
 let mailboxHandler;
 let auditHandler;
 let taskHandler;
 let certHandler;
+let dkimHandler;
 let backlogIndexingQueue;
 let gcTimeout;
 let taskTimeout;
@@ -129,6 +133,14 @@ module.exports.start = callback => {
         loggelf: message => loggelf(message)
     });
 
+    dkimHandler = new DkimHandler({
+        cipher: config.dkim.cipher,
+        secret: config.dkim.secret,
+        database: db.database,
+        redis: db.redis,
+        loggelf: message => loggelf(message)
+    });
+
     backlogIndexingQueue = new Queue('backlog_indexing', db.queueConf);
 
     let start = () => {
@@ -501,6 +513,23 @@ async function runTasks() {
                 await timer(consts.TASK_IDLE_INTERVAL);
             }
 
+            // and scheduled DKIM key rotations
+            try {
+                await new Promise((resolve, reject) => {
+                    // run pseudo task
+                    processTask({ type: 'dkim-rotate', _id: 'dkim-rotate-id', lock: 'dkim-rotate-lock', silent: true }, {}, err => {
+                        if (err) {
+                            return reject(err);
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            } catch (err) {
+                log.error('Tasks', 'Failed running recurring DKIM rotation checks. error=%s', err.message);
+                await timer(consts.TASK_IDLE_INTERVAL);
+            }
+
             pendingCheckTime = Date.now();
         }
 
@@ -705,6 +734,40 @@ function processTask(task, data, callback) {
                 }
             );
 
+        case 'attachment-migrate':
+            return taskAttachmentMigrate(
+                task,
+                data,
+                {
+                    messageHandler,
+                    loggelf
+                },
+                err => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    // release
+                    callback(null, true);
+                }
+            );
+
+        case 'dkim-rotate':
+            return taskDkimRotate(
+                task,
+                data,
+                {
+                    dkimHandler,
+                    loggelf
+                },
+                err => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    // release
+                    callback(null, true);
+                }
+            );
+
         default:
             // release task by returning true
             return callback(null, true);
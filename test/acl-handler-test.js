@@ -0,0 +1,64 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const AclHandler = require('../lib/acl-handler');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+describe('Mailbox ACL', function () {
+    describe('#normalizeRights', () => {
+        it('should sort and deduplicate rights', () => {
+            expect(AclHandler.normalizeRights('rl')).to.equal('lr');
+            expect(AclHandler.normalizeRights('aelrrl')).to.equal('lrea');
+            expect(AclHandler.normalizeRights('')).to.equal('');
+        });
+
+        it('should expand obsolete rights', () => {
+            expect(AclHandler.normalizeRights('lrc')).to.equal('lrkx');
+            expect(AclHandler.normalizeRights('lrd')).to.equal('lrte');
+        });
+
+        it('should reject unknown rights', () => {
+            expect(() => AclHandler.normalizeRights('lrz')).to.throw(/Unknown right/);
+        });
+    });
+
+    describe('#filterFlags', () => {
+        it('should only keep flags allowed by rights', () => {
+            let flags = ['\\Seen', '\\Deleted', '\\Flagged', '$Label'];
+
+            expect(AclHandler.filterFlags(flags, 'lrswipkxtea')).to.deep.equal(flags);
+            expect(AclHandler.filterFlags(flags, 'lrs')).to.deep.equal(['\\Seen']);
+            expect(AclHandler.filterFlags(flags, 'lrt')).to.deep.equal(['\\Deleted']);
+            expect(AclHandler.filterFlags(flags, 'lrw')).to.deep.equal(['\\Flagged', '$Label']);
+            expect(AclHandler.filterFlags(flags, 'lr')).to.deep.equal([]);
+        });
+    });
+
+    describe('#hasRights', () => {
+        it('should require all listed rights', () => {
+            expect(AclHandler.hasRights('lrte', 'rte')).to.be.true;
+            expect(AclHandler.hasRights('lrt', 'rte')).to.be.false;
+        });
+    });
+
+    describe('Shared namespace', () => {
+        let aclHandler = new AclHandler({ database: {}, namespace: 'Other Users' });
+
+        it('should detect shared paths', () => {
+            expect(aclHandler.isSharedPath('Other Users')).to.be.true;
+            expect(aclHandler.isSharedPath('Other Users/support/INBOX')).to.be.true;
+            expect(aclHandler.isSharedPath('Other Usersx/support')).to.be.false;
+            expect(aclHandler.isSharedPath('INBOX')).to.be.false;
+        });
+
+        it('should convert between shared and owner paths', () => {
+            expect(aclHandler.getSharedPath('support', 'Tickets/Open')).to.equal('Other Users/support/Tickets/Open');
+            expect(aclHandler.parseSharedPath('Other Users/support/Tickets/Open')).to.deep.equal({ username: 'support', path: 'Tickets/Open' });
+            expect(aclHandler.parseSharedPath('Other Users/support')).to.deep.equal({ username: 'support', path: '' });
+        });
+    });
+});
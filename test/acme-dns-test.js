@@ -0,0 +1,197 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const http = require('http');
+const chai = require('chai');
+const DnsChallenge = require('../lib/acme/dns-challenge');
+const Rfc2136Provider = require('../lib/acme/dns-providers/rfc2136-provider');
+const HttpProvider = require('../lib/acme/dns-providers/http-provider');
+const { getChallenges } = require('../lib/acme/certs');
+const MockDnsServer = require('./utils/mock-dns-server');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const DNS_PORT = 5354;
+const HTTP_PORT = 5355;
+
+const key = {
+    name: 'acme-update',
+    algorithm: 'hmac-sha256',
+    secret: Buffer.from('test-tsig-secret-value').toString('base64')
+};
+
+const rfc2136Options = {
+    server: '127.0.0.1',
+    port: DNS_PORT,
+    zone: 'example.com',
+    keyName: key.name,
+    keyAlgorithm: key.algorithm,
+    keySecret: key.secret
+};
+
+describe('ACME dns-01 challenges', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    let dnsServer;
+
+    beforeEach(async () => {
+        dnsServer = new MockDnsServer({ port: DNS_PORT, zone: 'example.com', key });
+        await dnsServer.start();
+    });
+
+    afterEach(async () => {
+        await dnsServer.stop();
+    });
+
+    describe('RFC2136 provider', () => {
+        it('should add and remove signed TXT records', async () => {
+            let provider = new Rfc2136Provider(rfc2136Options);
+
+            await provider.setRecord('_acme-challenge.mail.example.com', 'first-value');
+            await provider.setRecord('_acme-challenge.mail.example.com', 'second-value');
+            expect(Array.from(dnsServer.records.get('_acme-challenge.mail.example.com'))).to.deep.equal(['first-value', 'second-value']);
+
+            await provider.removeRecord('_acme-challenge.mail.example.com', 'first-value');
+            expect(Array.from(dnsServer.records.get('_acme-challenge.mail.example.com'))).to.deep.equal(['second-value']);
+
+            expect(dnsServer.updates.length).to.equal(3);
+            expect(dnsServer.updates[0]).to.deep.equal({
+                zone: 'example.com',
+                signed: true,
+                changes: [{ action: 'add', name: '_acme-challenge.mail.example.com', value: 'first-value', ttl: 60 }]
+            });
+        });
+
+        it('should fail on rejected updates', async () => {
+            let unsigned = new Rfc2136Provider(Object.assign({}, rfc2136Options, { keyName: false }));
+            try {
+                await unsigned.setRecord('_acme-challenge.mail.example.com', 'value');
+                expect.fail('update should fail');
+            } catch (err) {
+                expect(err.code).to.equal('DnsUpdateFailed');
+                expect(err.rcode).to.equal('NOTAUTH');
+            }
+
+            let wrongKey = new Rfc2136Provider(Object.assign({}, rfc2136Options, { keySecret: Buffer.from('wrong').toString('base64') }));
+            try {
+                await wrongKey.setRecord('_acme-challenge.mail.example.com', 'value');
+                expect.fail('update should fail');
+            } catch (err) {
+                expect(err.rcode).to.equal('NOTAUTH');
+            }
+
+            let provider = new Rfc2136Provider(rfc2136Options);
+            try {
+                await provider.setRecord('_acme-challenge.example.org', 'value', 'example.com');
+                expect.fail('update should fail');
+            } catch (err) {
+                expect(err.rcode).to.equal('NOTZONE');
+            }
+
+            expect(dnsServer.updates.length).to.equal(0);
+        });
+
+        it('should time out if there is no response', async () => {
+            let provider = new Rfc2136Provider(Object.assign({}, rfc2136Options, { port: DNS_PORT + 10, timeout: 200 }));
+            try {
+                await provider.setRecord('_acme-challenge.mail.example.com', 'value');
+                expect.fail('update should fail');
+            } catch (err) {
+                expect(err.message).to.match(/timed out/);
+            }
+        });
+    });
+
+    describe('HTTP provider', () => {
+        let httpServer;
+        let requests;
+
+        beforeEach(done => {
+            requests = [];
+            httpServer = http.createServer((req, res) => {
+                let chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    requests.push({ method: req.method, authorization: req.headers.authorization, body: JSON.parse(Buffer.concat(chunks).toString()) });
+                    res.writeHead(req.headers.authorization === 'Bearer test-token' ? 200 : 403);
+                    res.end();
+                });
+            });
+            httpServer.listen(HTTP_PORT, '127.0.0.1', done);
+        });
+
+        afterEach(done => {
+            httpServer.close(done);
+        });
+
+        it('should post record changes to the API', async () => {
+            let provider = new HttpProvider({ url: `http://127.0.0.1:${HTTP_PORT}/acme`, token: 'test-token' });
+
+            await provider.setRecord('_acme-challenge.mail.example.com', 'value', 'example.com');
+            await provider.removeRecord('_acme-challenge.mail.example.com', 'value', 'example.com');
+
+            expect(requests).to.deep.equal([
+                {
+                    method: 'POST',
+                    authorization: 'Bearer test-token',
+                    body: { action: 'set', name: '_acme-challenge.mail.example.com', value: 'value', ttl: 60, zone: 'example.com' }
+                },
+                {
+                    method: 'POST',
+                    authorization: 'Bearer test-token',
+                    body: { action: 'remove', name: '_acme-challenge.mail.example.com', value: 'value', zone: 'example.com' }
+                }
+            ]);
+        });
+
+        it('should fail on error responses', async () => {
+            let provider = new HttpProvider({ url: `http://127.0.0.1:${HTTP_PORT}/acme`, token: 'wrong-token' });
+            try {
+                await provider.setRecord('_acme-challenge.mail.example.com', 'value');
+                expect.fail('request should fail');
+            } catch (err) {
+                expect(err.code).to.equal('DnsUpdateFailed');
+                expect(err.statusCode).to.equal(403);
+            }
+        });
+    });
+
+    describe('Challenge handler', () => {
+        it('should publish and remove challenge records', async () => {
+            let handler = DnsChallenge.create({ provider: 'rfc2136', propagationDelay: 5, rfc2136: rfc2136Options });
+            expect(handler.propagationDelay).to.equal(5000);
+            expect(await handler.zones()).to.deep.equal(['example.com']);
+
+            let challenge = {
+                altname: '*.mail.example.com',
+                dnsHost: '_acme-challenge.mail.example.com',
+                dnsZone: 'example.com',
+                dnsAuthorization: 'LPsIwTo7o8BoG0-vjCyGQGBWSVIPxI-i_X336eUOQZo'
+            };
+
+            await handler.set({ challenge });
+            expect(Array.from(dnsServer.records.get(challenge.dnsHost))).to.deep.equal([challenge.dnsAuthorization]);
+            expect(await handler.get({ challenge })).to.deep.equal({ dnsAuthorization: challenge.dnsAuthorization });
+
+            await handler.remove({ challenge });
+            expect(dnsServer.records.get(challenge.dnsHost).size).to.equal(0);
+            expect(await handler.get({ challenge })).to.be.null;
+        });
+
+        it('should reject unknown providers', () => {
+            expect(() => DnsChallenge.create({ provider: 'unknown' })).to.throw(/Unknown DNS provider/);
+        });
+
+        it('should select the challenge type for a domain', () => {
+            let certHandler = { database: {} };
+            let dnsOptions = { provider: 'rfc2136', rfc2136: rfc2136Options };
+
+            expect(Object.keys(getChallenges('mail.example.com', { dns: dnsOptions }, certHandler))).to.deep.equal(['http-01']);
+            expect(Object.keys(getChallenges('mail.example.com', { challenge: 'dns-01', dns: dnsOptions }, certHandler))).to.deep.equal(['dns-01']);
+            expect(Object.keys(getChallenges('*.mail.example.com', { dns: dnsOptions }, certHandler))).to.deep.equal(['dns-01']);
+            expect(() => getChallenges('*.mail.example.com', { dns: { provider: '' } }, certHandler)).to.throw(/not configured/);
+        });
+    });
+});
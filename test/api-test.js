@@ -693,6 +693,40 @@ describe('API tests', function () {
                 html: ''
             });
         });
+
+        it('should PUT /users/:user/autoreply expect success / schedule and external message', async () => {
+            let r;
+
+            r = await server
+                .put(`/users/${userId}/autoreply`)
+                .send({
+                    status: true,
+                    text: 'Out of office',
+                    schedule: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '09:00' }, { days: [0, 6] }],
+                    timezone: 'Europe/Tallinn',
+                    internalDomains: ['example.com', 'example.net'],
+                    external: { subject: 'Closed', text: 'Our office is closed' },
+                    contactsOnly: true
+                })
+                .expect(200);
+            expect(r.body.success).to.be.true;
+
+            r = await server.get(`/users/${userId}/autoreply`).expect(200);
+            expect(r.body.schedule).to.deep.equal([{ days: [1, 2, 3, 4, 5], start: '18:00', end: '09:00' }, { days: [0, 6] }]);
+            expect(r.body.timezone).to.equal('Europe/Tallinn');
+            expect(r.body.internalDomains).to.deep.equal(['example.com', 'example.net']);
+            expect(r.body.external).to.deep.equal({ subject: 'Closed', text: 'Our office is closed' });
+            expect(r.body.contactsOnly).to.be.true;
+
+            await server
+                .put(`/users/${userId}/autoreply`)
+                .send({ schedule: [{ start: '25:00' }] })
+                .expect(400);
+
+            await server.put(`/users/${userId}/autoreply`).send({ timezone: 'Mars/Olympus' }).expect(400);
+
+            await server.delete(`/users/${userId}/autoreply`).expect(200);
+        });
     });
 
     describe('domainaccess', () => {
@@ -874,6 +908,112 @@ describe('API tests', function () {
             }
         });
 
+        it('should GET /users/{user}/outbound expect success / should list and reschedule a scheduled message', async () => {
+            const message = {
+                from: {
+                    name: 'test tester1',
+                    address: getTestEmail(TEST_USERS.testuser1)
+                },
+                to: [
+                    { name: 'test tester2', address: getTestEmail(TEST_USERS.testuser2) },
+                    { name: 'test tester3', address: getTestEmail(TEST_USERS.testuser3) }
+                ],
+                draft: true,
+                subject: 'scheduled message',
+                text: 'Hello hello world!'
+            };
+
+            const response = await server.post(`/users/${userId}/mailboxes/${inbox}/messages`).send(message).expect(200);
+            expect(response.body.success).to.be.true;
+
+            let sendTime = new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+            const submitResponse = await server.post(`/users/${userId}/mailboxes/${inbox}/messages/${response.body.message.id}/submit`).send({ sendTime });
+
+            if (tools.runningCryptoEmails() && submitResponse.status === 403) {
+                // Message submission is restricted in crypto mode
+                return;
+            }
+
+            expect(submitResponse.status).to.equal(200);
+            const queueId = submitResponse.body.queueId;
+            expect(submitResponse.body.sendTime).to.equal(sendTime);
+
+            const listResponse = await server.get(`/users/${userId}/outbound?scheduled=true`).expect(200);
+            const queued = listResponse.body.results.find(entry => entry.queueId === queueId);
+            expect(queued.subject).to.equal('scheduled message');
+            expect(queued.sendTime).to.equal(sendTime);
+            expect(queued.recipients.map(entry => entry.recipient).sort()).to.deep.equal(
+                [getTestEmail(TEST_USERS.testuser2), getTestEmail(TEST_USERS.testuser3)].sort()
+            );
+
+            let newSendTime = new Date(Date.now() + 48 * 3600 * 1000).toISOString();
+            const updateResponse = await server.put(`/users/${userId}/outbound/${queueId}`).send({ sendTime: newSendTime }).expect(200);
+            expect(updateResponse.body.updated).to.equal(2);
+
+            const updatedListResponse = await server.get(`/users/${userId}/outbound`).expect(200);
+            expect(updatedListResponse.body.results.find(entry => entry.queueId === queueId).sendTime).to.equal(newSendTime);
+
+            const deleteResponse = await server.delete(`/users/${userId}/outbound/${queueId}`).expect(200);
+            expect(deleteResponse.body.deleted).to.equal(2);
+
+            const missingResponse = await server.put(`/users/${userId}/outbound/${queueId}`).send({ sendTime: newSendTime }).expect(404);
+            expect(missingResponse.body.code).to.equal('NoSuchQueueEntry');
+        });
+
+        it('should POST /users/{user}/mailboxes/{mailbox}/messages/{message}/submit expect success / should delay sending by default so it can be undone', async () => {
+            const message = {
+                from: {
+                    name: 'test tester1',
+                    address: getTestEmail(TEST_USERS.testuser1)
+                },
+                to: [{ name: 'test tester2', address: getTestEmail(TEST_USERS.testuser2) }],
+                draft: true,
+                subject: 'undo send',
+                text: 'Hello hello world!'
+            };
+
+            const response = await server.post(`/users/${userId}/mailboxes/${inbox}/messages`).send(message).expect(200);
+            expect(response.body.success).to.be.true;
+
+            let submitTime = Date.now();
+            const submitResponse = await server.post(`/users/${userId}/mailboxes/${inbox}/messages/${response.body.message.id}/submit`).send({});
+
+            if (tools.runningCryptoEmails() && submitResponse.status === 403) {
+                // Message submission is restricted in crypto mode
+                return;
+            }
+
+            expect(submitResponse.status).to.equal(200);
+            const queueId = submitResponse.body.queueId;
+
+            // message is held back for sendDelay (10) seconds
+            let sendTime = new Date(submitResponse.body.sendTime).getTime();
+            expect(sendTime).to.be.gt(Date.now());
+            expect(sendTime).to.be.lte(submitTime + 11 * 1000);
+
+            // the message is listed as the first scheduled message, later messages are on the next page
+            const listResponse = await server.get(`/users/${userId}/outbound?scheduled=true&limit=1`).expect(200);
+            expect(listResponse.body.results.length).to.equal(1);
+            expect(listResponse.body.results[0].queueId).to.equal(queueId);
+            expect(listResponse.body.previousCursor).to.be.false;
+
+            if (listResponse.body.nextCursor) {
+                const nextResponse = await server.get(`/users/${userId}/outbound?scheduled=true&limit=1&next=${listResponse.body.nextCursor}`).expect(200);
+                expect(nextResponse.body.results[0].queueId).to.not.equal(queueId);
+
+                const previousResponse = await server
+                    .get(`/users/${userId}/outbound?scheduled=true&limit=1&previous=${nextResponse.body.previousCursor}`)
+                    .expect(200);
+                expect(previousResponse.body.results[0].queueId).to.equal(queueId);
+            }
+
+            const deleteResponse = await server.delete(`/users/${userId}/outbound/${queueId}`).expect(200);
+            expect(deleteResponse.body.deleted).to.equal(1);
+
+            const updatedListResponse = await server.get(`/users/${userId}/outbound`).expect(200);
+            expect(updatedListResponse.body.results.find(entry => entry.queueId === queueId)).to.not.exist;
+        });
+
         it('should POST /users/{user}/mailboxes/{mailbox}/messages/{message}/submit expect failure / should create a draft message and fail submit', async () => {
             const message = {
                 from: {
@@ -0,0 +1,34 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0, no-console:0 */
+
+'use strict';
+
+const supertest = require('supertest');
+const chai = require('chai');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+const config = require('wild-config');
+
+const server = supertest.agent(`http://127.0.0.1:${config.api.port}`);
+
+describe('API Attachments', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    it('should POST /attachments/migrations expect failure / GridFS storage', async () => {
+        const response = await server.post('/attachments/migrations').send({}).expect(400);
+
+        expect(response.body.code).to.eq('StorageError');
+    });
+
+    it('should GET /attachments/migrations/{migration} expect failure / unknown migration', async () => {
+        const response = await server.get('/attachments/migrations/5c45f7bbd0bdbd1c8fbb5cfe').expect(404);
+
+        expect(response.body.code).to.eq('MigrationNotFound');
+    });
+
+    it('should POST /attachments/migrations expect failure / invalid batch size', async () => {
+        const response = await server.post('/attachments/migrations').send({ batchSize: 0 }).expect(400);
+
+        expect(response.body.code).to.eq('InputValidationError');
+    });
+});
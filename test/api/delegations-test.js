@@ -0,0 +1,167 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0, no-console:0 */
+
+/* globals before: false, after: false */
+
+'use strict';
+
+const supertest = require('supertest');
+const chai = require('chai');
+const { TEST_USERS, TEST_PASSWORDS, getTestEmail, createUser } = require('../test-config');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+const config = require('wild-config');
+
+const server = supertest.agent(`http://127.0.0.1:${config.api.port}`);
+
+describe('API Delegations', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    const delegatorAddress = getTestEmail(TEST_USERS.delegator);
+    const delegateAddress = getTestEmail(TEST_USERS.delegate);
+
+    let delegator;
+    let delegate;
+    let queued = [];
+
+    before(async () => {
+        let response = await createUser(server, {
+            username: TEST_USERS.delegator,
+            password: TEST_PASSWORDS.secretvalue,
+            address: delegatorAddress,
+            name: 'delegator user'
+        });
+        expect(response.body.success).to.be.true;
+        delegator = response.body.id;
+
+        response = await createUser(server, {
+            username: TEST_USERS.delegate,
+            password: TEST_PASSWORDS.secretvalue,
+            address: delegateAddress,
+            name: 'delegate user'
+        });
+        expect(response.body.success).to.be.true;
+        delegate = response.body.id;
+    });
+
+    after(async () => {
+        for (let entry of queued) {
+            await server.delete(`/users/${delegate}/outbound/${entry}`).expect(200);
+        }
+
+        for (let user of [delegator, delegate]) {
+            if (user) {
+                const response = await server.delete(`/users/${user}`).expect(200);
+                expect(response.body.success).to.be.true;
+            }
+        }
+    });
+
+    let submit = async from => {
+        const response = await server
+            .post(`/users/${delegate}/submit`)
+            .send({
+                from: { address: from },
+                to: [{ address: 'recipient@example.net' }],
+                subject: 'delegation test',
+                text: 'Hello world!',
+                // keep the message in the outbound queue, there is no MTA to deliver it anyway
+                sendTime: new Date(Date.now() + 24 * 3600 * 1000).toISOString()
+            })
+            .expect(200);
+        queued.push(response.body.message.queueId);
+
+        const sourceResponse = await server
+            .get(`/users/${delegate}/mailboxes/${response.body.message.mailbox}/messages/${response.body.message.id}/message.eml`)
+            .buffer(true)
+            .parse((res, callback) => {
+                let chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks).toString()));
+            })
+            .expect(200);
+
+        return sourceResponse.body;
+    };
+
+    it('should not allow sending as another user without delegation', async () => {
+        const source = await submit(delegatorAddress);
+
+        expect(source).to.match(new RegExp(`^From: .*${delegateAddress}`, 'im'));
+        expect(source).to.not.match(/^Sender:/im);
+    });
+
+    it('should PUT /users/{user}/delegates/{delegate} expect success', async () => {
+        const response = await server.put(`/users/${delegator}/delegates/${delegate}`).send({ sendOnBehalf: true, rights: 'rld' }).expect(200);
+        expect(response.body.success).to.be.true;
+    });
+
+    it('should PUT /users/{user}/delegates/{delegate} expect failure / self', async () => {
+        const response = await server.put(`/users/${delegator}/delegates/${delegator}`).send({ sendAs: true }).expect(400);
+        expect(response.body.code).to.eq('InvalidDelegate');
+    });
+
+    it('should GET /users/{user}/delegates expect success', async () => {
+        const response = await server.get(`/users/${delegator}/delegates`).expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.results.length).to.equal(1);
+        expect(response.body.results[0]).to.include({
+            user: delegator,
+            delegate,
+            username: TEST_USERS.delegate,
+            sendAs: false,
+            sendOnBehalf: true,
+            // rights are normalized and obsolete "d" is expanded
+            rights: 'lrte'
+        });
+    });
+
+    it('should GET /users/{user}/delegations expect success', async () => {
+        const response = await server.get(`/users/${delegate}/delegations`).expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.results.length).to.equal(1);
+        expect(response.body.results[0]).to.include({
+            user: delegator,
+            delegate,
+            username: TEST_USERS.delegator,
+            address: delegatorAddress
+        });
+    });
+
+    it('should send on behalf of the delegating user', async () => {
+        const source = await submit(delegatorAddress);
+
+        expect(source).to.match(new RegExp(`^From: .*${delegatorAddress}`, 'im'));
+        expect(source).to.match(new RegExp(`^Sender: .*${delegateAddress}`, 'im'));
+
+        const response = await server.get(`/users/${delegator}/authlog`).query({ action: 'delegated send' }).expect(200);
+        expect(response.body.results.length).to.equal(1);
+        expect(response.body.results[0]).to.include({
+            result: 'success',
+            target: delegate,
+            delegation: 'send on behalf'
+        });
+    });
+
+    it('should send as the delegating user', async () => {
+        await server.put(`/users/${delegator}/delegates/${delegate}`).send({ sendAs: true }).expect(200);
+
+        const source = await submit(delegatorAddress);
+
+        expect(source).to.match(new RegExp(`^From: .*${delegatorAddress}`, 'im'));
+        expect(source).to.not.match(/^Sender:/im);
+    });
+
+    it('should DELETE /users/{user}/delegates/{delegate} expect success', async () => {
+        let response = await server.delete(`/users/${delegator}/delegates/${delegate}`).expect(200);
+        expect(response.body.success).to.be.true;
+
+        response = await server.delete(`/users/${delegator}/delegates/${delegate}`).expect(404);
+        expect(response.body.code).to.eq('NoSuchDelegate');
+
+        response = await server.get(`/users/${delegator}/authlog`).query({ action: 'delegate removed' }).expect(200);
+        expect(response.body.results.length).to.equal(1);
+    });
+});
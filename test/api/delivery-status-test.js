@@ -0,0 +1,147 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0, no-console:0 */
+
+/* globals before: false, after: false */
+
+'use strict';
+
+const supertest = require('supertest');
+const chai = require('chai');
+const nodemailer = require('nodemailer');
+const { TEST_USERS, TEST_PASSWORDS, getTestEmail, createUser } = require('../test-config');
+const { createDsn, createMdn } = require('../utils/fake-mta');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+const config = require('wild-config');
+
+const server = supertest.agent(`http://127.0.0.1:${config.api.port}`);
+
+const transporter = nodemailer.createTransport({
+    lmtp: true,
+    host: '127.0.0.1',
+    port: 2424,
+    logger: false,
+    debug: false
+});
+
+describe('API Delivery status', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    const address = getTestEmail(TEST_USERS.dsnuser);
+
+    let user;
+    let sent;
+
+    before(async () => {
+        const response = await createUser(server, {
+            username: TEST_USERS.dsnuser,
+            password: TEST_PASSWORDS.secretvalue,
+            address,
+            name: 'dsn user'
+        });
+        expect(response.body.success).to.be.true;
+        user = response.body.id;
+
+        // keep the message in the outbound queue, there is no MTA to deliver it anyway
+        const submitResponse = await server
+            .post(`/users/${user}/submit`)
+            .send({
+                from: { address },
+                to: [{ address: 'missing@example.net' }, { address: 'reader@example.net' }],
+                subject: 'delivery status test',
+                text: 'Hello world!',
+                sendTime: new Date(Date.now() + 24 * 3600 * 1000).toISOString()
+            })
+            .expect(200);
+        sent = submitResponse.body.message;
+    });
+
+    after(async () => {
+        if (!user) {
+            return;
+        }
+
+        if (sent && sent.queueId) {
+            await server.delete(`/users/${user}/outbound/${sent.queueId}`).expect(200);
+        }
+
+        const response = await server.delete(`/users/${user}`).expect(200);
+        expect(response.body.success).to.be.true;
+    });
+
+    it('should record a bounce by queue ID', async () => {
+        await transporter.sendMail({
+            envelope: { from: 'mailer-daemon@mx.example.com', to: [address] },
+            raw: createDsn({
+                to: address,
+                queueId: sent.queueId,
+                recipients: [{ recipient: 'missing@example.net', action: 'failed', status: '5.1.1', diagnosticCode: '550 5.1.1 No such user' }]
+            })
+        });
+
+        const response = await server.get(`/users/${user}/mailboxes/${sent.mailbox}/messages/${sent.id}`).expect(200);
+        expect(response.body.deliveryStatus.length).to.equal(1);
+        expect(response.body.deliveryStatus[0]).to.include({
+            type: 'dsn',
+            recipient: 'missing@example.net',
+            action: 'failed',
+            status: '5.1.1',
+            reportingMta: 'mx.example.com'
+        });
+    });
+
+    it('should record a read receipt by Message-ID', async () => {
+        const messageResponse = await server.get(`/users/${user}/mailboxes/${sent.mailbox}/messages/${sent.id}`).expect(200);
+
+        await transporter.sendMail({
+            envelope: { from: 'reader@example.net', to: [address] },
+            raw: createMdn({
+                to: address,
+                from: 'reader@example.net',
+                messageId: messageResponse.body.messageId
+            })
+        });
+
+        const response = await server.get(`/users/${user}/mailboxes/${sent.mailbox}/messages/${sent.id}`).expect(200);
+        expect(response.body.deliveryStatus.map(entry => [entry.type, entry.recipient, entry.action])).to.deep.equal([
+            ['dsn', 'missing@example.net', 'failed'],
+            ['mdn', 'reader@example.net', 'displayed']
+        ]);
+    });
+
+    it('should replace the status of a recipient', async () => {
+        await transporter.sendMail({
+            envelope: { from: 'mailer-daemon@mx.example.com', to: [address] },
+            raw: createDsn({
+                to: address,
+                queueId: sent.queueId,
+                recipients: [{ recipient: 'missing@example.net', action: 'delivered', status: '2.0.0', diagnosticCode: '250 OK' }]
+            })
+        });
+
+        const response = await server.get(`/users/${user}/mailboxes/${sent.mailbox}/messages/${sent.id}`).expect(200);
+        expect(response.body.deliveryStatus.length).to.equal(2);
+        expect(response.body.deliveryStatus[0]).to.include({ recipient: 'missing@example.net', action: 'delivered', status: '2.0.0' });
+    });
+
+    it('should ignore recipients the message was not sent to', async () => {
+        await transporter.sendMail({
+            envelope: { from: 'mailer-daemon@mx.example.com', to: [address] },
+            raw: createDsn({
+                to: address,
+                queueId: sent.queueId,
+                recipients: [
+                    { recipient: 'unknown@example.net', action: 'failed', status: '5.1.1', diagnosticCode: '550 5.1.1 No such user' },
+                    { recipient: 'reader@example.net', action: 'delayed', status: '4.4.1', diagnosticCode: '421 Try again later' }
+                ]
+            })
+        });
+
+        const response = await server.get(`/users/${user}/mailboxes/${sent.mailbox}/messages/${sent.id}`).expect(200);
+        expect(response.body.deliveryStatus.map(entry => [entry.type, entry.recipient, entry.action])).to.deep.equal([
+            ['dsn', 'missing@example.net', 'delivered'],
+            ['mdn', 'reader@example.net', 'displayed'],
+            ['dsn', 'reader@example.net', 'delayed']
+        ]);
+    });
+});
@@ -191,6 +191,45 @@ describe('API DKIM', function () {
         expect(response.body.results.find(entry => entry.id === dkim)).to.exist;
     });
 
+    it('should PUT /dkim/:dkim/rotation expect success', async () => {
+        const response = await server.put(`/dkim/${dkim}/rotation`).send({ interval: 90, gracePeriod: 3, selectorPrefix: 'test' }).expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.rotation.enabled).to.be.true;
+        expect(response.body.rotation.interval).to.equal(90);
+        expect(response.body.rotation.gracePeriod).to.equal(3);
+        expect(new Date(response.body.rotation.next).getTime()).to.be.gt(Date.now());
+        expect(response.body.rotation.pending).to.be.false;
+    });
+
+    it('should POST /dkim/:dkim/rotate expect success', async () => {
+        const response = await server.post(`/dkim/${dkim}/rotate`).send({}).expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.rotation.pending.selector).to.match(/^test\d{8}$/);
+        expect(response.body.rotation.pending.dnsTxt.name).to.equal(`${response.body.rotation.pending.selector}._domainkey.example.com`);
+        expect(response.body.rotation.pending.dnsTxt.value).to.match(/^v=DKIM1;t=s;p=/);
+
+        // signing key is not changed until the DNS record is published
+        const dkimData = await server.get(`/dkim/${dkim}`).expect(200);
+        expect(dkimData.body.selector).to.not.equal(response.body.rotation.pending.selector);
+        expect(dkimData.body.rotation.pending.selector).to.equal(response.body.rotation.pending.selector);
+
+        const retry = await server.post(`/dkim/${dkim}/rotate`).send({}).expect(400);
+        expect(retry.body.code).to.equal('RotationPending');
+    });
+
+    it('should DELETE /dkim/:dkim/rotate expect success', async () => {
+        const response = await server.delete(`/dkim/${dkim}/rotate`).expect(200);
+        expect(response.body.success).to.be.true;
+
+        const dkimData = await server.get(`/dkim/${dkim}`).expect(200);
+        expect(dkimData.body.rotation.pending).to.be.false;
+
+        const retry = await server.delete(`/dkim/${dkim}/rotate`).expect(404);
+        expect(retry.body.code).to.equal('RotationNotFound');
+    });
+
     it('should DELETE /dkim/:dkim expect success', async () => {
         const response = await server.delete(`/dkim/${dkim}`).expect(200);
 
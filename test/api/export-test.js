@@ -0,0 +1,155 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0, no-console:0 */
+
+/* globals before: false, after: false */
+
+'use strict';
+
+const supertest = require('supertest');
+const chai = require('chai');
+const { MongoClient, ObjectId } = require('mongodb');
+const { TEST_USERS, TEST_PASSWORDS, getTestEmail, createUser } = require('../test-config');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+const config = require('wild-config');
+
+const server = supertest.agent(`http://127.0.0.1:${config.api.port}`);
+
+describe('API Export', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    let client;
+    let db;
+
+    let user;
+    let inbox;
+    let attachmentId;
+    let storageUsed;
+    let exported;
+
+    const attachmentsBucket = config.attachments.bucket || 'attachments';
+    const attachmentContent = Buffer.from('export test attachment\n'.repeat(256)).toString('base64');
+
+    before(async () => {
+        client = new MongoClient(config.dbs.mongo);
+        await client.connect();
+        db = client.db();
+
+        const response = await createUser(server, {
+            username: TEST_USERS.exportuser,
+            password: TEST_PASSWORDS.secretvalue,
+            address: getTestEmail(TEST_USERS.exportuser),
+            name: 'export user'
+        });
+        expect(response.body.success).to.be.true;
+        user = response.body.id;
+
+        const mailboxesResponse = await server.get(`/users/${user}/mailboxes`).expect(200);
+        inbox = mailboxesResponse.body.results.find(mailbox => mailbox.path === 'INBOX').id;
+    });
+
+    after(async () => {
+        if (user) {
+            await server.delete(`/users/${user}`).expect(200);
+        }
+        if (client) {
+            await client.close();
+        }
+    });
+
+    it('should POST /users/{user}/mailboxes/{mailbox}/messages expect success / deduplicated attachment', async () => {
+        for (let i = 0; i < 2; i++) {
+            const response = await server
+                .post(`/users/${user}/mailboxes/${inbox}/messages`)
+                .send({
+                    from: { address: getTestEmail(TEST_USERS.exportuser) },
+                    subject: `export test ${i + 1}`,
+                    text: 'Hello world!',
+                    attachments: [{ filename: 'export.txt', contentType: 'text/plain', content: attachmentContent }]
+                })
+                .expect(200);
+            expect(response.body.success).to.be.true;
+        }
+
+        const messages = await db
+            .collection('messages')
+            .find({ user: new ObjectId(user) })
+            .toArray();
+        expect(messages.length).to.equal(2);
+
+        let attachmentIds = messages.map(messageData => Object.values(messageData.mimeTree.attachmentMap)[0].toString('hex'));
+        expect(attachmentIds[0]).to.equal(attachmentIds[1]);
+        attachmentId = messages[0].mimeTree.attachmentMap[Object.keys(messages[0].mimeTree.attachmentMap)[0]];
+
+        const attachmentData = await db.collection(`${attachmentsBucket}.files`).findOne({ _id: attachmentId });
+        expect(attachmentData.metadata.c).to.equal(2);
+
+        const userResponse = await server.get(`/users/${user}`).expect(200);
+        storageUsed = userResponse.body.limits.quota.used;
+        expect(storageUsed).to.be.gt(0);
+    });
+
+    it('should POST /data/export expect success / with messages', async () => {
+        const response = await server
+            .post('/data/export')
+            .send({ users: [user], messages: true })
+            .buffer(true)
+            .parse((res, callback) => {
+                let chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+
+        exported = response.body;
+        expect(exported.length).to.be.gt(0);
+        expect(exported.toString('binary')).to.not.include('Export failed');
+    });
+
+    it('should POST /data/import expect success / into a clean database', async () => {
+        // remove everything the export included, so the import starts from a clean state
+        const userId = new ObjectId(user);
+        await db.collection('users').deleteOne({ _id: userId });
+        for (let collection of ['addresses', 'addressregister', 'mailboxes', 'threads', 'messages']) {
+            await db.collection(collection).deleteMany({ user: userId });
+        }
+        await db.collection(`${attachmentsBucket}.files`).deleteOne({ _id: attachmentId });
+        await db.collection(`${attachmentsBucket}.chunks`).deleteMany({ files_id: attachmentId });
+
+        const response = await server.post('/data/import').set('Content-Type', 'application/octet-stream').send(exported).expect(200);
+
+        expect(response.body.result.failed).to.equal(0);
+        expect(response.body.result.existing).to.equal(0);
+        expect(response.body.result.messages).to.equal(2);
+
+        const messagesResponse = await server.get(`/users/${user}/mailboxes/${inbox}/messages`).expect(200);
+        expect(messagesResponse.body.total).to.equal(2);
+
+        // both messages reference the same attachment
+        const attachmentData = await db.collection(`${attachmentsBucket}.files`).findOne({ _id: attachmentId });
+        expect(attachmentData.metadata.c).to.equal(2);
+
+        const mailboxData = await db.collection('mailboxes').findOne({ _id: new ObjectId(inbox) });
+        expect(mailboxData.uidNext).to.equal(3);
+
+        const userResponse = await server.get(`/users/${user}`).expect(200);
+        expect(userResponse.body.limits.quota.used).to.equal(storageUsed);
+    });
+
+    it('should GET /users/{user}/mailboxes/{mailbox}/messages/{message}/attachments/{attachment} expect success / after import', async () => {
+        const messagesResponse = await server.get(`/users/${user}/mailboxes/${inbox}/messages`).expect(200);
+        const message = messagesResponse.body.results[0];
+
+        const response = await server
+            .get(`/users/${user}/mailboxes/${inbox}/messages/${message.id}/attachments/ATT00001`)
+            .buffer(true)
+            .parse((res, callback) => {
+                let chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+
+        expect(response.body.toString('base64')).to.equal(attachmentContent);
+    });
+});
@@ -203,6 +203,371 @@ describe('API Filters', function () {
         expect(responseGet.body.action.mailbox).to.be.equal(inbox);
     });
 
+    describe('Apply to existing messages', function () {
+        let inbox;
+
+        before(async () => {
+            const responseMailboxes = await server.get(`/users/${user}/mailboxes`).expect(200);
+            inbox = responseMailboxes.body.results.find(entry => entry.path === 'INBOX').id;
+        });
+
+        it('should POST /users/{user}/filters expect success / with apply', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    name: 'apply test filter',
+                    query: {
+                        subject: 'invoice'
+                    },
+                    action: {
+                        seen: true
+                    },
+                    apply: {
+                        mailbox: inbox
+                    }
+                })
+                .expect(200);
+            expect(responsePost.body.success).to.be.true;
+            expect(responsePost.body.scheduled).to.exist;
+
+            const responseGet = await server.get(`/users/${user}/filters/${responsePost.body.id}`).expect(200);
+            expect(responseGet.body.success).to.be.true;
+            expect(responseGet.body.apply.task).to.equal(responsePost.body.scheduled);
+            expect(responseGet.body.apply.mailbox).to.equal(inbox);
+            expect(responseGet.body.apply.status).to.be.oneOf(['queued', 'running', 'finished']);
+        });
+
+        it('should PUT /users/{user}/filters/{filter} expect success / with apply', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    name: 'apply test filter 2',
+                    query: {
+                        from: TEST_USERS.andris1
+                    },
+                    action: {
+                        flag: true
+                    }
+                })
+                .expect(200);
+            expect(responsePost.body.success).to.be.true;
+            expect(responsePost.body.scheduled).to.not.exist;
+
+            const responsePut = await server.put(`/users/${user}/filters/${responsePost.body.id}`).send({ apply: {} }).expect(200);
+            expect(responsePut.body.success).to.be.true;
+            expect(responsePut.body.scheduled).to.exist;
+
+            const responseGet = await server.get(`/users/${user}/filters/${responsePost.body.id}`).expect(200);
+            expect(responseGet.body.apply.task).to.equal(responsePut.body.scheduled);
+            expect(responseGet.body.apply.mailbox).to.not.exist;
+        });
+
+        it('should PUT /users/{user}/filters/{filter} expect failure / invalid apply does not update the filter', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    name: 'apply test filter 4',
+                    query: {
+                        from: TEST_USERS.andris1
+                    },
+                    action: {
+                        seen: true
+                    }
+                })
+                .expect(200);
+            expect(responsePost.body.success).to.be.true;
+
+            // forwarding can not be applied to existing messages
+            const responsePut = await server
+                .put(`/users/${user}/filters/${responsePost.body.id}`)
+                .send({ name: 'apply test filter 4 updated', action: { seen: false, targets: ['forward@example.com'] }, apply: {} })
+                .expect(400);
+            expect(responsePut.body.code).to.equal('InputValidationError');
+
+            const responseGet = await server.get(`/users/${user}/filters/${responsePost.body.id}`).expect(200);
+            expect(responseGet.body.name).to.equal('apply test filter 4');
+            expect(responseGet.body.action.seen).to.be.true;
+            expect(responseGet.body.action.targets).to.not.exist;
+            expect(responseGet.body.apply).to.not.exist;
+        });
+
+        it('should POST /users/{user}/filters expect failure / no actions to apply', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    name: 'apply test filter 3',
+                    query: {
+                        from: TEST_USERS.andris1
+                    },
+                    action: {
+                        targets: ['forward@example.com']
+                    },
+                    apply: {}
+                })
+                .expect(400);
+            expect(responsePost.body.code).to.equal('InputValidationError');
+        });
+    });
+
+    describe('Extended actions', function () {
+        let inbox, mailbox, filter;
+
+        before(async () => {
+            const responseMailboxes = await server.get(`/users/${user}/mailboxes`).expect(200);
+            inbox = responseMailboxes.body.results.find(entry => entry.path === 'INBOX').id;
+
+            const responseMailbox = await server.post(`/users/${user}/mailboxes`).send({ path: 'Filter copies' }).expect(200);
+            mailbox = responseMailbox.body.id;
+        });
+
+        it('should POST /users/{user}/filters expect success / with extended actions', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    name: 'extended actions filter',
+                    priority: -10,
+                    query: {
+                        subject: 'order'
+                    },
+                    action: {
+                        path: 'Orders/Incoming',
+                        copy: [inbox, mailbox],
+                        keywords: ['$label1', 'Orders'],
+                        reply: {
+                            subject: 'Received: {{subject}}',
+                            text: 'We received your order'
+                        },
+                        stop: true
+                    }
+                })
+                .expect(200);
+            expect(responsePost.body.success).to.be.true;
+            filter = responsePost.body.id;
+
+            const responseGet = await server.get(`/users/${user}/filters/${filter}`).expect(200);
+            expect(responseGet.body.priority).to.equal(-10);
+            expect(responseGet.body.action).to.deep.include({
+                path: 'Orders/Incoming',
+                copy: [inbox, mailbox],
+                keywords: ['$label1', 'Orders'],
+                stop: true
+            });
+            expect(responseGet.body.action.reply.text).to.equal('We received your order');
+
+            // filters are listed in the order of priority
+            const responseList = await server.get(`/users/${user}/filters`).expect(200);
+            expect(responseList.body.results[0].id).to.equal(filter);
+            expect(responseList.body.results[0].priority).to.equal(-10);
+            expect(responseList.body.results[0].action).to.deep.include(['copy to folders', '"INBOX", "Filter copies"']);
+        });
+
+        it('should PUT /users/{user}/filters/{filter} expect success / replace path with mailbox', async () => {
+            const responsePut = await server
+                .put(`/users/${user}/filters/${filter}`)
+                .send({ priority: 5, action: { mailbox, keywords: '' } })
+                .expect(200);
+            expect(responsePut.body.success).to.be.true;
+
+            const responseGet = await server.get(`/users/${user}/filters/${filter}`).expect(200);
+            expect(responseGet.body.priority).to.equal(5);
+            expect(responseGet.body.action.mailbox).to.equal(mailbox);
+            expect(responseGet.body.action.path).to.not.exist;
+            expect(responseGet.body.action.keywords).to.not.exist;
+            expect(responseGet.body.action.copy).to.deep.equal([inbox, mailbox]);
+        });
+
+        it('should POST /users/{user}/filters expect failure / both mailbox and path', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    query: { subject: 'order' },
+                    action: { mailbox, path: 'Orders' }
+                })
+                .expect(400);
+            expect(responsePost.body.code).to.equal('InputValidationError');
+        });
+
+        it('should POST /users/{user}/filters expect failure / unknown copy target', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    query: { subject: 'order' },
+                    action: { copy: ['5a1c0ee490a34c67e266931c'] }
+                })
+                .expect(404);
+            expect(responsePost.body.code).to.equal('NoSuchMailbox');
+        });
+
+        after(async () => {
+            await server.del(`/users/${user}/filters/${filter}`).expect(200);
+        });
+    });
+
+    describe('Test filters', function () {
+        let filter;
+
+        before(async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    name: 'dry run filter',
+                    query: {
+                        from: 'dryrun@example.com',
+                        conditions: {
+                            op: 'or',
+                            conditions: [
+                                { type: 'header', key: 'x-dryrun', exists: true },
+                                { type: 'spf', value: 'example.com' }
+                            ]
+                        }
+                    },
+                    action: {
+                        seen: true,
+                        keywords: ['$dryrun']
+                    }
+                })
+                .expect(200);
+            filter = responsePost.body.id;
+        });
+
+        it('should POST /users/{user}/filters/test expect success / raw message', async () => {
+            const raw = Buffer.from(
+                ['From: Dry Run <dryrun@example.com>', 'To: receiver@example.com', 'X-Dryrun: yes', 'Subject: Dry run', '', 'Hello world!', ''].join('\r\n')
+            ).toString('base64');
+
+            const response = await server.post(`/users/${user}/filters/test`).send({ raw, filter }).expect(200);
+            expect(response.body.success).to.be.true;
+            expect(response.body.filters.length).to.equal(1);
+
+            const result = response.body.filters[0];
+            expect(result.id).to.equal(filter);
+            expect(result.matched).to.be.true;
+            expect(result.checks[0]).to.deep.equal({ field: 'from', value: 'dryrun@example.com', matched: true });
+            expect(result.checks[1].field).to.equal('conditions');
+            expect(result.checks[1].value.conditions.map(condition => condition.matched)).to.deep.equal([true, false]);
+
+            expect(response.body.actions).to.deep.equal({ seen: true, keywords: ['$dryrun'] });
+        });
+
+        it('should POST /users/{user}/filters/test expect success / not matching', async () => {
+            const raw = Buffer.from(['From: someone@example.com', 'Subject: Dry run', '', 'Hello world!', ''].join('\r\n')).toString('base64');
+
+            const response = await server
+                .post(`/users/${user}/filters/test`)
+                .send({ raw, filter, verificationResults: { spf: 'example.com' } })
+                .expect(200);
+
+            const result = response.body.filters[0];
+            expect(result.matched).to.be.false;
+            expect(result.checks[0].matched).to.be.false;
+            // conditions are checked even if a previous check already failed
+            expect(result.checks[1].matched).to.be.true;
+            expect(response.body.actions).to.deep.equal({});
+        });
+
+        it('should POST /users/{user}/filters/test expect failure / no message', async () => {
+            const response = await server.post(`/users/${user}/filters/test`).send({ filter }).expect(400);
+            expect(response.body.code).to.equal('InputValidationError');
+        });
+
+        after(async () => {
+            await server.del(`/users/${user}/filters/${filter}`).expect(200);
+        });
+    });
+
+    describe('Condition groups', function () {
+        const conditions = {
+            op: 'and',
+            conditions: [
+                { type: 'header', key: 'X-Mailer', value: '^mailer [0-9]+', regex: true },
+                { type: 'recipient', value: 'sales@' },
+                {
+                    op: 'or',
+                    conditions: [
+                        { type: 'spamScore', min: 5 },
+                        { op: 'not', conditions: [{ type: 'dkim' }] }
+                    ]
+                },
+                { type: 'received', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', timezone: 'Europe/Tallinn' }
+            ]
+        };
+
+        let filter;
+
+        it('should POST /users/{user}/filters expect success / with conditions', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    name: 'conditions test filter',
+                    query: {
+                        subject: 'offer',
+                        conditions
+                    },
+                    action: {
+                        spam: true
+                    }
+                })
+                .expect(200);
+            expect(responsePost.body.success).to.be.true;
+            filter = responsePost.body.id;
+
+            const responseGet = await server.get(`/users/${user}/filters/${filter}`).expect(200);
+            expect(responseGet.body.query.subject).to.equal('offer');
+            expect(responseGet.body.query.conditions.conditions[0].key).to.equal('x-mailer');
+            expect(responseGet.body.query.conditions.conditions[2].conditions[1]).to.deep.equal({ op: 'not', conditions: [{ type: 'dkim' }] });
+
+            const responseList = await server.get(`/users/${user}/filters`).expect(200);
+            const listed = responseList.body.results.find(entry => entry.id === filter);
+            expect(listed.query).to.deep.include([
+                'conditions',
+                'header "x-mailer" matches /^mailer [0-9]+/ and recipient contains "sales@" and (spam score at least 5 or not dkim passes) and received on Mon, Tue, Wed, Thu, Fri between 09:00-17:00 Europe/Tallinn'
+            ]);
+        });
+
+        it('should PUT /users/{user}/filters/{filter} expect success / remove conditions', async () => {
+            const responsePut = await server
+                .put(`/users/${user}/filters/${filter}`)
+                .send({ query: { conditions: '' } })
+                .expect(200);
+            expect(responsePut.body.success).to.be.true;
+
+            const responseGet = await server.get(`/users/${user}/filters/${filter}`).expect(200);
+            expect(responseGet.body.query.subject).to.equal('offer');
+            expect(responseGet.body.query.conditions).to.not.exist;
+        });
+
+        it('should POST /users/{user}/filters expect failure / invalid regex', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    query: {
+                        conditions: { op: 'and', conditions: [{ type: 'header', key: 'subject', value: '[a-', regex: true }] }
+                    },
+                    action: {
+                        seen: true
+                    }
+                })
+                .expect(400);
+            expect(responsePost.body.code).to.equal('InputValidationError');
+        });
+
+        it('should POST /users/{user}/filters expect failure / regex with nested quantifiers', async () => {
+            const responsePost = await server
+                .post(`/users/${user}/filters`)
+                .send({
+                    query: {
+                        conditions: { op: 'and', conditions: [{ type: 'header', key: 'subject', value: '^(a+)+$', regex: true }] }
+                    },
+                    action: {
+                        seen: true
+                    }
+                })
+                .expect(400);
+            expect(responsePost.body.code).to.equal('InputValidationError');
+            expect(responsePost.body.error).to.match(/too complex/);
+        });
+    });
+
     describe('Filter metaData', function () {
         let metaDataFilter;
 
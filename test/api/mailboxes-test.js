@@ -550,4 +550,120 @@ describe('Mailboxes tests', function () {
         expect(response.body.code).to.eq('InputValidationError');
         expect(response.body.error).to.eq('"path" with value "somepath/abc/" matches the inverted pattern: /\\/{2,}|\\/$/');
     });
+
+    it('should PUT /users/{user}/mailboxes/{mailbox}/metadata expect success', async () => {
+        const response = await server
+            .put(`/users/${user}/mailboxes/${mailboxForPut}/metadata`)
+            .send({
+                entries: [
+                    { key: '/private/comment', value: 'My comment' },
+                    { key: '/shared/vendor/example/flag', value: 'yes' }
+                ]
+            })
+            .expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.updated).to.equal(2);
+        expect(response.body.deleted).to.equal(0);
+    });
+
+    it('should GET /users/{user}/mailboxes/{mailbox}/metadata expect success', async () => {
+        const response = await server.get(`/users/${user}/mailboxes/${mailboxForPut}/metadata`).expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.results.map(entry => [entry.key, entry.value, entry.size])).to.deep.equal([
+            ['/private/comment', 'My comment', 10],
+            ['/shared/vendor/example/flag', 'yes', 3]
+        ]);
+    });
+
+    it('should PUT /users/{user}/mailboxes/{mailbox}/metadata expect success / remove entry', async () => {
+        const response = await server
+            .put(`/users/${user}/mailboxes/${mailboxForPut}/metadata`)
+            .send({ entries: [{ key: '/private/comment', value: null }] })
+            .expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.deleted).to.equal(1);
+
+        const listResponse = await server.get(`/users/${user}/mailboxes/${mailboxForPut}/metadata`).expect(200);
+        expect(listResponse.body.results.map(entry => entry.key)).to.deep.equal(['/shared/vendor/example/flag']);
+    });
+
+    it('should PUT /users/{user}/mailboxes/{mailbox}/metadata expect failure / invalid entry name', async () => {
+        const response = await server
+            .put(`/users/${user}/mailboxes/${mailboxForPut}/metadata`)
+            .send({ entries: [{ key: '/comment', value: 'test' }] })
+            .expect(400);
+
+        expect(response.body.code).to.eq('InputValidationError');
+    });
+
+    describe('Mailbox ACL', () => {
+        let grantee;
+
+        before(async () => {
+            const response = await createUser(server, {
+                username: TEST_USERS.shareuser,
+                password: TEST_PASSWORDS.secretvalue,
+                name: 'share user'
+            });
+            expect(response.body.success).to.be.true;
+
+            grantee = response.body.id;
+        });
+
+        after(async () => {
+            if (!grantee) {
+                return;
+            }
+
+            const response = await server.delete(`/users/${grantee}`).expect(200);
+            expect(response.body.success).to.be.true;
+
+            grantee = false;
+        });
+
+        it('should PUT /users/{user}/mailboxes/{mailbox}/acl/{grantee} expect success', async () => {
+            const response = await server.put(`/users/${user}/mailboxes/${mailboxForPut}/acl/${grantee}`).send({ rights: 'rlsd' }).expect(200);
+
+            expect(response.body.success).to.be.true;
+            // rights are normalized and obsolete "d" is expanded
+            expect(response.body.rights).to.equal('lrste');
+        });
+
+        it('should GET /users/{user}/mailboxes/{mailbox}/acl expect success', async () => {
+            const response = await server.get(`/users/${user}/mailboxes/${mailboxForPut}/acl`).expect(200);
+
+            expect(response.body.success).to.be.true;
+            expect(response.body.results.map(entry => [entry.user, entry.rights, entry.owner])).to.deep.equal([
+                [user, 'lrswipkxtea', true],
+                [grantee, 'lrste', false]
+            ]);
+            expect(response.body.results[1].username).to.equal(TEST_USERS.shareuser);
+        });
+
+        it('should PUT /users/{user}/mailboxes/{mailbox}/acl/{grantee} expect failure / owner rights', async () => {
+            const response = await server.put(`/users/${user}/mailboxes/${mailboxForPut}/acl/${user}`).send({ rights: 'lr' }).expect(400);
+
+            expect(response.body.code).to.eq('OwnerRights');
+        });
+
+        it('should PUT /users/{user}/mailboxes/{mailbox}/acl/{grantee} expect failure / invalid rights', async () => {
+            const response = await server.put(`/users/${user}/mailboxes/${mailboxForPut}/acl/${grantee}`).send({ rights: 'lrz' }).expect(400);
+
+            expect(response.body.code).to.eq('InputValidationError');
+        });
+
+        it('should DELETE /users/{user}/mailboxes/{mailbox}/acl/{grantee} expect success', async () => {
+            const response = await server.delete(`/users/${user}/mailboxes/${mailboxForPut}/acl/${grantee}`).expect(200);
+            expect(response.body.success).to.be.true;
+
+            const listResponse = await server.get(`/users/${user}/mailboxes/${mailboxForPut}/acl`).expect(200);
+            expect(listResponse.body.results.length).to.equal(1);
+
+            const deleteResponse = await server.delete(`/users/${user}/mailboxes/${mailboxForPut}/acl/${grantee}`).expect(404);
+            expect(deleteResponse.body.code).to.eq('NoSuchGrant');
+        });
+    });
 });
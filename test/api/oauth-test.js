@@ -0,0 +1,101 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0, no-console:0 */
+
+/* globals before: false, after: false */
+
+'use strict';
+
+const supertest = require('supertest');
+const chai = require('chai');
+const { TEST_USERS, TEST_PASSWORDS, getTestEmail, createUser } = require('../test-config');
+const MockOAuthIssuer = require('../utils/mock-oauth-issuer');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+const config = require('wild-config');
+
+const server = supertest.agent(`http://127.0.0.1:${config.api.port}`);
+
+describe('API OAuth2', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    let user;
+    let issuer;
+
+    before(async () => {
+        issuer = new MockOAuthIssuer({
+            issuer: config.oauth.issuer,
+            audience: config.oauth.audience
+        });
+        await issuer.start();
+
+        const response = await createUser(server, {
+            username: TEST_USERS.oauthuser,
+            password: TEST_PASSWORDS.secretvalue,
+            address: getTestEmail(TEST_USERS.oauthuser),
+            name: 'oauth user'
+        });
+        expect(response.body.success).to.be.true;
+        user = response.body.id;
+    });
+
+    after(async () => {
+        if (user) {
+            await server.delete(`/users/${user}`).expect(200);
+            user = false;
+        }
+        await issuer.stop();
+    });
+
+    it('should GET /users/me expect success / JWT', async () => {
+        const token = issuer.issueToken({ preferred_username: TEST_USERS.oauthuser });
+
+        const response = await server.get('/users/me').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(response.body.success).to.be.true;
+        expect(response.body.id).to.equal(user);
+    });
+
+    it('should GET /users/me expect success / opaque token', async () => {
+        const token = issuer.issueOpaqueToken({ preferred_username: TEST_USERS.oauthuser });
+
+        const response = await server.get(`/users/me?accessToken=${token}`).expect(200);
+        expect(response.body.success).to.be.true;
+        expect(response.body.id).to.equal(user);
+    });
+
+    it('should GET /users/me expect failure / revoked token', async () => {
+        const token = issuer.issueOpaqueToken({ preferred_username: TEST_USERS.oauthuser });
+        issuer.revokeToken(token);
+
+        const response = await server.get('/users/me').set('Authorization', `Bearer ${token}`).expect(403);
+        expect(response.body.code).to.equal('InvalidToken');
+    });
+
+    it('should GET /users/me expect failure / expired token', async () => {
+        const token = issuer.issueToken({ preferred_username: TEST_USERS.oauthuser }, { expiresIn: -3600 });
+
+        const response = await server.get('/users/me').set('Authorization', `Bearer ${token}`).expect(403);
+        expect(response.body.code).to.equal('InvalidToken');
+    });
+
+    it('should GET /users/me expect failure / token without expiration time', async () => {
+        // undefined values are not included in the token payload
+        const token = issuer.issueToken({ preferred_username: TEST_USERS.oauthuser, exp: undefined });
+
+        const response = await server.get('/users/me').set('Authorization', `Bearer ${token}`).expect(403);
+        expect(response.body.code).to.equal('InvalidToken');
+    });
+
+    it('should GET /users/me expect failure / wrong audience', async () => {
+        const token = issuer.issueToken({ preferred_username: TEST_USERS.oauthuser, aud: 'other' });
+
+        const response = await server.get('/users/me').set('Authorization', `Bearer ${token}`).expect(403);
+        expect(response.body.code).to.equal('InvalidToken');
+    });
+
+    it('should GET /users expect failure / not enough privileges', async () => {
+        const token = issuer.issueToken({ preferred_username: TEST_USERS.oauthuser });
+
+        const response = await server.get('/users').set('Authorization', `Bearer ${token}`).expect(403);
+        expect(response.body.code).to.equal('MissingPrivileges');
+    });
+});
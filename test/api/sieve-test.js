@@ -0,0 +1,101 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0, no-console:0 */
+
+/* globals before: false, after: false */
+
+'use strict';
+
+const supertest = require('supertest');
+const chai = require('chai');
+const { TEST_USERS, TEST_PASSWORDS, getTestEmail, createUser } = require('../test-config');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+const config = require('wild-config');
+
+const server = supertest.agent(`http://127.0.0.1:${config.api.port}`);
+
+describe('API Sieve', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    let user;
+    let script;
+
+    before(async () => {
+        const response = await createUser(server, {
+            username: TEST_USERS.sieveuser,
+            password: TEST_PASSWORDS.secretvalue,
+            address: getTestEmail(TEST_USERS.sieveuser),
+            name: 'sieve user'
+        });
+        expect(response.body.success).to.be.true;
+        user = response.body.id;
+    });
+
+    after(async () => {
+        if (!user) {
+            return;
+        }
+
+        const response = await server.delete(`/users/${user}`).expect(200);
+        expect(response.body.success).to.be.true;
+    });
+
+    it('should POST /users/{user}/sieve expect success', async () => {
+        const response = await server
+            .post(`/users/${user}/sieve`)
+            .send({
+                name: 'main',
+                script: 'require "fileinto";\nif header :contains "subject" "invoice" {\n    fileinto "Billing";\n}\n',
+                active: true
+            })
+            .expect(200);
+
+        expect(response.body.success).to.be.true;
+        script = response.body.id;
+    });
+
+    it('should POST /users/{user}/sieve expect failure / invalid script', async () => {
+        const response = await server
+            .post(`/users/${user}/sieve`)
+            .send({
+                name: 'broken',
+                script: 'if true {\n    fileinto "Billing";\n}\n'
+            })
+            .expect(400);
+
+        expect(response.body.code).to.eq('SieveError');
+        expect(response.body.line).to.eq(2);
+    });
+
+    it('should POST /users/{user}/sieve expect failure / duplicate name', async () => {
+        const response = await server.post(`/users/${user}/sieve`).send({ name: 'main', script: 'keep;' }).expect(400);
+
+        expect(response.body.code).to.eq('ScriptExists');
+    });
+
+    it('should GET /users/{user}/sieve expect success', async () => {
+        const response = await server.get(`/users/${user}/sieve`).expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.results.length).to.eq(1);
+        expect(response.body.results[0].id).to.eq(script);
+        expect(response.body.results[0].active).to.be.true;
+    });
+
+    it('should PUT /users/{user}/sieve/{script} expect success', async () => {
+        const response = await server.put(`/users/${user}/sieve/${script}`).send({ script: 'keep;', active: false }).expect(200);
+        expect(response.body.success).to.be.true;
+
+        const scriptResponse = await server.get(`/users/${user}/sieve/${script}`).expect(200);
+        expect(scriptResponse.body.script).to.eq('keep;');
+        expect(scriptResponse.body.active).to.be.false;
+    });
+
+    it('should DELETE /users/{user}/sieve/{script} expect success', async () => {
+        const response = await server.delete(`/users/${user}/sieve/${script}`).expect(200);
+        expect(response.body.success).to.be.true;
+
+        const scriptResponse = await server.get(`/users/${user}/sieve/${script}`).expect(404);
+        expect(scriptResponse.body.code).to.eq('ScriptNotFound');
+    });
+});
@@ -0,0 +1,232 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0, no-console:0 */
+
+/* globals before: false, after: false */
+
+'use strict';
+
+const http = require('http');
+const supertest = require('supertest');
+const chai = require('chai');
+const { ImapFlow } = require('imapflow');
+const { TEST_USERS, TEST_PASSWORDS, getTestEmail, createUser } = require('../test-config');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+const config = require('wild-config');
+
+const server = supertest.agent(`http://127.0.0.1:${config.api.port}`);
+
+describe('API Webhooks', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    let webhook;
+
+    it('should POST /webhooks expect success', async () => {
+        const response = await server
+            .post('/webhooks')
+            .send({
+                type: ['webhooktest.*'],
+                url: 'http://127.0.0.1:1/webhook',
+                secret: 'webhook-test-secret-value',
+                retry: { attempts: 3, delay: 1000 },
+                specialUse: ['INBOX', '\\Sent']
+            })
+            .expect(200);
+
+        expect(response.body.success).to.be.true;
+        webhook = response.body.id;
+    });
+
+    it('should POST /webhooks expect failure / invalid retry policy', async () => {
+        const response = await server
+            .post('/webhooks')
+            .send({
+                type: ['webhooktest.*'],
+                url: 'http://127.0.0.1:1/webhook',
+                retry: { attempts: 100 }
+            })
+            .expect(400);
+
+        expect(response.body.code).to.eq('InputValidationError');
+    });
+
+    it('should POST /webhooks expect failure / invalid special use filter', async () => {
+        const response = await server
+            .post('/webhooks')
+            .send({
+                type: ['message.new'],
+                url: 'http://127.0.0.1:1/webhook',
+                specialUse: ['\\Unknown']
+            })
+            .expect(400);
+
+        expect(response.body.code).to.eq('InputValidationError');
+    });
+
+    it('should GET /webhooks expect success', async () => {
+        const response = await server.get('/webhooks?type=webhooktest.*').expect(200);
+
+        expect(response.body.success).to.be.true;
+        let webhookData = response.body.results.find(entry => entry.id === webhook);
+        expect(webhookData).to.exist;
+        expect(webhookData.signed).to.be.true;
+        expect(webhookData.disabled).to.be.false;
+        expect(webhookData.specialUse).to.deep.equal(['INBOX', '\\Sent']);
+    });
+
+    it('should PUT /webhooks/{webhook} expect success', async () => {
+        const response = await server
+            .put(`/webhooks/${webhook}`)
+            .send({
+                secret: 'webhook-test-secret-rotated',
+                disabled: false,
+                specialUse: []
+            })
+            .expect(200);
+
+        expect(response.body.success).to.be.true;
+    });
+
+    it('should GET /webhooks/{webhook}/deliveries expect success', async () => {
+        const response = await server.get(`/webhooks/${webhook}/deliveries`).expect(200);
+
+        expect(response.body.success).to.be.true;
+        expect(response.body.results).to.deep.equal([]);
+    });
+
+    it('should POST /webhooks/{webhook}/deliveries/{delivery}/redeliver expect failure / unknown delivery', async () => {
+        const response = await server.post(`/webhooks/${webhook}/deliveries/5c45f7bbd0bdbd1c8fbb5cfe/redeliver`).send({}).expect(404);
+
+        expect(response.body.code).to.eq('DeliveryNotFound');
+    });
+
+    it('should DELETE /webhooks/{webhook} expect success', async () => {
+        const response = await server.delete(`/webhooks/${webhook}`).expect(200);
+
+        expect(response.body.success).to.be.true;
+    });
+});
+
+describe('API Webhooks message events', function () {
+    this.timeout(20000); // eslint-disable-line no-invalid-this
+
+    let user;
+    let inbox;
+    let target;
+    let webhook;
+    let receiver;
+    let events = [];
+    let waiting = [];
+
+    // resolves with the first received event that matches
+    let waitForEvent = match =>
+        new Promise(resolve => {
+            let event = events.find(match);
+            if (event) {
+                return resolve(event);
+            }
+            waiting.push({ match, resolve });
+        });
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            let chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                let event = JSON.parse(Buffer.concat(chunks).toString());
+                events.push(event);
+                waiting = waiting.filter(entry => {
+                    if (entry.match(event)) {
+                        entry.resolve(event);
+                        return false;
+                    }
+                    return true;
+                });
+                res.end('OK');
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+        let response = await createUser(server, {
+            username: TEST_USERS.webhookuser,
+            password: TEST_PASSWORDS.secretvalue,
+            address: getTestEmail(TEST_USERS.webhookuser),
+            name: 'webhook user'
+        });
+        expect(response.body.success).to.be.true;
+        user = response.body.id;
+
+        response = await server.get(`/users/${user}/mailboxes`).expect(200);
+        inbox = response.body.results.find(mailbox => mailbox.path === 'INBOX').id;
+
+        response = await server.post(`/users/${user}/mailboxes`).send({ path: 'Copies' }).expect(200);
+        target = response.body.id;
+
+        // only events for the target mailbox are delivered
+        response = await server
+            .post('/webhooks')
+            .send({
+                type: ['message.new'],
+                user,
+                mailbox: target,
+                url: `http://127.0.0.1:${receiver.address().port}/webhook`
+            })
+            .expect(200);
+        webhook = response.body.id;
+
+        response = await server
+            .post(`/users/${user}/mailboxes/${inbox}/messages`)
+            .send({
+                from: { address: getTestEmail(TEST_USERS.webhookuser) },
+                subject: 'webhook copy test',
+                text: 'Hello world!'
+            })
+            .expect(200);
+        expect(response.body.success).to.be.true;
+    });
+
+    after(async () => {
+        if (webhook) {
+            await server.delete(`/webhooks/${webhook}`).expect(200);
+        }
+        if (user) {
+            await server.delete(`/users/${user}`).expect(200);
+        }
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('should publish message.new for messages copied over IMAP', async () => {
+        const client = new ImapFlow({
+            host: '127.0.0.1',
+            port: config.imap.port,
+            secure: true,
+            auth: {
+                user: TEST_USERS.webhookuser,
+                pass: TEST_PASSWORDS.secretvalue
+            },
+            tls: {
+                rejectUnauthorized: false
+            },
+            logger: false
+        });
+
+        await client.connect();
+        try {
+            await client.mailboxOpen('INBOX');
+            const result = await client.messageCopy('1:*', 'Copies');
+            expect(result.uidMap.size).to.equal(1);
+        } finally {
+            await client.logout();
+        }
+
+        const event = await waitForEvent(event => event.ev === 'message.new' && event.mailbox === target);
+        expect(event).to.include({
+            user,
+            uid: 1,
+            subject: 'webhook copy test'
+        });
+
+        // the original message was stored to INBOX which does not match the mailbox filter
+        expect(events.filter(event => event.mailbox === inbox)).to.deep.equal([]);
+    });
+});
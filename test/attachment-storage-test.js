@@ -0,0 +1,182 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+/* global before, after */
+
+'use strict';
+
+const os = require('os');
+const fs = require('fs');
+const pathlib = require('path');
+const crypto = require('crypto');
+const chai = require('chai');
+const FsBackend = require('../lib/attachments/backends/fs-backend');
+const S3Backend = require('../lib/attachments/backends/s3-backend');
+const AttachmentStorage = require('../lib/attachment-storage');
+const MockS3Server = require('./utils/mock-s3-server');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const readStream = stream =>
+    new Promise((resolve, reject) => {
+        let chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.once('error', reject);
+        stream.once('end', () => resolve(Buffer.concat(chunks)));
+    });
+
+const content = crypto.randomBytes(100 * 1024);
+const key = crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Attachment storage backends', function () {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    describe('FsBackend', function () {
+        let root;
+        let backend;
+
+        before(async () => {
+            root = await fs.promises.mkdtemp(pathlib.join(os.tmpdir(), 'wildduck-attachments-'));
+            backend = new FsBackend({ path: root });
+        });
+
+        after(async () => {
+            await fs.promises.rm(root, { recursive: true, force: true });
+        });
+
+        it('should store and read contents', async () => {
+            await backend.put(key, content);
+            expect(fs.existsSync(pathlib.join(root, key.substr(0, 2), key.substr(2, 2), key))).to.be.true;
+
+            let stored = await readStream(backend.createReadStream(key));
+            expect(stored.equals(content)).to.be.true;
+        });
+
+        it('should read a byte range', async () => {
+            let stored = await readStream(backend.createReadStream(key, { start: 100, end: 1100 }));
+            expect(stored.equals(content.subarray(100, 1100))).to.be.true;
+
+            stored = await readStream(backend.createReadStream(key, { start: 1100, end: 1100 }));
+            expect(stored.length).to.equal(0);
+        });
+
+        it('should delete contents', async () => {
+            expect(await backend.delete(key)).to.be.true;
+            expect(await backend.delete(key)).to.be.false;
+        });
+
+        it('should reject invalid keys', async () => {
+            let err;
+            try {
+                await backend.put('../../etc/passwd', content);
+            } catch (E) {
+                err = E;
+            }
+            expect(err).to.exist;
+        });
+    });
+
+    describe('S3Backend', function () {
+        let server;
+        let backend;
+
+        before(async () => {
+            server = new MockS3Server();
+            await server.start();
+
+            backend = new S3Backend({
+                endpoint: `http://127.0.0.1:${server.port}`,
+                bucket: 'wildduck-test',
+                prefix: 'attachments/',
+                accessKeyId: server.accessKeyId,
+                secretAccessKey: server.secretAccessKey
+            });
+        });
+
+        after(async () => {
+            await server.stop();
+        });
+
+        it('should store and read contents', async () => {
+            await backend.put(key, content);
+            expect(server.objects.has(`wildduck-test/attachments/${key}`)).to.be.true;
+
+            let stored = await readStream(backend.createReadStream(key));
+            expect(stored.equals(content)).to.be.true;
+        });
+
+        it('should read a byte range', async () => {
+            let stored = await readStream(backend.createReadStream(key, { start: 100, end: 1100 }));
+            expect(stored.equals(content.subarray(100, 1100))).to.be.true;
+            expect(server.requests[server.requests.length - 1].headers.range).to.equal('bytes=100-1099');
+        });
+
+        it('should delete contents', async () => {
+            await backend.delete(key);
+            expect(server.objects.has(`wildduck-test/attachments/${key}`)).to.be.false;
+
+            let err;
+            try {
+                await readStream(backend.createReadStream(key));
+            } catch (E) {
+                err = E;
+            }
+            expect(err).to.exist;
+            expect(err.statusCode).to.equal(404);
+        });
+
+        it('should fail with invalid credentials', async () => {
+            let invalidBackend = new S3Backend({
+                endpoint: `http://127.0.0.1:${server.port}`,
+                bucket: 'wildduck-test',
+                accessKeyId: server.accessKeyId,
+                secretAccessKey: 'invalid'
+            });
+
+            let err;
+            try {
+                await invalidBackend.put(key, content);
+            } catch (E) {
+                err = E;
+            }
+            expect(err).to.exist;
+            expect(err.statusCode).to.equal(403);
+        });
+    });
+
+    describe('GridstoreStorage', function () {
+        let root;
+
+        // attachment entries and locks are not used when streaming contents, so minimal stand-ins are enough
+        const gridfs = { collection: () => ({}) };
+        const redis = {
+            duplicate: () => ({ subscribe: () => false, on: () => false }),
+            defineCommand: () => false
+        };
+
+        before(async () => {
+            root = await fs.promises.mkdtemp(pathlib.join(os.tmpdir(), 'wildduck-attachments-'));
+            await new FsBackend({ path: root }).put(key, content);
+        });
+
+        after(async () => {
+            await fs.promises.rm(root, { recursive: true, force: true });
+        });
+
+        it('should read contents stored in a backend that is not the configured storage', async () => {
+            let attachmentStorage = new AttachmentStorage({
+                gridfs,
+                redis,
+                options: { type: 'gridstore', fs: { path: root } }
+            });
+
+            let id = Buffer.from(key, 'hex');
+            let attachmentData = { length: content.length, metadata: { storage: 'fs' } };
+
+            let stored = await readStream(attachmentStorage.createStoredReadStream(id, attachmentData));
+            expect(stored.equals(content)).to.be.true;
+
+            stored = await readStream(attachmentStorage.createReadStream(id, attachmentData, { startFrom: 100, maxLength: 1000 }));
+            expect(stored.equals(content.subarray(100, 1100))).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const Headers = require('mailsplit').Headers;
+const { isActive, isInternalSender, isAutomatedSender, isAutomatedMessage } = require('../lib/autoreply');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const getHeaders = lines => new Headers(Buffer.from(lines.concat(['', '']).join('\r\n')));
+
+describe('Autoreply checks', function () {
+    describe('#isActive', () => {
+        it('should check status and date range', () => {
+            let date = new Date('2024-03-06T12:00:00Z');
+
+            expect(isActive({ status: false }, date)).to.be.false;
+            expect(isActive({ status: true }, date)).to.be.true;
+            expect(isActive({ status: true, start: new Date('2024-03-07T00:00:00Z') }, date)).to.be.false;
+            expect(isActive({ status: true, end: new Date('2024-03-05T00:00:00Z') }, date)).to.be.false;
+            expect(isActive({ status: true, start: new Date('2024-03-05T00:00:00Z'), end: new Date('2024-03-07T00:00:00Z') }, date)).to.be.true;
+        });
+
+        it('should check weekly schedule', () => {
+            let autoreplyData = {
+                status: true,
+                // outside of office hours on workdays and all day on weekends
+                schedule: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '09:00' }, { days: [0, 6] }],
+                timezone: 'Europe/Tallinn'
+            };
+
+            // Wednesday 14:00 local time
+            expect(isActive(autoreplyData, new Date('2024-03-06T12:00:00Z'))).to.be.false;
+            // Wednesday 20:00 local time
+            expect(isActive(autoreplyData, new Date('2024-03-06T18:00:00Z'))).to.be.true;
+            // Saturday 14:00 local time
+            expect(isActive(autoreplyData, new Date('2024-03-09T12:00:00Z'))).to.be.true;
+            // schedule does not override the date range
+            expect(isActive(Object.assign({ end: new Date('2024-03-01T00:00:00Z') }, autoreplyData), new Date('2024-03-09T12:00:00Z'))).to.be.false;
+        });
+    });
+
+    describe('#isInternalSender', () => {
+        it('should compare sender domain', () => {
+            expect(isInternalSender('colleague@example.com', 'user@example.com')).to.be.true;
+            expect(isInternalSender('colleague@EXAMPLE.com', 'user@example.com')).to.be.true;
+            expect(isInternalSender('customer@example.org', 'user@example.com')).to.be.false;
+            expect(isInternalSender('colleague@sub.example.com', 'user@example.com')).to.be.false;
+            expect(isInternalSender('partner@example.org', 'user@example.com', ['example.org', 'example.net'])).to.be.true;
+            expect(isInternalSender('colleague@example.com', 'user@example.com', ['example.org'])).to.be.false;
+        });
+    });
+
+    describe('#isAutomatedSender', () => {
+        it('should detect automated senders', () => {
+            expect(isAutomatedSender('')).to.be.true;
+            expect(isAutomatedSender('MAILER-DAEMON@example.com')).to.be.true;
+            expect(isAutomatedSender('noreply@example.com')).to.be.true;
+            expect(isAutomatedSender('do-not-reply@example.com')).to.be.true;
+            expect(isAutomatedSender('owner-list@example.com')).to.be.true;
+            expect(isAutomatedSender('list-request@example.com')).to.be.true;
+            expect(isAutomatedSender('listserv@example.com')).to.be.true;
+            expect(isAutomatedSender('user@noreply.example.com')).to.be.false;
+            expect(isAutomatedSender('user@example.com')).to.be.false;
+        });
+    });
+
+    describe('#isAutomatedMessage', () => {
+        it('should allow regular messages', () => {
+            expect(isAutomatedMessage(getHeaders(['From: user@example.com', 'Subject: test']))).to.be.false;
+            expect(isAutomatedMessage(getHeaders(['From: user@example.com', 'Auto-Submitted: no']))).to.be.false;
+            expect(isAutomatedMessage(getHeaders(['From: user@example.com', 'Precedence: first-class']))).to.be.false;
+        });
+
+        it('should detect automated messages', () => {
+            expect(isAutomatedMessage(getHeaders(['Auto-Submitted: auto-replied']))).to.equal('auto-submitted');
+            expect(isAutomatedMessage(getHeaders(['Auto-Submitted: auto-generated; owner-email="admin@example.com"']))).to.equal('auto-submitted');
+            expect(isAutomatedMessage(getHeaders(['Precedence: bulk']))).to.equal('precedence');
+            expect(isAutomatedMessage(getHeaders(['Precedence: List']))).to.equal('precedence');
+            expect(isAutomatedMessage(getHeaders(['List-Id: <list.example.com>']))).to.equal('list-id');
+            expect(isAutomatedMessage(getHeaders(['List-Unsubscribe: <mailto:unsubscribe@example.com>']))).to.equal('list-unsubscribe');
+            expect(isAutomatedMessage(getHeaders(['X-Auto-Response-Suppress: OOF, AutoReply']))).to.equal('x-auto-response-suppress');
+            expect(isAutomatedMessage(getHeaders(['X-Autoreply: yes']))).to.equal('x-autoreply');
+        });
+    });
+});
@@ -0,0 +1,37 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const ObjectId = require('mongodb').ObjectId;
+const DelegationHandler = require('../lib/delegation-handler');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+describe('Account delegation', function () {
+    let delegationHandler = new DelegationHandler({ users: {} });
+
+    it('should not allow delegating to self', async () => {
+        let user = new ObjectId();
+
+        try {
+            await delegationHandler.set(user, new ObjectId(user.toString()), { sendAs: true });
+        } catch (err) {
+            expect(err.code).to.equal('InvalidDelegate');
+            expect(err.responseCode).to.equal(400);
+            return;
+        }
+        throw new Error('Expected an error');
+    });
+
+    it('should reject unknown rights', async () => {
+        try {
+            await delegationHandler.set(new ObjectId(), new ObjectId(), { rights: 'lrz' });
+        } catch (err) {
+            expect(err.code).to.equal('InvalidRights');
+            return;
+        }
+        throw new Error('Expected an error');
+    });
+});
@@ -0,0 +1,48 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const DeliveryStatusHandler = require('../lib/delivery-status-handler');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+describe('Delivery status', function () {
+    it('should collect recipients of a sent message', async () => {
+        let queries = [];
+        let deliveryStatusHandler = new DeliveryStatusHandler({
+            database: {},
+            senderDb: {
+                collection: () => ({
+                    find: query => {
+                        queries.push(query);
+                        return { toArray: async () => [{ recipient: 'Queued@example.net' }] };
+                    }
+                })
+            },
+            queueCollection: 'zone-queue'
+        });
+
+        let recipients = await deliveryStatusHandler.getRecipients({
+            outbound: ['18c5ac3e8e1000a3c2'],
+            meta: { to: ['envelope@example.net'] },
+            mimeTree: {
+                parsedHeader: {
+                    to: [{ name: 'To', address: 'to@example.net' }],
+                    cc: [{ name: 'Group', group: [{ name: '', address: 'member@example.net' }] }],
+                    bcc: 'Bcc <bcc@example.net>'
+                }
+            }
+        });
+
+        expect(queries).to.deep.equal([{ id: { $in: ['18c5ac3e8e1000a3c2'] } }]);
+        expect(Array.from(recipients).sort()).to.deep.equal([
+            'bcc@example.net',
+            'envelope@example.net',
+            'member@example.net',
+            'queued@example.net',
+            'to@example.net'
+        ]);
+    });
+});
@@ -0,0 +1,70 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const DkimHandler = require('../lib/dkim-handler');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const publicKeyDer = 'MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAtest';
+
+const getHandler = records =>
+    new DkimHandler({
+        resolver: {
+            resolveTxt: async name => {
+                if (!records[name]) {
+                    let err = new Error('queryTxt ENOTFOUND ' + name);
+                    err.code = 'ENOTFOUND';
+                    throw err;
+                }
+                return records[name];
+            }
+        }
+    });
+
+describe('DKIM key rotation', function () {
+    it('should find published keys from split TXT records', async () => {
+        let handler = getHandler({
+            'wd20261019._domainkey.example.com': [['v=spf1 -all'], ['v=DKIM1; k=rsa; p=MIIBIjANBgkqhkiG9w0BAQEFAAOC', 'AQ8AMIIBCgKCAQEAtest']],
+            'old._domainkey.example.com': [['v=DKIM1;t=s;p=MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAother']]
+        });
+
+        expect(await handler.checkDnsRecord('wd20261019._domainkey.example.com', publicKeyDer)).to.be.true;
+        expect(await handler.checkDnsRecord('old._domainkey.example.com', publicKeyDer)).to.be.false;
+        expect(await handler.checkDnsRecord('missing._domainkey.example.com', publicKeyDer)).to.be.false;
+    });
+
+    it('should generate unused selectors', () => {
+        let handler = getHandler({});
+        let today = new Date().toISOString().substr(0, 10).replace(/-/g, '');
+
+        expect(handler.getNextSelector({ selector: 'default' })).to.equal('wd' + today);
+        expect(handler.getNextSelector({ selector: 'default', rotation: { selectorPrefix: 'mail' } })).to.equal('mail' + today);
+        expect(handler.getNextSelector({ selector: 'mail' + today, rotation: { selectorPrefix: 'mail' } })).to.match(new RegExp(`^mail${today}-[0-9a-f]{4}$`));
+    });
+
+    it('should list DNS records for pending and retiring selectors', () => {
+        let handler = getHandler({});
+        let rotated = new Date('2026-10-01T00:00:00Z');
+
+        let rotation = handler.formatRotation({
+            domain: 'example.com',
+            rotation: {
+                enabled: true,
+                interval: 90,
+                gracePeriod: 7,
+                selectorPrefix: 'wd',
+                next: new Date('2026-12-30T00:00:00Z'),
+                pending: { selector: 'wd20261019', publicKeyDer, fingerprint: 'aa:bb', created: rotated },
+                retiring: [{ selector: 'old', publicKeyDer: 'MIIBold', fingerprint: 'cc:dd', rotated, expires: new Date('2026-10-08T00:00:00Z') }]
+            }
+        });
+
+        expect(rotation.pending.dnsTxt).to.deep.equal({ name: 'wd20261019._domainkey.example.com', value: 'v=DKIM1;t=s;p=' + publicKeyDer });
+        expect(rotation.pending.lastCheck).to.be.false;
+        expect(rotation.retiring[0].dnsTxt).to.deep.equal({ name: 'old._domainkey.example.com', value: 'v=DKIM1;t=s;p=MIIBold' });
+        expect(handler.formatRotation({ domain: 'example.com' })).to.be.undefined;
+    });
+});
@@ -0,0 +1,77 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const Indexer = require('../imap-core/lib/indexer/indexer');
+const { parseReport } = require('../lib/dsn-parser');
+const { createDsn, createMdn } = require('./utils/fake-mta');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const indexer = new Indexer();
+
+describe('Delivery status notifications', function () {
+    it('should parse a bounce', () => {
+        let raw = createDsn({
+            to: 'sender@example.com',
+            queueId: '18c2f5a3b4d000a1b2',
+            messageId: '<original@example.com>',
+            recipients: [
+                { recipient: 'Missing@Example.net', action: 'failed', status: '5.1.1', diagnosticCode: '550 5.1.1 No such user' },
+                { recipient: 'slow@example.net', action: 'delayed', status: '4.4.1' }
+            ]
+        });
+
+        let report = parseReport(indexer.parseMimeTree(Buffer.from(raw)));
+        expect(report).to.deep.equal({
+            type: 'dsn',
+            reportingMta: 'mx.example.com',
+            queueId: '18c2f5a3b4d000a1b2',
+            envelopeId: false,
+            messageId: '<original@example.com>',
+            recipients: [
+                {
+                    recipient: 'missing@example.net',
+                    action: 'failed',
+                    status: '5.1.1',
+                    diagnosticCode: '550 5.1.1 No such user by remote server',
+                    remoteMta: 'mx.remote.example.com'
+                },
+                {
+                    recipient: 'slow@example.net',
+                    action: 'delayed',
+                    status: '4.4.1',
+                    diagnosticCode: '550 5.0.0 Rejected by remote server',
+                    remoteMta: 'mx.remote.example.com'
+                }
+            ]
+        });
+    });
+
+    it('should parse a read receipt', () => {
+        let raw = createMdn({
+            to: 'sender@example.com',
+            from: 'reader@example.net',
+            messageId: 'original@example.com'
+        });
+
+        let report = parseReport(indexer.parseMimeTree(Buffer.from(raw)));
+        expect(report.type).to.equal('mdn');
+        expect(report.messageId).to.equal('<original@example.com>');
+        expect(report.reportingMta).to.equal('Test Client');
+        expect(report.recipients).to.deep.equal([
+            {
+                recipient: 'reader@example.net',
+                action: 'displayed',
+                disposition: 'manual-action/MDN-sent-manually; displayed'
+            }
+        ]);
+    });
+
+    it('should ignore other messages', () => {
+        let raw = ['From: sender@example.com', 'To: receiver@example.com', 'Subject: test', '', 'Delivery Status Notification'].join('\r\n');
+        expect(parseReport(indexer.parseMimeTree(Buffer.from(raw)))).to.be.false;
+    });
+});
@@ -0,0 +1,130 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const { checkConditions, explainConditions, getSpamScore, getDepth, isSafeRegex } = require('../lib/filter-conditions');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const headers = {
+    from: ['Sender <sender@example.com>'],
+    'x-mailer': ['Mailer 1.2'],
+    'x-rspamd-score': [' 6.5']
+};
+
+const getHeaders = key => headers[key] || [];
+
+const getContext = extra =>
+    Object.assign(
+        {
+            getHeaders,
+            recipient: 'sales@example.net',
+            verificationResults: { spf: 'example.com', dkim: false },
+            spamScore: 6.5,
+            // Monday, 10:30 in Tallinn
+            date: new Date('2026-10-19T07:30:00Z')
+        },
+        extra
+    );
+
+const and = (...conditions) => ({ op: 'and', conditions });
+
+describe('Filter conditions', function () {
+    it('should match header values and regular expressions', () => {
+        let context = getContext();
+        expect(checkConditions(and({ type: 'header', key: 'x-mailer', value: 'MAILER' }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'header', key: 'x-mailer', value: '^mailer [0-9]+\\.', regex: true }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'header', key: 'x-mailer', value: '^other', regex: true }), context)).to.be.false;
+        expect(checkConditions(and({ type: 'header', key: 'x-mailer', exists: true }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'header', key: 'list-id', exists: false }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'header', key: 'list-id', exists: true }), context)).to.be.false;
+    });
+
+    it('should not evaluate regular expressions with nested quantifiers', () => {
+        expect(isSafeRegex('^mailer [0-9]+\\.')).to.be.true;
+        expect(isSafeRegex('^(a+)+$')).to.be.false;
+        expect(isSafeRegex('(x+x+)+y')).to.be.false;
+
+        // would not finish in reasonable time if evaluated
+        let context = getContext({ getHeaders: () => ['a'.repeat(40) + '!'] });
+        expect(checkConditions(and({ type: 'header', key: 'subject', value: '^(a+)+$', regex: true }), context)).to.be.false;
+    });
+
+    it('should match the envelope recipient', () => {
+        let context = getContext();
+        expect(checkConditions(and({ type: 'recipient', value: 'sales@' }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'recipient', value: '^support@', regex: true }), context)).to.be.false;
+    });
+
+    it('should match verification results', () => {
+        let context = getContext();
+        expect(checkConditions(and({ type: 'spf' }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'spf', value: 'Example.com' }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'spf', value: 'example.org' }), context)).to.be.false;
+        expect(checkConditions(and({ type: 'dkim', pass: false }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'dmarc', pass: false }), context)).to.be.true;
+
+        // without verification results neither a pass or a fail can match
+        context = getContext({ verificationResults: false });
+        expect(checkConditions(and({ type: 'spf' }), context)).to.be.false;
+        expect(checkConditions(and({ type: 'spf', pass: false }), context)).to.be.false;
+    });
+
+    it('should match spam score ranges', () => {
+        let context = getContext();
+        expect(checkConditions(and({ type: 'spamScore', min: 5 }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'spamScore', min: 1, max: 5 }), context)).to.be.false;
+        expect(checkConditions(and({ type: 'spamScore', max: 100 }), getContext({ spamScore: false }))).to.be.false;
+    });
+
+    it('should match received time windows', () => {
+        let context = getContext();
+        let businessHours = { type: 'received', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', timezone: 'Europe/Tallinn' };
+        expect(checkConditions(and(businessHours), context)).to.be.true;
+        expect(checkConditions(and(Object.assign({}, businessHours, { timezone: 'America/New_York' })), context)).to.be.false;
+        expect(checkConditions(and(Object.assign({}, businessHours, { days: [0, 6] })), context)).to.be.false;
+
+        // window passing midnight
+        expect(checkConditions(and({ type: 'received', start: '22:00', end: '08:00' }), context)).to.be.true;
+        expect(checkConditions(and({ type: 'received', start: '22:00', end: '07:00' }), context)).to.be.false;
+    });
+
+    it('should combine conditions with groups', () => {
+        let context = getContext();
+        let matching = { type: 'spf' };
+        let failing = { type: 'dkim' };
+
+        expect(checkConditions(and(matching, failing), context)).to.be.false;
+        expect(checkConditions({ op: 'or', conditions: [matching, failing] }, context)).to.be.true;
+        expect(checkConditions({ op: 'not', conditions: [failing] }, context)).to.be.true;
+        expect(checkConditions({ op: 'not', conditions: [failing, matching] }, context)).to.be.false;
+        expect(checkConditions(and(matching, { op: 'or', conditions: [failing, { op: 'not', conditions: [failing] }] }), context)).to.be.true;
+    });
+
+    it('should explain results for every condition', () => {
+        let result = explainConditions(
+            and({ type: 'spf' }, { op: 'not', conditions: [{ type: 'dkim' }] }, { type: 'recipient', value: 'support@' }),
+            getContext()
+        );
+        expect(result).to.deep.equal({
+            op: 'and',
+            matched: false,
+            conditions: [
+                { type: 'spf', matched: true },
+                { op: 'not', matched: true, conditions: [{ type: 'dkim', matched: false }] },
+                { type: 'recipient', value: 'support@', matched: false }
+            ]
+        });
+    });
+
+    it('should detect spam score and nesting depth', () => {
+        expect(getSpamScore({ spamScore: 2 }, getHeaders)).to.equal(2);
+        expect(getSpamScore({}, getHeaders)).to.equal(6.5);
+        expect(getSpamScore({}, () => [])).to.be.false;
+
+        expect(getDepth(and({ type: 'spf' }))).to.equal(1);
+        expect(getDepth(and({ type: 'spf' }, { op: 'or', conditions: [{ op: 'not', conditions: [{ type: 'dkim' }] }] }))).to.equal(3);
+    });
+});
@@ -0,0 +1,261 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+/* global before, after */
+
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+const chai = require('chai');
+const ObjectId = require('mongodb').ObjectId;
+const { parseCommand, formatString, formatResponse } = require('../lib/managesieve/parser');
+const ManageSieveServer = require('../lib/managesieve/server');
+const SieveHandler = require('../lib/sieve-handler');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+/**
+ * SieveHandler that keeps scripts in memory, scripts are still validated with the Sieve interpreter
+ */
+class MemorySieveHandler extends SieveHandler {
+    constructor() {
+        super({});
+        this.scripts = new Map();
+    }
+
+    async list(user) {
+        return [...this.scripts.values()].filter(scriptData => scriptData.user.equals(user)).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getByName(user, name) {
+        let scriptData = (await this.list(user)).find(scriptData => scriptData.name === name);
+        if (!scriptData) {
+            let err = new Error('Sieve script was not found');
+            err.code = 'ScriptNotFound';
+            throw err;
+        }
+        return scriptData;
+    }
+
+    async create(user, options) {
+        this.check(options.script);
+        let scriptData = { _id: new ObjectId(), user, name: options.name, script: options.script, active: false };
+        this.scripts.set(scriptData._id.toString(), scriptData);
+        return scriptData._id;
+    }
+
+    async update(user, script, options) {
+        this.check(options.script);
+        Object.assign(this.scripts.get(script.toString()), options);
+        return true;
+    }
+
+    async delete(user, script) {
+        return this.scripts.delete(script.toString());
+    }
+
+    async activate(user, script) {
+        for (let scriptData of await this.list(user)) {
+            scriptData.active = !!script && scriptData._id.equals(script);
+        }
+        return true;
+    }
+}
+
+/**
+ * Minimal ManageSieve client, resolves complete responses that end with an OK, NO or BYE line
+ */
+class SieveClient {
+    constructor(socket) {
+        this.buffer = '';
+        this.waiting = false;
+        this.setSocket(socket);
+    }
+
+    setSocket(socket) {
+        if (this.socket) {
+            this.socket.removeAllListeners('data');
+        }
+        this.socket = socket;
+        this.socket.on('data', chunk => {
+            this.buffer += chunk.toString();
+            this.check();
+        });
+    }
+
+    check() {
+        if (this.waiting && /(^|\r\n)(OK|NO|BYE)( [^\r\n]*)?\r\n$/.test(this.buffer)) {
+            let response = this.buffer;
+            let resolve = this.waiting;
+            this.buffer = '';
+            this.waiting = false;
+            resolve(response);
+        }
+    }
+
+    read() {
+        return new Promise(resolve => {
+            this.waiting = resolve;
+            this.check();
+        });
+    }
+
+    command(line) {
+        this.socket.write(line + '\r\n');
+        return this.read();
+    }
+
+    upgrade() {
+        this.setSocket(tls.connect({ socket: this.socket, rejectUnauthorized: false }));
+        return this.read();
+    }
+
+    closed() {
+        return new Promise(resolve => this.socket.once('close', resolve));
+    }
+}
+
+describe('ManageSieve', function () {
+    describe('Command parser', () => {
+        it('should parse atoms and quoted strings', () => {
+            let input = Buffer.from('RENAMESCRIPT "old \\"name\\"" "new\\\\name"\r\nLOGOUT\r\n');
+            let result = parseCommand(input);
+            expect(result.args).to.deep.equal([
+                { type: 'atom', value: 'RENAMESCRIPT' },
+                { type: 'string', value: 'old "name"' },
+                { type: 'string', value: 'new\\name' }
+            ]);
+            expect(input.slice(result.length).toString()).to.equal('LOGOUT\r\n');
+        });
+
+        it('should parse literals with line breaks', () => {
+            let script = 'require "fileinto";\r\nfileinto "Tõnu";\r\n';
+            let result = parseCommand(Buffer.from(`PUTSCRIPT "test" {${Buffer.byteLength(script)}+}\r\n${script}\r\n`));
+            expect(result.args[2]).to.deep.equal({ type: 'string', value: script });
+        });
+
+        it('should wait for incomplete commands', () => {
+            expect(parseCommand(Buffer.from('LISTSCRIPTS'))).to.be.false;
+            expect(parseCommand(Buffer.from('PUTSCRIPT "test" {10+}\r\nkeep;'))).to.be.false;
+            expect(parseCommand(Buffer.from('GETSCRIPT "te'))).to.be.false;
+        });
+
+        it('should report literals that are too large', () => {
+            let result = parseCommand(Buffer.from('PUTSCRIPT "test" {100+}\r\nkeep;'), { maxLiteralSize: 10 });
+            expect(result).to.deep.equal({ tooLarge: true, skip: 25 + 100 });
+        });
+
+        it('should throw on invalid input', () => {
+            expect(() => parseCommand(Buffer.from('GETSCRIPT "a\\b"\r\n'))).to.throw(/Invalid escape/);
+            expect(() => parseCommand(Buffer.from('PUTSCRIPT "a" {abc}\r\n'))).to.throw(/Invalid literal/);
+        });
+    });
+
+    describe('Responses', () => {
+        it('should format responses', () => {
+            expect(formatResponse('OK')).to.equal('OK');
+            expect(formatResponse('NO', 'QUOTA/MAXSIZE', 'Script "x" is too large')).to.equal('NO (QUOTA/MAXSIZE) "Script \\"x\\" is too large"');
+            expect(formatString('line 1\r\nline 2')).to.equal('{14}\r\nline 1\r\nline 2');
+        });
+    });
+
+    describe('Protocol', function () {
+        this.timeout(10000); // eslint-disable-line no-invalid-this
+
+        let server;
+        let port;
+
+        const user = new ObjectId();
+        const script = 'require "fileinto";\r\nif header :contains "subject" "test" {\r\n    fileinto "Test";\r\n}\r\n';
+
+        before(done => {
+            server = new ManageSieveServer({
+                sieveHandler: new MemorySieveHandler(),
+                logger: false,
+                onAuth(auth, session, callback) {
+                    if (auth.username === 'testuser' && auth.password === 'pass') {
+                        return callback(null, { user: { id: user, username: auth.username } });
+                    }
+                    callback();
+                }
+            });
+            server.listen(0, '127.0.0.1', () => {
+                port = server.server.address().port;
+                done();
+            });
+        });
+
+        after(done => {
+            server.close(done);
+        });
+
+        it('should manage scripts over STARTTLS', async () => {
+            let client = new SieveClient(net.connect(port, '127.0.0.1'));
+
+            let greeting = await client.read();
+            expect(greeting).to.match(/^"IMPLEMENTATION" "WildDuck-v/m);
+            expect(greeting).to.match(/^"STARTTLS"$/m);
+            // authentication is not offered before TLS
+            expect(greeting).to.match(/^"SASL" ""$/m);
+            expect(greeting).to.match(/^OK /m);
+
+            let response = await client.command('CAPABILITY');
+            expect(response).to.match(/^"SIEVE" ".*fileinto.*"$/m);
+            expect(response).to.match(/^OK "Capability completed"/m);
+
+            let plain = Buffer.from('\x00testuser\x00pass').toString('base64');
+
+            response = await client.command(`AUTHENTICATE "PLAIN" "${plain}"`);
+            expect(response).to.match(/^NO \(ENCRYPT-NEEDED\)/);
+
+            response = await client.command('STARTTLS');
+            expect(response).to.match(/^OK "Begin TLS negotiation now"/);
+
+            response = await client.upgrade();
+            expect(response).to.match(/^"SASL" "PLAIN"$/m);
+            expect(response).to.not.match(/^"STARTTLS"$/m);
+            expect(response).to.match(/^OK "TLS negotiation successful"/m);
+
+            response = await client.command('STARTTLS');
+            expect(response).to.match(/^NO "TLS is already active"/);
+
+            response = await client.command(`AUTHENTICATE "PLAIN" "${Buffer.from('\x00testuser\x00wrong').toString('base64')}"`);
+            expect(response).to.match(/^NO /);
+
+            response = await client.command(`AUTHENTICATE "PLAIN" "${plain}"`);
+            expect(response).to.match(/^OK "Authentication successful"/);
+
+            response = await client.command(`PUTSCRIPT "test" {${Buffer.byteLength(script)}+}\r\n${script}`);
+            expect(response).to.match(/^OK "Putscript completed"/);
+
+            response = await client.command('PUTSCRIPT "invalid" "fileinto \\"Test\\";"');
+            expect(response).to.match(/^NO /);
+
+            response = await client.command('SETACTIVE "test"');
+            expect(response).to.match(/^OK "Setactive completed"/);
+
+            response = await client.command('LISTSCRIPTS');
+            expect(response).to.equal('"test" ACTIVE\r\nOK "Listscripts completed"\r\n');
+
+            response = await client.command('GETSCRIPT "test"');
+            expect(response).to.equal(`{${Buffer.byteLength(script)}}\r\n${script}\r\nOK "Getscript completed"\r\n`);
+
+            response = await client.command('DELETESCRIPT "test"');
+            expect(response).to.match(/^NO \(ACTIVE\)/);
+
+            response = await client.command('SETACTIVE ""');
+            expect(response).to.match(/^OK /);
+
+            response = await client.command('DELETESCRIPT "test"');
+            expect(response).to.match(/^OK "Deletescript completed"/);
+
+            response = await client.command('GETSCRIPT "test"');
+            expect(response).to.match(/^NO \(NONEXISTENT\)/);
+
+            response = await client.command('LOGOUT');
+            expect(response).to.match(/^OK "Logout completed"/);
+
+            await client.closed();
+        });
+    });
+});
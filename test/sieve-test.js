@@ -0,0 +1,131 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const { compile, execute } = require('../lib/sieve/interpreter');
+const { getMessageContext } = require('../lib/sieve-handler');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const getMessage = (headers, envelope, size) =>
+    getMessageContext(
+        {
+            size: size || 1000,
+            mimeTree: { header: headers }
+        },
+        envelope || { from: 'sender@example.com', to: 'user@example.net' }
+    );
+
+const run = (script, message, options) =>
+    execute(compile(script), message || getMessage(['From: Sender <sender@example.com>', 'To: user@example.net']), options);
+
+describe('Sieve', function () {
+    describe('Parser', () => {
+        it('should parse comments and multi-line strings', () => {
+            let result = run(['require "reject"; # comment', '/* bracket', 'comment */', 'reject text:', 'first line', '..second line', '.', ';'].join('\r\n'));
+            expect(result.actions).to.deep.equal([{ type: 'reject', reason: 'first line\r\n.second line\r\n' }]);
+        });
+
+        it('should report the line number of a syntax error', () => {
+            try {
+                compile('require "fileinto";\n\nif true {\n  fileinto "x"\n}');
+            } catch (err) {
+                expect(err.code).to.equal('SieveError');
+                expect(err.line).to.equal(5);
+                return;
+            }
+            throw new Error('Expected an error');
+        });
+
+        it('should reject commands from extensions that are not required', () => {
+            expect(() => compile('fileinto "Work";')).to.throw(/requires "fileinto" extension/);
+            expect(() => compile('require "unknown";')).to.throw(/Unsupported extension/);
+        });
+
+        it('should reject invalid control structures', () => {
+            expect(() => compile('elsif true { keep; }')).to.throw(/must follow/);
+            expect(() => compile('keep; require "fileinto";')).to.throw(/must be used before/);
+            expect(() => compile('if size 100 { keep; }')).to.throw(/":over" or ":under"/);
+        });
+    });
+
+    describe('Interpreter', () => {
+        it('should use implicit keep if nothing matches', () => {
+            let result = run('if header :is "subject" "test" { discard; }');
+            expect(result.implicitKeep).to.be.true;
+            expect(result.actions).to.be.empty;
+        });
+
+        it('should run if/elsif/else branches', () => {
+            let script = [
+                'require "fileinto";',
+                'if header :contains "subject" "invoice" { fileinto "Billing"; }',
+                'elsif address :domain :is "from" "example.com" { fileinto "Example"; }',
+                'else { fileinto "Other"; }'
+            ].join('\n');
+
+            let result = run(script);
+            expect(result.implicitKeep).to.be.false;
+            expect(result.actions).to.deep.equal([{ type: 'fileinto', mailbox: 'Example', flags: [] }]);
+        });
+
+        it('should match decoded and unfolded header values', () => {
+            let message = getMessage(['Subject: =?UTF-8?Q?T=C3=B5nu_for?=\r\n your order']);
+            let result = run('if header :matches "subject" "tõnu * your ?rder" { discard; }', message);
+            expect(result.actions).to.deep.equal([{ type: 'discard' }]);
+        });
+
+        it('should respect comparators', () => {
+            expect(run('if header :is :comparator "i;octet" "to" "USER@example.net" { discard; }').implicitKeep).to.be.true;
+            expect(run('if header :is "to" "USER@example.net" { discard; }').implicitKeep).to.be.false;
+        });
+
+        it('should check envelope and size', () => {
+            let message = getMessage([], { from: 'bounce+123@lists.example.com', to: 'user@example.net' }, 5 * 1024 * 1024);
+            let result = run('require "envelope"; if allof (envelope :localpart :matches "from" "bounce+*", size :over 1M) { discard; }', message);
+            expect(result.actions).to.deep.equal([{ type: 'discard' }]);
+        });
+
+        it('should set flags with imap4flags', () => {
+            let script = [
+                'require ["fileinto", "imap4flags"];',
+                'addflag ["\\\\Seen", "$Work"];',
+                'removeflag "$work";',
+                'if hasflag "\\\\seen" { fileinto "Read"; }',
+                'fileinto :flags "\\\\Flagged" "Flagged";'
+            ].join('\n');
+
+            let result = run(script);
+            expect(result.actions).to.deep.equal([
+                { type: 'fileinto', mailbox: 'Read', flags: ['\\Seen'] },
+                { type: 'fileinto', mailbox: 'Flagged', flags: ['\\Flagged'] }
+            ]);
+        });
+
+        it('should keep implicit keep for copies and stop processing', () => {
+            let result = run('require ["copy"]; redirect :copy "other@example.com"; stop; discard;');
+            expect(result.implicitKeep).to.be.true;
+            expect(result.actions).to.deep.equal([{ type: 'redirect', address: 'other@example.com', copy: true }]);
+        });
+
+        it('should limit redirects', () => {
+            expect(() => run('redirect "a@example.com"; redirect "b@example.com";', false, { maxRedirects: 1 })).to.throw(/Too many redirects/);
+        });
+
+        it('should only reply to messages addressed to the user', () => {
+            let script = 'require "vacation"; vacation :days 3 "I am away";';
+
+            let result = run(script, false, { addresses: ['user@example.net'] });
+            expect(result.actions).to.deep.equal([{ type: 'vacation', reason: 'I am away', days: 3, subject: false, from: false, handle: false }]);
+
+            result = run(script, false, { addresses: ['someone@example.net'] });
+            expect(result.actions).to.be.empty;
+        });
+
+        it('should not combine reject with fileinto', () => {
+            expect(() => run('require ["reject", "fileinto"]; fileinto "Work"; reject "No";')).to.throw(/can not be combined/);
+        });
+    });
+});
@@ -56,7 +56,15 @@ const TEST_USERS = {
     to: '0xf4a0bcde1a2b3c4d5e6f789012345678abcdef0123456789abcdef012',
     cc: '0x05b1cdef1a2b3c4d5e6f789012345678abcdef0123456789abcdef0123',
     rfinnie: '0x16c2defa1a2b3c4d5e6f789012345678abcdef0123456789abcdef01234',
-    bob: '0x27d3efab1a2b3c4d5e6f789012345678abcdef0123456789abcdef012345'
+    bob: '0x27d3efab1a2b3c4d5e6f789012345678abcdef0123456789abcdef012345',
+    oauthuser: '0x38e4fabc1a2b3c4d5e6f789012345678abcdef0123456789abcdef0123456',
+    sieveuser: '0x49f5abcd1a2b3c4d5e6f789012345678abcdef0123456789abcdef01234567',
+    dsnuser: '0x5a06bcde1a2b3c4d5e6f789012345678abcdef0123456789abcdef012345678',
+    shareuser: '0x6b17cdef1a2b3c4d5e6f789012345678abcdef0123456789abcdef0123456789',
+    delegator: '0x7c28defa1a2b3c4d5e6f789012345678abcdef0123456789abcdef0123456789a',
+    delegate: '0x8d39efab1a2b3c4d5e6f789012345678abcdef0123456789abcdef0123456789ab',
+    exportuser: '0x9e4afabc1a2b3c4d5e6f789012345678abcdef0123456789abcdef0123456789abc',
+    webhookuser: '0xaf5bfabc1a2b3c4d5e6f789012345678abcdef0123456789abcdef0123456789abcd'
 };
 
 // Test passwords
@@ -115,10 +123,7 @@ async function createUser(server, userData, cryptoEmails = null) {
         const standardUserData = { ...userData };
         delete standardUserData.emailDomain;
 
-        const response = await server
-            .post('/users')
-            .send(standardUserData)
-            .expect(200);
+        const response = await server.post('/users').send(standardUserData).expect(200);
 
         return response;
     }
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Generates delivery status notifications (RFC3464) and read receipts (RFC8098) the way
+ * an MTA or a mail client would, used to test processing of received reports
+ */
+
+const crypto = require('crypto');
+
+function boundary() {
+    return '----=_report_' + crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Creates a bounce or a delivery report
+ *
+ * @param {Object} options
+ * @param {String} options.to Address of the original sender
+ * @param {String} [options.queueId] Queue ID of the original message, added as X-ZoneMTA-Queue-ID
+ * @param {String} [options.messageId] Message-ID of the original message
+ * @param {Array} options.recipients List of {recipient, action, status, diagnosticCode}
+ * @returns {String} RFC822 formatted report
+ */
+function createDsn(options) {
+    let separator = boundary();
+
+    let messageFields = ['Reporting-MTA: dns; mx.example.com'];
+    if (options.queueId) {
+        messageFields.push(`X-ZoneMTA-Queue-ID: ${options.queueId}`);
+    }
+    messageFields.push(`Arrival-Date: ${new Date().toUTCString()}`);
+
+    let recipientBlocks = options.recipients.map(entry =>
+        [
+            `Final-Recipient: rfc822; ${entry.recipient}`,
+            `Action: ${entry.action || 'failed'}`,
+            `Status: ${entry.status || '5.0.0'}`,
+            'Remote-MTA: dns; mx.remote.example.com',
+            // folded field value
+            `Diagnostic-Code: smtp; ${entry.diagnosticCode || '550 5.0.0 Rejected'}\r\n    by remote server`
+        ].join('\r\n')
+    );
+
+    return [
+        'From: Mail Delivery System <mailer-daemon@mx.example.com>',
+        `To: ${options.to}`,
+        'Subject: Delivery Status Notification',
+        `Message-ID: <${crypto.randomBytes(8).toString('hex')}@mx.example.com>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/report; report-type=delivery-status; boundary="${separator}"`,
+        '',
+        `--${separator}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        'Delivery to the following recipients failed.',
+        '',
+        `--${separator}`,
+        'Content-Type: message/delivery-status',
+        '',
+        messageFields.join('\r\n'),
+        '',
+        recipientBlocks.join('\r\n\r\n'),
+        '',
+        `--${separator}`,
+        'Content-Type: text/rfc822-headers',
+        '',
+        `From: ${options.to}`,
+        `Message-ID: ${options.messageId || '<unknown@example.com>'}`,
+        'Subject: Original message',
+        '',
+        `--${separator}--`,
+        ''
+    ].join('\r\n');
+}
+
+/**
+ * Creates a read receipt
+ *
+ * @param {Object} options
+ * @param {String} options.to Address of the original sender
+ * @param {String} options.from Address of the recipient that generated the receipt
+ * @param {String} options.messageId Message-ID of the original message
+ * @param {String} [options.disposition] Disposition value
+ * @returns {String} RFC822 formatted report
+ */
+function createMdn(options) {
+    let separator = boundary();
+
+    return [
+        `From: ${options.from}`,
+        `To: ${options.to}`,
+        'Subject: Read: Original message',
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/report; report-type=disposition-notification; boundary="${separator}"`,
+        '',
+        `--${separator}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        'Your message was displayed.',
+        '',
+        `--${separator}`,
+        'Content-Type: message/disposition-notification',
+        '',
+        'Reporting-UA: mua.example.com; Test Client',
+        `Final-Recipient: rfc822; ${options.from}`,
+        `Original-Message-ID: ${options.messageId}`,
+        `Disposition: ${options.disposition || 'manual-action/MDN-sent-manually; displayed'}`,
+        '',
+        `--${separator}--`,
+        ''
+    ].join('\r\n');
+}
+
+module.exports = { createDsn, createMdn };
@@ -0,0 +1,188 @@
+/* eslint no-bitwise: 0 */
+
+'use strict';
+
+/**
+ * Minimal authoritative DNS server for tests
+ * Accepts dynamic updates (RFC2136) for TXT records over UDP and validates TSIG signatures
+ */
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 5353;
+
+const TYPE_TXT = 16;
+const TYPE_TSIG = 250;
+const CLASS_IN = 1;
+const CLASS_NONE = 254;
+
+const RCODE_NOERROR = 0;
+const RCODE_FORMERR = 1;
+const RCODE_NOTIMP = 4;
+const RCODE_NOTAUTH = 9;
+const RCODE_NOTZONE = 10;
+
+class MockDnsServer {
+    constructor(options) {
+        options = options || {};
+        this.port = options.port || DEFAULT_PORT;
+        this.zone = options.zone || 'example.com';
+
+        // {name, algorithm, secret}, if set then updates must be signed
+        this.key = options.key || false;
+
+        // "name" -> Set of TXT values
+        this.records = new Map();
+        this.updates = [];
+
+        this.server = dgram.createSocket('udp4');
+        this.server.on('message', (msg, rinfo) => this.handleMessage(msg, rinfo));
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.bind(this.port, '127.0.0.1', () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handleMessage(msg, rinfo) {
+        let rcode;
+        try {
+            rcode = this.processUpdate(msg);
+        } catch (err) {
+            rcode = RCODE_FORMERR;
+        }
+
+        let response = Buffer.alloc(12);
+        msg.copy(response, 0, 0, 2);
+        // QR bit, opcode UPDATE, response code
+        response.writeUInt16BE(0x8000 | (5 << 11) | rcode, 2);
+        this.server.send(response, rinfo.port, rinfo.address);
+    }
+
+    processUpdate(msg) {
+        let opcode = (msg.readUInt16BE(2) >> 11) & 0x0f;
+        if (opcode !== 5) {
+            return RCODE_NOTIMP;
+        }
+
+        let counts = [4, 6, 8, 10].map(pos => msg.readUInt16BE(pos));
+        let pos = 12;
+
+        let zone = readName(msg, pos);
+        pos = zone.pos + 4;
+
+        let records = [];
+        for (let i = 0; i < counts[1] + counts[2] + counts[3]; i++) {
+            let start = pos;
+            let name = readName(msg, pos);
+            pos = name.pos;
+            let record = {
+                start,
+                name: name.name,
+                type: msg.readUInt16BE(pos),
+                cls: msg.readUInt16BE(pos + 2),
+                ttl: msg.readUInt32BE(pos + 4),
+                rdata: msg.slice(pos + 10, pos + 10 + msg.readUInt16BE(pos + 8))
+            };
+            pos += 10 + record.rdata.length;
+            records.push(record);
+        }
+
+        let tsig = records.find(record => record.type === TYPE_TSIG);
+        if (this.key && (!tsig || !this.verifySignature(msg, tsig))) {
+            return RCODE_NOTAUTH;
+        }
+
+        if (zone.name !== this.zone) {
+            return RCODE_NOTAUTH;
+        }
+
+        let update = { zone: zone.name, signed: !!tsig, changes: [] };
+        for (let record of records.slice(counts[1], counts[1] + counts[2])) {
+            if (record.type !== TYPE_TXT) {
+                return RCODE_NOTIMP;
+            }
+
+            if (record.name !== this.zone && !record.name.endsWith('.' + this.zone)) {
+                return RCODE_NOTZONE;
+            }
+
+            let value = readTxt(record.rdata);
+            if (!this.records.has(record.name)) {
+                this.records.set(record.name, new Set());
+            }
+
+            if (record.cls === CLASS_IN) {
+                this.records.get(record.name).add(value);
+                update.changes.push({ action: 'add', name: record.name, value, ttl: record.ttl });
+            } else if (record.cls === CLASS_NONE) {
+                this.records.get(record.name).delete(value);
+                update.changes.push({ action: 'delete', name: record.name, value });
+            }
+        }
+
+        this.updates.push(update);
+        return RCODE_NOERROR;
+    }
+
+    verifySignature(msg, tsig) {
+        let algorithm = readName(tsig.rdata, 0);
+        let pos = algorithm.pos;
+        let timeSigned = tsig.rdata.slice(pos, pos + 8);
+        let macSize = tsig.rdata.readUInt16BE(pos + 8);
+        let mac = tsig.rdata.slice(pos + 10, pos + 10 + macSize);
+        let trailer = tsig.rdata.slice(pos + 12 + macSize, pos + 16 + macSize);
+
+        if (tsig.name !== this.key.name || algorithm.name !== this.key.algorithm) {
+            return false;
+        }
+
+        // signed data is the message without the TSIG record
+        let message = Buffer.from(msg.slice(0, tsig.start));
+        message.writeUInt16BE(message.readUInt16BE(10) - 1, 10);
+
+        let variables = Buffer.alloc(6);
+        variables.writeUInt16BE(255, 0);
+
+        let expected = crypto
+            .createHmac(this.key.algorithm.replace(/^hmac-/, ''), Buffer.from(this.key.secret, 'base64'))
+            .update(Buffer.concat([message, encodeName(tsig.name), variables, encodeName(algorithm.name), timeSigned, trailer]))
+            .digest();
+
+        return expected.length === mac.length && crypto.timingSafeEqual(expected, mac);
+    }
+}
+
+function readName(buf, pos) {
+    let labels = [];
+    while (buf[pos]) {
+        labels.push(buf.slice(pos + 1, pos + 1 + buf[pos]).toString());
+        pos += buf[pos] + 1;
+    }
+    return { name: labels.join('.').toLowerCase(), pos: pos + 1 };
+}
+
+function encodeName(name) {
+    let parts = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+    return Buffer.concat(parts.concat(Buffer.from([0])));
+}
+
+function readTxt(rdata) {
+    let parts = [];
+    for (let pos = 0; pos < rdata.length; pos += rdata[pos] + 1) {
+        parts.push(rdata.slice(pos + 1, pos + 1 + rdata[pos]).toString());
+    }
+    return parts.join('');
+}
+
+module.exports = MockDnsServer;
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Mock OAuth 2.0 issuer
+ * Serves a JWKS document and a token introspection endpoint and issues access tokens for tests
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 5790;
+
+// Use the same key for all issuer instances in the process, the server caches JWKS keys
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto
+    .createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('base64url')
+    .substr(0, 16);
+
+class MockOAuthIssuer {
+    constructor(options) {
+        options = options || {};
+        this.port = options.port || DEFAULT_PORT;
+        this.issuer = options.issuer || `http://127.0.0.1:${this.port}`;
+        this.audience = options.audience || 'wildduck-test';
+
+        // opaque token -> claims
+        this.opaqueTokens = new Map();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, '127.0.0.1', () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            // drop keep-alive connections from the server under test
+            this.server.closeAllConnections();
+        });
+    }
+
+    /**
+     * Issues a signed JWT access token
+     *
+     * @param {Object} claims Token claims, default iss, aud, iat and exp values are added
+     * @param {Object} [options]
+     * @param {Number} [options.expiresIn=3600] Token lifetime in seconds, use a negative value for expired tokens
+     * @returns {String} Access token
+     */
+    issueToken(claims, options) {
+        options = options || {};
+        let now = Math.floor(Date.now() / 1000);
+
+        let header = { alg: 'RS256', typ: 'JWT', kid };
+        let payload = Object.assign(
+            {
+                iss: this.issuer,
+                aud: this.audience,
+                iat: now,
+                exp: now + (typeof options.expiresIn === 'number' ? options.expiresIn : 3600)
+            },
+            claims || {}
+        );
+
+        let data = [header, payload].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+        let signature = crypto.sign('sha256', Buffer.from(data), privateKey).toString('base64url');
+
+        return data + '.' + signature;
+    }
+
+    /**
+     * Issues an opaque access token that can be validated using the introspection endpoint
+     *
+     * @param {Object} claims Token claims
+     * @returns {String} Access token
+     */
+    issueOpaqueToken(claims) {
+        let token = crypto.randomBytes(24).toString('base64url');
+        let now = Math.floor(Date.now() / 1000);
+        this.opaqueTokens.set(
+            token,
+            Object.assign(
+                {
+                    iss: this.issuer,
+                    aud: this.audience,
+                    iat: now,
+                    exp: now + 3600
+                },
+                claims || {}
+            )
+        );
+        return token;
+    }
+
+    revokeToken(token) {
+        this.opaqueTokens.delete(token);
+    }
+
+    handleRequest(req, res) {
+        let chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            let send = (statusCode, data) => {
+                res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            switch (req.url) {
+                case '/jwks':
+                    return send(200, {
+                        keys: [Object.assign(publicKey.export({ format: 'jwk' }), { kid, use: 'sig', alg: 'RS256' })]
+                    });
+
+                case '/introspect': {
+                    let params = new URLSearchParams(Buffer.concat(chunks).toString());
+                    let claims = this.opaqueTokens.get(params.get('token'));
+                    if (!claims) {
+                        return send(200, { active: false });
+                    }
+                    return send(200, Object.assign({ active: true }, claims));
+                }
+
+                default:
+                    return send(404, { error: 'not_found' });
+            }
+        });
+    }
+}
+
+module.exports = MockOAuthIssuer;
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Minimal S3 compatible object storage server for tests
+ * Supports PUT, GET (with Range) and DELETE for objects and validates AWS Signature Version 4 headers
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 5791;
+
+class MockS3Server {
+    constructor(options) {
+        options = options || {};
+        this.port = options.port || DEFAULT_PORT;
+        this.region = options.region || 'us-east-1';
+        this.accessKeyId = options.accessKeyId || 'test-access-key';
+        this.secretAccessKey = options.secretAccessKey || 'test-secret-key';
+
+        // "bucket/key" -> Buffer
+        this.objects = new Map();
+        this.requests = [];
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, '127.0.0.1', () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+    }
+
+    verifySignature(req, body) {
+        let auth = (req.headers.authorization || '').match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/([^,]+), SignedHeaders=([^,]+), Signature=([a-f0-9]+)$/);
+        if (!auth || auth[1] !== this.accessKeyId) {
+            return false;
+        }
+
+        let [dateStamp, region, service] = auth[2].split('/');
+        if (region !== this.region || service !== 's3') {
+            return false;
+        }
+
+        let payloadHash = req.headers['x-amz-content-sha256'];
+        if (body.length && payloadHash !== crypto.createHash('sha256').update(body).digest('hex')) {
+            return false;
+        }
+
+        let url = new URL(req.url, 'http://localhost');
+        let signedHeaders = auth[3].split(';');
+        let canonicalRequest = [
+            req.method,
+            url.pathname,
+            url.search.replace(/^\?/, ''),
+            signedHeaders.map(key => `${key}:${(req.headers[key] || '').toString().trim()}\n`).join(''),
+            auth[3],
+            payloadHash
+        ].join('\n');
+
+        let stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], auth[2], crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join(
+            '\n'
+        );
+
+        let key = crypto
+            .createHmac('sha256', 'AWS4' + this.secretAccessKey)
+            .update(dateStamp)
+            .digest();
+        key = crypto.createHmac('sha256', key).update(region).digest();
+        key = crypto.createHmac('sha256', key).update(service).digest();
+        key = crypto.createHmac('sha256', key).update('aws4_request').digest();
+
+        return crypto.createHmac('sha256', key).update(stringToSign).digest('hex') === auth[4];
+    }
+
+    handleRequest(req, res) {
+        let chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            let body = Buffer.concat(chunks);
+            let objectKey = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.replace(/^\//, ''));
+
+            this.requests.push({ method: req.method, key: objectKey, headers: req.headers });
+
+            let send = (statusCode, data) => {
+                res.writeHead(statusCode, { 'Content-Type': 'application/xml' });
+                res.end(data || '');
+            };
+
+            if (!this.verifySignature(req, body)) {
+                return send(403, '<Error><Code>SignatureDoesNotMatch</Code></Error>');
+            }
+
+            switch (req.method) {
+                case 'PUT':
+                    this.objects.set(objectKey, body);
+                    return send(200);
+
+                case 'GET': {
+                    let content = this.objects.get(objectKey);
+                    if (!content) {
+                        return send(404, '<Error><Code>NoSuchKey</Code></Error>');
+                    }
+
+                    let range = (req.headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+                    if (range) {
+                        let start = Number(range[1]);
+                        let end = range[2] ? Math.min(Number(range[2]), content.length - 1) : content.length - 1;
+                        res.writeHead(206, {
+                            'Content-Type': 'application/octet-stream',
+                            'Content-Range': `bytes ${start}-${end}/${content.length}`
+                        });
+                        return res.end(content.subarray(start, end + 1));
+                    }
+
+                    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                    return res.end(content);
+                }
+
+                case 'DELETE':
+                    this.objects.delete(objectKey);
+                    return send(204);
+
+                default:
+                    return send(405);
+            }
+        });
+    }
+}
+
+module.exports = MockS3Server;
@@ -0,0 +1,49 @@
+/*eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const crypto = require('crypto');
+const chai = require('chai');
+const { sign, verify } = require('../lib/webhook-signature');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const body = JSON.stringify({ id: '65a5b1c5d4f0f1a2b3c4d5e6:1', ev: 'user.created', user: '65a5b1c5d4f0f1a2b3c4d5e7' });
+const deliveryId = '65a5b1c5d4f0f1a2b3c4d5e6:1';
+
+describe('Webhook signatures', function () {
+    it('should sign a delivery', () => {
+        let timestamp = 1700000000;
+        let expected = crypto.createHmac('sha256', 'first-secret-value').update(`${timestamp}.${deliveryId}.${body}`).digest('hex');
+
+        expect(sign('first-secret-value', timestamp, deliveryId, body)).to.equal(`t=${timestamp},v1=${expected}`);
+    });
+
+    it('should include a signature for every secret', () => {
+        let header = sign(['first-secret-value', 'second-secret-value'], 1700000000, deliveryId, body);
+        expect(header.split(',').filter(part => /^v1=/.test(part)).length).to.equal(2);
+    });
+
+    it('should verify a signature with any of the secrets', () => {
+        let header = sign(['first-secret-value', 'second-secret-value'], Math.floor(Date.now() / 1000), deliveryId, body);
+
+        expect(verify('first-secret-value', header, deliveryId, body)).to.be.true;
+        expect(verify('second-secret-value', header, deliveryId, body)).to.be.true;
+        expect(verify('third-secret-value', header, deliveryId, body)).to.be.false;
+    });
+
+    it('should reject modified deliveries', () => {
+        let header = sign('first-secret-value', Math.floor(Date.now() / 1000), deliveryId, body);
+
+        expect(verify('first-secret-value', header, '65a5b1c5d4f0f1a2b3c4d5e6:2', body)).to.be.false;
+        expect(verify('first-secret-value', header, deliveryId, body.replace('created', 'deleted'))).to.be.false;
+    });
+
+    it('should reject expired signatures', () => {
+        let header = sign('first-secret-value', Math.floor(Date.now() / 1000) - 3600, deliveryId, body);
+
+        expect(verify('first-secret-value', header, deliveryId, body)).to.be.false;
+        expect(verify('first-secret-value', header, deliveryId, body, 2 * 3600)).to.be.true;
+    });
+});
@@ -4,27 +4,124 @@ const log = require('npmlog');
 const config = require('wild-config');
 const Gelf = require('gelf');
 const os = require('os');
-const { Queue, Worker } = require('bullmq');
+const { Worker } = require('bullmq');
 const db = require('./lib/db');
 const tools = require('./lib/tools');
 const { ObjectId } = require('mongodb');
 const axios = require('axios');
 const packageData = require('./package.json');
-const { MARKED_SPAM, MARKED_HAM } = require('./lib/events');
+const consts = require('./lib/consts');
+const { MARKED_SPAM, MARKED_HAM, WEBHOOK_DISABLED, publish, queueDelivery, getMatchingTypes } = require('./lib/events');
+const { decrypt } = require('./lib/encrypt');
+const webhookSignature = require('./lib/webhook-signature');
 
 let loggelf;
 let queueWorkers = {};
 
-async function postWebhook(webhook, data) {
+// secrets are not included in queued jobs, these are loaded when the request is made,
+// so deliveries that are already queued are signed with the current secrets
+async function getSecrets(webhook) {
+    let webhookData = await db.users.collection('webhooks').findOne(
+        { _id: new ObjectId(webhook._id) },
+        {
+            projection: {
+                _id: true,
+                secret: true,
+                previousSecret: true,
+                previousSecretExpires: true
+            }
+        }
+    );
+
+    if (!webhookData) {
+        return false;
+    }
+
+    let secrets = [];
+    if (webhookData.secret) {
+        secrets.push(await decrypt(webhookData.secret, config.webhooks.secret));
+    }
+
+    // during secret rotation deliveries are signed with both the new and the previous secret
+    if (webhookData.previousSecret && webhookData.previousSecretExpires > new Date()) {
+        secrets.push(await decrypt(webhookData.previousSecret, config.webhooks.secret));
+    }
+
+    return secrets;
+}
+
+// stores a delivery attempt to the delivery log
+async function logDelivery(webhook, data, delivery, result) {
+    let now = new Date();
+    try {
+        await db.users.collection('webhookdeliveries').insertOne({
+            webhook: new ObjectId(webhook._id),
+            user: webhook.user ? new ObjectId(webhook.user) : null,
+            delivery: data.id,
+            ev: data.ev,
+            url: webhook.url,
+            attempt: delivery.attempt,
+            redelivery: !!delivery.redelivery,
+            created: now,
+            duration: result.duration,
+            status: result.status || null,
+            success: !!result.success,
+            response: result.response,
+            error: result.error,
+            data,
+            expires: new Date(now.getTime() + consts.WEBHOOK_DELIVERY_TTL)
+        });
+    } catch (err) {
+        log.error('Webhooks', 'Failed to log delivery %s error=%s', data.id, err.message);
+    }
+}
+
+function getResponseSnippet(res) {
+    if (!res || res.data === undefined || res.data === null) {
+        return undefined;
+    }
+    let response = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+    return response.substr(0, consts.WEBHOOK_RESPONSE_SNIPPET);
+}
+
+async function postWebhook(webhook, data, delivery) {
+    let secrets = await getSecrets(webhook);
+    if (!secrets) {
+        log.verbose('Webhooks', 'Skipped %s to %s, webhook was deleted', data.ev, webhook.url);
+        return false;
+    }
+
+    let body = JSON.stringify(data);
+    let timestamp = Math.floor(Date.now() / 1000);
+
+    let headers = {
+        'User-Agent': `wildduck/${packageData.version}`,
+        'Content-Type': 'application/json',
+        'X-Wildduck-Delivery': data.id,
+        'X-Wildduck-Timestamp': timestamp
+    };
+
+    if (secrets.length) {
+        headers['X-Wildduck-Signature'] = webhookSignature.sign(secrets, timestamp, data.id, body);
+    }
+
     let res;
+    let startTime = Date.now();
 
     try {
-        res = await axios.post(webhook.url, data, {
-            headers: {
-                'User-Agent': `wildduck/${packageData.version}`
-            }
+        res = await axios.post(webhook.url, body, {
+            headers,
+            // keep the response body as is for the delivery log
+            transformResponse: [responseBody => responseBody]
         });
     } catch (err) {
+        await logDelivery(webhook, data, delivery, {
+            duration: Date.now() - startTime,
+            status: err.response && err.response.status,
+            response: getResponseSnippet(err.response),
+            error: err.message
+        });
+
         loggelf({
             short_message: '[WH] ' + data.ev,
             _mail_action: 'webhook',
@@ -42,6 +139,13 @@ async function postWebhook(webhook, data) {
         throw new Error(`Failed to POST request to ${webhook.url}`);
     }
 
+    await logDelivery(webhook, data, delivery, {
+        duration: Date.now() - startTime,
+        status: res.status,
+        success: res.status >= 200 && res.status < 300,
+        response: getResponseSnippet(res)
+    });
+
     loggelf({
         short_message: '[WH] ' + data.ev,
         _mail_action: 'webhook',
@@ -74,6 +178,69 @@ async function postWebhook(webhook, data) {
     return true;
 }
 
+// called when a delivery has failed all retries, disables the webhook if there are too many consecutive failures
+async function registerFailure(webhook) {
+    let r = await db.users.collection('webhooks').findOneAndUpdate(
+        { _id: new ObjectId(webhook._id) },
+        {
+            $inc: { failures: 1 },
+            $set: { lastFailure: new Date() }
+        },
+        {
+            returnDocument: 'after',
+            projection: { _id: true, user: true, url: true, failures: true, disabled: true }
+        }
+    );
+
+    if (!r || !r.value || r.value.disabled || r.value.failures < consts.WEBHOOK_MAX_FAILURES) {
+        return;
+    }
+
+    let u = await db.users.collection('webhooks').updateOne(
+        { _id: r.value._id, disabled: { $ne: true } },
+        {
+            $set: {
+                disabled: true,
+                disabledTime: new Date()
+            }
+        }
+    );
+
+    if (u && u.modifiedCount) {
+        log.info('Webhooks', 'Disabled webhook %s after %s failed deliveries', r.value._id, r.value.failures);
+
+        await publish(db.redis, {
+            ev: WEBHOOK_DISABLED,
+            webhook: r.value._id,
+            user: r.value.user,
+            url: r.value.url,
+            failures: r.value.failures
+        });
+    }
+}
+
+async function resetFailures(webhook) {
+    await db.users.collection('webhooks').updateOne({ _id: new ObjectId(webhook._id), failures: { $gt: 0 } }, { $set: { failures: 0 } });
+}
+
+// webhooks can be limited to a mailbox or to special use folders, events that do not refer to a matching mailbox are skipped
+function matchesMailboxFilter(webhook, data) {
+    let specialUse = [].concat(webhook.specialUse || []);
+    if (!webhook.mailbox && !specialUse.length) {
+        return true;
+    }
+
+    // moved messages match both the source and the destination mailbox
+    let mailboxes = [
+        { mailbox: data.mailbox, specialUse: data.specialUse },
+        { mailbox: data.sourceMailbox, specialUse: data.sourceSpecialUse }
+    ].filter(entry => entry.mailbox);
+
+    return mailboxes.some(
+        entry => (!webhook.mailbox || webhook.mailbox.toString() === entry.mailbox.toString()) && (!specialUse.length || specialUse.includes(entry.specialUse))
+    );
+}
+
 module.exports.start = callback => {
     if (!(config.webhooks && config.webhooks.enabled)) {
         return setImmediate(() => callback(null, false));
@@ -118,8 +285,6 @@ module.exports.start = callback => {
         }
     };
 
-    const webhooksPostQueue = new Queue('webhooks_post', db.queueConf);
-
     queueWorkers.webhooks = new Worker(
         'webhooks',
         async job => {
@@ -130,15 +295,7 @@ module.exports.start = callback => {
 
                 const data = job.data;
 
-                let evtList = ['*'];
-                let typeParts = data.ev.split('.');
-                typeParts.pop();
-                for (let i = 1; i <= typeParts.length; i++) {
-                    evtList.push(typeParts.slice(0, i) + '.*');
-                }
-                evtList.push(data.ev);
-
-                const query = { type: { $in: evtList } };
+                const query = { type: { $in: getMatchingTypes(data.ev) }, disabled: { $ne: true } };
                 if (data.user) {
                     query.user = { $in: [new ObjectId(data.user), null] };
                 }
@@ -146,7 +303,12 @@ module.exports.start = callback => {
                 let whid = new ObjectId();
                 let count = 0;
 
-                let webhooks = await db.users.collection('webhooks').find(query).toArray();
+                let webhooks = await db.users
+                    .collection('webhooks')
+                    .find(query, { projection: { secret: false, previousSecret: false, previousSecretExpires: false } })
+                    .toArray();
+
+                webhooks = webhooks.filter(webhook => matchesMailboxFilter(webhook, data));
 
                 if (!webhooks.length) {
                     // ignore this event
@@ -216,19 +378,7 @@ module.exports.start = callback => {
                 for (let webhook of webhooks) {
                     count++;
                     try {
-                        await webhooksPostQueue.add(
-                            'webhook',
-                            { data: Object.assign({ id: `${whid.toHexString()}:${count}` }, data), webhook },
-                            {
-                                removeOnComplete: true,
-                                removeOnFail: 500,
-                                attempts: 5,
-                                backoff: {
-                                    type: 'exponential',
-                                    delay: 2000
-                                }
-                            }
-                        );
+                        await queueDelivery(db.redis, webhook, Object.assign({ id: `${whid.toHexString()}:${count}` }, data));
                     } catch (err) {
                         // ignore?
                         log.error('Events', err);
@@ -253,8 +403,33 @@ module.exports.start = callback => {
             if (!job || !job.data) {
                 return false;
             }
-            const { data, webhook } = job.data;
-            return await postWebhook(webhook, data);
+            const { data, webhook, redelivery } = job.data;
+            const attempt = job.attemptsMade + 1;
+
+            let result;
+            try {
+                result = await postWebhook(webhook, data, { attempt, redelivery });
+            } catch (err) {
+                if (attempt >= (job.opts.attempts || 1)) {
+                    // no more retries left
+                    try {
+                        await registerFailure(webhook);
+                    } catch (E) {
+                        log.error('Webhooks', 'Failed to register failed delivery %s error=%s', data.id, E.message);
+                    }
+                }
+                throw err;
+            }
+
+            if (result) {
+                try {
+                    await resetFailures(webhook);
+                } catch (err) {
+                    // ignore
+                }
+            }
+
+            return result;
         },
         Object.assign(
             {
@@ -4,6 +4,7 @@ const config = require('wild-config');
 const log = require('npmlog');
 const imap = require('./imap');
 const pop3 = require('./pop3');
+const managesieve = require('./managesieve');
 const lmtp = require('./lmtp');
 const api = require('./api');
 const acme = require('./acme');
@@ -60,57 +61,65 @@ db.connect(err => {
                             errors.notify(err);
                             return setTimeout(() => process.exit(1), 3000);
                         }
-                        // Start LMTP maildrop server
-                        lmtp(err => {
+                        // Start ManageSieve server
+                        managesieve(err => {
                             if (err) {
-                                log.error('App', 'Failed to start LMTP server');
+                                log.error('App', 'Failed to start ManageSieve server');
                                 errors.notify(err);
                                 return setTimeout(() => process.exit(1), 3000);
                             }
-
-                            // Start HTTP API server
-                            api(err => {
+                            // Start LMTP maildrop server
+                            lmtp(err => {
                                 if (err) {
-                                    log.error('App', 'Failed to start API server');
+                                    log.error('App', 'Failed to start LMTP server');
                                     errors.notify(err);
                                     return setTimeout(() => process.exit(1), 3000);
                                 }
 
-                                // Start HTTP ACME server
-                                acme(err => {
+                                // Start HTTP API server
+                                api(err => {
                                     if (err) {
-                                        log.error('App', 'Failed to start ACME server');
+                                        log.error('App', 'Failed to start API server');
                                         errors.notify(err);
                                         return setTimeout(() => process.exit(1), 3000);
                                     }
 
-                                    // downgrade user and group if needed
-                                    if (config.group) {
-                                        try {
-                                            process.setgid(config.group);
-                                            log.info('App', 'Changed group to "%s" (%s)', config.group, process.getgid());
-                                        } catch (E) {
-                                            log.error('App', 'Failed to change group to "%s" (%s)', config.group, E.message);
-                                            errors.notify(E);
+                                    // Start HTTP ACME server
+                                    acme(err => {
+                                        if (err) {
+                                            log.error('App', 'Failed to start ACME server');
+                                            errors.notify(err);
                                             return setTimeout(() => process.exit(1), 3000);
                                         }
-                                    }
-                                    if (config.user) {
-                                        try {
-                                            process.setuid(config.user);
-                                            log.info('App', 'Changed user to "%s" (%s)', config.user, process.getuid());
-                                        } catch (E) {
-                                            log.error('App', 'Failed to change user to "%s" (%s)', config.user, E.message);
-                                            errors.notify(E);
-                                            return setTimeout(() => process.exit(1), 3000);
+
+                                        // downgrade user and group if needed
+                                        if (config.group) {
+                                            try {
+                                                process.setgid(config.group);
+                                                log.info('App', 'Changed group to "%s" (%s)', config.group, process.getgid());
+                                            } catch (E) {
+                                                log.error('App', 'Failed to change group to "%s" (%s)', config.group, E.message);
+                                                errors.notify(E);
+                                                return setTimeout(() => process.exit(1), 3000);
+                                            }
+                                        }
+                                        if (config.user) {
+                                            try {
+                                                process.setuid(config.user);
+                                                log.info('App', 'Changed user to "%s" (%s)', config.user, process.getuid());
+                                            } catch (E) {
+                                                log.error('App', 'Failed to change user to "%s" (%s)', config.user, E.message);
+                                                errors.notify(E);
+                                                return setTimeout(() => process.exit(1), 3000);
+                                            }
                                         }
-                                    }
 
-                                    plugins.init('receiver');
-                                    plugins.handler.load(() => {
-                                        log.verbose('Plugins', 'Plugins loaded');
-                                        plugins.handler.runHooks('init', [], () => {
-                                            log.info('App', 'All servers started, ready to process some mail');
+                                        plugins.init('receiver');
+                                        plugins.handler.load(() => {
+                                            log.verbose('Plugins', 'Plugins loaded');
+                                            plugins.handler.runHooks('init', [], () => {
+                                                log.info('App', 'All servers started, ready to process some mail');
+                                            });
                                         });
                                     });
                                 });